@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Proxy CORS local para las APIs que no permiten peticiones desde el navegador.
+//
+//   npm run proxy                  escucha en http://localhost:8010/
+//   PORT=9000 npm run proxy        en otro puerto (cambia también REACT_APP_CORS_PROXY_URL)
+//   CORS_PROXY_ORIGINS=http://localhost:3001 npm run proxy
+//                                  orígenes admitidos, separados por comas (por defecto el
+//                                  servidor de desarrollo en el puerto 3000)
+//
+// El dashboard pide http://localhost:8010/?url=<URL codificada>; el proxy reenvía método,
+// cabeceras y cuerpo a esa URL y devuelve la respuesta con las cabeceras CORS.
+//
+// Escuchar en 127.0.0.1 no basta: cualquier página abierta en el navegador puede llamar a
+// localhost, y el proxy llega a cualquier URL http/https, también de la red local. Por eso
+// rechaza con 403, sin contactar con el destino:
+//   - las peticiones cuyo Host no es localhost:<puerto> o 127.0.0.1:<puerto>, para que una
+//     página no pueda usarlo con un dominio propio que resuelva a 127.0.0.1 (DNS rebinding);
+//   - las que no llevan un Origin admitido ni la cabecera X-Cors-Proxy. Un <img>, un
+//     formulario o una navegación de otra página llegan sin Origin pero no pueden añadir
+//     cabeceras, y un fetch con esa cabecera necesita un preflight, que lleva su Origin.
+// Los clientes que no son un navegador (curl, scripts) deben enviar X-Cors-Proxy: 1.
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_PORT = 8010;
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+const parseOrigins = value => (value ? value.split(',').map(origin => origin.trim()).filter(Boolean) : DEFAULT_ORIGINS);
+
+// Cabecera con la que se identifican los clientes que no son un navegador
+const PROXY_HEADER = 'x-cors-proxy';
+
+// Cabeceras del navegador que no deben llegar al servidor de destino
+const DROPPED_REQUEST_HEADERS = ['host', 'origin', 'referer', 'connection', 'cookie', PROXY_HEADER];
+
+const isLocalHost = (req) => {
+  const port = req.socket.localPort;
+  return [`localhost:${port}`, `127.0.0.1:${port}`].includes(String(req.headers.host).toLowerCase());
+};
+
+// Solo se llama con peticiones de un origen admitido o de clientes sin Origin (que no necesitan CORS)
+const corsHeaders = req => ({
+  ...(req.headers.origin ? { 'Access-Control-Allow-Origin': req.headers.origin } : {}),
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+  'Access-Control-Expose-Headers': '*',
+  'Access-Control-Max-Age': '600',
+  Vary: 'Origin'
+});
+
+const sendError = (req, res, status, message, headers = corsHeaders(req)) => {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: message }));
+};
+
+const handleRequest = allowedOrigins => (req, res) => {
+  const { origin } = req.headers;
+  // Sin cabeceras CORS: la página que lo ha pedido tampoco puede leer el error
+  if (!isLocalHost(req)) {
+    sendError(req, res, 403, `Host no admitido: ${req.headers.host}`, {});
+    return;
+  }
+  if (origin !== undefined && !allowedOrigins.includes(origin)) {
+    sendError(req, res, 403, `Origen no admitido: ${origin}`, {});
+    return;
+  }
+  if (origin === undefined && req.headers[PROXY_HEADER] === undefined) {
+    sendError(req, res, 403, 'Las peticiones sin Origin deben llevar la cabecera X-Cors-Proxy', {});
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders(req));
+    res.end();
+    return;
+  }
+
+  let target;
+  try {
+    target = new URL(new URL(req.url, 'http://localhost').searchParams.get('url'));
+  } catch (err) {
+    sendError(req, res, 400, 'Falta el parámetro url con una URL absoluta: /?url=https%3A%2F%2F...');
+    return;
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    sendError(req, res, 400, `Protocolo no admitido: ${target.protocol}`);
+    return;
+  }
+
+  const headers = { ...req.headers };
+  DROPPED_REQUEST_HEADERS.forEach(name => delete headers[name]);
+
+  const client = target.protocol === 'https:' ? https : http;
+  const upstream = client.request(target, { method: req.method, headers }, (response) => {
+    const responseHeaders = { ...response.headers };
+    // Las cabeceras CORS del destino se sustituyen por las del proxy
+    Object.keys(responseHeaders)
+      .filter(name => name.startsWith('access-control-'))
+      .forEach(name => delete responseHeaders[name]);
+    res.writeHead(response.statusCode, { ...responseHeaders, ...corsHeaders(req) });
+    response.pipe(res);
+  });
+
+  upstream.on('error', (err) => {
+    if (res.headersSent) res.destroy(err);
+    else sendError(req, res, 502, `No se pudo contactar con ${target.origin}: ${err.message}`);
+  });
+  req.pipe(upstream);
+};
+
+function createCorsProxy({ allowedOrigins = parseOrigins(process.env.CORS_PROXY_ORIGINS) } = {}) {
+  return http.createServer(handleRequest(allowedOrigins));
+}
+
+module.exports = { createCorsProxy };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createCorsProxy().listen(port, '127.0.0.1', () => {
+    console.log(`Proxy CORS escuchando en http://localhost:${port}/?url=...`);
+    console.log(`Orígenes admitidos: ${parseOrigins(process.env.CORS_PROXY_ORIGINS).join(', ')}`);
+  });
+}
@@ -1,186 +1,155 @@
-import React, { useState, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { Component, Suspense, useCallback, useEffect, useMemo, useState } from 'react';
+import { Moon, Sun } from 'lucide-react';
+import { ROUTES, browserPath, matchRoute } from './shell/routes';
+import { useRoute } from './shell/useRoute';
+import { ThemeContext, loadTheme, saveTheme, applyTheme, nextTheme } from './shell/theme';
+import { I18nContext, LOCALES, createI18n, loadLocale, saveLocale, useI18n } from './i18n/i18n';
+import { errorMessage } from './i18n/errors';
 
-export default function FunctionVisualizer() {
-  const [xMin, setXMin] = useState(0.1);
-  const [xMax, setXMax] = useState(5);
-  const [showDerivative, setShowDerivative] = useState(false);
-  const [hoveredPoint, setHoveredPoint] = useState(null);
+function ToolError({ error }) {
+  const { t } = useI18n();
+  return (
+    <div className="max-w-xl mx-auto p-6 rounded-lg bg-red-500/10 border border-red-400 text-red-700 dark:text-red-300">
+      <p className="font-semibold mb-2">{t('shell.loadError')}</p>
+      <p className="text-sm mb-4">{errorMessage(error, t)}</p>
+      <button
+        onClick={() => window.location.reload()}
+        className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition"
+      >
+        {t('shell.reload')}
+      </button>
+    </div>
+  );
+}
 
-  const data = useMemo(() => {
-    const points = [];
-    const step = (xMax - xMin) / 200;
+// Si falla la descarga del bundle de una herramienta (sin red, versión nueva desplegada...)
+// se muestra el error en lugar de dejar la página en blanco. Es un componente de clase (no
+// puede usar useI18n), así que los textos los pone ToolError.
+class ToolErrorBoundary extends Component {
+  state = { error: null };
 
-    for (let x = xMin; x <= xMax; x += step) {
-      if (x > 0) {
-        const fx = x * Math.log(x);
-        const derivative = Math.log(x) + 1;
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
 
-        points.push({
-          x: parseFloat(x.toFixed(3)),
-          fx: parseFloat(fx.toFixed(3)),
-          derivative: parseFloat(derivative.toFixed(3))
-        });
-      }
-    }
+  componentDidCatch(error) {
+    console.error('Error loading tool:', error);
+  }
 
-    return points;
-  }, [xMin, xMax]);
+  render() {
+    return this.state.error ? <ToolError error={this.state.error} /> : this.props.children;
+  }
+}
 
-  const zoomIn = () => {
-    const center = (xMin + xMax) / 2;
-    const range = (xMax - xMin) / 2;
-    setXMin(Math.max(0.01, center - range / 2));
-    setXMax(center + range / 2);
+function NavLink({ route, active, onNavigate }) {
+  const { t } = useI18n();
+  const Icon = route.icon;
+  const handleClick = (e) => {
+    // Ctrl/Cmd/Mayús + clic o clic central abren la herramienta en otra pestaña como un enlace normal
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    onNavigate(route.path);
   };
 
-  const zoomOut = () => {
-    const center = (xMin + xMax) / 2;
-    const range = (xMax - xMin) * 2;
-    setXMin(Math.max(0.01, center - range / 2));
-    setXMax(center + range / 2);
-  };
+  return (
+    <a
+      href={browserPath(route.path)}
+      onClick={handleClick}
+      aria-current={active ? 'page' : undefined}
+      className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition ${
+        active
+          ? 'bg-blue-500 text-white'
+          : 'text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-white/10'
+      }`}
+    >
+      <Icon size={16} />
+      {t(`shell.routes.${route.id}`)}
+    </a>
+  );
+}
 
-  const resetView = () => {
-    setXMin(0.1);
-    setXMax(5);
-  };
+function NotFound({ onNavigate }) {
+  const { t } = useI18n();
+  return (
+    <div className="max-w-xl mx-auto p-6 rounded-lg bg-white/70 dark:bg-white/10 border border-gray-200 dark:border-white/20 text-gray-700 dark:text-gray-200">
+      <p className="font-semibold mb-2">{t('shell.notFound')}</p>
+      <button onClick={() => onNavigate(ROUTES[0].path)} className="text-blue-600 dark:text-blue-400 hover:underline">
+        {t('shell.goTo', { name: t(`shell.routes.${ROUTES[0].id}`) })}
+      </button>
+    </div>
+  );
+}
 
-  const CustomTooltip = ({ active, payload }) => {
-    if (active && payload && payload.length) {
-      const data = payload[0].payload;
-      return (
-        <div className="bg-white p-3 border-2 border-gray-300 rounded shadow-lg">
-          <p className="font-bold text-gray-800">x = {data.x}</p>
-          <p className="text-blue-600">f(x) = {data.fx}</p>
-          {showDerivative && (
-            <p className="text-green-600">f'(x) = {data.derivative}</p>
-          )}
-        </div>
-      );
-    }
-    return null;
-  };
+// Cabecera común, tema, idioma y navegación entre herramientas
+export default function App() {
+  const { path, navigate } = useRoute();
+  const [theme, setTheme] = useState(() => loadTheme());
+  const [locale, setLocale] = useState(() => loadLocale());
+  const i18n = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale]);
+  const { t } = i18n;
+  const route = matchRoute(path);
+  const Tool = route?.component;
 
-  return (
-    <div className="w-full h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
-      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-xl p-6">
-        <h1 className="text-3xl font-bold text-gray-800 mb-2">Visualizador de f(x) = x·ln(x)</h1>
-        <p className="text-gray-600 mb-6">Explora la función y su derivada interactivamente</p>
+  useEffect(() => {
+    applyTheme(theme);
+    saveTheme(theme);
+  }, [theme]);
 
-        <div className="mb-6 flex flex-wrap gap-4 items-center">
-          <div className="flex gap-2">
-            <button
-              onClick={zoomIn}
-              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
-            >
-              🔍 Ampliar
-            </button>
-            <button
-              onClick={zoomOut}
-              className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 transition"
-            >
-              🔍 Reducir
-            </button>
-            <button
-              onClick={resetView}
-              className="px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600 transition"
-            >
-              ↺ Reiniciar
-            </button>
-          </div>
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    saveLocale(locale);
+  }, [locale]);
 
-          <div className="flex items-center gap-2">
-            <input
-              type="checkbox"
-              id="derivative"
-              checked={showDerivative}
-              onChange={(e) => setShowDerivative(e.target.checked)}
-              className="w-5 h-5 cursor-pointer"
-            />
-            <label htmlFor="derivative" className="text-gray-700 font-medium cursor-pointer">
-              Mostrar derivada f'(x) = ln(x) + 1
-            </label>
-          </div>
-        </div>
+  useEffect(() => {
+    document.title = route ? `${t(`shell.routes.${route.id}`)} · ${t('shell.appName')}` : t('shell.appName');
+  }, [route, t]);
 
-        <div className="mb-4 grid grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              X mínimo: {xMin.toFixed(2)}
-            </label>
-            <input
-              type="range"
-              min="0.01"
-              max="2"
-              step="0.01"
-              value={xMin}
-              onChange={(e) => setXMin(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              X máximo: {xMax.toFixed(2)}
-            </label>
-            <input
-              type="range"
-              min="2"
-              max="20"
-              step="0.1"
-              value={xMax}
-              onChange={(e) => setXMax(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
-        </div>
+  const toggleTheme = useCallback(() => setTheme(nextTheme), []);
+  const themeValue = useMemo(() => ({ theme, toggleTheme }), [theme, toggleTheme]);
+  const otherTheme = nextTheme(theme);
 
-        <div className="bg-gray-50 rounded-lg p-4 mb-4">
-          <ResponsiveContainer width="100%" height={400}>
-            <LineChart data={data}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis
-                dataKey="x"
-                label={{ value: 'x', position: 'insideBottomRight', offset: -5 }}
-              />
-              <YAxis
-                label={{ value: 'f(x)', angle: -90, position: 'insideLeft' }}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Legend />
-              <Line
-                type="monotone"
-                dataKey="fx"
-                stroke="#2563eb"
-                strokeWidth={2}
-                name="f(x) = x·ln(x)"
-                dot={false}
-              />
-              {showDerivative && (
-                <Line
-                  type="monotone"
-                  dataKey="derivative"
-                  stroke="#16a34a"
-                  strokeWidth={2}
-                  name="f'(x) = ln(x) + 1"
-                  dot={false}
-                  strokeDasharray="5 5"
-                />
-              )}
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
+  return (
+    <I18nContext.Provider value={i18n}>
+      <ThemeContext.Provider value={themeValue}>
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:via-blue-900 dark:to-indigo-900 print:bg-none print:bg-white">
+          <header className="sticky top-0 z-20 bg-white/70 dark:bg-gray-900/60 backdrop-blur-lg border-b border-gray-200 dark:border-white/10 print:hidden">
+            <div className="max-w-7xl mx-auto px-6 py-3 flex flex-wrap items-center gap-4">
+              <span className="text-lg font-bold text-gray-900 dark:text-white">{t('shell.appName')}</span>
+              <nav className="flex flex-wrap gap-1" aria-label={t('shell.tools')}>
+                {ROUTES.map(item => (
+                  <NavLink key={item.path} route={item} active={item === route} onNavigate={navigate} />
+                ))}
+              </nav>
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="ml-auto px-2 py-1 bg-white dark:bg-white/10 border border-gray-300 dark:border-white/20 rounded-lg text-sm text-gray-700 dark:text-gray-200"
+                aria-label={t('shell.language')}
+              >
+                {Object.entries(LOCALES).map(([id, { label }]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={toggleTheme}
+                className="p-2 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-white/10 transition"
+                aria-label={t('shell.switchTheme', { theme: t(`shell.themes.${otherTheme}`) })}
+                title={t('shell.themeTitle', { theme: t(`shell.themes.${otherTheme}`) })}
+              >
+                {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
+              </button>
+            </div>
+          </header>
 
-        <div className="bg-blue-50 border-l-4 border-blue-500 p-4 rounded">
-          <h3 className="font-bold text-gray-800 mb-2">Información:</h3>
-          <ul className="text-sm text-gray-700 space-y-1">
-            <li>• La función f(x) = x·ln(x) está definida para x {'>'} 0</li>
-            <li>• Tiene un mínimo en x = 1/e ≈ 0.368, donde f(1/e) ≈ -0.368</li>
-            <li>• Su derivada es f'(x) = ln(x) + 1</li>
-            <li>• Pasa el cursor sobre la gráfica para ver valores exactos</li>
-          </ul>
+          <main className="p-6 print:p-0">
+            <ToolErrorBoundary key={path}>
+              <Suspense fallback={<p className="text-center text-gray-600 dark:text-gray-300 py-12">{t('shell.loading')}</p>}>
+                {Tool ? <Tool /> : <NotFound onNavigate={navigate} />}
+              </Suspense>
+            </ToolErrorBoundary>
+          </main>
         </div>
-      </div>
-    </div>
+      </ThemeContext.Provider>
+    </I18nContext.Provider>
   );
 }
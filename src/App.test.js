@@ -1,8 +1,79 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { THEME_STORAGE_KEY } from './shell/theme';
+import { LOCALE_STORAGE_KEY } from './i18n/i18n';
 
-test('renders learn react link', () => {
+// Recharts mide su contenedor con ResizeObserver, que jsdom no implementa
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// El primer import dinámico de cada herramienta tiene que transformar todo su código
+const LOAD_TIMEOUT = { timeout: 10000 };
+const findDashboard = () => screen.findByText('📡 Live Data Dashboard', {}, LOAD_TIMEOUT);
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+  window.localStorage.clear();
+  // El navegador de jsdom está en inglés; las pruebas parten del español salvo que cambien de idioma
+  window.localStorage.setItem(LOCALE_STORAGE_KEY, 'es');
+});
+
+test('la ruta raíz carga el dashboard en vivo', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await findDashboard()).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Dashboard en vivo' })).toHaveAttribute('aria-current', 'page');
+});
+
+test('la navegación cambia de herramienta y atrás vuelve a la anterior', async () => {
+  render(<App />);
+  await findDashboard();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Visualizador de funciones' }));
+  expect(await screen.findByRole('heading', { name: 'Visualizador de funciones' }, LOAD_TIMEOUT)).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/visualizador');
+  expect(screen.queryByText('📡 Live Data Dashboard')).not.toBeInTheDocument();
+
+  act(() => {
+    window.history.back();
+  });
+  expect(await findDashboard()).toBeInTheDocument();
+});
+
+test('una ruta desconocida muestra un aviso con enlace a la herramienta principal', async () => {
+  window.history.replaceState(null, '', '/no-existe');
+  render(<App />);
+  expect(screen.getByText('Esta página no existe')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Ir a Dashboard en vivo'));
+  expect(await findDashboard()).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/');
+});
+
+test('el botón de tema alterna claro/oscuro y lo recuerda', async () => {
+  window.localStorage.setItem(THEME_STORAGE_KEY, 'dark');
+  render(<App />);
+  await findDashboard();
+  expect(document.documentElement).toHaveClass('dark');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Cambiar a tema claro' }));
+  expect(document.documentElement).not.toHaveClass('dark');
+  expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBe('light');
+  expect(screen.getByRole('button', { name: 'Cambiar a tema oscuro' })).toBeInTheDocument();
+});
+
+test('el selector de idioma traduce la interfaz y lo recuerda', async () => {
+  render(<App />);
+  await findDashboard();
+  expect(document.documentElement).toHaveAttribute('lang', 'es');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+  expect(screen.getByRole('link', { name: 'Live dashboard' })).toHaveAttribute('aria-current', 'page');
+  expect(screen.getByText('Connect to any HTTP/JSON API and visualize data in real time')).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Language' })).toHaveValue('en');
+  expect(document.documentElement).toHaveAttribute('lang', 'en');
+  expect(document.title).toBe('Live dashboard · Data tools');
+  expect(window.localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('en');
 });
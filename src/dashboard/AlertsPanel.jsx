@@ -0,0 +1,169 @@
+import React from 'react';
+import { Bell, BellRing, Plus, Trash2 } from 'lucide-react';
+import { RULE_TYPES, alertReasonText, requestNotificationPermission } from './alerts';
+import { useI18n } from '../i18n/i18n';
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white';
+
+// Claves (dashboard.alerts.fields) de las etiquetas de los campos numéricos según el tipo de regla
+const FIELD_LABELS = {
+  above: { threshold: 'threshold', hysteresis: 'hysteresis' },
+  below: { threshold: 'threshold', hysteresis: 'hysteresis' },
+  change: { threshold: 'changeThreshold', hysteresis: 'changeHysteresis', windowSeconds: 'window' },
+  stale: { windowSeconds: 'staleSeconds' }
+};
+
+export default function AlertsPanel({
+  rules,
+  seriesList,
+  firingRuleIds,
+  alertLog,
+  onAddRule,
+  onUpdateRule,
+  onRemoveRule,
+  onClearLog
+}) {
+  const { t, format } = useI18n();
+  const seriesName = (key) => seriesList.find(item => item.key === key)?.name || t('dashboard.alerts.removedSeries');
+
+  const toggleNotify = async (rule, checked) => {
+    if (checked) await requestNotificationPermission();
+    onUpdateRule(rule.id, { notify: checked });
+  };
+
+  return (
+    <div className="bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg shadow-2xl p-6 mb-6 border border-gray-200 dark:border-white/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">🔔 {t('dashboard.alerts.title')}</h3>
+        <button
+          onClick={onAddRule}
+          disabled={seriesList.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg border border-gray-200 dark:border-white/20 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus size={16} />
+          {t('dashboard.alerts.addRule')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-3 mb-4">
+        {rules.map(rule => {
+          const labels = FIELD_LABELS[rule.type];
+          const isFiring = firingRuleIds.has(rule.id);
+          return (
+            <div
+              key={rule.id}
+              className={`p-4 rounded-lg border ${isFiring ? 'bg-red-500/20 border-red-400' : 'bg-white/50 dark:bg-white/5 border-gray-200 dark:border-white/20'}`}
+            >
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                {isFiring ? <BellRing className="text-red-600 dark:text-red-400 animate-pulse" size={20} /> : <Bell className="text-gray-600 dark:text-gray-300" size={20} />}
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => onUpdateRule(rule.id, { name: e.target.value })}
+                  className="flex-1 px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white font-semibold"
+                  aria-label={t('dashboard.alerts.ruleName')}
+                />
+                <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => onUpdateRule(rule.id, { enabled: e.target.checked })}
+                  />
+                  {t('dashboard.alerts.enabled')}
+                </label>
+                <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={rule.notify}
+                    onChange={(e) => toggleNotify(rule, e.target.checked)}
+                  />
+                  {t('dashboard.alerts.notify')}
+                </label>
+                <button
+                  onClick={() => onRemoveRule(rule.id)}
+                  className="flex items-center gap-1 px-3 py-2 bg-red-500/80 hover:bg-red-600 text-white rounded-lg transition"
+                  aria-label={t('dashboard.alerts.removeRule')}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-gray-900 dark:text-white text-sm">
+                <div className="col-span-2">
+                  <label className="block mb-1">{t('dashboard.alerts.series')}</label>
+                  <select
+                    value={rule.seriesKey}
+                    onChange={(e) => onUpdateRule(rule.id, { seriesKey: e.target.value })}
+                    className={inputClass}
+                  >
+                    {!seriesList.some(item => item.key === rule.seriesKey) && (
+                      <option value={rule.seriesKey}>{seriesName(rule.seriesKey)}</option>
+                    )}
+                    {seriesList.map(item => (
+                      <option key={item.key} value={item.key}>{item.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block mb-1">{t('dashboard.alerts.type')}</label>
+                  <select
+                    value={rule.type}
+                    onChange={(e) => onUpdateRule(rule.id, { type: e.target.value })}
+                    className={inputClass}
+                  >
+                    {RULE_TYPES.map(type => (
+                      <option key={type} value={type}>{t(`dashboard.alerts.types.${type}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                {['threshold', 'hysteresis', 'windowSeconds'].filter(field => labels[field]).map(field => (
+                  <div key={field}>
+                    <label className="block mb-1">{t(`dashboard.alerts.fields.${labels[field]}`)}</label>
+                    <input
+                      type="number"
+                      value={rule[field]}
+                      onChange={(e) => onUpdateRule(rule.id, { [field]: Number(e.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block mb-1">{t('dashboard.alerts.cooldown')}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={rule.cooldownSeconds}
+                    onChange={(e) => onUpdateRule(rule.id, { cooldownSeconds: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-gray-900 dark:text-white font-semibold">{t('dashboard.alerts.log')}</h4>
+        {alertLog.length > 0 && (
+          <button onClick={onClearLog} className="text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white">
+            {t('dashboard.alerts.clearLog')}
+          </button>
+        )}
+      </div>
+      {alertLog.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('dashboard.alerts.emptyLog')}</p>
+      ) : (
+        <ul className="max-h-48 overflow-y-auto text-sm space-y-1">
+          {alertLog.map(entry => (
+            <li key={entry.id} className={entry.type === 'fired' ? 'text-red-700 dark:text-red-300' : 'text-green-700 dark:text-green-300'}>
+              [{format.time(entry.time)}] {entry.type === 'fired' ? '🔴' : '🟢'} {entry.ruleName}
+              {' '}({seriesName(entry.seriesKey)}){entry.reason ? `: ${alertReasonText(entry.reason, { t, format })}` : ''}
+              {entry.type === 'resolved' && ` — ${t('dashboard.alerts.resolved')}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import React, { useRef } from 'react';
+import { ArrowLeft, ArrowRight, Trash2 } from 'lucide-react';
+import ChartExportButtons from '../shared/ChartExportButtons';
+import WidgetContent from './WidgetContent';
+import { seriesLegend } from './SeriesCharts';
+import { CHART_THEMES } from '../shared/chartThemes';
+import { STAT_FIELDS } from './stats';
+import { useTheme } from '../shell/theme';
+import { useI18n } from '../i18n/i18n';
+import {
+  WIDGET_TYPES,
+  WIDGET_COLUMNS,
+  WIDGET_HEIGHTS,
+  SINGLE_SERIES_TYPES,
+  CHART_WIDGET_TYPES,
+  widgetSeries,
+  widgetTitle
+} from './widgets';
+
+const inputClass = 'px-2 py-1 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded text-gray-900 dark:text-white';
+
+// Las clases de Tailwind tienen que aparecer completas en el código
+const COLUMN_SPANS = { 1: 'lg:col-span-1', 2: 'lg:col-span-2', 3: 'lg:col-span-3', 4: 'lg:col-span-4' };
+
+// Selección de series: una sola para indicadores y valores únicos, varias (o todas) para el resto
+function SeriesPicker({ widget, seriesList, onChange }) {
+  const { t } = useI18n();
+  if (SINGLE_SERIES_TYPES.includes(widget.type)) {
+    const selected = widgetSeries(widget, seriesList)[0];
+    return (
+      <select
+        value={selected ? selected.key : ''}
+        onChange={(e) => onChange({ seriesKeys: [e.target.value] })}
+        className={inputClass}
+        aria-label={t('dashboard.widgets.series')}
+      >
+        {seriesList.map(item => <option key={item.key} value={item.key}>{item.name}</option>)}
+      </select>
+    );
+  }
+
+  const toggle = (key, checked) => {
+    const current = widget.seriesKeys ?? seriesList.map(item => item.key);
+    onChange({ seriesKeys: checked ? [...current, key] : current.filter(other => other !== key) });
+  };
+
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1">
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={widget.seriesKeys === null}
+          onChange={(e) => onChange({ seriesKeys: e.target.checked ? null : seriesList.map(item => item.key) })}
+        />
+        {t('dashboard.widgets.allSeries')}
+      </label>
+      {widget.seriesKeys !== null && seriesList.map(item => (
+        <label key={item.key} className="flex items-center gap-1" style={{ color: item.color }}>
+          <input
+            type="checkbox"
+            checked={widget.seriesKeys.includes(item.key)}
+            onChange={(e) => toggle(item.key, e.target.checked)}
+          />
+          {item.name}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function WidgetEditor({ widget, seriesList, index, count, onChange, onMove, onRemove }) {
+  const { t } = useI18n();
+  const updateOptions = options => onChange({ options });
+  return (
+    <div className="mb-4 p-3 bg-gray-100 dark:bg-black/20 rounded-lg text-sm text-gray-700 dark:text-gray-200 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={widget.title}
+          onChange={(e) => onChange({ title: e.target.value })}
+          placeholder={widgetTitle({ ...widget, title: '' }, t)}
+          className={`${inputClass} flex-1 min-w-32`}
+          aria-label={t('dashboard.widgets.title')}
+        />
+        <select
+          value={widget.type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          className={inputClass}
+          aria-label={t('dashboard.widgets.type')}
+        >
+          {WIDGET_TYPES.map(type => <option key={type} value={type}>{t(`dashboard.widgets.types.${type}`)}</option>)}
+        </select>
+        <select
+          value={widget.width}
+          onChange={(e) => onChange({ width: Number(e.target.value) })}
+          className={inputClass}
+          aria-label={t('dashboard.widgets.width')}
+        >
+          {Array.from({ length: WIDGET_COLUMNS }, (_, idx) => idx + 1).map(width => (
+            <option key={width} value={width}>{t('dashboard.widgets.widthOption', { width, columns: WIDGET_COLUMNS })}</option>
+          ))}
+        </select>
+        <select
+          value={widget.height}
+          onChange={(e) => onChange({ height: e.target.value })}
+          className={inputClass}
+          aria-label={t('dashboard.widgets.height')}
+        >
+          {WIDGET_HEIGHTS.map(height => <option key={height.id} value={height.id}>{t(`dashboard.widgets.heights.${height.id}`)}</option>)}
+        </select>
+        <button
+          onClick={() => onMove(-1)}
+          disabled={index === 0}
+          className="p-1 hover:text-gray-900 dark:hover:text-white disabled:opacity-30"
+          aria-label={t('dashboard.widgets.moveBefore')}
+        >
+          <ArrowLeft size={18} />
+        </button>
+        <button
+          onClick={() => onMove(1)}
+          disabled={index === count - 1}
+          className="p-1 hover:text-gray-900 dark:hover:text-white disabled:opacity-30"
+          aria-label={t('dashboard.widgets.moveAfter')}
+        >
+          <ArrowRight size={18} />
+        </button>
+        <button
+          onClick={onRemove}
+          className="p-1 text-red-700 dark:text-red-300 hover:text-red-800 dark:hover:text-red-200"
+          aria-label={t('dashboard.widgets.remove')}
+        >
+          <Trash2 size={18} />
+        </button>
+      </div>
+
+      <SeriesPicker widget={widget} seriesList={seriesList} onChange={onChange} />
+
+      {widget.type === 'gauge' && (
+        <div className="flex items-center gap-2">
+          <span>{t('dashboard.widgets.scale')}</span>
+          <input
+            type="number"
+            value={widget.options.min}
+            onChange={(e) => updateOptions({ min: Number(e.target.value) })}
+            className={`${inputClass} w-24`}
+            aria-label={t('dashboard.widgets.gaugeMin')}
+          />
+          <span>{t('dashboard.widgets.scaleTo')}</span>
+          <input
+            type="number"
+            value={widget.options.max}
+            onChange={(e) => updateOptions({ max: Number(e.target.value) })}
+            className={`${inputClass} w-24`}
+            aria-label={t('dashboard.widgets.gaugeMax')}
+          />
+        </div>
+      )}
+      {widget.type === 'stat' && (
+        <select
+          value={widget.options.stat}
+          onChange={(e) => updateOptions({ stat: e.target.value })}
+          className={inputClass}
+          aria-label={t('dashboard.widgets.stat')}
+        >
+          {STAT_FIELDS.map(id => <option key={id} value={id}>{t(`dashboard.stats.${id}`)}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
+
+// Panel de un widget del dashboard; en modo edición muestra sus controles de configuración
+export default function DashboardWidget({
+  widget,
+  index,
+  count,
+  seriesList,
+  data,
+  references,
+  editing,
+  onChange,
+  onMove,
+  onRemove
+}) {
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+  const title = widgetTitle(widget, t);
+  const selected = widgetSeries(widget, seriesList);
+  const height = (WIDGET_HEIGHTS.find(item => item.id === widget.height) || WIDGET_HEIGHTS[1]).pixels;
+  const isChart = CHART_WIDGET_TYPES.includes(widget.type);
+  const chartTheme = CHART_THEMES[useTheme().theme];
+
+  return (
+    <div
+      ref={panelRef}
+      className={`bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg p-6 border border-gray-200 dark:border-white/20 ${COLUMN_SPANS[widget.width]}`}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h3>
+        {isChart && (
+          <ChartExportButtons
+            chartRef={panelRef}
+            title={title}
+            legend={seriesLegend(selected, widget.type)}
+            filename={`live-data-${widget.type}`}
+            background={chartTheme.background}
+            color={chartTheme.text}
+            buttonClassName="bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 border-gray-200 dark:border-white/20 text-gray-900 dark:text-white"
+            errorClassName="text-red-600 dark:text-red-400"
+          />
+        )}
+      </div>
+
+      {editing && (
+        <WidgetEditor
+          widget={widget}
+          seriesList={seriesList}
+          index={index}
+          count={count}
+          onChange={onChange}
+          onMove={onMove}
+          onRemove={onRemove}
+        />
+      )}
+
+      <div style={isChart ? undefined : { minHeight: height }}>
+        <WidgetContent
+          widget={widget}
+          seriesList={selected}
+          data={data}
+          height={height}
+          references={references}
+          theme={chartTheme}
+          onOptionsChange={options => onChange({ options })}
+        />
+      </div>
+    </div>
+  );
+}
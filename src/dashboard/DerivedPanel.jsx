@@ -0,0 +1,168 @@
+import React from 'react';
+import { Plus, Sigma, Trash2 } from 'lucide-react';
+import { DERIVED_TYPES, RATE_UNITS, seriesVariables } from './derived';
+import { useI18n } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white';
+
+const usesWindow = type => ['sma', 'ema', 'std', 'bollinger'].includes(type);
+
+export default function DerivedPanel({ derived, seriesList, errors, onAdd, onUpdate, onRemove }) {
+  const { t } = useI18n();
+  const variables = seriesVariables(seriesList);
+
+  return (
+    <div className="bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg shadow-2xl p-6 mb-6 border border-gray-200 dark:border-white/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">📐 {t('dashboard.derived.title')}</h3>
+        <button
+          onClick={onAdd}
+          disabled={seriesList.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg border border-gray-200 dark:border-white/20 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus size={16} />
+          {t('dashboard.derived.add')}
+        </button>
+      </div>
+
+      {derived.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {t('dashboard.derived.empty')}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 gap-3">
+        {derived.map(item => (
+          <div key={item.id} className="p-4 rounded-lg border bg-white/50 dark:bg-white/5 border-gray-200 dark:border-white/20">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <Sigma className="text-gray-600 dark:text-gray-300" size={20} />
+              <input
+                type="color"
+                value={item.color}
+                onChange={(e) => onUpdate(item.id, { color: e.target.value })}
+                className="w-8 h-8 rounded cursor-pointer"
+                aria-label={t('dashboard.derived.color')}
+              />
+              <input
+                type="text"
+                value={item.name}
+                onChange={(e) => onUpdate(item.id, { name: e.target.value })}
+                className="flex-1 px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white font-semibold"
+                aria-label={t('dashboard.derived.name')}
+              />
+              <label className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={item.enabled}
+                  onChange={(e) => onUpdate(item.id, { enabled: e.target.checked })}
+                />
+                {t('dashboard.derived.visible')}
+              </label>
+              <button
+                onClick={() => onRemove(item.id)}
+                className="flex items-center gap-1 px-3 py-2 bg-red-500/80 hover:bg-red-600 text-white rounded-lg transition"
+                aria-label={t('dashboard.derived.remove')}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-gray-900 dark:text-white text-sm">
+              <div>
+                <label className="block mb-1">{t('dashboard.derived.type')}</label>
+                <select
+                  value={item.type}
+                  onChange={(e) => onUpdate(item.id, { type: e.target.value })}
+                  className={inputClass}
+                >
+                  {DERIVED_TYPES.map(type => (
+                    <option key={type} value={type}>{t(`dashboard.derived.types.${type}`)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {item.type === 'formula' ? (
+                <div className="col-span-2 md:col-span-5">
+                  <label className="block mb-1">{t('dashboard.derived.formula')}</label>
+                  <input
+                    type="text"
+                    value={item.expression}
+                    onChange={(e) => onUpdate(item.id, { expression: e.target.value })}
+                    placeholder={variables.length > 1 ? `${variables[0].variable} - ${variables[1].variable}` : t('dashboard.derived.formulaPlaceholder')}
+                    className={`${inputClass} font-mono`}
+                  />
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {t('dashboard.derived.variables')} {variables.map(({ key, name, variable }) => (
+                      <span key={key} className="mr-3" title={name}>
+                        <code className="text-gray-700 dark:text-gray-200">{variable}</code>
+                      </span>
+                    ))}
+                  </p>
+                </div>
+              ) : (
+                <div className="col-span-2">
+                  <label className="block mb-1">{t('dashboard.derived.series')}</label>
+                  <select
+                    value={item.sourceKey}
+                    onChange={(e) => onUpdate(item.id, { sourceKey: e.target.value })}
+                    className={inputClass}
+                  >
+                    {!seriesList.some(series => series.key === item.sourceKey) && (
+                      <option value={item.sourceKey}>{t('dashboard.alerts.removedSeries')}</option>
+                    )}
+                    {seriesList.map(series => (
+                      <option key={series.key} value={series.key}>{series.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {usesWindow(item.type) && (
+                <div>
+                  <label className="block mb-1">{t('dashboard.derived.window')}</label>
+                  <input
+                    type="number"
+                    min={item.type === 'std' || item.type === 'bollinger' ? 2 : 1}
+                    value={item.window}
+                    onChange={(e) => onUpdate(item.id, { window: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              {item.type === 'bollinger' && (
+                <div>
+                  <label className="block mb-1">{t('dashboard.derived.multiplier')}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={item.multiplier}
+                    onChange={(e) => onUpdate(item.id, { multiplier: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              {item.type === 'roc' && (
+                <div className="col-span-2">
+                  <label className="block mb-1">{t('dashboard.derived.unit')}</label>
+                  <select
+                    value={item.rateUnit}
+                    onChange={(e) => onUpdate(item.id, { rateUnit: e.target.value })}
+                    className={inputClass}
+                  >
+                    {RATE_UNITS.map(unit => (
+                      <option key={unit} value={unit}>{t(`dashboard.derived.units.${unit}`)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            {errors[item.id] && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{errorMessage(errors[item.id], t)}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,1427 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { ReferenceLine, ReferenceArea } from 'recharts';
+import { Play, Pause, RefreshCw, Settings, Activity, Plus, Trash2, Download, Upload, Clock, FileText, LayoutGrid } from 'lucide-react';
+import { SOURCE_COLORS, createSource, getSourceSeries } from './sources';
+import { computeStats, statCards } from './stats';
+import { EXPORT_FORMATS, exportSeries, importSeriesFile, readFile } from './exporters';
+import { downloadBlob } from '../shared/download';
+import {
+  RETENTION_OPTIONS,
+  DEFAULT_RETENTION,
+  loadRetention,
+  saveRetention,
+  TIME_RANGES,
+  isHistoryAvailable,
+  saveSamples,
+  queryHistory,
+  pruneHistory,
+  clearHistory,
+  resolveTimeRange
+} from './history';
+import { DOWNSAMPLE_METHODS, downsample } from './downsample';
+import { alertReasonText, createRule, evaluateRules, notify } from './alerts';
+import { createDerived, computeDerived } from './derived';
+import {
+  TRANSPORTS,
+  CONNECTION_STATES,
+  isStreamingSource,
+  isMockSource,
+  isPolledSource
+} from './transports';
+import { MOCK_SIGNALS, createMockConfig, createMockGenerator } from './mockSource';
+import { buildRequest, fetchJson, templateVariables, sendTestRequest } from './requestBuilder';
+import { runWithTimeout } from './poller';
+import { extractPoints, appendPoints, removeSourceSeries } from './seriesBuffer';
+import { useSourcePolling, useSourceStreams } from './useLiveSources';
+import RequestEditor from './RequestEditor';
+import MockSourceEditor from './MockSourceEditor';
+import AlertsPanel from './AlertsPanel';
+import DerivedPanel from './DerivedPanel';
+import {
+  snapshotConfig,
+  restoreConfig,
+  createProfile,
+  loadProfiles,
+  saveProfiles,
+  profilesToJson,
+  parseProfilesFile,
+  encodeConfigHash,
+  decodeConfigHash
+} from './profiles';
+import ProfilesPanel from './ProfilesPanel';
+import { createWidget, createDefaultLayout, updateWidget, removeWidget, moveWidget } from './widgets';
+import DashboardWidget from './DashboardWidget';
+import ReportView from './ReportView';
+import NumberInput from './NumberInput';
+import { useI18n, withElements } from '../i18n/i18n';
+import { LocalizedError, ErrorList, errorMessage } from '../i18n/errors';
+import { CURRENCIES } from '../i18n/format';
+
+// Intervalos de consulta en ms
+const INTERVAL_OPTIONS = [1000, 2000, 5000, 10000, 30000, 60000];
+
+// Puntos máximos por serie al dibujar rangos del histórico
+const HISTORY_MAX_POINTS = 500;
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ALERT_LOG = 200;
+const MAX_ERROR_LOG = 100;
+
+const STAT_CARD_COLORS = {
+  latest: 'text-gray-900 dark:text-white',
+  avg: 'text-blue-600 dark:text-blue-400',
+  min: 'text-green-600 dark:text-green-400',
+  max: 'text-red-600 dark:text-red-400',
+  median: 'text-purple-700 dark:text-purple-300',
+  std: 'text-yellow-700 dark:text-yellow-300',
+  count: 'text-gray-700 dark:text-gray-200'
+};
+
+// El cambio desde el inicio se colorea según su signo
+const statCardColor = (id, stats) => {
+  if (id !== 'change') return STAT_CARD_COLORS[id];
+  if (!stats.change) return 'text-gray-700 dark:text-gray-200';
+  return stats.change > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+};
+
+// Configuración inicial: la del enlace (#config=...), la del perfil activo o ninguna.
+// Un enlace compartido se abre sin perfil activo para no sobrescribir perfiles locales.
+function loadInitialState() {
+  const profileStore = loadProfiles();
+  const fromUrl = decodeConfigHash(window.location.hash);
+  if (fromUrl) return { profileStore: { ...profileStore, activeId: null }, config: restoreConfig(fromUrl) };
+
+  const activeProfile = profileStore.profiles.find(profile => profile.id === profileStore.activeId);
+  if (!activeProfile) return { profileStore, config: null };
+  try {
+    return { profileStore, config: restoreConfig(activeProfile.config) };
+  } catch (err) {
+    console.error('Error loading profile:', err);
+    return { profileStore: { ...profileStore, activeId: null }, config: null };
+  }
+}
+
+export default function LiveDataDashboard() {
+  const { t, format } = useI18n();
+  const [initialState] = useState(loadInitialState);
+  const [sources, setSources] = useState(() => initialState.config?.sources || [
+    // Id fijo para que la fuente de ejemplo conserve su histórico entre visitas sin enlace ni perfil
+    createSource({
+      id: 'src-default',
+      name: 'Bitcoin Price (CoinGecko)',
+      url: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd',
+      path: 'bitcoin.usd',
+      currency: 'USD'
+    })
+  ]);
+  // Puntos por serie (un campo de una fuente): { [seriesKey]: [{ time, value, fullData }] }
+  const [series, setSeries] = useState({});
+  const [isLive, setIsLive] = useState(false);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  // Último error por fuente: { [sourceId]: error }
+  const [errors, setErrors] = useState({});
+  // Estado de las conexiones de streaming: { [sourceId]: { state, attempt, delay } }
+  const [connectionStates, setConnectionStates] = useState({});
+  // Fuentes con el editor de petición abierto y resultado de su última petición de prueba
+  const [openRequestEditors, setOpenRequestEditors] = useState({});
+  const [testResults, setTestResults] = useState({});
+  // Historial de errores: [{ id, time, sourceId, sourceName, status, error }]
+  const [errorLog, setErrorLog] = useState([]);
+  const [isErrorLogOpen, setIsErrorLogOpen] = useState(false);
+  const errorLogCounter = useRef(0);
+  const [isConfigOpen, setIsConfigOpen] = useState(false);
+  const [maxDataPoints, setMaxDataPoints] = useState(initialState.config?.maxDataPoints || 20);
+  // Series cargadas desde un fichero exportado: [{ key, name, color, imported: true }]
+  const [importedSeries, setImportedSeries] = useState([]);
+  const [importError, setImportError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [includeRawData, setIncludeRawData] = useState(false);
+  const importInputRef = useRef(null);
+  const importCounter = useRef(0);
+  // Rango de tiempo mostrado: 'live' usa el buffer en memoria; el resto consulta el histórico
+  const [timeRange, setTimeRange] = useState('live');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [historySeries, setHistorySeries] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  // null hasta que el usuario elige una retención; ver el efecto que poda el histórico
+  const [retention, setRetention] = useState(loadRetention);
+  const [downsampleMethod, setDownsampleMethod] = useState(initialState.config?.downsampleMethod || 'lttb');
+  // Reglas de alerta, su estado (firing/lastFiredAt) y el registro de disparos
+  const [rules, setRules] = useState(initialState.config?.rules || []);
+  const [derived, setDerived] = useState(initialState.config?.derived || []);
+  // Widgets del dashboard en orden; en modo edición cada uno muestra sus controles
+  const [layout, setLayout] = useState(() => initialState.config?.layout || createDefaultLayout());
+  const [isEditingLayout, setIsEditingLayout] = useState(false);
+  const [alertLog, setAlertLog] = useState([]);
+  const [firingRuleIds, setFiringRuleIds] = useState(() => new Set());
+  const [alertTick, setAlertTick] = useState(0);
+  const alertStatesRef = useRef({});
+  const alertLogCounter = useRef(0);
+  const liveSinceRef = useRef(null);
+  // Perfiles guardados ({ profiles, activeId }) y copia serializada del perfil activo al cargarlo
+  const [profileStore, setProfileStore] = useState(initialState.profileStore);
+  const [savedSnapshot, setSavedSnapshot] = useState(null);
+  const [profileMessage, setProfileMessage] = useState(null);
+
+  // Informe imprimible: copia de los datos en el momento de abrirlo, o null si está cerrado
+  const [report, setReport] = useState(null);
+
+  const setSourceError = useCallback((sourceId, error) => {
+    setErrors(prevErrors => {
+      if (error) return { ...prevErrors, [sourceId]: error };
+      if (!prevErrors[sourceId]) return prevErrors;
+      const { [sourceId]: _removed, ...rest } = prevErrors;
+      return rest;
+    });
+  }, []);
+
+  // Registra un error de una fuente en el estado actual y en el historial de errores
+  const reportSourceError = useCallback((source, err) => {
+    setSourceError(source.id, err);
+    errorLogCounter.current += 1;
+    const entry = {
+      id: errorLogCounter.current,
+      time: Date.now(),
+      sourceId: source.id,
+      sourceName: source.name,
+      status: err.status ?? null,
+      error: err
+    };
+    setErrorLog(prevLog => [entry, ...prevLog].slice(0, MAX_ERROR_LOG));
+    console.error(`Error fetching data (${source.name}):`, err);
+  }, [setSourceError]);
+
+  // Extrae los campos de una respuesta (HTTP o mensaje de streaming) y la añade a las series.
+  // Lanza el error del campo que no se ha podido extraer, o una ErrorList si son varios.
+  const recordResponse = useCallback((source, json) => {
+    const now = new Date();
+    const { points, errors: fieldErrors } = extractPoints(source, json, now);
+
+    if (Object.keys(points).length > 0) {
+      setSeries(prevSeries => appendPoints(prevSeries, points, maxDataPoints));
+      setLastUpdate(now);
+
+      if (isHistoryAvailable()) {
+        saveSamples(Object.entries(points).map(([key, point]) => ({
+          seriesKey: key,
+          time: point.time,
+          value: point.value
+        }))).catch(err => console.error('Error saving history:', err));
+      }
+    }
+
+    if (fieldErrors.length === 1) throw fieldErrors[0];
+    if (fieldErrors.length > 1) throw new ErrorList(fieldErrors);
+    setSourceError(source.id, null);
+  }, [maxDataPoints, setSourceError]);
+
+  const seriesRef = useRef(series);
+  seriesRef.current = series;
+  // Generador de cada fuente simulada; se recrea (y vuelve a empezar) si cambia su configuración
+  const mockGeneratorsRef = useRef({});
+
+  const nextMockResponse = useCallback((source) => {
+    let entry = mockGeneratorsRef.current[source.id];
+    if (!entry || entry.mock !== source.mock) {
+      entry = { mock: source.mock, generator: createMockGenerator(source.mock) };
+      mockGeneratorsRef.current[source.id] = entry;
+    }
+    return entry.generator.next();
+  }, []);
+
+  // Variables de plantilla ({{now}}, {{lastValue}}...) para la petición de una fuente
+  const requestVariablesFor = useCallback((source) => {
+    const points = seriesRef.current[getSourceSeries(source)[0].key] || [];
+    return templateVariables(points[points.length - 1]);
+  }, []);
+
+  // Fetch data from API para una fuente concreta; signal permite abortar la petición.
+  // Las fuentes simuladas generan la respuesta sin red.
+  const fetchSource = useCallback(async (source, signal) => {
+    if (isMockSource(source)) {
+      recordResponse(source, nextMockResponse(source));
+      return;
+    }
+    const { url, init } = buildRequest(source, requestVariablesFor(source));
+    const json = await fetchJson(url, { ...init, signal });
+    if (signal && signal.aborted) return;
+    recordResponse(source, json);
+  }, [recordResponse, requestVariablesFor, nextMockResponse]);
+
+  const testRequest = async (source) => {
+    setTestResults(prev => ({ ...prev, [source.id]: null }));
+    try {
+      const result = await runWithTimeout(
+        signal => sendTestRequest(source, requestVariablesFor(source), (url, init) => fetch(url, { ...init, signal })),
+        source.request.timeoutMs
+      );
+      setTestResults(prev => ({ ...prev, [source.id]: result }));
+    } catch (err) {
+      setTestResults(prev => ({ ...prev, [source.id]: { error: err } }));
+    }
+  };
+
+  const fetchAll = () => {
+    sources.filter(isPolledSource).forEach(source => {
+      runWithTimeout(signal => fetchSource(source, signal), source.request.timeoutMs)
+        .catch(err => reportSourceError(source, err));
+    });
+  };
+
+  const setConnectionState = useCallback((id, state, info) => {
+    setConnectionStates(prev => ({ ...prev, [id]: { state, ...info } }));
+  }, []);
+
+  // Auto-refresh cuando está en modo "live": cada fuente con su propio poller
+  useSourcePolling({
+    live: isLive,
+    sources,
+    fetchSource,
+    onError: reportSourceError,
+    onStateChange: setConnectionState
+  });
+
+  // Conexiones WebSocket/SSE mientras está en modo "live"
+  useSourceStreams({
+    live: isLive,
+    sources,
+    onMessage: (source, json) => {
+      try {
+        recordResponse(source, json);
+      } catch (err) {
+        reportSourceError(source, err);
+      }
+    },
+    onError: reportSourceError,
+    onStateChange: setConnectionState
+  });
+
+  // Aplicar la retención al arrancar y cada 10 minutos. Sin una retención elegida (guardada o
+  // escogida en esta sesión) no se borra nada: podar con la de por defecto borraría lo que el
+  // usuario quería conservar si su elección no se ha podido leer.
+  useEffect(() => {
+    if (!isHistoryAvailable() || retention === null) return undefined;
+
+    const prune = () => {
+      pruneHistory(retention).catch(err => console.error('Error pruning history:', err));
+    };
+    prune();
+    const intervalId = setInterval(prune, 10 * 60 * 1000);
+
+    return () => clearInterval(intervalId);
+  }, [retention]);
+
+  const changeRetention = (value) => {
+    setRetention(value);
+    try {
+      saveRetention(value);
+    } catch (err) {
+      console.error('Error saving retention:', err);
+    }
+  };
+
+  const toggleLive = () => {
+    if (!isLive) liveSinceRef.current = Date.now();
+    setIsLive(!isLive);
+  };
+
+  const clearData = () => {
+    setSeries({});
+    mockGeneratorsRef.current = {};
+    setErrors({});
+    setImportedSeries([]);
+    setImportError(null);
+  };
+
+  const updateSource = (id, changes) => {
+    setSources(prevSources => prevSources.map(source => (
+      source.id === id ? { ...source, ...changes } : source
+    )));
+  };
+
+  const addSource = (overrides) => {
+    setSources(prevSources => [...prevSources, createSource({
+      name: t('dashboard.sources.defaultName', { number: prevSources.length + 1 }),
+      ...overrides
+    })]);
+  };
+
+  const removeSource = (id) => {
+    setSources(prevSources => prevSources.filter(source => source.id !== id));
+    setSeries(prevSeries => removeSourceSeries(prevSeries, id));
+    setErrors(({ [id]: _removed, ...rest }) => rest);
+    setConnectionStates(({ [id]: _removed, ...rest }) => rest);
+    delete mockGeneratorsRef.current[id];
+  };
+
+  // Las fuentes simuladas responden { value, tick }: sin path se extrae "value"
+  const changeTransport = (source, transport) => {
+    updateSource(source.id, { transport, ...(transport === 'mock' && !source.path ? { path: 'value' } : {}) });
+  };
+
+  // Ejemplos de APIs públicas; el nombre y la descripción de cada uno están en dashboard.examples
+  const apiExamples = [
+    {
+      id: 'coingecko',
+      url: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd',
+      path: 'bitcoin.usd',
+      currency: 'USD'
+    },
+    {
+      id: 'randomUser',
+      url: 'https://randomuser.me/api/',
+      path: 'results[0].dob.age'
+    },
+    {
+      id: 'jsonPlaceholder',
+      url: 'https://jsonplaceholder.typicode.com/posts/1',
+      path: 'id'
+    },
+    {
+      id: 'openMeteo',
+      url: 'https://api.open-meteo.com/v1/forecast?latitude=40.4168&longitude=-3.7038&current=temperature_2m',
+      path: 'current.temperature_2m'
+    },
+    {
+      id: 'binance',
+      url: 'wss://stream.binance.com:9443/ws/btcusdt@trade',
+      path: 'p',
+      transport: 'ws',
+      currency: 'USD'
+    },
+    {
+      id: 'openMeteoFields',
+      url: 'https://api.open-meteo.com/v1/forecast?latitude=40.4168&longitude=-3.7038&current=temperature_2m,wind_speed_10m,relative_humidity_2m',
+      path: [
+        `${t('dashboard.examples.openMeteoFields.temperature')} = current.temperature_2m`,
+        `${t('dashboard.examples.openMeteoFields.wind')} = current.wind_speed_10m`,
+        `${t('dashboard.examples.openMeteoFields.humidity')} = current.relative_humidity_2m`
+      ].join('\n')
+    },
+    {
+      id: 'mockRandomWalk',
+      transport: 'mock',
+      path: 'value',
+      mock: { signal: 'randomWalk' }
+    },
+    {
+      id: 'mockSine',
+      transport: 'mock',
+      path: 'value',
+      mock: { signal: 'sine', base: 0, amplitude: 50 }
+    }
+  ];
+
+  // Los ejemplos se añaden como una fuente nueva
+  const loadExample = (example) => {
+    addSource({
+      name: t(`dashboard.examples.${example.id}.name`),
+      url: example.url || '',
+      path: example.path,
+      transport: example.transport || 'http',
+      currency: example.currency || '',
+      mock: createMockConfig(example.mock)
+    });
+  };
+
+  const allSeries = useMemo(
+    () => [...sources.flatMap(getSourceSeries), ...importedSeries],
+    [sources, importedSeries]
+  );
+
+  const historyKeys = useMemo(
+    () => allSeries.filter(item => !item.imported).map(item => item.key),
+    [allSeries]
+  );
+
+  // Re-consulta el histórico al cambiar el rango y con cada nueva muestra
+  useEffect(() => {
+    const range = resolveTimeRange(timeRange, customRange);
+    if (!range) {
+      setHistorySeries(null);
+      setHistoryError(timeRange === 'custom' ? new LocalizedError('dashboard.history.invalidRange') : null);
+      return undefined;
+    }
+    if (!isHistoryAvailable()) {
+      setHistorySeries(null);
+      setHistoryError(new LocalizedError('dashboard.history.unavailable'));
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    queryHistory(historyKeys, range.from, range.to)
+      .then(result => {
+        if (cancelled) return;
+        setHistorySeries(Object.fromEntries(Object.entries(result).map(([key, samples]) => [
+          key,
+          downsample(samples, HISTORY_MAX_POINTS, downsampleMethod).map(sample => ({
+            time: sample.time,
+            value: sample.value
+          }))
+        ])));
+        setHistoryError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setHistoryError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [timeRange, customRange, historyKeys, downsampleMethod, lastUpdate]);
+
+  // Con un rango del histórico seleccionado, sus series sustituyen al buffer en memoria
+  const displayedSeries = useMemo(
+    () => (historySeries ? { ...series, ...historySeries } : series),
+    [series, historySeries]
+  );
+
+  const handleClearHistory = () => {
+    clearHistory()
+      .then(() => setHistorySeries(prev => (prev ? {} : prev)))
+      .catch(err => setHistoryError(err));
+  };
+
+  // Las reglas "sin datos" necesitan evaluarse aunque no lleguen muestras
+  useEffect(() => {
+    if (!isLive || !rules.some(rule => rule.type === 'stale')) return undefined;
+    const intervalId = setInterval(() => setAlertTick(tick => tick + 1), 1000);
+    return () => clearInterval(intervalId);
+  }, [isLive, rules]);
+
+  // Evaluar las reglas con cada muestra nueva
+  useEffect(() => {
+    // Con el dashboard en pausa la ausencia de datos no es una alerta
+    const activeRules = rules.map(rule => (
+      rule.type === 'stale' && !isLive ? { ...rule, enabled: false } : rule
+    ));
+    const { states, events } = evaluateRules(activeRules, series, alertStatesRef.current, Date.now(), liveSinceRef.current);
+    alertStatesRef.current = states;
+
+    const firing = new Set(Object.keys(states).filter(id => states[id].firing));
+    setFiringRuleIds(prev => (
+      prev.size === firing.size && [...firing].every(id => prev.has(id)) ? prev : firing
+    ));
+
+    if (events.length === 0) return;
+    setAlertLog(prevLog => [
+      ...events.map(event => {
+        alertLogCounter.current += 1;
+        return { ...event, id: alertLogCounter.current };
+      }).reverse(),
+      ...prevLog
+    ].slice(0, MAX_ALERT_LOG));
+
+    events
+      .filter(event => event.type === 'fired' && rules.find(rule => rule.id === event.ruleId)?.notify)
+      .forEach(event => {
+        const seriesName = allSeries.find(item => item.key === event.seriesKey)?.name || event.seriesKey;
+        notify(`🔔 ${event.ruleName}`, `${seriesName}: ${alertReasonText(event.reason, { t, format })}`);
+      });
+    // allSeries, t y format solo se usan para el texto de la notificación
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rules, series, isLive, alertTick]);
+
+  const addRule = () => {
+    setRules(prevRules => [...prevRules, createRule({
+      name: t('dashboard.alerts.defaultName', { number: prevRules.length + 1 }),
+      seriesKey: allSeries[0]?.key || ''
+    })]);
+  };
+
+  const updateRule = (id, changes) => {
+    setRules(prevRules => prevRules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const removeRule = (id) => {
+    setRules(prevRules => prevRules.filter(rule => rule.id !== id));
+  };
+
+  const addDerived = () => {
+    setDerived(prev => [...prev, createDerived({
+      name: t('dashboard.derived.defaultName', { number: prev.length + 1 }),
+      sourceKey: allSeries[0]?.key || '',
+      color: SOURCE_COLORS[(allSeries.length + prev.length) % SOURCE_COLORS.length]
+    })]);
+  };
+
+  const updateDerived = (id, changes) => {
+    setDerived(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const removeDerived = (id) => {
+    setDerived(prev => prev.filter(item => item.id !== id));
+  };
+
+  // Configuración actual tal y como se guarda en un perfil o en el enlace
+  const currentConfig = useMemo(
+    () => snapshotConfig({ sources, rules, derived, layout, maxDataPoints, downsampleMethod }),
+    [sources, rules, derived, layout, maxDataPoints, downsampleMethod]
+  );
+  const currentSnapshot = JSON.stringify(currentConfig);
+  const activeProfile = profileStore.profiles.find(profile => profile.id === profileStore.activeId);
+  const isProfileDirty = Boolean(activeProfile) && savedSnapshot !== null && savedSnapshot !== currentSnapshot;
+
+  // El perfil cargado al arrancar cuenta como guardado
+  useEffect(() => {
+    if (activeProfile && savedSnapshot === null) setSavedSnapshot(currentSnapshot);
+  }, [activeProfile, savedSnapshot, currentSnapshot]);
+
+  useEffect(() => {
+    try {
+      saveProfiles(profileStore);
+    } catch (err) {
+      setProfileMessage({ error: true, text: t('dashboard.profiles.saveError', { message: errorMessage(err, t) }) });
+    }
+  }, [profileStore, t]);
+
+  // Mantener la configuración en la URL; se espera a que se deje de escribir
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      window.history.replaceState(null, '', encodeConfigHash(JSON.parse(currentSnapshot)));
+    }, 500);
+    return () => clearTimeout(timeoutId);
+  }, [currentSnapshot]);
+
+  // Sustituye fuentes, reglas y opciones por las de una configuración guardada
+  const applyConfig = useCallback((config) => {
+    const restored = restoreConfig(config);
+    setSources(restored.sources);
+    setRules(restored.rules);
+    setDerived(restored.derived);
+    setLayout(restored.layout);
+    setMaxDataPoints(restored.maxDataPoints);
+    setDownsampleMethod(restored.downsampleMethod);
+    setSeries({});
+    setErrors({});
+    setConnectionStates({});
+    setTestResults({});
+    alertStatesRef.current = {};
+    setFiringRuleIds(new Set());
+    return JSON.stringify(snapshotConfig(restored));
+  }, []);
+
+  // Pegar otro enlace en la misma pestaña solo cambia el hash
+  useEffect(() => {
+    const handleHashChange = () => {
+      const config = decodeConfigHash(window.location.hash);
+      if (!config) return;
+      applyConfig(config);
+      setProfileStore(prev => ({ ...prev, activeId: null }));
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applyConfig]);
+
+  const selectProfile = (id) => {
+    setProfileMessage(null);
+    const profile = profileStore.profiles.find(item => item.id === id);
+    if (!profile) {
+      setProfileStore(prev => ({ ...prev, activeId: null }));
+      return;
+    }
+    try {
+      setSavedSnapshot(applyConfig(profile.config));
+      setProfileStore(prev => ({ ...prev, activeId: id }));
+    } catch (err) {
+      setProfileMessage({ error: true, text: t('dashboard.profiles.loadError', { message: errorMessage(err, t) }) });
+    }
+  };
+
+  const createNewProfile = () => {
+    const profile = createProfile(t('dashboard.profiles.defaultName', { number: profileStore.profiles.length + 1 }), currentConfig);
+    setProfileStore(prev => ({ profiles: [...prev.profiles, profile], activeId: profile.id }));
+    setSavedSnapshot(currentSnapshot);
+    setProfileMessage(null);
+  };
+
+  const saveActiveProfile = () => {
+    setProfileStore(prev => ({
+      ...prev,
+      profiles: prev.profiles.map(profile => (
+        profile.id === prev.activeId ? { ...profile, config: currentConfig, updatedAt: Date.now() } : profile
+      ))
+    }));
+    setSavedSnapshot(currentSnapshot);
+  };
+
+  const renameProfile = (id, name) => {
+    setProfileStore(prev => ({
+      ...prev,
+      profiles: prev.profiles.map(profile => (profile.id === id ? { ...profile, name } : profile))
+    }));
+  };
+
+  const duplicateProfile = (id) => {
+    const original = profileStore.profiles.find(profile => profile.id === id);
+    if (!original) return;
+    const copy = createProfile(t('dashboard.profiles.copyName', { name: original.name }), original.config);
+    setProfileStore(prev => ({ ...prev, profiles: [...prev.profiles, copy] }));
+    setProfileMessage({ text: t('dashboard.profiles.duplicated', { name: copy.name }) });
+  };
+
+  const deleteProfile = (id) => {
+    setProfileStore(prev => ({
+      profiles: prev.profiles.filter(profile => profile.id !== id),
+      activeId: prev.activeId === id ? null : prev.activeId
+    }));
+    setProfileMessage(null);
+  };
+
+  const exportProfiles = () => {
+    downloadBlob(new Blob([profilesToJson(profileStore.profiles)], { type: 'application/json' }), 'dashboard-perfiles.json');
+  };
+
+  const importProfiles = async (file) => {
+    try {
+      const imported = parseProfilesFile(await readFile(file, 'text')).map((profile, idx) => (
+        profile.name ? profile : { ...profile, name: t('dashboard.profiles.importedName', { number: idx + 1 }) }
+      ));
+      setProfileStore(prev => ({ ...prev, profiles: [...prev.profiles, ...imported] }));
+      setProfileMessage({ text: t('dashboard.profiles.imported', { count: imported.length }) });
+    } catch (err) {
+      setProfileMessage({ error: true, text: t('dashboard.profiles.importError', { message: errorMessage(err, t) }) });
+      console.error('Error importing profiles:', err);
+    }
+  };
+
+  const copyShareLink = async () => {
+    const { origin, pathname, search } = window.location;
+    const link = `${origin}${pathname}${search}${encodeConfigHash(currentConfig)}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setProfileMessage({ text: t('dashboard.profiles.linkCopied') });
+    } catch (err) {
+      setProfileMessage({ error: true, text: t('dashboard.profiles.linkError', { link }) });
+    }
+  };
+
+  const firingSeriesKeys = new Set(rules.filter(rule => firingRuleIds.has(rule.id)).map(rule => rule.seriesKey));
+
+  // Líneas de umbral (y banda de histéresis) de las reglas above/below sobre series visibles
+  const renderAlertReferences = () => rules
+    .filter(rule => rule.enabled && (rule.type === 'above' || rule.type === 'below'))
+    .flatMap(rule => {
+      const item = allSeries.find(s => s.key === rule.seriesKey);
+      if (!item) return [];
+      const color = firingRuleIds.has(rule.id) ? '#ef4444' : item.color;
+      const threshold = Number(rule.threshold);
+      const hysteresis = Math.abs(Number(rule.hysteresis) || 0);
+      const references = [
+        <ReferenceLine
+          key={`${rule.id}-line`}
+          y={threshold}
+          stroke={color}
+          strokeDasharray="6 3"
+          strokeWidth={firingRuleIds.has(rule.id) ? 2 : 1}
+          ifOverflow="extendDomain"
+          label={{ value: rule.name, fill: color, position: 'insideTopRight', fontSize: 12 }}
+        />
+      ];
+      if (hysteresis > 0) {
+        references.unshift(
+          <ReferenceArea
+            key={`${rule.id}-band`}
+            y1={rule.type === 'above' ? threshold - hysteresis : threshold}
+            y2={rule.type === 'above' ? threshold : threshold + hysteresis}
+            fill={color}
+            fillOpacity={0.1}
+            ifOverflow="extendDomain"
+          />
+        );
+      }
+      return references;
+    });
+
+  const handleExport = (format) => {
+    try {
+      exportSeries(format, allSeries, displayedSeries, { includeRaw: includeRawData, summarySheet: t('dashboard.exchange.summarySheet') });
+      setExportError(null);
+    } catch (err) {
+      setExportError(err);
+      console.error('Error exporting data:', err);
+    }
+  };
+
+  // Carga un fichero exportado (CSV, JSON o .xlsx) para revisarlo sin conexión
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importSeriesFile(file);
+      importCounter.current += 1;
+      const descriptors = imported.map((item, idx) => ({
+        key: `imp${importCounter.current}:${idx}`,
+        sourceId: null,
+        name: item.name || t('dashboard.exchange.importedSeries', { number: idx + 1 }),
+        path: null,
+        color: item.color || SOURCE_COLORS[idx % SOURCE_COLORS.length],
+        imported: true
+      }));
+
+      setIsLive(false);
+      setImportedSeries(prev => [...prev, ...descriptors]);
+      setSeries(prevSeries => ({
+        ...prevSeries,
+        ...Object.fromEntries(descriptors.map((item, idx) => [item.key, imported[idx].points]))
+      }));
+      setImportError(null);
+    } catch (err) {
+      setImportError(err);
+      console.error('Error importing file:', err);
+    }
+  };
+
+  // Series derivadas calculadas sobre lo que se muestra (en vivo o el rango del histórico)
+  const derivedSeries = useMemo(
+    () => computeDerived(derived, displayedSeries, allSeries, {
+      mid: t('dashboard.derived.bands.mid'),
+      upper: t('dashboard.derived.bands.upper'),
+      lower: t('dashboard.derived.bands.lower')
+    }),
+    [derived, displayedSeries, allSeries, t]
+  );
+
+  // Combina todas las series, derivadas incluidas, en filas { time, [seriesKey]: value }
+  const chartData = useMemo(() => {
+    const rows = new Map();
+    Object.entries({ ...displayedSeries, ...derivedSeries.series }).forEach(([key, points]) => {
+      points.forEach(point => {
+        const row = rows.get(point.time) || { time: point.time };
+        row[key] = point.value;
+        rows.set(point.time, row);
+      });
+    });
+    return [...rows.values()].sort((a, b) => a.time - b.time);
+  }, [displayedSeries, derivedSeries]);
+
+  // Series que se pueden mostrar en los widgets: las capturadas o importadas y las derivadas
+  const widgetSeriesList = useMemo(() => [...allSeries, ...derivedSeries.list], [allSeries, derivedSeries]);
+
+  const statsBySeries = allSeries
+    .map(item => {
+      const stats = computeStats(displayedSeries[item.key]);
+      return stats && { series: item, ...stats };
+    })
+    .filter(Boolean);
+
+  const connectionStateFor = (source) => {
+    if (!isLive) return 'idle';
+    return connectionStates[source.id]?.state || (isStreamingSource(source) ? 'connecting' : 'polling');
+  };
+
+  const timeRangeLabel = timeRange === 'custom'
+    ? t('dashboard.history.customLabel', { from: customRange.from || '…', to: customRange.to || '…' })
+    : t(`dashboard.history.ranges.${timeRange}`);
+
+  const openReport = () => {
+    setReport({
+      generatedAt: Date.now(),
+      config: currentConfig,
+      timeRangeLabel,
+      seriesList: allSeries,
+      overlays: derivedSeries.list,
+      layout,
+      chartData,
+      statsBySeries
+    });
+  };
+
+  const totalPoints = Object.values(displayedSeries).reduce((sum, points) => sum + points.length, 0);
+  const sourceErrors = sources.filter(source => errors[source.id]);
+
+  if (report) {
+    return <ReportView {...report} references={renderAlertReferences()} onClose={() => setReport(null)} />;
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg shadow-2xl p-6 mb-6 border border-gray-200 dark:border-white/20">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2">📡 {t('dashboard.title')}</h1>
+            <p className="text-gray-600 dark:text-gray-300">{t('dashboard.subtitle')}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Activity className={`${isLive ? 'text-green-600 dark:text-green-400 animate-pulse' : 'text-gray-500 dark:text-gray-400'}`} size={32} />
+          </div>
+        </div>
+
+        {/* Status Bar */}
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-300">
+          <div className="flex items-center gap-2">
+            <div className={`w-3 h-3 rounded-full ${isLive ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`} />
+            <span>{isLive ? t('dashboard.status.live') : t('dashboard.status.paused')}</span>
+          </div>
+          {sources.map(source => {
+            const connection = connectionStates[source.id] || {};
+            const state = connectionStateFor(source);
+            return (
+              <div key={source.id} className="flex items-center gap-2 px-2 py-1 rounded bg-white/70 dark:bg-white/10">
+                <div className={`w-2 h-2 rounded-full ${CONNECTION_STATES[state].color}`} />
+                <span>
+                  {source.name}: {t(`dashboard.connection.${state}`)}
+                  {state === 'reconnecting' && connection.delay !== undefined
+                    && ` ${t('dashboard.status.reconnecting', { attempt: connection.attempt, seconds: Math.round(connection.delay / 1000) })}`}
+                  {state === 'backoff'
+                    && ` ${t('dashboard.status.backoff', { count: connection.failures, seconds: Math.round(connection.delay / 1000) })}`}
+                </span>
+              </div>
+            );
+          })}
+          <div>
+            {t('dashboard.status.sources', { count: sources.length })} · {t('dashboard.status.points', { count: totalPoints })}
+          </div>
+          {lastUpdate && (
+            <div>
+              {t('dashboard.status.lastUpdate', { time: format.time(lastUpdate) })}
+            </div>
+          )}
+          {sourceErrors.map(source => (
+            <div key={source.id} className="text-red-600 dark:text-red-400">
+              {t('dashboard.status.sourceError', { name: source.name, message: errorMessage(errors[source.id], t) })}
+            </div>
+          ))}
+          {importError && (
+            <div className="text-red-600 dark:text-red-400">
+              {t('dashboard.status.importError', { message: errorMessage(importError, t) })}
+            </div>
+          )}
+          {exportError && (
+            <div className="text-red-600 dark:text-red-400">
+              {t('dashboard.status.exportError', { message: errorMessage(exportError, t) })}
+            </div>
+          )}
+          {historyError && (
+            <div className="text-red-600 dark:text-red-400">
+              {t('dashboard.status.historyError', { message: errorMessage(historyError, t) })}
+            </div>
+          )}
+          {errorLog.length > 0 && (
+            <button
+              onClick={() => setIsErrorLogOpen(!isErrorLogOpen)}
+              className="text-red-700 dark:text-red-300 hover:text-red-800 dark:hover:text-red-200 underline"
+            >
+              {t('dashboard.errorLog.toggle', { count: errorLog.length })}
+            </button>
+          )}
+        </div>
+
+        {/* Error History */}
+        {isErrorLogOpen && errorLog.length > 0 && (
+          <div className="mt-4 p-4 bg-gray-100 dark:bg-black/30 rounded-lg text-sm">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-gray-900 dark:text-white font-semibold">{t('dashboard.errorLog.title')}</h4>
+              <button onClick={() => setErrorLog([])} className="text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white">
+                {t('dashboard.errorLog.clear')}
+              </button>
+            </div>
+            <table className="w-full text-left text-gray-600 dark:text-gray-300">
+              <thead>
+                <tr>
+                  <th className="py-1 pr-4">{t('dashboard.errorLog.time')}</th>
+                  <th className="py-1 pr-4">{t('dashboard.errorLog.source')}</th>
+                  <th className="py-1 pr-4">{t('dashboard.errorLog.status')}</th>
+                  <th className="py-1">{t('dashboard.errorLog.message')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {errorLog.map(entry => (
+                  <tr key={entry.id} className="border-t border-gray-200 dark:border-white/10">
+                    <td className="py-1 pr-4 whitespace-nowrap">{format.time(entry.time)}</td>
+                    <td className="py-1 pr-4">{entry.sourceName}</td>
+                    <td className="py-1 pr-4">{entry.status ?? '—'}</td>
+                    <td className="py-1 text-red-700 dark:text-red-300">{errorMessage(entry.error, t)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg shadow-2xl p-6 mb-6 border border-gray-200 dark:border-white/20">
+        <div className="flex flex-wrap gap-4 items-center">
+          <button
+            onClick={toggleLive}
+            className={`flex items-center gap-2 px-6 py-3 rounded-lg font-bold transition ${
+              isLive
+                ? 'bg-red-500 hover:bg-red-600 text-white'
+                : 'bg-green-500 hover:bg-green-600 text-white'
+            }`}
+          >
+            {isLive ? <Pause size={20} /> : <Play size={20} />}
+            {isLive ? t('dashboard.controls.pause') : t('dashboard.controls.start')}
+          </button>
+
+          <button
+            onClick={fetchAll}
+            disabled={isLive}
+            className="flex items-center gap-2 px-6 py-3 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-bold transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw size={20} />
+            {t('dashboard.controls.fetchOnce')}
+          </button>
+
+          <button
+            onClick={clearData}
+            className="flex items-center gap-2 px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-bold transition"
+          >
+            {t('dashboard.controls.clear')}
+          </button>
+
+          <button
+            onClick={() => setIsConfigOpen(!isConfigOpen)}
+            className="flex items-center gap-2 px-6 py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-lg font-bold transition"
+          >
+            <Settings size={20} />
+            {t('dashboard.controls.config')}
+          </button>
+
+          <button
+            onClick={openReport}
+            className="flex items-center gap-2 px-6 py-3 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg font-bold border border-gray-200 dark:border-white/20 transition"
+          >
+            <FileText size={20} />
+            {t('dashboard.controls.report')}
+          </button>
+
+          <div className="flex items-center gap-2 text-gray-900 dark:text-white">
+            <Clock size={20} />
+            <label className="text-sm">{t('dashboard.history.range')}</label>
+            <select
+              value={timeRange}
+              onChange={(e) => setTimeRange(e.target.value)}
+              className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+            >
+              {TIME_RANGES.map(range => (
+                <option key={range.id} value={range.id}>{t(`dashboard.history.ranges.${range.id}`)}</option>
+              ))}
+            </select>
+            {timeRange === 'custom' && (
+              <>
+                <input
+                  type="datetime-local"
+                  value={customRange.from}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))}
+                  className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                  aria-label={t('dashboard.history.from')}
+                />
+                <span className="text-sm">→</span>
+                <input
+                  type="datetime-local"
+                  value={customRange.to}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))}
+                  className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                  aria-label={t('dashboard.history.to')}
+                />
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Export / Import */}
+        <div className="flex flex-wrap gap-2 items-center mt-4 text-gray-900 dark:text-white">
+          <span className="text-sm text-gray-600 dark:text-gray-300">{t('dashboard.exchange.export')}</span>
+          {EXPORT_FORMATS.map(exportFormat => (
+            <button
+              key={exportFormat.id}
+              onClick={() => handleExport(exportFormat.id)}
+              disabled={totalPoints === 0}
+              className="flex items-center gap-1 px-3 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 rounded-lg border border-gray-200 dark:border-white/20 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download size={16} />
+              {exportFormat.label}
+            </button>
+          ))}
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 ml-2">
+            <input
+              type="checkbox"
+              checked={includeRawData}
+              onChange={(e) => setIncludeRawData(e.target.checked)}
+            />
+            {t('dashboard.exchange.includeRaw')}
+          </label>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="flex items-center gap-1 px-3 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 rounded-lg border border-gray-200 dark:border-white/20 transition ml-auto"
+          >
+            <Upload size={16} />
+            {t('dashboard.exchange.import')}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".csv,.json,.xlsx"
+            onChange={handleImport}
+            className="hidden"
+            data-testid="import-input"
+          />
+        </div>
+
+        <ProfilesPanel
+          profiles={profileStore.profiles}
+          activeId={profileStore.activeId}
+          isDirty={isProfileDirty}
+          onSelect={selectProfile}
+          onCreate={createNewProfile}
+          onSave={saveActiveProfile}
+          onRename={renameProfile}
+          onDuplicate={duplicateProfile}
+          onDelete={deleteProfile}
+          onExport={exportProfiles}
+          onImport={importProfiles}
+          onCopyLink={copyShareLink}
+          message={profileMessage}
+        />
+
+        {/* Configuration Panel */}
+        {isConfigOpen && (
+          <div className="mt-6 pt-6 border-t border-gray-200 dark:border-white/20">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-4">⚙️ {t('dashboard.sources.title')}</h3>
+
+            <div className="grid grid-cols-1 gap-4 mb-4">
+              {sources.map(source => (
+                <div key={source.id} className="p-4 bg-white/50 dark:bg-white/5 rounded-lg border border-gray-200 dark:border-white/20">
+                  <div className="flex items-center gap-2 mb-3">
+                    <input
+                      type="color"
+                      value={source.color}
+                      onChange={(e) => updateSource(source.id, { color: e.target.value })}
+                      className="w-8 h-8 bg-transparent cursor-pointer"
+                      aria-label={t('dashboard.sources.color')}
+                    />
+                    <input
+                      type="text"
+                      value={source.name}
+                      onChange={(e) => updateSource(source.id, { name: e.target.value })}
+                      className="flex-1 px-4 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white font-semibold"
+                      aria-label={t('dashboard.sources.name')}
+                    />
+                    <select
+                      value={source.currency}
+                      onChange={(e) => updateSource(source.id, { currency: e.target.value })}
+                      className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                      aria-label={t('dashboard.sources.currency')}
+                    >
+                      <option value="">{t('dashboard.sources.noCurrency')}</option>
+                      {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                    </select>
+                    <button
+                      onClick={() => removeSource(source.id)}
+                      className="flex items-center gap-1 px-3 py-2 bg-red-500/80 hover:bg-red-600 text-white rounded-lg transition"
+                    >
+                      <Trash2 size={16} />
+                      {t('dashboard.sources.remove')}
+                    </button>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                      <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.sources.transport')}</label>
+                      <select
+                        value={source.transport}
+                        onChange={(e) => changeTransport(source, e.target.value)}
+                        className="w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                      >
+                        {TRANSPORTS.map(transport => (
+                          <option key={transport} value={transport}>{t(`dashboard.transports.${transport}`)}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {isMockSource(source) ? (
+                      <div>
+                        <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.sources.signal')}</label>
+                        <select
+                          value={source.mock.signal}
+                          onChange={(e) => updateSource(source.id, { mock: { ...source.mock, signal: e.target.value } })}
+                          className="w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                          aria-label={t('dashboard.sources.mockSignal')}
+                        >
+                          {MOCK_SIGNALS.map(signal => (
+                            <option key={signal} value={signal}>{t(`dashboard.mock.signals.${signal}`)}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ) : (
+                      <div>
+                        <label className="block text-gray-900 dark:text-white font-medium mb-2">
+                          {source.transport === 'http' ? t('dashboard.sources.apiUrl') : t('dashboard.sources.streamUrl')}
+                        </label>
+                        <input
+                          type="text"
+                          value={source.url}
+                          onChange={(e) => updateSource(source.id, { url: e.target.value })}
+                          placeholder={source.transport === 'ws' ? 'wss://stream.example.com/feed' : 'https://api.example.com/data'}
+                          className="w-full px-4 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white placeholder-gray-400"
+                        />
+                      </div>
+                    )}
+
+                    <div>
+                      <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.sources.path')}</label>
+                      <textarea
+                        value={source.path}
+                        onChange={(e) => updateSource(source.id, { path: e.target.value })}
+                        placeholder={t('dashboard.sources.pathPlaceholder')}
+                        rows={Math.max(1, source.path.split('\n').length)}
+                        className="w-full px-4 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white placeholder-gray-400 font-mono text-sm"
+                      />
+                    </div>
+
+                    {source.transport === 'http' || isMockSource(source) ? (
+                      <div>
+                        <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.sources.interval')}</label>
+                        <select
+                          value={source.refreshInterval}
+                          onChange={(e) => updateSource(source.id, { refreshInterval: Number(e.target.value) })}
+                          className="w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                          aria-label={t('dashboard.sources.pollInterval')}
+                        >
+                          {INTERVAL_OPTIONS.map(interval => (
+                            <option key={interval} value={interval}>
+                              {interval < 60000
+                                ? t('dashboard.sources.seconds', { count: interval / 1000 })
+                                : t('dashboard.sources.minutes', { count: interval / 60000 })}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ) : (
+                      <div>
+                        <label className="block text-gray-900 dark:text-white font-medium mb-2">
+                          {source.transport === 'ws' ? t('dashboard.sources.subscribeMessage') : t('dashboard.sources.interval')}
+                        </label>
+                        {source.transport === 'ws' ? (
+                          <input
+                            type="text"
+                            value={source.subscribeMessage}
+                            onChange={(e) => updateSource(source.id, { subscribeMessage: e.target.value })}
+                            placeholder='{"type": "subscribe"}'
+                            className="w-full px-4 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white placeholder-gray-400 font-mono text-sm"
+                          />
+                        ) : (
+                          <p className="text-sm text-gray-600 dark:text-gray-300 py-2">{t('dashboard.sources.eachEvent')}</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {isMockSource(source) && (
+                    <MockSourceEditor mock={source.mock} onChange={mock => updateSource(source.id, { mock })} />
+                  )}
+
+                  {source.transport === 'http' && (
+                    <>
+                      <button
+                        onClick={() => setOpenRequestEditors(prev => ({ ...prev, [source.id]: !prev[source.id] }))}
+                        className="mt-3 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        {openRequestEditors[source.id] ? '▾' : '▸'} {t('dashboard.sources.request', { method: source.request.method })}
+                        {source.request.auth.type !== 'none' && ` · ${t('dashboard.sources.authenticated')}`}
+                        {source.request.headers.length > 0 && ` · ${t('dashboard.sources.headers', { count: source.request.headers.length })}`}
+                      </button>
+                      {openRequestEditors[source.id] && (
+                        <RequestEditor
+                          request={source.request}
+                          onChange={request => updateSource(source.id, { request })}
+                          onTest={() => testRequest(source)}
+                          testResult={testResults[source.id]}
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+
+              <button
+                onClick={() => addSource()}
+                className="flex items-center justify-center gap-2 px-6 py-3 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg border border-dashed border-gray-300 dark:border-white/30 transition"
+              >
+                <Plus size={20} />
+                {t('dashboard.sources.add')}
+              </button>
+
+              <div className="text-sm text-gray-600 dark:text-gray-300 space-y-1">
+                <p>{t('dashboard.sources.pathExample', { json: '{"data": {"price": 123}}' })}</p>
+                <p>
+                  {withElements(t('dashboard.sources.pathSyntax'), {
+                    index: <code>results[0].price</code>,
+                    wildcard: <code>items[*].price</code>,
+                    filter: <code>items[?(@.active)].price</code>,
+                    aggregates: (
+                      <>
+                        <code>sum(...)</code>, <code>avg(...)</code>, <code>min(...)</code>, <code>max(...)</code>, <code>count(...)</code>
+                      </>
+                    )
+                  })}
+                </p>
+                <p>{withElements(t('dashboard.sources.pathFields'), { syntax: <code>{t('dashboard.sources.pathFieldsSyntax')}</code> })}</p>
+              </div>
+
+              <div>
+                <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.sources.maxPoints')}</label>
+                <NumberInput
+                  value={maxDataPoints}
+                  onCommit={setMaxDataPoints}
+                  min="5"
+                  max="100"
+                  className="w-full px-4 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                  aria-label={t('dashboard.sources.maxPointsLabel')}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div>
+                  <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.history.retention')}</label>
+                  <select
+                    value={retention ?? DEFAULT_RETENTION}
+                    onChange={(e) => changeRetention(Number(e.target.value))}
+                    className="w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                  >
+                    {RETENTION_OPTIONS.map(option => (
+                      <option key={option.id} value={option.value}>{t(`dashboard.history.retentionOptions.${option.id}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-900 dark:text-white font-medium mb-2">{t('dashboard.history.downsample')}</label>
+                  <select
+                    value={downsampleMethod}
+                    onChange={(e) => setDownsampleMethod(e.target.value)}
+                    className="w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+                  >
+                    {Object.keys(DOWNSAMPLE_METHODS).map(id => (
+                      <option key={id} value={id}>{t(`dashboard.downsample.${id}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={handleClearHistory}
+                  disabled={!isHistoryAvailable()}
+                  className="flex items-center justify-center gap-2 px-6 py-2 bg-red-500/80 hover:bg-red-600 text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 size={16} />
+                  {t('dashboard.history.clear')}
+                </button>
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <h4 className="text-gray-900 dark:text-white font-semibold mb-2">📋 {t('dashboard.examples.title')}</h4>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+                {withElements(t('dashboard.examples.corsHint'), { command: <code>npm run proxy</code> })}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {apiExamples.map(example => (
+                  <button
+                    key={example.id}
+                    onClick={() => loadExample(example)}
+                    className="text-left p-3 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 rounded-lg border border-gray-200 dark:border-white/20 transition"
+                  >
+                    <div className="text-gray-900 dark:text-white font-semibold">{t(`dashboard.examples.${example.id}.name`)}</div>
+                    <div className="text-sm text-gray-600 dark:text-gray-300">{t(`dashboard.examples.${example.id}.description`)}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Alerts */}
+      <AlertsPanel
+        rules={rules}
+        seriesList={allSeries}
+        firingRuleIds={firingRuleIds}
+        alertLog={alertLog}
+        onAddRule={addRule}
+        onUpdateRule={updateRule}
+        onRemoveRule={removeRule}
+        onClearLog={() => setAlertLog([])}
+      />
+
+      {/* Derived Series */}
+      <DerivedPanel
+        derived={derived}
+        seriesList={allSeries}
+        errors={derivedSeries.errors}
+        onAdd={addDerived}
+        onUpdate={updateDerived}
+        onRemove={removeDerived}
+      />
+
+      {/* Stats Cards */}
+      {statsBySeries.map(stats => (
+        <div
+          key={stats.series.key}
+          className={`mb-6 ${firingSeriesKeys.has(stats.series.key) ? 'p-3 rounded-lg ring-2 ring-red-400 bg-red-500/10' : ''}`}
+        >
+          <h4 className="flex items-center gap-2 text-gray-900 dark:text-white font-semibold mb-2">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: stats.series.color }} />
+            {stats.series.name}
+            {firingSeriesKeys.has(stats.series.key) && <span className="text-red-600 dark:text-red-400 animate-pulse">🔔 {t('dashboard.alertActive')}</span>}
+          </h4>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {statCards(stats, format, stats.series.currency).map(card => (
+              <div key={card.id} className="bg-white/70 dark:bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-gray-200 dark:border-white/20">
+                <div className="text-gray-600 dark:text-gray-300 text-sm mb-1">{t(`dashboard.stats.${card.id}`)}</div>
+                <div
+                  data-testid={`stat-${stats.series.key}-${card.id}`}
+                  className={`text-2xl font-bold ${statCardColor(card.id, stats)}`}
+                >
+                  {card.text}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {/* Widgets */}
+      <div className="flex items-center justify-end gap-2 mb-4">
+        {isEditingLayout && (
+          <button
+            onClick={() => setLayout(prev => [...prev, createWidget()])}
+            className="flex items-center gap-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg font-bold transition"
+          >
+            <Plus size={18} />
+            {t('dashboard.layout.addWidget')}
+          </button>
+        )}
+        <button
+          onClick={() => setIsEditingLayout(!isEditingLayout)}
+          className="flex items-center gap-2 px-4 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg font-bold border border-gray-200 dark:border-white/20 transition"
+        >
+          <LayoutGrid size={18} />
+          {isEditingLayout ? t('dashboard.layout.done') : t('dashboard.layout.edit')}
+        </button>
+      </div>
+      {layout.length === 0 && (
+        <p className="text-gray-600 dark:text-gray-300 text-center mb-6">{t('dashboard.layout.empty')}</p>
+      )}
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 mb-6">
+        {layout.map((widget, idx) => (
+          <DashboardWidget
+            key={widget.id}
+            widget={widget}
+            index={idx}
+            count={layout.length}
+            seriesList={widgetSeriesList}
+            data={chartData}
+            references={renderAlertReferences()}
+            editing={isEditingLayout}
+            onChange={changes => setLayout(prev => updateWidget(prev, widget.id, changes))}
+            onMove={offset => setLayout(prev => moveWidget(prev, widget.id, offset))}
+            onRemove={() => setLayout(prev => removeWidget(prev, widget.id))}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
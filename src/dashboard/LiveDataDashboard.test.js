@@ -0,0 +1,162 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import LiveDataDashboard from './LiveDataDashboard';
+
+// Recharts mide su contenedor con ResizeObserver, que jsdom no implementa
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// Resuelve promesas pendientes (fetch, response.json) sin avanzar los temporizadores falsos
+const flush = () => act(() => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve)));
+
+const advance = async (ms) => {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+  await flush();
+};
+
+const jsonResponse = body => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+const price = usd => jsonResponse({ bitcoin: { usd } });
+
+// Texto de una tarjeta de estadísticas, con los espacios no separables de Intl normalizados
+const statCard = id => screen.getByTestId(new RegExp(`^stat-.*-${id}$`)).textContent.replace(/\s/g, ' ');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  global.fetch = jest.fn(() => price(100));
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('muestra el dashboard con la fuente por defecto sin datos', () => {
+  render(<LiveDataDashboard />);
+  expect(screen.getByText('📡 Live Data Dashboard')).toBeInTheDocument();
+  expect(screen.getByText('Iniciar')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('"Actualizar una vez" consulta la fuente y muestra sus estadísticas', async () => {
+  global.fetch.mockImplementationOnce(() => price(123.45));
+  render(<LiveDataDashboard />);
+  fireEvent.click(screen.getByText('Actualizar una vez'));
+  await flush();
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toBe('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
+  expect(statCard('latest')).toBe('123,45 US$');
+  expect(statCard('count')).toBe('1');
+});
+
+describe('ciclo de polling', () => {
+  test('consulta al iniciar y en cada intervalo, y deja de hacerlo al pausar', async () => {
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Iniciar'));
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    await advance(5000);
+    await advance(5000);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(statCard('count')).toBe('3');
+
+    fireEvent.click(screen.getByText('Pausar'));
+    await advance(30000);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('cambiar el intervalo en vivo consulta de inmediato y sigue con el nuevo', async () => {
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Configuración'));
+    fireEvent.click(screen.getByText('Iniciar'));
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    fireEvent.change(screen.getByLabelText('Intervalo de consulta'), { target: { value: '1000' } });
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    await advance(1000);
+    await advance(1000);
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('solo conserva los últimos maxDataPoints puntos', async () => {
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Configuración'));
+    const maxPoints = screen.getByLabelText('Máximo de puntos por fuente');
+    // Vaciar el campo mientras se escribe no lo pone a 0 y al salir vuelve al valor anterior
+    fireEvent.change(maxPoints, { target: { value: '' } });
+    expect(maxPoints).toHaveValue(null);
+    fireEvent.blur(maxPoints);
+    expect(maxPoints).toHaveValue(20);
+    fireEvent.change(maxPoints, { target: { value: '5' } });
+    fireEvent.blur(maxPoints);
+    fireEvent.change(screen.getByLabelText('Intervalo de consulta'), { target: { value: '1000' } });
+    let value = 0;
+    global.fetch.mockImplementation(() => {
+      value += 1;
+      return price(value);
+    });
+
+    fireEvent.click(screen.getByText('Iniciar'));
+    await flush();
+    for (let i = 0; i < 7; i += 1) await advance(1000);
+
+    expect(value).toBe(8);
+    expect(statCard('count')).toBe('5');
+    expect(statCard('min')).toBe('4,00 US$');
+    expect(statCard('latest')).toBe('8,00 US$');
+  });
+});
+
+describe('errores', () => {
+  // Los errores de las fuentes también se registran en la consola
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('una respuesta no OK se muestra como error de la fuente y en el historial', async () => {
+    global.fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 503, statusText: 'Service Unavailable' }));
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Actualizar una vez'));
+    await flush();
+
+    expect(screen.getByText(/Error HTTP \(estado 503 Service Unavailable\)/)).toBeInTheDocument();
+    expect(screen.queryByText('Último valor')).not.toBeInTheDocument();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error fetching data'), expect.objectContaining({ status: 503 }));
+  });
+
+  test('un valor no numérico es un error y no añade un cero', async () => {
+    global.fetch.mockImplementationOnce(() => price('n/a'));
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Actualizar una vez'));
+    await flush();
+
+    expect(screen.getByText(/El valor de "bitcoin.usd" no es numérico: "n\/a"/)).toBeInTheDocument();
+    expect(screen.queryByText('Último valor')).not.toBeInTheDocument();
+  });
+
+  test('una consulta correcta posterior borra el error', async () => {
+    global.fetch.mockImplementationOnce(() => Promise.reject(new Error('Failed to fetch')));
+    render(<LiveDataDashboard />);
+    fireEvent.click(screen.getByText('Actualizar una vez'));
+    await flush();
+    expect(screen.getByText(/Failed to fetch/)).toBeInTheDocument();
+
+    await advance(1000);
+    fireEvent.click(screen.getByText('Actualizar una vez'));
+    await flush();
+    expect(screen.queryByText(/Error \(.*\): Failed to fetch/)).not.toBeInTheDocument();
+    expect(statCard('latest')).toBe('100,00 US$');
+  });
+});
@@ -0,0 +1,84 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+import { parseRecording } from './mockSource';
+import { readFile } from './exporters';
+import NumberInput from './NumberInput';
+import { useI18n } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white placeholder-gray-400';
+
+function SignalParameter({ label, value, onChange, min }) {
+  return (
+    <div>
+      <label className="block text-gray-900 dark:text-white font-medium mb-1">{label}</label>
+      <NumberInput value={value} min={min} onCommit={onChange} className={inputClass} />
+    </div>
+  );
+}
+
+// Parámetros de la señal de una fuente simulada o la grabación que reproduce
+export default function MockSourceEditor({ mock, onChange }) {
+  const fileInputRef = useRef(null);
+  const [loadError, setLoadError] = useState(null);
+  const { t } = useI18n();
+  const update = changes => onChange({ ...mock, ...changes });
+
+  const loadRecording = async (file) => {
+    setLoadError(null);
+    try {
+      const recording = parseRecording(await readFile(file, 'text'));
+      update({ recording, recordingName: file.name });
+    } catch (err) {
+      setLoadError(err);
+    }
+  };
+
+  if (mock.signal === 'replay') {
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-200 dark:border-white/10 text-sm">
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-2 px-4 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 text-gray-900 dark:text-white rounded-lg border border-gray-200 dark:border-white/20 transition"
+          >
+            <Upload size={16} />
+            {t('dashboard.mock.loadRecording')}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              if (e.target.files[0]) loadRecording(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+            aria-label={t('dashboard.mock.recordingFile')}
+          />
+          <span className="text-gray-600 dark:text-gray-300">
+            {mock.recording.length > 0
+              ? t('dashboard.mock.recordingSummary', {
+                name: mock.recordingName || t('dashboard.mock.recording'),
+                count: mock.recording.length
+              })
+              : t('dashboard.mock.noRecording')}
+          </span>
+        </div>
+        {loadError && <p className="mt-2 text-red-600 dark:text-red-400">{errorMessage(loadError, t)}</p>}
+        <p className="mt-2 text-gray-500 dark:text-gray-400">
+          {t('dashboard.mock.recordingHelp')}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-white/10 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+      <SignalParameter label={t('dashboard.mock.base')} value={mock.base} onChange={base => update({ base })} />
+      <SignalParameter label={t('dashboard.mock.amplitude')} value={mock.amplitude} onChange={amplitude => update({ amplitude })} min="0" />
+      <SignalParameter label={t('dashboard.mock.period')} value={mock.period} onChange={period => update({ period })} min="2" />
+      <SignalParameter label={t('dashboard.mock.seed')} value={mock.seed} onChange={seed => update({ seed })} />
+    </div>
+  );
+}
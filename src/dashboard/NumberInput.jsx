@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+
+// Campo numérico que guarda el texto mientras se escribe y solo aplica el valor al pulsar Enter o
+// salir del campo, ajustado a [min, max]. Un campo vacío o no numérico vuelve al valor anterior
+// en lugar de convertirse en 0 a mitad de edición.
+export default function NumberInput({ value, onCommit, min, max, className, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    const parsed = draft !== null && draft.trim() !== '' ? Number(draft) : NaN;
+    if (Number.isFinite(parsed)) {
+      let next = parsed;
+      if (min !== undefined) next = Math.max(Number(min), next);
+      if (max !== undefined) next = Math.min(Number(max), next);
+      onCommit(next);
+    }
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="number"
+      value={draft ?? value}
+      min={min}
+      max={max}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setDraft(null);
+      }}
+      className={className}
+      {...props}
+    />
+  );
+}
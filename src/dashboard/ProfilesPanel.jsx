@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { Copy, Download, Link, Plus, Save, Trash2, Upload } from 'lucide-react';
+import { useI18n } from '../i18n/i18n';
+
+const buttonClass = 'flex items-center gap-1 px-3 py-2 bg-white/70 dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 rounded-lg border border-gray-200 dark:border-white/20 transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Selector y gestión de perfiles guardados: crear, renombrar, duplicar, eliminar,
+// exportar/importar como JSON y copiar un enlace con la configuración actual
+export default function ProfilesPanel({
+  profiles,
+  activeId,
+  isDirty,
+  onSelect,
+  onCreate,
+  onSave,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onExport,
+  onImport,
+  onCopyLink,
+  message
+}) {
+  const { t } = useI18n();
+  const importInputRef = useRef(null);
+  const activeProfile = profiles.find(profile => profile.id === activeId);
+
+  const handleDelete = () => {
+    if (window.confirm(t('dashboard.profiles.confirmDelete', { name: activeProfile.name }))) onDelete(activeProfile.id);
+  };
+
+  const handleImport = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center mt-4 text-gray-900 dark:text-white">
+      <span className="text-sm text-gray-600 dark:text-gray-300">{t('dashboard.profiles.profile')}</span>
+      <select
+        value={activeId || ''}
+        onChange={(e) => onSelect(e.target.value || null)}
+        className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+        aria-label={t('dashboard.profiles.active')}
+      >
+        <option value="">{t('dashboard.profiles.unsaved')}</option>
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      {activeProfile && (
+        <input
+          type="text"
+          value={activeProfile.name}
+          onChange={(e) => onRename(activeProfile.id, e.target.value)}
+          className="px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+          aria-label={t('dashboard.profiles.name')}
+        />
+      )}
+      {isDirty && <span className="text-sm text-yellow-700 dark:text-yellow-300">{t('dashboard.profiles.dirty')}</span>}
+
+      <button onClick={onSave} disabled={!activeProfile || !isDirty} className={buttonClass}>
+        <Save size={16} />
+        {t('dashboard.profiles.save')}
+      </button>
+      <button onClick={onCreate} className={buttonClass}>
+        <Plus size={16} />
+        {t('dashboard.profiles.create')}
+      </button>
+      <button onClick={() => onDuplicate(activeId)} disabled={!activeProfile} className={buttonClass}>
+        <Copy size={16} />
+        {t('dashboard.profiles.duplicate')}
+      </button>
+      <button onClick={handleDelete} disabled={!activeProfile} className={buttonClass}>
+        <Trash2 size={16} />
+        {t('dashboard.profiles.delete')}
+      </button>
+
+      <button onClick={onCopyLink} className={`${buttonClass} ml-auto`}>
+        <Link size={16} />
+        {t('dashboard.profiles.copyLink')}
+      </button>
+      <button onClick={onExport} disabled={profiles.length === 0} className={buttonClass}>
+        <Download size={16} />
+        {t('dashboard.profiles.export')}
+      </button>
+      <button onClick={() => importInputRef.current?.click()} className={buttonClass}>
+        <Upload size={16} />
+        {t('dashboard.profiles.import')}
+      </button>
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleImport}
+        className="hidden"
+        data-testid="profiles-import-input"
+      />
+
+      {message && (
+        <span className={`w-full text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-300'}`}>
+          {message.text}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import React, { useRef } from 'react';
+import { ArrowLeft, Printer } from 'lucide-react';
+import { SeriesChart, seriesLegend } from './SeriesCharts';
+import { CHART_THEMES } from '../shared/chartThemes';
+import { TRANSPORTS, isStreamingSource } from './transports';
+import { MOCK_SIGNALS } from './mockSource';
+import { DOWNSAMPLE_METHODS } from './downsample';
+import { withoutSecrets } from './profiles';
+import { statCards } from './stats';
+import { CHART_WIDGET_TYPES, WIDGET_HEIGHTS, widgetSeries, widgetTitle } from './widgets';
+import ChartExportButtons from '../shared/ChartExportButtons';
+import { useI18n } from '../i18n/i18n';
+
+const exportButtonClass = 'border-gray-300 text-gray-700 hover:bg-gray-100';
+
+const transportLabel = (id, t) => (TRANSPORTS.includes(id) ? t(`dashboard.transports.${id}`) : id);
+
+// Las fuentes simuladas no tienen URL: se describe su señal
+const sourceOrigin = (source, t) => {
+  if (source.transport === 'mock') {
+    const { signal, recordingName } = source.mock;
+    const label = MOCK_SIGNALS.includes(signal) ? t(`dashboard.mock.signals.${signal}`) : signal;
+    return signal === 'replay' && recordingName ? `${label} · ${recordingName}` : label;
+  }
+  return `${source.transport === 'http' && source.request ? `${source.request.method} ` : ''}${source.url || '—'}`;
+};
+
+// Un gráfico del diseño del dashboard, redibujado con el tema claro
+function ReportChart({ widget, seriesList, data, references, stamp }) {
+  const { t } = useI18n();
+  const chartRef = useRef(null);
+  const theme = CHART_THEMES.light;
+  const title = widgetTitle(widget, t);
+  const height = (WIDGET_HEIGHTS.find(item => item.id === widget.height) || WIDGET_HEIGHTS[1]).pixels;
+
+  return (
+    <div ref={chartRef} className="break-inside-avoid">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-900">{title}</h2>
+        <ChartExportButtons
+          chartRef={chartRef}
+          title={`${title} · ${stamp}`}
+          legend={seriesLegend(seriesList, widget.type)}
+          filename={`informe-${widget.type}`}
+          background={theme.background}
+          color={theme.text}
+          buttonClassName={exportButtonClass}
+        />
+      </div>
+      <SeriesChart
+        type={widget.type}
+        data={data}
+        seriesList={seriesList}
+        references={references}
+        theme={theme}
+        animate={false}
+        height={height}
+      />
+    </div>
+  );
+}
+
+// Página imprimible con la configuración de las fuentes, las estadísticas, los gráficos y la
+// tabla de datos del rango mostrado. De los widgets del diseño solo se repiten los gráficos,
+// con colores claros y sin animaciones para el papel.
+export default function ReportView({
+  generatedAt,
+  config,
+  timeRangeLabel,
+  seriesList,
+  overlays,
+  layout,
+  chartData,
+  statsBySeries,
+  references,
+  onClose
+}) {
+  const { t, format } = useI18n();
+  const stamp = format.dateTime(generatedAt);
+  const downsampleMethod = DOWNSAMPLE_METHODS[config.downsampleMethod] ? config.downsampleMethod : 'lttb';
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-6 print:p-0 print:bg-white">
+      <div className="max-w-5xl mx-auto bg-white rounded-lg shadow-xl p-8 print:shadow-none print:rounded-none">
+        <div className="flex items-start justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">📡 {t('dashboard.report.title')}</h1>
+            <p className="text-gray-600">
+              {t('dashboard.report.generated', { stamp, range: timeRangeLabel, count: chartData.length })}
+            </p>
+          </div>
+          <div className="flex gap-2 print:hidden">
+            <button
+              onClick={() => window.print()}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-bold transition"
+            >
+              <Printer size={18} />
+              {t('dashboard.report.print')}
+            </button>
+            <button
+              onClick={onClose}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg font-bold transition"
+            >
+              <ArrowLeft size={18} />
+              {t('dashboard.report.back')}
+            </button>
+          </div>
+        </div>
+
+        <section className="mb-8">
+          <h2 className="text-xl font-bold text-gray-900 mb-3">{t('dashboard.report.config')}</h2>
+          <table className="w-full text-sm text-left mb-3">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="px-3 py-2">{t('dashboard.report.source')}</th>
+                <th className="px-3 py-2">{t('dashboard.report.transport')}</th>
+                <th className="px-3 py-2">{t('dashboard.report.url')}</th>
+                <th className="px-3 py-2">{t('dashboard.report.fields')}</th>
+                <th className="px-3 py-2">{t('dashboard.report.interval')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {config.sources.map(source => (
+                <tr key={source.id} className="border-t border-gray-200 align-top">
+                  <td className="px-3 py-2">
+                    <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: source.color }} />
+                    {source.name}
+                  </td>
+                  <td className="px-3 py-2">{transportLabel(source.transport, t)}</td>
+                  <td className="px-3 py-2 font-mono break-all">{sourceOrigin(source, t)}</td>
+                  <td className="px-3 py-2 font-mono break-all">{source.path || t('dashboard.report.fullResponse')}</td>
+                  <td className="px-3 py-2">
+                    {isStreamingSource(source) ? t('dashboard.report.streaming') : t('dashboard.report.seconds', { count: source.refreshInterval / 1000 })}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-sm text-gray-700">
+            {t('dashboard.report.summary', {
+              maxPoints: config.maxDataPoints,
+              downsample: t(`dashboard.downsample.${downsampleMethod}`),
+              rules: config.rules.length
+            })}
+          </p>
+          <details className="mt-2 text-sm text-gray-700" open>
+            <summary className="cursor-pointer print:hidden">{t('dashboard.report.fullConfig')}</summary>
+            <pre className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded text-xs whitespace-pre-wrap break-all">
+              {JSON.stringify(withoutSecrets(config), null, 2)}
+            </pre>
+          </details>
+        </section>
+
+        <section className="mb-8 break-inside-avoid">
+          <h2 className="text-xl font-bold text-gray-900 mb-3">{t('dashboard.report.stats')}</h2>
+          {statsBySeries.length === 0 && <p className="text-gray-600">{t('dashboard.report.noData')}</p>}
+          {statsBySeries.map(stats => (
+            <div key={stats.series.key} className="mb-4">
+              <h3 className="flex items-center gap-2 font-semibold text-gray-800 mb-2">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: stats.series.color }} />
+                {stats.series.name}
+              </h3>
+              <div className="grid grid-cols-4 gap-3">
+                {statCards(stats, format, stats.series.currency).map(({ id, text }) => (
+                  <div key={id} className="border border-gray-200 rounded-lg p-3">
+                    <div className="text-gray-500 text-sm">{t(`dashboard.stats.${id}`)}</div>
+                    <div className="text-2xl font-bold text-gray-900">{text}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </section>
+
+        <section className="mb-8 space-y-6">
+          {layout.filter(widget => CHART_WIDGET_TYPES.includes(widget.type)).map(widget => (
+            <ReportChart
+              key={widget.id}
+              widget={widget}
+              seriesList={widgetSeries(widget, [...seriesList, ...overlays])}
+              data={chartData}
+              references={references}
+              stamp={stamp}
+            />
+          ))}
+        </section>
+
+        <section>
+          <h2 className="text-xl font-bold text-gray-900 mb-3">📋 {t('dashboard.report.data')}</h2>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-3 py-2 text-left text-gray-700">{t('dashboard.widgets.time')}</th>
+                {seriesList.map(item => (
+                  <th key={item.key} className="px-3 py-2 text-left" style={{ color: item.color }}>
+                    {item.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {chartData.map(row => (
+                <tr key={row.time} className="border-t border-gray-200">
+                  <td className="px-3 py-1 text-gray-600 whitespace-nowrap">{format.dateTime(row.time)}</td>
+                  {seriesList.map(item => (
+                    <td key={item.key} className="px-3 py-1 text-gray-900 font-mono">{format.currency(row[item.key], item.currency)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import React from 'react';
+import { Plus, Trash2, Send } from 'lucide-react';
+import { HTTP_METHODS, BODY_TYPES, AUTH_TYPES, TEMPLATE_VARIABLES, CORS_PROXY_URL, createRequestConfig } from './requestBuilder';
+import { useI18n, withElements } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white placeholder-gray-400';
+
+// Lista editable de pares clave/valor (cabeceras y parámetros de query)
+function PairsEditor({ label, removeLabel, pairs, onChange, keyPlaceholder }) {
+  const { t } = useI18n();
+  const updatePair = (idx, changes) => {
+    onChange(pairs.map((pair, i) => (i === idx ? { ...pair, ...changes } : pair)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="text-gray-900 dark:text-white font-medium">{label}</label>
+        <button
+          onClick={() => onChange([...pairs, { key: '', value: '' }])}
+          className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+        >
+          <Plus size={14} />
+          {t('dashboard.request.addPair')}
+        </button>
+      </div>
+      {pairs.map((pair, idx) => (
+        <div key={idx} className="flex gap-2 mb-2">
+          <input
+            type="text"
+            value={pair.key}
+            onChange={(e) => updatePair(idx, { key: e.target.value })}
+            placeholder={keyPlaceholder}
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={pair.value}
+            onChange={(e) => updatePair(idx, { value: e.target.value })}
+            placeholder={t('dashboard.request.valuePlaceholder')}
+            className={inputClass}
+          />
+          <button
+            onClick={() => onChange(pairs.filter((_, i) => i !== idx))}
+            className="px-2 text-red-700 dark:text-red-300 hover:text-red-600 dark:hover:text-red-400"
+            aria-label={removeLabel}
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function RequestEditor({ request = createRequestConfig(), onChange, onTest, testResult }) {
+  const { t } = useI18n();
+  const update = changes => onChange({ ...request, ...changes });
+  const updateAuth = changes => update({ auth: { ...request.auth, ...changes } });
+  const { auth } = request;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-white/10 grid grid-cols-1 gap-4 text-sm">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-gray-900 dark:text-white font-medium mb-1">{t('dashboard.request.method')}</label>
+          <select value={request.method} onChange={(e) => update({ method: e.target.value })} className={inputClass}>
+            {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-900 dark:text-white font-medium mb-1">{t('dashboard.request.timeout')}</label>
+          <input
+            type="number"
+            min="0"
+            value={request.timeoutMs / 1000}
+            onChange={(e) => update({ timeoutMs: Math.max(0, Number(e.target.value)) * 1000 })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-900 dark:text-white font-medium mb-1">{t('dashboard.request.auth')}</label>
+          <select value={auth.type} onChange={(e) => updateAuth({ type: e.target.value })} className={inputClass}>
+            {AUTH_TYPES.map(type => <option key={type} value={type}>{t(`dashboard.request.authTypes.${type}`)}</option>)}
+          </select>
+        </div>
+        <div className="flex gap-2 md:col-span-4">
+          {auth.type === 'bearer' && (
+            <input
+              type="password"
+              value={auth.token}
+              onChange={(e) => updateAuth({ token: e.target.value })}
+              placeholder={t('dashboard.request.token')}
+              className={`${inputClass} self-end`}
+            />
+          )}
+          {auth.type === 'basic' && (
+            <>
+              <input
+                type="text"
+                value={auth.username}
+                onChange={(e) => updateAuth({ username: e.target.value })}
+                placeholder={t('dashboard.request.username')}
+                className={`${inputClass} self-end`}
+              />
+              <input
+                type="password"
+                value={auth.password}
+                onChange={(e) => updateAuth({ password: e.target.value })}
+                placeholder={t('dashboard.request.password')}
+                className={`${inputClass} self-end`}
+              />
+            </>
+          )}
+          {auth.type === 'apikey' && (
+            <>
+              <input
+                type="text"
+                value={auth.keyName}
+                onChange={(e) => updateAuth({ keyName: e.target.value })}
+                placeholder={t('dashboard.request.keyName')}
+                className={`${inputClass} self-end`}
+              />
+              <input
+                type="password"
+                value={auth.keyValue}
+                onChange={(e) => updateAuth({ keyValue: e.target.value })}
+                placeholder={t('dashboard.request.keyValue')}
+                className={`${inputClass} self-end`}
+              />
+              <select
+                value={auth.keyIn}
+                onChange={(e) => updateAuth({ keyIn: e.target.value })}
+                className={`${inputClass} self-end`}
+                aria-label={t('dashboard.request.keyIn')}
+              >
+                <option value="header">{t('dashboard.request.keyInHeader')}</option>
+                <option value="query">{t('dashboard.request.keyInQuery')}</option>
+              </select>
+            </>
+          )}
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-gray-900 dark:text-white">
+        <input type="checkbox" checked={request.viaProxy} onChange={(e) => update({ viaProxy: e.target.checked })} />
+        {withElements(t('dashboard.request.viaProxy', { url: CORS_PROXY_URL }), { command: <code>npm run proxy</code> })}
+      </label>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <PairsEditor
+          label={t('dashboard.request.headers')}
+          removeLabel={t('dashboard.request.removeHeader')}
+          pairs={request.headers}
+          onChange={headers => update({ headers })}
+          keyPlaceholder="Accept"
+        />
+        <PairsEditor
+          label={t('dashboard.request.query')}
+          removeLabel={t('dashboard.request.removeQuery')}
+          pairs={request.query}
+          onChange={query => update({ query })}
+          keyPlaceholder="since"
+        />
+      </div>
+
+      {request.method !== 'GET' && (
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <label className="text-gray-900 dark:text-white font-medium">{t('dashboard.request.body')}</label>
+            <select
+              value={request.bodyType}
+              onChange={(e) => update({ bodyType: e.target.value })}
+              className="px-2 py-1 bg-white dark:bg-white/20 border border-gray-300 dark:border-white/30 rounded-lg text-gray-900 dark:text-white"
+            >
+              {BODY_TYPES.map(type => <option key={type} value={type}>{t(`dashboard.request.bodyTypes.${type}`)}</option>)}
+            </select>
+          </div>
+          {request.bodyType !== 'none' && (
+            <textarea
+              value={request.body}
+              onChange={(e) => update({ body: e.target.value })}
+              rows={4}
+              placeholder={request.bodyType === 'json' ? '{"since": {{lastTime}}}' : t('dashboard.request.formPlaceholder')}
+              className={`${inputClass} font-mono`}
+            />
+          )}
+        </div>
+      )}
+
+      <p className="text-gray-500 dark:text-gray-400">
+        {t('dashboard.request.templates')}{' '}
+        {TEMPLATE_VARIABLES.map(variable => (
+          <code key={variable} title={t(`dashboard.request.variables.${variable}`)} className="mr-2">{`{{${variable}}}`}</code>
+        ))}
+      </p>
+
+      <div>
+        <button
+          onClick={onTest}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-bold transition"
+        >
+          <Send size={16} />
+          {t('dashboard.request.test')}
+        </button>
+        {testResult && (
+          <div className="mt-3 p-3 bg-gray-100 dark:bg-black/30 rounded-lg text-gray-700 dark:text-gray-200">
+            {testResult.error ? (
+              <div className="text-red-600 dark:text-red-400">{t('dashboard.request.error', { message: errorMessage(testResult.error, t) })}</div>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-4 mb-2">
+                  <span className={testResult.ok ? 'text-green-600 dark:text-green-400 font-bold' : 'text-red-600 dark:text-red-400 font-bold'}>
+                    {testResult.status} {testResult.statusText}
+                  </span>
+                  <span>{Math.round(testResult.latency)} ms</span>
+                  <span className="text-gray-500 dark:text-gray-400 break-all">{testResult.method} {testResult.url}</span>
+                </div>
+                <pre className="max-h-64 overflow-auto text-xs whitespace-pre-wrap">
+                  {testResult.json ? JSON.stringify(testResult.json, null, 2) : testResult.text.slice(0, 5000)}
+                </pre>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
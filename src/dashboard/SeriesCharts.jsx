@@ -0,0 +1,140 @@
+import React from 'react';
+import {
+  ComposedChart,
+  Line,
+  Area,
+  Bar,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { CHART_THEMES } from '../shared/chartThemes';
+import { useI18n } from '../i18n/i18n';
+
+// Elementos de leyenda de un gráfico para la imagen exportada (ver shared/chartImage.js)
+export const seriesLegend = (seriesList, type = 'line') => seriesList.map(item => (item.derived
+  ? { label: item.name, color: item.color, dash: item.dash }
+  : { label: item.name, color: item.color, shape: type === 'line' ? 'line' : 'rect' }));
+
+// Puntos { time, value } de una serie para los gráficos de dispersión
+const scatterPoints = (data, key) => data
+  .filter(row => typeof row[key] === 'number')
+  .map(row => ({ time: row.time, value: row[key] }));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Formato de los instantes del eje X: solo la hora, o fecha y hora si los datos abarcan más de un día
+const timeFormatter = (data, format) => {
+  const span = data.length > 1 ? data[data.length - 1].time - data[0].time : 0;
+  return span > DAY ? format.dateTime : format.time;
+};
+
+// Elemento de Recharts de una serie capturada según el tipo de gráfico
+function renderSeries(type, item, data, animate) {
+  const common = { name: item.name, isAnimationActive: animate };
+  switch (type) {
+    case 'area':
+      return (
+        <Area
+          key={item.key}
+          {...common}
+          type="monotone"
+          dataKey={item.key}
+          stroke={item.color}
+          fill={item.color}
+          fillOpacity={0.2}
+          strokeWidth={2}
+          connectNulls
+        />
+      );
+    case 'bar':
+      return <Bar key={item.key} {...common} dataKey={item.key} fill={item.color} />;
+    case 'scatter':
+      return <Scatter key={item.key} {...common} data={scatterPoints(data, item.key)} dataKey="value" fill={item.color} />;
+    default:
+      return (
+        <Line
+          key={item.key}
+          {...common}
+          type="monotone"
+          dataKey={item.key}
+          stroke={item.color}
+          strokeWidth={2}
+          dot={{ fill: item.color }}
+          connectNulls
+        />
+      );
+  }
+}
+
+// Gráfico de líneas, áreas, barras o dispersión de seriesList. Las series derivadas (derived)
+// se superponen siempre como líneas discontinuas sin puntos; references son las líneas y
+// bandas de las alertas. La dispersión usa un eje X de tiempo real en lugar de una categoría
+// por instante.
+export function SeriesChart({
+  type = 'line',
+  data,
+  seriesList,
+  references = null,
+  theme = CHART_THEMES.dark,
+  animate = true,
+  height = 300
+}) {
+  const { format } = useI18n();
+  const isScatter = type === 'scatter';
+  const formatTime = timeFormatter(data, format);
+  // Los valores del tooltip con la moneda de su serie, si la tiene. En la dispersión el
+  // tooltip incluye también el instante (dataKey "time") y el valor va en dataKey "value".
+  const currencies = Object.fromEntries(seriesList.map(item => [item.key, item.currency]));
+  const formatValue = (value, name, entry) => (entry.dataKey === 'time'
+    ? formatTime(value)
+    : format.currency(value, currencies[entry.dataKey]));
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} />
+        {isScatter ? (
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={formatTime}
+            stroke={theme.axis}
+          />
+        ) : (
+          <XAxis dataKey="time" tickFormatter={formatTime} stroke={theme.axis} />
+        )}
+        <YAxis tickFormatter={format.decimal} stroke={theme.axis} />
+        <Tooltip
+          contentStyle={theme.tooltip}
+          labelStyle={theme.tooltipLabel}
+          labelFormatter={formatTime}
+          formatter={formatValue}
+        />
+        <Legend />
+        {references}
+        {seriesList.filter(item => !item.derived).map(item => renderSeries(type, item, data, animate))}
+        {seriesList.filter(item => item.derived).map(item => (
+          <Line
+            key={item.key}
+            type="monotone"
+            dataKey={item.key}
+            name={item.name}
+            stroke={item.color}
+            strokeWidth={1.5}
+            strokeDasharray={item.dash}
+            dot={false}
+            connectNulls
+            isAnimationActive={animate}
+          />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { SeriesChart } from './SeriesCharts';
+import { CHART_THEMES } from '../shared/chartThemes';
+import { computeStats, statCards } from './stats';
+import { TABLE_PAGE_SIZES, gaugeFraction, paginate, sortRows } from './widgets';
+import { useI18n } from '../i18n/i18n';
+
+const seriesPoints = (data, key) => data.filter(row => typeof row[key] === 'number').map(row => ({ value: row[key] }));
+
+function EmptyWidget({ theme }) {
+  const { t } = useI18n();
+  return <p className="text-sm" style={{ color: theme.axis }}>{t('dashboard.widgets.empty')}</p>;
+}
+
+// Semicírculo de min a max con el último valor de la serie
+function Gauge({ item, data, options, theme }) {
+  const { format } = useI18n();
+  const stats = computeStats(seriesPoints(data, item.key));
+  if (!stats) return <EmptyWidget theme={theme} />;
+  const fraction = gaugeFraction(stats.latest, Number(options.min), Number(options.max));
+  const angle = Math.PI * (1 - fraction);
+  const end = [100 + 80 * Math.cos(angle), 100 - 80 * Math.sin(angle)];
+  const latest = format.currency(stats.latest, item.currency);
+
+  return (
+    <div className="flex flex-col items-center">
+      <svg viewBox="0 0 200 120" className="w-full max-w-xs" role="img" aria-label={`${item.name}: ${latest}`}>
+        <path d="M 20 100 A 80 80 0 0 1 180 100" fill="none" stroke={theme.grid} strokeWidth="16" strokeLinecap="round" />
+        {fraction > 0 && (
+          <path
+            d={`M 20 100 A 80 80 0 0 1 ${end[0]} ${end[1]}`}
+            fill="none"
+            stroke={item.color}
+            strokeWidth="16"
+            strokeLinecap="round"
+          />
+        )}
+        <text x="100" y="92" textAnchor="middle" fontSize="24" fontWeight="bold" fill={theme.text}>
+          {latest}
+        </text>
+        <text x="20" y="118" textAnchor="middle" fontSize="10" fill={theme.axis}>{format.decimal(Number(options.min))}</text>
+        <text x="180" y="118" textAnchor="middle" fontSize="10" fill={theme.axis}>{format.decimal(Number(options.max))}</text>
+      </svg>
+      <div className="text-sm" style={{ color: theme.axis }}>{item.name}</div>
+    </div>
+  );
+}
+
+// Una estadística de la serie en grande y las demás debajo
+function SingleStat({ item, data, options, theme }) {
+  const { t, format } = useI18n();
+  const stats = computeStats(seriesPoints(data, item.key));
+  if (!stats) return <EmptyWidget theme={theme} />;
+  const cards = statCards(stats, format, item.currency);
+  const label = card => t(`dashboard.stats.${card.id}`);
+  const main = cards.find(card => card.id === options.stat) || cards[0];
+
+  return (
+    <div className="flex flex-col items-center justify-center h-full text-center">
+      <div className="text-sm" style={{ color: theme.axis }}>{item.name} · {label(main)}</div>
+      <div className="text-5xl font-bold my-2" style={{ color: item.color }}>{main.text}</div>
+      <div className="text-xs" style={{ color: theme.axis }}>
+        {cards.filter(card => card.id === 'change' || card.id === 'count').map(card => `${label(card)}: ${card.text}`).join(' · ')}
+      </div>
+    </div>
+  );
+}
+
+// Tabla ordenable por cualquier columna y paginada; por defecto los datos más recientes primero
+function DataTable({ seriesList, data, options, onOptionsChange, theme }) {
+  const { t, format } = useI18n();
+  const [sort, setSort] = useState({ column: 'time', direction: 'desc' });
+  const [page, setPage] = useState(0);
+  const sorted = useMemo(() => sortRows(data, sort.column, sort.direction), [data, sort]);
+  const current = paginate(sorted, page, options.pageSize);
+  const dark = theme === CHART_THEMES.dark;
+
+  const toggleSort = column => setSort(prev => ({
+    column,
+    direction: prev.column === column && prev.direction === 'desc' ? 'asc' : 'desc'
+  }));
+  const arrow = column => (sort.column === column ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '');
+  const headerClass = `px-4 py-2 text-left cursor-pointer select-none ${dark ? 'hover:bg-white/10' : 'hover:bg-gray-200'}`;
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className={dark ? 'bg-white/10' : 'bg-gray-100'}>
+            <tr>
+              <th className={headerClass} style={{ color: theme.text }} onClick={() => toggleSort('time')}>
+                {t('dashboard.widgets.time')}{arrow('time')}
+              </th>
+              {seriesList.map(item => (
+                <th key={item.key} className={headerClass} style={{ color: item.color }} onClick={() => toggleSort(item.key)}>
+                  {item.name}{arrow(item.key)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {current.rows.map(row => (
+              <tr key={row.time} className={dark ? 'border-t border-white/10 hover:bg-white/5' : 'border-t border-gray-200'}>
+                <td className="px-4 py-2" style={{ color: theme.axis }}>{format.time(row.time)}</td>
+                {seriesList.map(item => (
+                  <td key={item.key} className="px-4 py-2 font-bold" style={{ color: theme.text }}>
+                    {format.currency(row[item.key], item.currency)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center justify-end gap-2 mt-2 text-sm" style={{ color: theme.axis }}>
+        <select
+          value={options.pageSize}
+          onChange={(e) => onOptionsChange({ pageSize: Number(e.target.value) })}
+          className={`px-2 py-1 rounded border ${dark ? 'bg-white/20 border-white/30 text-white' : 'border-gray-300'}`}
+          aria-label={t('dashboard.widgets.pageSize')}
+        >
+          {TABLE_PAGE_SIZES.map(size => <option key={size} value={size}>{t('dashboard.widgets.rows', { count: size })}</option>)}
+        </select>
+        <button
+          onClick={() => setPage(current.page - 1)}
+          disabled={current.page === 0}
+          className="p-1 disabled:opacity-30"
+          aria-label={t('dashboard.widgets.previousPage')}
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <span>{current.page + 1} / {current.pageCount}</span>
+        <button
+          onClick={() => setPage(current.page + 1)}
+          disabled={current.page >= current.pageCount - 1}
+          className="p-1 disabled:opacity-30"
+          aria-label={t('dashboard.widgets.nextPage')}
+        >
+          <ChevronRight size={18} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Contenido de un widget según su tipo; seriesList son ya las series del widget
+export default function WidgetContent({
+  widget,
+  seriesList,
+  data,
+  height,
+  references,
+  theme = CHART_THEMES.dark,
+  animate = true,
+  onOptionsChange
+}) {
+  if (seriesList.length === 0) return <EmptyWidget theme={theme} />;
+
+  switch (widget.type) {
+    case 'gauge':
+      return <Gauge item={seriesList[0]} data={data} options={widget.options} theme={theme} />;
+    case 'stat':
+      return <SingleStat item={seriesList[0]} data={data} options={widget.options} theme={theme} />;
+    case 'table':
+      return (
+        <DataTable
+          seriesList={seriesList}
+          data={data}
+          options={widget.options}
+          onOptionsChange={onOptionsChange}
+          theme={theme}
+        />
+      );
+    default:
+      return (
+        <SeriesChart
+          type={widget.type}
+          data={data}
+          seriesList={seriesList}
+          references={references}
+          theme={theme}
+          animate={animate}
+          height={height}
+        />
+      );
+  }
+}
@@ -0,0 +1,172 @@
+// Motor de reglas de alerta sobre las series en vivo.
+//
+// Tipos de regla:
+//   above   el valor supera threshold; se resuelve al bajar de threshold - hysteresis
+//   below   el valor cae por debajo de threshold; se resuelve al subir de threshold + hysteresis
+//   change  la variación porcentual en windowSeconds alcanza ±threshold %;
+//           se resuelve cuando baja de threshold - hysteresis
+//   stale   no llegan datos durante windowSeconds; se resuelve con el siguiente dato
+//
+// Tras dispararse, una regla no vuelve a dispararse hasta que pasa cooldownSeconds.
+
+import { createId } from './ids';
+
+// Los nombres de cada tipo están en los catálogos de idioma (dashboard.alerts.types)
+export const RULE_TYPES = ['above', 'below', 'change', 'stale'];
+
+// El nombre por defecto lo pone la interfaz en su idioma (dashboard.alerts.defaultName)
+export const createRule = (overrides = {}) => ({
+  id: createId('rule'),
+  name: '',
+  seriesKey: '',
+  type: 'above',
+  threshold: 0,
+  hysteresis: 0,
+  windowSeconds: 60,
+  cooldownSeconds: 30,
+  notify: false,
+  enabled: true,
+  ...overrides
+});
+
+const IDLE = { firing: false, lastFiredAt: null };
+
+// Valor de referencia para la variación: el último punto anterior al inicio de la ventana,
+// o el primero dentro de ella si no hay historia suficiente
+const baselineFor = (points, windowMs) => {
+  const latest = points[points.length - 1];
+  const windowStart = latest.time - windowMs;
+  let baseline = points[0];
+  for (let i = points.length - 1; i >= 0; i -= 1) {
+    if (points[i].time <= windowStart) {
+      baseline = points[i];
+      break;
+    }
+  }
+  return baseline;
+};
+
+// Comprueba la condición de una regla. Devuelve { active, cleared, value, reason }:
+// active indica que se cumple la condición de disparo y cleared que se ha salido de la
+// banda de histéresis; entre ambos estados la regla conserva el estado anterior. reason es
+// { code, params } y se muestra con alertReasonText.
+export function checkCondition(rule, points, now, since) {
+  const latest = points && points.length > 0 ? points[points.length - 1] : null;
+  const threshold = Number(rule.threshold);
+  const hysteresis = Math.abs(Number(rule.hysteresis) || 0);
+
+  if (rule.type === 'stale') {
+    const windowMs = Number(rule.windowSeconds) * 1000;
+    const lastTime = latest ? latest.time : since;
+    if (lastTime === null || lastTime === undefined) return { active: false, cleared: true, value: null };
+    const silence = now - lastTime;
+    return {
+      active: silence > windowMs,
+      cleared: silence <= windowMs,
+      value: latest ? latest.value : null,
+      reason: { code: 'stale', params: { seconds: Math.round(silence / 1000) } }
+    };
+  }
+
+  if (!latest) return { active: false, cleared: true, value: null };
+
+  if (rule.type === 'above') {
+    return {
+      active: latest.value > threshold,
+      cleared: latest.value < threshold - hysteresis,
+      value: latest.value,
+      reason: { code: 'above', params: { value: latest.value, threshold } }
+    };
+  }
+
+  if (rule.type === 'below') {
+    return {
+      active: latest.value < threshold,
+      cleared: latest.value > threshold + hysteresis,
+      value: latest.value,
+      reason: { code: 'below', params: { value: latest.value, threshold } }
+    };
+  }
+
+  if (rule.type === 'change') {
+    const baseline = baselineFor(points, Number(rule.windowSeconds) * 1000);
+    if (baseline === latest || baseline.value === 0) return { active: false, cleared: true, value: latest.value };
+    const percent = ((latest.value - baseline.value) / Math.abs(baseline.value)) * 100;
+    const magnitude = Math.abs(percent);
+    return {
+      active: magnitude >= Math.abs(threshold),
+      cleared: magnitude < Math.abs(threshold) - hysteresis,
+      value: latest.value,
+      reason: { code: 'change', params: { percent, seconds: Number(rule.windowSeconds) } }
+    };
+  }
+
+  return { active: false, cleared: true, value: latest.value };
+}
+
+// Evalúa una regla a partir de su estado anterior. Devuelve { state, event }.
+export function evaluateRule(rule, points, previousState = IDLE, now = Date.now(), since = null) {
+  const state = previousState || IDLE;
+  if (!rule.enabled || !rule.seriesKey) {
+    return { state: state.firing ? { ...state, firing: false } : state, event: null };
+  }
+
+  const result = checkCondition(rule, points, now, since);
+
+  if (!state.firing && result.active) {
+    const cooldownMs = (Number(rule.cooldownSeconds) || 0) * 1000;
+    if (state.lastFiredAt !== null && now - state.lastFiredAt < cooldownMs) {
+      return { state, event: null };
+    }
+    return {
+      state: { firing: true, lastFiredAt: now },
+      event: { type: 'fired', ruleId: rule.id, seriesKey: rule.seriesKey, time: now, value: result.value, reason: result.reason }
+    };
+  }
+
+  if (state.firing && result.cleared) {
+    return {
+      state: { ...state, firing: false },
+      event: { type: 'resolved', ruleId: rule.id, seriesKey: rule.seriesKey, time: now, value: result.value, reason: result.reason }
+    };
+  }
+
+  return { state, event: null };
+}
+
+// Texto del motivo de un evento en el idioma de la interfaz (dashboard.alerts.reasons)
+export const alertReasonText = ({ code, params }, { t, format }) => t(
+  `dashboard.alerts.reasons.${code}`,
+  Object.fromEntries(Object.entries(params).map(([name, value]) => (
+    [name, name === 'percent' ? format.signedPercent(value) : format.decimal(value)]
+  )))
+);
+
+// Evalúa todas las reglas. series: { [seriesKey]: points }; states: { [ruleId]: state }
+export function evaluateRules(rules, series, states, now = Date.now(), since = null) {
+  const nextStates = {};
+  const events = [];
+  rules.forEach(rule => {
+    const { state, event } = evaluateRule(rule, series[rule.seriesKey], states[rule.id], now, since);
+    nextStates[rule.id] = state;
+    if (event) events.push({ ...event, ruleName: rule.name });
+  });
+  return { states: nextStates, events };
+}
+
+// Envía una notificación del navegador si el usuario lo ha permitido
+export function notify(title, body) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    // eslint-disable-next-line no-new
+    new Notification(title, { body });
+  } catch (err) {
+    console.error('Error showing notification:', err);
+  }
+}
+
+export function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return Promise.resolve('denied');
+  if (Notification.permission !== 'default') return Promise.resolve(Notification.permission);
+  return Notification.requestPermission();
+}
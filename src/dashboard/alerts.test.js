@@ -0,0 +1,81 @@
+import { alertReasonText, createRule, evaluateRule, evaluateRules } from './alerts';
+import { createI18n } from '../i18n/i18n';
+
+const point = (time, value) => ({ time, value });
+
+// Aplica una secuencia de valores (uno por segundo) y devuelve los eventos generados
+const run = (rule, values) => {
+  let state;
+  const points = [];
+  const events = [];
+  values.forEach((value, i) => {
+    points.push(point(i * 1000, value));
+    const result = evaluateRule(rule, points, state, i * 1000);
+    state = result.state;
+    if (result.event) events.push(`${result.event.type}@${i}`);
+  });
+  return events;
+};
+
+describe('reglas de umbral', () => {
+  test('above se dispara al superar el umbral y se resuelve con histéresis', () => {
+    const rule = createRule({ seriesKey: 's', type: 'above', threshold: 10, hysteresis: 2, cooldownSeconds: 0 });
+    expect(run(rule, [5, 11, 9, 12, 7, 11])).toEqual(['fired@1', 'resolved@4', 'fired@5']);
+  });
+
+  test('below se dispara al bajar del umbral', () => {
+    const rule = createRule({ seriesKey: 's', type: 'below', threshold: 0, hysteresis: 1, cooldownSeconds: 0 });
+    expect(run(rule, [2, -1, 0.5, 1.5])).toEqual(['fired@1', 'resolved@3']);
+  });
+
+  test('el enfriamiento evita disparos repetidos', () => {
+    const rule = createRule({ seriesKey: 's', type: 'above', threshold: 10, cooldownSeconds: 3 });
+    expect(run(rule, [11, 5, 11, 5, 11])).toEqual(['fired@0', 'resolved@1', 'fired@4']);
+  });
+
+  test('una regla desactivada no genera eventos', () => {
+    const rule = createRule({ seriesKey: 's', type: 'above', threshold: 10, enabled: false });
+    expect(run(rule, [11, 12])).toEqual([]);
+  });
+});
+
+describe('variación porcentual', () => {
+  test('compara con el valor al inicio de la ventana', () => {
+    const rule = createRule({ seriesKey: 's', type: 'change', threshold: 10, windowSeconds: 2, cooldownSeconds: 0 });
+    // 100 → 105 (+5 %) → 112 (+12 % respecto a 100) → 113 (+7.6 % respecto a 105)
+    expect(run(rule, [100, 105, 112, 113])).toEqual(['fired@2', 'resolved@3']);
+  });
+});
+
+test('alertReasonText da el motivo de un evento en el idioma de la interfaz', () => {
+  expect(alertReasonText({ code: 'change', params: { percent: 12, seconds: 2 } }, createI18n('en'))).toBe('Change of +12.00% in 2 s');
+  expect(alertReasonText({ code: 'above', params: { value: 150.5, threshold: 100 } }, createI18n('es'))).toBe('150,5 > 100');
+});
+
+describe('sin datos', () => {
+  test('se dispara tras N segundos sin muestras y se resuelve con la siguiente', () => {
+    const rule = createRule({ seriesKey: 's', type: 'stale', windowSeconds: 5 });
+    const points = [point(0, 1)];
+    let result = evaluateRule(rule, points, undefined, 3000);
+    expect(result.event).toBeNull();
+    result = evaluateRule(rule, points, result.state, 6000);
+    expect(result.event).toMatchObject({ type: 'fired', reason: { code: 'stale', params: { seconds: 6 } } });
+    points.push(point(6500, 2));
+    result = evaluateRule(rule, points, result.state, 7000);
+    expect(result.event.type).toBe('resolved');
+  });
+
+  test('sin ninguna muestra cuenta desde el inicio del modo en vivo', () => {
+    const rule = createRule({ seriesKey: 's', type: 'stale', windowSeconds: 5 });
+    expect(evaluateRule(rule, undefined, undefined, 10000, 2000).event.type).toBe('fired');
+  });
+});
+
+describe('evaluateRules', () => {
+  test('devuelve estados por regla y eventos con el nombre de la regla', () => {
+    const rule = createRule({ name: 'Caro', seriesKey: 'btc', type: 'above', threshold: 100 });
+    const { states, events } = evaluateRules([rule], { btc: [point(0, 150)] }, {}, 0);
+    expect(states[rule.id].firing).toBe(true);
+    expect(events).toEqual([expect.objectContaining({ type: 'fired', ruleName: 'Caro', seriesKey: 'btc', value: 150 })]);
+  });
+});
@@ -0,0 +1,5 @@
+// Retardo exponencial con jitter: entre la mitad y el total de min(max, base * 2^attempt)
+export function backoffDelay(attempt, { base = 1000, max = 30000, random = Math.random } = {}) {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createCorsProxy } from '../../scripts/cors-proxy';
+import { proxiedUrl } from './requestBuilder';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(resolve => server.close(resolve));
+
+// Los clientes que no son un navegador se identifican con esta cabecera
+const CLI_HEADERS = { 'X-Cors-Proxy': '1' };
+
+// Petición mínima con http para no depender de fetch en el entorno de los tests
+const request = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, (res) => {
+    let text = '';
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+describe('scripts/cors-proxy', () => {
+  let target;
+  let proxy;
+  let proxyBase;
+  let received;
+
+  beforeAll(async () => {
+    target = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body };
+        res.writeHead(req.url.startsWith('/missing') ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ price: 42 }));
+      });
+    });
+    const targetPort = await listen(target);
+    target.base = `http://127.0.0.1:${targetPort}`;
+    proxy = createCorsProxy({ allowedOrigins: ['http://localhost:3000'] });
+    proxyBase = `http://127.0.0.1:${await listen(proxy)}/`;
+  });
+
+  afterAll(async () => {
+    await close(proxy);
+    await close(target);
+  });
+
+  test('reenvía la petición y añade las cabeceras CORS', async () => {
+    const response = await request(proxiedUrl(`${target.base}/data?since=5`, proxyBase), {
+      method: 'POST',
+      headers: { Origin: 'http://localhost:3000', Authorization: 'Bearer abc', 'Content-Type': 'application/json' },
+      body: '{"a":1}'
+    });
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.text)).toEqual({ price: 42 });
+    expect(response.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+    expect(received).toMatchObject({ method: 'POST', url: '/data?since=5', body: '{"a":1}' });
+    expect(received.headers.authorization).toBe('Bearer abc');
+    expect(received.headers.origin).toBeUndefined();
+  });
+
+  test('conserva el estado de error del destino', async () => {
+    const response = await request(proxiedUrl(`${target.base}/missing`, proxyBase), { headers: CLI_HEADERS });
+    expect(response.status).toBe(404);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    expect(received.headers['x-cors-proxy']).toBeUndefined();
+  });
+
+  test('rechaza las peticiones de otros orígenes sin contactar con el destino', async () => {
+    received = null;
+    const response = await request(proxiedUrl(`${target.base}/data`, proxyBase), { headers: { Origin: 'https://evil.example' } });
+    expect(response.status).toBe(403);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    const preflight = await request(proxyBase, { method: 'OPTIONS', headers: { Origin: 'null' } });
+    expect(preflight.status).toBe(403);
+    expect(received).toBeNull();
+  });
+
+  test('rechaza las peticiones sin Origin ni X-Cors-Proxy y las de otro Host', async () => {
+    received = null;
+    // Como un <img> o una navegación desde otra página
+    expect((await request(proxiedUrl(`${target.base}/data`, proxyBase))).status).toBe(403);
+    // DNS rebinding: el navegador envía el Origin y el Host del dominio del atacante
+    const rebound = await request(proxiedUrl(`${target.base}/data`, proxyBase), {
+      headers: { Origin: 'http://localhost:3000', Host: `attacker.example:${new URL(proxyBase).port}` }
+    });
+    expect(rebound.status).toBe(403);
+    expect(received).toBeNull();
+  });
+
+  test('responde a las peticiones preflight sin contactar con el destino', async () => {
+    received = null;
+    const response = await request(proxyBase, {
+      method: 'OPTIONS',
+      headers: { Origin: 'http://localhost:3000', 'Access-Control-Request-Headers': 'authorization' }
+    });
+    expect(response.status).toBe(204);
+    expect(response.headers['access-control-allow-headers']).toBe('authorization');
+    expect(received).toBeNull();
+  });
+
+  test('rechaza URLs ausentes o de otros protocolos y destinos caídos', async () => {
+    expect((await request(proxyBase, { headers: CLI_HEADERS })).status).toBe(400);
+    expect((await request(proxiedUrl('file:///etc/passwd', proxyBase), { headers: CLI_HEADERS })).status).toBe(400);
+    const unreachable = await request(proxiedUrl('http://127.0.0.1:1/', proxyBase), { headers: CLI_HEADERS });
+    expect(unreachable.status).toBe(502);
+    expect(JSON.parse(unreachable.text).error).toMatch(/No se pudo contactar/);
+  });
+});
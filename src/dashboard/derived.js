@@ -0,0 +1,212 @@
+import { parseExpression, compileExpression, collectVariables, FUNCTIONS, CONSTANTS } from '../visualizer/expression';
+import { standardDeviation } from './stats';
+import { createId } from './ids';
+import { LocalizedError } from '../i18n/errors';
+
+// Series derivadas que se superponen en los gráficos del dashboard.
+//
+// Cada definición { id, name, type, sourceKey, window, multiplier, rateUnit, expression, color, enabled }
+// se calcula sobre las series mostradas y produce una o varias series de puntos
+// { time, value } (las bandas de Bollinger dan tres). Las fórmulas combinan series
+// por nombre: cada serie es una variable (ver seriesVariables) y en cada instante se usa el
+// último valor conocido de cada una.
+
+// Los nombres de tipos y unidades están en los catálogos de idioma (dashboard.derived)
+export const DERIVED_TYPES = ['sma', 'ema', 'roc', 'std', 'bollinger', 'formula'];
+
+export const RATE_UNITS = ['percent', 'perSecond'];
+
+const DERIVED_DASH = '6 3';
+const BAND_DASH = '2 3';
+
+// El nombre por defecto lo pone la interfaz en su idioma (dashboard.derived.defaultName)
+export const createDerived = (overrides = {}) => ({
+  id: createId('der'),
+  name: '',
+  type: 'sma',
+  sourceKey: '',
+  // Número de muestras de las medias y de la desviación móviles
+  window: 10,
+  // Anchura de las bandas de Bollinger en desviaciones estándar
+  multiplier: 2,
+  rateUnit: 'percent',
+  expression: '',
+  color: '#f472b6',
+  enabled: true,
+  ...overrides
+});
+
+const withValue = (point, value) => ({ time: point.time, value });
+
+const windowSize = (window, min = 1) => Math.max(min, Math.round(Number(window)) || min);
+
+// Media de las últimas window muestras; empieza cuando la ventana está llena
+export function movingAverage(points, window) {
+  const size = windowSize(window);
+  const result = [];
+  let sum = 0;
+  points.forEach((point, i) => {
+    sum += point.value;
+    if (i >= size) sum -= points[i - size].value;
+    if (i >= size - 1) result.push(withValue(point, sum / size));
+  });
+  return result;
+}
+
+// Media exponencial con α = 2 / (window + 1), iniciada en el primer valor
+export function exponentialAverage(points, window) {
+  const alpha = 2 / (windowSize(window) + 1);
+  let average = null;
+  return points.map(point => {
+    average = average === null ? point.value : average + alpha * (point.value - average);
+    return withValue(point, average);
+  });
+}
+
+// Variación entre muestras consecutivas, en % del valor anterior o por segundo transcurrido
+export function rateOfChange(points, unit = 'percent') {
+  return points.slice(1).flatMap((point, i) => {
+    const previous = points[i];
+    const diff = point.value - previous.value;
+    if (unit === 'perSecond') {
+      const seconds = (point.time - previous.time) / 1000;
+      return seconds > 0 ? [withValue(point, diff / seconds)] : [];
+    }
+    return previous.value !== 0 ? [withValue(point, (diff / Math.abs(previous.value)) * 100)] : [];
+  });
+}
+
+// Desviación estándar de las últimas window muestras
+export function rollingStd(points, window) {
+  const size = windowSize(window, 2);
+  return points.slice(size - 1).map((point, i) => (
+    withValue(point, standardDeviation(points.slice(i, i + size).map(p => p.value)))
+  ));
+}
+
+// Media móvil ± multiplier desviaciones estándar de la misma ventana
+export function bollingerBands(points, window, multiplier) {
+  const middle = movingAverage(points, windowSize(window, 2));
+  const deviation = rollingStd(points, window);
+  const k = Number(multiplier) || 0;
+  return {
+    middle,
+    upper: middle.map((point, i) => withValue(point, point.value + k * deviation[i].value)),
+    lower: middle.map((point, i) => withValue(point, point.value - k * deviation[i].value))
+  };
+}
+
+// Evalúa ast en cada instante en el que cambia alguna de las series { variable: points },
+// con el último valor de cada una, en cuanto todas tienen al menos uno
+export function combineSeries(ast, seriesByVariable) {
+  const evaluate = compileExpression(ast);
+  const names = Object.keys(seriesByVariable);
+  const events = names
+    .flatMap(name => seriesByVariable[name].map(point => ({ name, point })))
+    .sort((a, b) => a.point.time - b.point.time);
+
+  const scope = {};
+  const result = [];
+  events.forEach(({ name, point }, i) => {
+    scope[name] = point.value;
+    // Un solo resultado por instante, con todos los valores de ese instante ya aplicados
+    if (events[i + 1] && events[i + 1].point.time === point.time) return;
+    if (!names.every(variable => variable in scope)) return;
+    const value = evaluate(scope);
+    if (Number.isFinite(value)) result.push(withValue(point, value));
+  });
+  return result;
+}
+
+const slugify = name => String(name)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+// Nombre de variable de cada serie en las fórmulas: su nombre en minúsculas, sin acentos y con
+// "_" en lugar de espacios y signos ("Bitcoin Price (CoinDesk)" → bitcoin_price_coindesk)
+export function seriesVariables(seriesList) {
+  const used = new Set();
+  return seriesList.map(item => {
+    let base = slugify(item.name) || 'serie';
+    if (/^\d/.test(base)) base = `s_${base}`;
+    if (FUNCTIONS[base] || base in CONSTANTS) base = `${base}_`;
+    let variable = base;
+    let suffix = 2;
+    while (used.has(variable)) {
+      variable = `${base}_${suffix}`;
+      suffix += 1;
+    }
+    used.add(variable);
+    return { key: item.key, name: item.name, variable };
+  });
+}
+
+// Series que produce una definición: [{ suffix, label, points, dash }]
+function deriveOutputs(definition, series, variables, bandLabels) {
+  if (definition.type === 'formula') {
+    const ast = parseExpression(definition.expression, { variables: variables.map(item => item.variable) });
+    const used = collectVariables(ast);
+    const seriesByVariable = Object.fromEntries(variables
+      .filter(item => used.includes(item.variable))
+      .map(item => [item.variable, series[item.key] || []]));
+    return [{ suffix: '', points: combineSeries(ast, seriesByVariable), dash: DERIVED_DASH }];
+  }
+
+  if (!variables.some(item => item.key === definition.sourceKey)) {
+    throw new LocalizedError('dashboard.derived.errors.missingSource');
+  }
+  const points = series[definition.sourceKey] || [];
+  switch (definition.type) {
+    case 'sma':
+      return [{ suffix: '', points: movingAverage(points, definition.window), dash: DERIVED_DASH }];
+    case 'ema':
+      return [{ suffix: '', points: exponentialAverage(points, definition.window), dash: DERIVED_DASH }];
+    case 'roc':
+      return [{ suffix: '', points: rateOfChange(points, definition.rateUnit), dash: DERIVED_DASH }];
+    case 'std':
+      return [{ suffix: '', points: rollingStd(points, definition.window), dash: DERIVED_DASH }];
+    case 'bollinger': {
+      const { middle, upper, lower } = bollingerBands(points, definition.window, definition.multiplier);
+      return [
+        { suffix: ':mid', label: bandLabels.mid, points: middle, dash: DERIVED_DASH },
+        { suffix: ':upper', label: bandLabels.upper, points: upper, dash: BAND_DASH },
+        { suffix: ':lower', label: bandLabels.lower, points: lower, dash: BAND_DASH }
+      ];
+    }
+    default:
+      throw new LocalizedError('dashboard.derived.errors.unknownType', { type: definition.type });
+  }
+}
+
+// Calcula las definiciones activas. Devuelve { list, series, errors }: la lista de series
+// { key, name, color, dash, derived } para los gráficos, sus puntos por clave y el error de cada
+// definición que no se ha podido calcular. bandLabels da el nombre de cada banda de Bollinger en
+// el idioma de la interfaz ({ mid, upper, lower })
+export function computeDerived(definitions, series, seriesList, bandLabels) {
+  const variables = seriesVariables(seriesList);
+  const list = [];
+  const values = {};
+  const errors = {};
+
+  definitions.filter(definition => definition.enabled).forEach(definition => {
+    try {
+      deriveOutputs(definition, series, variables, bandLabels).forEach(output => {
+        const key = `${definition.id}${output.suffix}`;
+        list.push({
+          key,
+          name: output.label ? `${definition.name} (${output.label})` : definition.name,
+          color: definition.color,
+          dash: output.dash,
+          derived: true
+        });
+        values[key] = output.points;
+      });
+    } catch (err) {
+      errors[definition.id] = err;
+    }
+  });
+  return { list, series: values, errors };
+}
@@ -0,0 +1,91 @@
+import {
+  movingAverage,
+  exponentialAverage,
+  rateOfChange,
+  rollingStd,
+  bollingerBands,
+  combineSeries,
+  seriesVariables,
+  computeDerived,
+  createDerived
+} from './derived';
+import { parseExpression } from '../visualizer/expression';
+
+const series = (values, start = 0, step = 1000) => values.map((value, i) => ({
+  time: start + i * step,
+  value
+}));
+
+const values = points => points.map(point => point.value);
+
+describe('transformaciones', () => {
+  test('movingAverage empieza cuando la ventana está llena', () => {
+    const result = movingAverage(series([1, 2, 3, 4, 5]), 3);
+    expect(values(result)).toEqual([2, 3, 4]);
+    expect(result[0]).toEqual({ time: 2000, value: 2 });
+  });
+
+  test('exponentialAverage pondera con α = 2 / (n + 1)', () => {
+    expect(values(exponentialAverage(series([10, 20, 20]), 3))).toEqual([10, 15, 17.5]);
+  });
+
+  test('rateOfChange en % por muestra y por segundo', () => {
+    expect(values(rateOfChange(series([100, 110, 99])))).toEqual([10, -10]);
+    expect(values(rateOfChange(series([0, 5, 10]), 'percent'))).toEqual([100]);
+    expect(values(rateOfChange(series([0, 5, 10], 0, 500), 'perSecond'))).toEqual([10, 10]);
+  });
+
+  test('rollingStd y bandas de Bollinger', () => {
+    expect(values(rollingStd(series([1, 3, 1, 3]), 2))).toEqual([1, 1, 1]);
+    const { middle, upper, lower } = bollingerBands(series([1, 3, 1, 3]), 2, 2);
+    expect(values(middle)).toEqual([2, 2, 2]);
+    expect(values(upper)).toEqual([4, 4, 4]);
+    expect(values(lower)).toEqual([0, 0, 0]);
+  });
+});
+
+describe('fórmulas', () => {
+  test('combineSeries usa el último valor de cada serie y espera a tenerlas todas', () => {
+    const a = series([10, 20, 30], 0, 1000);
+    const b = series([1, 2], 500, 1000);
+    const result = combineSeries(parseExpression('a - b'), { a, b });
+    expect(result.map(point => [point.time, point.value])).toEqual([[500, 9], [1000, 19], [1500, 18], [2000, 28]]);
+  });
+
+  test('seriesVariables genera identificadores únicos a partir del nombre', () => {
+    const list = ['Bitcoin Price (CoinDesk)', 'Temperatura Málaga', 'Temperatura Málaga', '2 ejes', 'pi']
+      .map((name, idx) => ({ key: `k${idx}`, name }));
+    expect(seriesVariables(list).map(item => item.variable))
+      .toEqual(['bitcoin_price_coindesk', 'temperatura_malaga', 'temperatura_malaga_2', 's_2_ejes', 'pi_']);
+  });
+});
+
+describe('computeDerived', () => {
+  const seriesList = [{ key: 'src1', name: 'Fuente A' }, { key: 'src2', name: 'Fuente B' }];
+  const data = { src1: series([1, 2, 3, 4]), src2: series([1, 1, 1, 1]) };
+
+  test('genera una serie por definición activa y tres para las bandas', () => {
+    const definitions = [
+      createDerived({ id: 'd1', name: 'Media', sourceKey: 'src1', window: 2 }),
+      createDerived({ id: 'd2', name: 'Bandas', type: 'bollinger', sourceKey: 'src1', window: 2 }),
+      createDerived({ id: 'd3', name: 'Diferencia', type: 'formula', expression: 'fuente_a - fuente_b' }),
+      createDerived({ id: 'd4', enabled: false, sourceKey: 'src1' })
+    ];
+    const bandLabels = { mid: 'media', upper: 'superior', lower: 'inferior' };
+    const { list, series: derivedPoints, errors } = computeDerived(definitions, data, seriesList, bandLabels);
+    expect(list.map(item => item.key)).toEqual(['d1', 'd2:mid', 'd2:upper', 'd2:lower', 'd3']);
+    expect(list[2]).toMatchObject({ name: 'Bandas (superior)', derived: true });
+    expect(values(derivedPoints.d3)).toEqual([0, 1, 2, 3]);
+    expect(errors).toEqual({});
+  });
+
+  test('informa de los errores de cada definición', () => {
+    const { list, errors } = computeDerived([
+      createDerived({ id: 'd1', sourceKey: 'src9' }),
+      createDerived({ id: 'd2', type: 'formula', expression: 'fuente_c * 2' })
+    ], data, seriesList);
+    expect(list).toEqual([]);
+    expect(errors.d1.message).toBe('La serie de origen no existe');
+    expect(errors.d2.message).toMatch(/fuente_c/);
+  });
+});
@@ -0,0 +1,90 @@
+// Reducción de series largas para dibujarlas sin perder la forma de la curva.
+// Ambos métodos conservan siempre el primer y el último punto y el orden temporal.
+
+// Largest-Triangle-Three-Buckets (Steinarsson, 2013): elige en cada bucket el punto
+// que forma el triángulo de mayor área con el punto anterior y la media del siguiente bucket.
+export function lttb(points, threshold) {
+  if (threshold >= points.length || threshold < 3) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let i = 0; i < threshold - 2; i += 1) {
+    const bucketStart = Math.floor(i * bucketSize) + 1;
+    const bucketEnd = Math.floor((i + 1) * bucketSize) + 1;
+
+    // Media del bucket siguiente
+    const nextStart = bucketEnd;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+    let avgTime = 0;
+    let avgValue = 0;
+    for (let j = nextStart; j < nextEnd; j += 1) {
+      avgTime += points[j].time;
+      avgValue += points[j].value;
+    }
+    const nextCount = Math.max(nextEnd - nextStart, 1);
+    avgTime /= nextCount;
+    avgValue /= nextCount;
+
+    let maxArea = -1;
+    let selected = bucketStart;
+    const { time: prevTime, value: prevValue } = points[previous];
+    for (let j = bucketStart; j < bucketEnd; j += 1) {
+      const area = Math.abs(
+        (prevTime - avgTime) * (points[j].value - prevValue)
+        - (prevTime - points[j].time) * (avgValue - prevValue)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = j;
+      }
+    }
+
+    sampled.push(points[selected]);
+    previous = selected;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+// Min/max por bucket: conserva los picos de cada intervalo (hasta 2 puntos por bucket)
+export function minMaxBuckets(points, threshold) {
+  if (threshold >= points.length || threshold < 4) return points;
+
+  const buckets = Math.floor((threshold - 2) / 2);
+  const bucketSize = (points.length - 2) / buckets;
+  const sampled = [points[0]];
+
+  for (let i = 0; i < buckets; i += 1) {
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.min(Math.floor((i + 1) * bucketSize) + 1, points.length - 1);
+    if (start >= end) continue;
+
+    let min = start;
+    let max = start;
+    for (let j = start; j < end; j += 1) {
+      if (points[j].value < points[min].value) min = j;
+      if (points[j].value > points[max].value) max = j;
+    }
+    if (min === max) {
+      sampled.push(points[min]);
+    } else {
+      sampled.push(points[Math.min(min, max)], points[Math.max(min, max)]);
+    }
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+export const DOWNSAMPLE_METHODS = {
+  lttb: lttb,
+  minmax: minMaxBuckets
+};
+
+export function downsample(points, threshold, method = 'lttb') {
+  const fn = DOWNSAMPLE_METHODS[method] || DOWNSAMPLE_METHODS.lttb;
+  return fn(points, threshold);
+}
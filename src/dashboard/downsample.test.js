@@ -0,0 +1,61 @@
+import { lttb, minMaxBuckets, downsample } from './downsample';
+import { resolveTimeRange } from './history';
+
+const makePoints = (count, fn) => Array.from({ length: count }, (_, i) => ({ time: i * 1000, value: fn(i) }));
+
+describe('lttb', () => {
+  test('devuelve la serie intacta si ya cabe en el umbral', () => {
+    const points = makePoints(10, i => i);
+    expect(lttb(points, 20)).toBe(points);
+  });
+
+  test('reduce al umbral conservando extremos y orden', () => {
+    const points = makePoints(1000, i => Math.sin(i / 50));
+    const sampled = lttb(points, 100);
+    expect(sampled).toHaveLength(100);
+    expect(sampled[0]).toBe(points[0]);
+    expect(sampled[99]).toBe(points[999]);
+    sampled.slice(1).forEach((point, idx) => expect(point.time).toBeGreaterThan(sampled[idx].time));
+  });
+
+  test('conserva un pico aislado', () => {
+    const points = makePoints(1000, i => (i === 500 ? 100 : 0));
+    expect(lttb(points, 50).some(point => point.value === 100)).toBe(true);
+  });
+});
+
+describe('minMaxBuckets', () => {
+  test('conserva el mínimo y el máximo globales', () => {
+    const points = makePoints(1000, i => (i === 300 ? -50 : i === 700 ? 80 : i % 7));
+    const sampled = minMaxBuckets(points, 40);
+    expect(sampled.length).toBeLessThanOrEqual(40);
+    expect(Math.min(...sampled.map(p => p.value))).toBe(-50);
+    expect(Math.max(...sampled.map(p => p.value))).toBe(80);
+  });
+});
+
+describe('downsample', () => {
+  test('usa LTTB con un método desconocido', () => {
+    const points = makePoints(200, i => i);
+    expect(downsample(points, 10, 'foo')).toEqual(lttb(points, 10));
+  });
+});
+
+describe('resolveTimeRange', () => {
+  const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+  test('resuelve rangos relativos', () => {
+    expect(resolveTimeRange('1h', {}, now)).toEqual({ from: now - 3600000, to: now });
+  });
+
+  test('en vivo no consulta el histórico', () => {
+    expect(resolveTimeRange('live', {}, now)).toBeNull();
+  });
+
+  test('valida el rango personalizado', () => {
+    expect(resolveTimeRange('custom', { from: '2024-01-01T10:00Z', to: '2024-01-01T11:00Z' }, now))
+      .toEqual({ from: Date.UTC(2024, 0, 1, 10), to: Date.UTC(2024, 0, 1, 11) });
+    expect(resolveTimeRange('custom', { from: '2024-01-01T11:00Z', to: '2024-01-01T10:00Z' }, now)).toBeNull();
+    expect(resolveTimeRange('custom', { from: '' }, now)).toBeNull();
+  });
+});
@@ -0,0 +1,300 @@
+import * as XLSX from 'xlsx';
+import { computeStats } from './stats';
+import { downloadBlob, filenameStamp } from '../shared/download';
+import { LocalizedError } from '../i18n/errors';
+
+// Exportación e importación de las series capturadas (CSV, JSON y libros .xlsx).
+//
+// Todos los formatos guardan cada punto con su timestamp en ISO 8601 y el valor extraído;
+// opcionalmente incluyen la respuesta completa (fullData) serializada como JSON.
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'xlsx', label: 'Excel' }
+];
+
+// Nombre por defecto de la hoja de resumen; la interfaz pasa el de su idioma (summarySheet)
+const SUMMARY_SHEET = 'Resumen';
+const SUMMARY_COLUMNS = ['sheet', 'series', 'color', 'count', 'min', 'max', 'avg', 'latest'];
+
+const toIso = time => new Date(time).toISOString();
+
+// Punto importado con el mismo formato que los que genera fetchData
+const toDataPoint = (timestamp, value, fullData) => {
+  const time = Date.parse(timestamp);
+  if (Number.isNaN(time)) throw new LocalizedError('dashboard.exchange.errors.invalidTimestamp', { value: timestamp });
+  const number = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(number)) throw new LocalizedError('dashboard.exchange.errors.invalidValue', { value });
+  return {
+    time,
+    value: number,
+    fullData: fullData === undefined || fullData === '' ? null : fullData
+  };
+};
+
+const parseFullData = (text) => {
+  if (text === undefined || text === null || text === '') return null;
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+// Filas planas (una por punto) para CSV
+export function buildExportRows(seriesList, series, { includeRaw = false } = {}) {
+  return seriesList.flatMap(item => (series[item.key] || []).map(point => ({
+    series: item.name,
+    timestamp: toIso(point.time),
+    value: point.value,
+    ...(includeRaw ? { fullData: JSON.stringify(point.fullData ?? null) } : {})
+  })));
+}
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(seriesList, series, options = {}) {
+  const columns = ['series', 'timestamp', 'value', ...(options.includeRaw ? ['fullData'] : [])];
+  const rows = buildExportRows(seriesList, series, options);
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCsv).join(','))
+    .join('\n');
+}
+
+export function toJson(seriesList, series, { includeRaw = false } = {}) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    series: seriesList.map(item => ({
+      name: item.name,
+      color: item.color,
+      path: item.path,
+      points: (series[item.key] || []).map(point => ({
+        timestamp: toIso(point.time),
+        value: point.value,
+        ...(includeRaw ? { fullData: point.fullData ?? null } : {})
+      }))
+    }))
+  }, null, 2);
+}
+
+// Los nombres de hoja de Excel admiten 31 caracteres y no admiten []:*?/\
+const sheetNameFor = (name, usedNames) => {
+  const base = (name || 'Serie').replace(/[[\]:*?/\\]/g, ' ').slice(0, 28).trim() || 'Serie';
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${base} ${suffix}`;
+    suffix += 1;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Excel no admite más de 32 767 caracteres por celda: una respuesta más larga se reparte en
+// las columnas fullData, fullData_2, fullData_3... y importWorkbook las vuelve a unir
+const MAX_CELL_LENGTH = 32767;
+
+const fullDataColumn = idx => (idx === 0 ? 'fullData' : `fullData_${idx + 1}`);
+
+const splitCell = (text) => {
+  const parts = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + MAX_CELL_LENGTH, text.length);
+    // No se corta un carácter que ocupa dos unidades UTF-16 (emojis...)
+    const last = text.charCodeAt(end - 1);
+    if (end < text.length && last >= 0xd800 && last <= 0xdbff) end -= 1;
+    parts.push(text.slice(start, end));
+    start = end;
+  }
+  return parts;
+};
+
+const joinFullData = (row) => {
+  if (row.fullData === undefined) return undefined;
+  let text = String(row.fullData);
+  for (let idx = 1; row[fullDataColumn(idx)] !== undefined; idx += 1) text += row[fullDataColumn(idx)];
+  return text;
+};
+
+export function toWorkbook(seriesList, series, { includeRaw = false, summarySheet = SUMMARY_SHEET } = {}) {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set([summarySheet.toLowerCase()]);
+  const summary = [];
+
+  seriesList.forEach(item => {
+    const points = series[item.key] || [];
+    const sheetName = sheetNameFor(item.name, usedNames);
+    let rawColumns = includeRaw ? 1 : 0;
+    const rows = points.map(point => {
+      if (!includeRaw) return { timestamp: toIso(point.time), value: point.value };
+      const parts = splitCell(JSON.stringify(point.fullData ?? null));
+      rawColumns = Math.max(rawColumns, parts.length);
+      return {
+        timestamp: toIso(point.time),
+        value: point.value,
+        ...Object.fromEntries(parts.map((part, idx) => [fullDataColumn(idx), part]))
+      };
+    });
+    const header = ['timestamp', 'value', ...Array.from({ length: rawColumns }, (_, idx) => fullDataColumn(idx))];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header }), sheetName);
+
+    const stats = computeStats(points);
+    summary.push({
+      sheet: sheetName,
+      series: item.name,
+      color: item.color,
+      count: points.length,
+      min: stats ? stats.min : null,
+      max: stats ? stats.max : null,
+      avg: stats ? stats.avg : null,
+      latest: stats ? stats.latest : null
+    });
+  });
+
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summary, { header: SUMMARY_COLUMNS }), summarySheet);
+  // El resumen va primero para que sea lo que se ve al abrir el libro
+  workbook.SheetNames = [summarySheet, ...workbook.SheetNames.filter(name => name !== summarySheet)];
+  return workbook;
+}
+
+export function exportSeries(format, seriesList, series, options = {}) {
+  const filename = `live-data-${filenameStamp()}.${format}`;
+
+  if (format === 'csv') {
+    downloadBlob(new Blob([toCsv(seriesList, series, options)], { type: 'text/csv;charset=utf-8' }), filename);
+  } else if (format === 'json') {
+    downloadBlob(new Blob([toJson(seriesList, series, options)], { type: 'application/json' }), filename);
+  } else if (format === 'xlsx') {
+    const buffer = XLSX.write(toWorkbook(seriesList, series, options), { bookType: 'xlsx', type: 'array' });
+    downloadBlob(
+      new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      filename
+    );
+  } else {
+    throw new LocalizedError('dashboard.exchange.errors.unknownFormat', { format });
+  }
+}
+
+// --- Importación ---
+
+// Parser CSV mínimo (RFC 4180): comillas dobles, comas y saltos de línea dentro de campos
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// Agrupa filas { series, timestamp, value, fullData } por nombre de serie. Las series sin nombre
+// se quedan sin él en todos los importadores para que la interfaz les dé uno en su idioma.
+const groupRows = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const name = row.series || '';
+    if (!groups.has(name)) groups.set(name, { name, color: undefined, points: [] });
+    groups.get(name).points.push(toDataPoint(row.timestamp, row.value, parseFullData(row.fullData)));
+  });
+  return [...groups.values()];
+};
+
+export function importCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('timestamp') || !header.includes('value')) {
+    throw new LocalizedError('dashboard.exchange.errors.missingColumns');
+  }
+  return groupRows(rows.map(cells => Object.fromEntries(header.map((column, idx) => [column, cells[idx]]))));
+}
+
+export function importJson(text) {
+  const parsed = JSON.parse(text);
+  if (!parsed || !Array.isArray(parsed.series)) {
+    throw new LocalizedError('dashboard.exchange.errors.missingSeries');
+  }
+  return parsed.series.map(item => ({
+    name: item.name || '',
+    color: item.color,
+    points: (item.points || []).map(point => toDataPoint(point.timestamp, point.value, point.fullData))
+  }));
+}
+
+// La hoja de resumen se reconoce por sus columnas, porque su nombre depende del idioma
+const isSummarySheet = (sheet) => {
+  const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+  return header[0] === SUMMARY_COLUMNS[0] && header[1] === SUMMARY_COLUMNS[1];
+};
+
+export function importWorkbook(data) {
+  const workbook = XLSX.read(data, { type: 'array' });
+  const summaryName = workbook.SheetNames.find(name => isSummarySheet(workbook.Sheets[name]));
+  const summary = summaryName ? XLSX.utils.sheet_to_json(workbook.Sheets[summaryName]) : [];
+  const metaBySheet = Object.fromEntries(summary.map(row => [row.sheet, row]));
+
+  return workbook.SheetNames
+    .filter(name => name !== summaryName)
+    .map(sheetName => {
+      const meta = metaBySheet[sheetName] || {};
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { raw: true });
+      return {
+        name: meta.series || sheetName,
+        color: meta.color,
+        points: rows.map(row => toDataPoint(row.timestamp, row.value, parseFullData(joinFullData(row))))
+      };
+    });
+}
+
+export const readFile = (file, as) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (as === 'arrayBuffer') reader.readAsArrayBuffer(file);
+  else reader.readAsText(file);
+});
+
+// Lee un fichero exportado previamente y devuelve [{ name, color, points }]
+export async function importSeriesFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'csv') return importCsv(await readFile(file, 'text'));
+  if (extension === 'json') return importJson(await readFile(file, 'text'));
+  if (extension === 'xlsx' || extension === 'xls') {
+    return importWorkbook(new Uint8Array(await readFile(file, 'arrayBuffer')));
+  }
+  throw new LocalizedError('dashboard.exchange.errors.unsupportedFile', { extension });
+}
@@ -0,0 +1,108 @@
+import * as XLSX from 'xlsx';
+import { toCsv, toJson, toWorkbook, parseCsv, importCsv, importJson, importWorkbook } from './exporters';
+
+const seriesList = [
+  { key: 'src1', name: 'Bitcoin, USD', color: '#3b82f6', path: 'bpi.USD.rate_float' },
+  { key: 'src2', name: 'Temperatura', color: '#10b981', path: 'current.temperature_2m' }
+];
+
+const series = {
+  src1: [
+    { time: Date.UTC(2024, 0, 1, 10, 0, 0), value: 100, fullData: { price: 100 } },
+    { time: Date.UTC(2024, 0, 1, 10, 0, 5), value: 110.5, fullData: { price: 110.5, note: 'a "quoted", text' } }
+  ],
+  src2: [
+    { time: Date.UTC(2024, 0, 1, 10, 0, 2), value: -3, fullData: null }
+  ]
+};
+
+const simplify = imported => imported.map(item => ({
+  name: item.name,
+  points: item.points.map(point => [new Date(point.time).toISOString(), point.value, point.fullData])
+}));
+
+const expected = [
+  {
+    name: 'Bitcoin, USD',
+    points: [
+      ['2024-01-01T10:00:00.000Z', 100, { price: 100 }],
+      ['2024-01-01T10:00:05.000Z', 110.5, { price: 110.5, note: 'a "quoted", text' }]
+    ]
+  },
+  { name: 'Temperatura', points: [['2024-01-01T10:00:02.000Z', -3, null]] }
+];
+
+describe('CSV', () => {
+  test('exporta una fila por punto con timestamp ISO', () => {
+    const lines = toCsv(seriesList, series).split('\n');
+    expect(lines[0]).toBe('series,timestamp,value');
+    expect(lines[1]).toBe('"Bitcoin, USD",2024-01-01T10:00:00.000Z,100');
+    expect(lines).toHaveLength(4);
+  });
+
+  test('parseCsv respeta comillas, comas y saltos de línea', () => {
+    expect(parseCsv('a,b\n"x, ""y""","l1\nl2"\r\n')).toEqual([['a', 'b'], ['x, "y"', 'l1\nl2']]);
+  });
+
+  test('ida y vuelta con la respuesta completa', () => {
+    expect(simplify(importCsv(toCsv(seriesList, series, { includeRaw: true })))).toEqual(expected);
+  });
+
+  test('rechaza un CSV sin las columnas necesarias', () => {
+    expect(() => importCsv('foo,bar\n1,2')).toThrow(/timestamp/);
+  });
+});
+
+describe('JSON', () => {
+  test('ida y vuelta conservando color', () => {
+    const imported = importJson(toJson(seriesList, series, { includeRaw: true }));
+    expect(simplify(imported)).toEqual(expected);
+    expect(imported[0].color).toBe('#3b82f6');
+  });
+
+  test('sin includeRaw no guarda fullData', () => {
+    const parsed = JSON.parse(toJson(seriesList, series));
+    expect(parsed.series[0].points[0]).toEqual({ timestamp: '2024-01-01T10:00:00.000Z', value: 100 });
+  });
+});
+
+describe('Excel', () => {
+  test('crea una hoja por serie y una hoja de resumen con estadísticas', () => {
+    const workbook = toWorkbook(seriesList, series);
+    expect(workbook.SheetNames).toEqual(['Resumen', 'Bitcoin, USD', 'Temperatura']);
+
+    const summary = XLSX.utils.sheet_to_json(workbook.Sheets.Resumen);
+    expect(summary[0]).toMatchObject({ series: 'Bitcoin, USD', count: 2, min: 100, max: 110.5, avg: 105.25 });
+  });
+
+  test('ida y vuelta a través de un fichero .xlsx', () => {
+    const buffer = XLSX.write(toWorkbook(seriesList, series, { includeRaw: true }), { bookType: 'xlsx', type: 'array' });
+    const imported = importWorkbook(new Uint8Array(buffer));
+    expect(simplify(imported)).toEqual(expected);
+    expect(imported[1].color).toBe('#10b981');
+  });
+
+  test('reparte en varias columnas las respuestas que no caben en una celda', () => {
+    // El emoji queda justo en el límite de la primera celda (32 767 caracteres)
+    const fullData = { text: `${'a'.repeat(32757)}😀${'b'.repeat(40000)}` };
+    const long = { src1: [{ time: Date.UTC(2024, 0, 1), value: 1, fullData }] };
+    const workbook = toWorkbook([seriesList[0]], long, { includeRaw: true });
+    const [row] = XLSX.utils.sheet_to_json(workbook.Sheets['Bitcoin, USD']);
+    expect(Object.keys(row)).toEqual(['timestamp', 'value', 'fullData', 'fullData_2', 'fullData_3']);
+
+    const imported = importWorkbook(new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })));
+    expect(imported[0].points[0].fullData).toEqual(fullData);
+  });
+
+  test('reconoce la hoja de resumen aunque esté en otro idioma', () => {
+    const workbook = toWorkbook(seriesList, series, { includeRaw: true, summarySheet: 'Summary' });
+    expect(workbook.SheetNames[0]).toBe('Summary');
+    const imported = importWorkbook(new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })));
+    expect(simplify(imported)).toEqual(expected);
+  });
+});
+
+test('las series sin nombre se importan sin él', () => {
+  expect(importCsv('timestamp,value\n2024-01-01T10:00:00Z,1').map(item => item.name)).toEqual(['']);
+  expect(importJson('{"series": [{"points": []}]}')[0].name).toBe('');
+});
@@ -0,0 +1,145 @@
+// Histórico persistente de muestras en IndexedDB.
+//
+// Cada muestra es { seriesKey, time, value }; la respuesta completa (fullData) no se guarda
+// para que el histórico de varios días no crezca sin control. Las claves de serie empiezan por
+// el id de la fuente, que se guarda con ella, así que el histórico sigue siendo suyo al recargar,
+// cambiar de perfil o abrir un enlace.
+
+import { LocalizedError } from '../i18n/errors';
+
+const DB_NAME = 'live-data-dashboard';
+const DB_VERSION = 1;
+const STORE = 'samples';
+
+export const RETENTION_OPTIONS = [
+  { id: '1h', value: 60 * 60 * 1000 },
+  { id: '24h', value: 24 * 60 * 60 * 1000 },
+  { id: '7d', value: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', value: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'none', value: 0 }
+];
+
+export const DEFAULT_RETENTION = RETENTION_OPTIONS[1].value;
+
+// La retención es del navegador, como el histórico, así que se guarda en localStorage y no en los perfiles
+export const RETENTION_STORAGE_KEY = 'live-data-dashboard:retention';
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+// La retención elegida, o null si no se ha elegido ninguna o no se puede leer
+export function loadRetention(storage = defaultStorage()) {
+  try {
+    const stored = storage?.getItem(RETENTION_STORAGE_KEY);
+    if (stored === null || stored === undefined) return null;
+    const value = Number(stored);
+    return RETENTION_OPTIONS.some(option => option.value === value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function saveRetention(value, storage = defaultStorage()) {
+  if (!storage) return;
+  storage.setItem(RETENTION_STORAGE_KEY, String(value));
+}
+
+export const TIME_RANGES = [
+  { id: 'live' },
+  { id: '5m', duration: 5 * 60 * 1000 },
+  { id: '1h', duration: 60 * 60 * 1000 },
+  { id: '24h', duration: 24 * 60 * 60 * 1000 },
+  { id: 'custom' }
+];
+
+export const isHistoryAvailable = () => typeof indexedDB !== 'undefined';
+
+let dbPromise = null;
+
+const requestToPromise = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = transaction => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export function openHistoryDb() {
+  if (!isHistoryAvailable()) return Promise.reject(new LocalizedError('dashboard.history.unavailable'));
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { autoIncrement: true });
+      store.createIndex('time', 'time');
+      store.createIndex('seriesTime', ['seriesKey', 'time']);
+    };
+    dbPromise = requestToPromise(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+export async function saveSamples(samples) {
+  if (samples.length === 0) return;
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const store = transaction.objectStore(STORE);
+  samples.forEach(({ seriesKey, time, value }) => store.add({ seriesKey, time, value }));
+  await transactionDone(transaction);
+}
+
+// Muestras de una serie entre from y to (ms, ambos incluidos), ordenadas por tiempo
+export async function querySamples(seriesKey, from, to) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readonly');
+  const range = IDBKeyRange.bound([seriesKey, from], [seriesKey, to]);
+  return requestToPromise(transaction.objectStore(STORE).index('seriesTime').getAll(range));
+}
+
+// Devuelve { [seriesKey]: samples } para varias series
+export async function queryHistory(seriesKeys, from, to) {
+  const results = await Promise.all(seriesKeys.map(key => querySamples(key, from, to)));
+  return Object.fromEntries(seriesKeys.map((key, idx) => [key, results[idx]]));
+}
+
+// Elimina las muestras más antiguas que maxAge (ms). Con maxAge 0 no borra nada.
+export async function pruneHistory(maxAge, now = Date.now()) {
+  if (!maxAge) return 0;
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  const request = transaction.objectStore(STORE).index('time').openCursor(IDBKeyRange.upperBound(now - maxAge, true));
+  let deleted = 0;
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    cursor.delete();
+    deleted += 1;
+    cursor.continue();
+  };
+  await transactionDone(transaction);
+  return deleted;
+}
+
+export async function clearHistory() {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(STORE, 'readwrite');
+  transaction.objectStore(STORE).clear();
+  await transactionDone(transaction);
+}
+
+// Intervalo [from, to] en ms para un rango de tiempo; null para el modo "en vivo"
+export function resolveTimeRange(rangeId, custom = {}, now = Date.now()) {
+  if (rangeId === 'custom') {
+    const from = Date.parse(custom.from);
+    const to = custom.to ? Date.parse(custom.to) : now;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) return null;
+    return { from, to };
+  }
+  const range = TIME_RANGES.find(item => item.id === rangeId);
+  if (!range || !range.duration) return null;
+  return { from: now - range.duration, to: now };
+}
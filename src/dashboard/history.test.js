@@ -0,0 +1,28 @@
+import { RETENTION_STORAGE_KEY, loadRetention, saveRetention } from './history';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+};
+
+describe('loadRetention / saveRetention', () => {
+  test('recupera la retención guardada, incluida "sin límite"', () => {
+    const storage = memoryStorage();
+    saveRetention(0, storage);
+    expect(storage.data[RETENTION_STORAGE_KEY]).toBe('0');
+    expect(loadRetention(storage)).toBe(0);
+    saveRetention(7 * 24 * 60 * 60 * 1000, storage);
+    expect(loadRetention(storage)).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+
+  test('sin elección, con un valor desconocido o sin acceso al almacenamiento devuelve null', () => {
+    expect(loadRetention(memoryStorage())).toBeNull();
+    expect(loadRetention(memoryStorage({ [RETENTION_STORAGE_KEY]: '123' }))).toBeNull();
+    expect(loadRetention({ getItem: () => { throw new Error('SecurityError'); } })).toBeNull();
+    expect(loadRetention(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,19 @@
+// Ids de las fuentes y demás elementos de la configuración. Se guardan en los perfiles y en los
+// enlaces, y el histórico usa los de las fuentes como clave, así que no pueden salir de un
+// contador que vuelve a empezar en cada sesión. No llevan ":" porque separa el id del campo en
+// las claves de serie ("src-…:0").
+
+const randomHex = (bytes) => {
+  const values = new Uint8Array(bytes);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, idx) => { values[idx] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+// randomUUID solo existe en contextos seguros (https o localhost); fuera de ellos se usan 16 bytes aleatorios
+export const createId = prefix => `${prefix}-${
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : randomHex(16)
+}`;
@@ -0,0 +1,442 @@
+// Mini lenguaje de paths al estilo JSONPath para extraer valores de respuestas JSON.
+//
+// Soporta:
+//   bpi.USD.rate_float          acceso por propiedad ($ inicial opcional)
+//   results[0].login.uuid       índices (también negativos: items[-1])
+//   data['mi clave']            propiedades entre comillas
+//   items[*].price, items.*     comodines
+//   items[0,2], items[1:4]      uniones y slices
+//   $..price                    descenso recursivo
+//   items[?(@.active)].price    filtros (==, !=, <, <=, >, >=, &&, ||, !)
+//   sum(items[*].price)         agregaciones: sum, avg, min, max, count
+//
+// Un path que no coincide con nada lanza PathError en lugar de devolver undefined.
+
+import { LocalizedError } from '../i18n/errors';
+
+// code es la clave del texto en dashboard.jsonPath.errors; params lleva siempre el path
+export class PathError extends LocalizedError {
+  constructor(code, params) {
+    super(`dashboard.jsonPath.errors.${code}`, params);
+    this.name = 'PathError';
+    this.path = params.path;
+  }
+}
+
+const AGGREGATES = {
+  sum: values => values.reduce((acc, v) => acc + v, 0),
+  avg: values => values.reduce((acc, v) => acc + v, 0) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  count: values => values.length
+};
+
+// sum y count tienen un valor natural (0) sobre un conjunto vacío; el resto no
+const AGGREGATES_ALLOWING_EMPTY = ['sum', 'count'];
+
+const NAME_CHAR = /[^.[\]()\s=!<>&|,'"]/;
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+  }
+
+  error(code, params = {}) {
+    return new PathError(code, { ...params, position: this.pos + 1, path: this.input });
+  }
+
+  peek(length = 1) {
+    return this.input.slice(this.pos, this.pos + length);
+  }
+
+  skipSpaces() {
+    while (this.pos < this.input.length && /\s/.test(this.input[this.pos])) this.pos += 1;
+  }
+
+  eat(token) {
+    if (this.peek(token.length) === token) {
+      this.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    if (!this.eat(token)) throw this.error('expected', { token });
+  }
+
+  atEnd() {
+    return this.pos >= this.input.length;
+  }
+
+  // Expresión completa: agregación "fn(path)" o un path simple
+  parseExpression() {
+    this.skipSpaces();
+    const match = /^(sum|avg|min|max|count)\s*\(/.exec(this.input.slice(this.pos));
+    let expression;
+    if (match) {
+      this.pos += match[0].length;
+      this.skipSpaces();
+      const path = this.parsePath();
+      this.skipSpaces();
+      this.expect(')');
+      expression = { type: 'aggregate', fn: match[1], path };
+    } else {
+      expression = { type: 'path', path: this.parsePath() };
+    }
+    this.skipSpaces();
+    if (!this.atEnd()) throw this.error('unexpectedChar', { char: this.peek() });
+    return expression;
+  }
+
+  // Path con raíz opcional ($ o @) seguido de segmentos
+  parsePath() {
+    if (this.eat('$')) return { root: '$', segments: this.parseSegments() };
+    if (this.eat('@')) return { root: '@', segments: this.parseSegments() };
+    // Path sin raíz explícita: "bpi.USD" equivale a "$.bpi.USD"
+    const first = this.peek() === '[' ? [] : [this.parseDotMember()];
+    return { root: '$', segments: [...first, ...this.parseSegments()] };
+  }
+
+  parseSegments() {
+    const segments = [];
+    for (;;) {
+      if (this.eat('..')) {
+        const segment = this.peek() === '[' ? this.parseBracket() : this.parseDotMember();
+        segments.push({ type: 'descendant', segment });
+      } else if (this.eat('.')) {
+        segments.push(this.parseDotMember());
+      } else if (this.peek() === '[') {
+        segments.push(this.parseBracket());
+      } else {
+        return segments;
+      }
+    }
+  }
+
+  parseDotMember() {
+    if (this.eat('*')) return { type: 'wildcard' };
+    const start = this.pos;
+    while (!this.atEnd() && NAME_CHAR.test(this.input[this.pos])) this.pos += 1;
+    if (start === this.pos) throw this.error('expectedName');
+    return { type: 'child', name: this.input.slice(start, this.pos) };
+  }
+
+  parseBracket() {
+    this.expect('[');
+    this.skipSpaces();
+    let segment;
+    if (this.eat('*')) {
+      segment = { type: 'wildcard' };
+    } else if (this.eat('?')) {
+      this.skipSpaces();
+      this.expect('(');
+      const expr = this.parseOr();
+      this.skipSpaces();
+      this.expect(')');
+      segment = { type: 'filter', expr };
+    } else {
+      segment = this.parseSelectorList();
+    }
+    this.skipSpaces();
+    this.expect(']');
+    return segment;
+  }
+
+  // Índice, nombre entre comillas, slice o unión de varios de ellos
+  parseSelectorList() {
+    const items = [];
+    do {
+      this.skipSpaces();
+      const quote = this.peek();
+      if (quote === '\'' || quote === '"') {
+        items.push({ kind: 'name', value: this.parseString() });
+      } else {
+        const start = this.parseOptionalInteger();
+        this.skipSpaces();
+        if (this.eat(':')) {
+          this.skipSpaces();
+          const end = this.parseOptionalInteger();
+          this.skipSpaces();
+          let step = null;
+          if (this.eat(':')) {
+            this.skipSpaces();
+            step = this.parseOptionalInteger();
+          }
+          items.push({ kind: 'slice', start, end, step });
+        } else if (start === null) {
+          throw this.error('expectedIndex');
+        } else {
+          items.push({ kind: 'index', value: start });
+        }
+      }
+      this.skipSpaces();
+    } while (this.eat(','));
+
+    return items.length === 1 && items[0].kind === 'slice'
+      ? { type: 'slice', ...items[0] }
+      : { type: 'union', items };
+  }
+
+  parseOptionalInteger() {
+    const match = /^-?\d+/.exec(this.input.slice(this.pos));
+    if (!match) return null;
+    this.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  parseString() {
+    const quote = this.input[this.pos];
+    this.pos += 1;
+    let value = '';
+    while (!this.atEnd() && this.input[this.pos] !== quote) {
+      if (this.input[this.pos] === '\\') this.pos += 1;
+      value += this.input[this.pos];
+      this.pos += 1;
+    }
+    this.expect(quote);
+    return value;
+  }
+
+  // Expresiones de filtro
+  parseOr() {
+    let left = this.parseAnd();
+    for (;;) {
+      this.skipSpaces();
+      if (!this.eat('||')) return left;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    for (;;) {
+      this.skipSpaces();
+      if (!this.eat('&&')) return left;
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+  }
+
+  parseNot() {
+    this.skipSpaces();
+    if (this.peek() === '!' && this.peek(2) !== '!=') {
+      this.pos += 1;
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    this.skipSpaces();
+    const operator = ['==', '!=', '<=', '>=', '<', '>'].find(op => this.eat(op));
+    if (!operator) return left;
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseOperand() {
+    this.skipSpaces();
+    const char = this.peek();
+    if (this.eat('(')) {
+      const expr = this.parseOr();
+      this.skipSpaces();
+      this.expect(')');
+      return expr;
+    }
+    if (char === '@' || char === '$') {
+      return { type: 'path', path: this.parsePath() };
+    }
+    if (char === '\'' || char === '"') {
+      return { type: 'literal', value: this.parseString() };
+    }
+    const number = /^-?\d+(\.\d+)?([eE][-+]?\d+)?/.exec(this.input.slice(this.pos));
+    if (number) {
+      this.pos += number[0].length;
+      return { type: 'literal', value: Number(number[0]) };
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (this.eat(word)) return { type: 'literal', value };
+    }
+    throw this.error('invalidOperand');
+  }
+}
+
+const isContainer = value => value !== null && typeof value === 'object';
+
+const childrenOf = value => {
+  if (Array.isArray(value)) return value;
+  if (isContainer(value)) return Object.values(value);
+  return [];
+};
+
+const normalizeIndex = (index, length) => (index < 0 ? length + index : index);
+
+const sliceArray = (array, { start, end, step }) => {
+  const stride = step === null ? 1 : step;
+  if (stride === 0) return [];
+  const length = array.length;
+  const clamp = (value, fallback) => {
+    if (value === null) return fallback;
+    return Math.min(Math.max(normalizeIndex(value, length), stride > 0 ? 0 : -1), length);
+  };
+  const result = [];
+  if (stride > 0) {
+    for (let i = clamp(start, 0); i < clamp(end, length); i += stride) result.push(array[i]);
+  } else {
+    for (let i = clamp(start, length - 1); i > clamp(end, -1); i += stride) result.push(array[i]);
+  }
+  return result;
+};
+
+const descendantsOf = (value) => {
+  const all = [value];
+  childrenOf(value).forEach(child => {
+    all.push(...descendantsOf(child));
+  });
+  return all;
+};
+
+function applySegment(segment, value, root) {
+  switch (segment.type) {
+    case 'child':
+      return isContainer(value) && Object.prototype.hasOwnProperty.call(value, segment.name)
+        ? [value[segment.name]]
+        : [];
+    case 'wildcard':
+      return childrenOf(value);
+    case 'slice':
+      return Array.isArray(value) ? sliceArray(value, segment) : [];
+    case 'union':
+      return segment.items.flatMap(item => {
+        if (item.kind === 'name') return applySegment({ type: 'child', name: item.value }, value, root);
+        if (item.kind === 'slice') return applySegment({ type: 'slice', ...item }, value, root);
+        if (!Array.isArray(value)) return [];
+        const index = normalizeIndex(item.value, value.length);
+        return index >= 0 && index < value.length ? [value[index]] : [];
+      });
+    case 'filter':
+      return childrenOf(value).filter(item => isTruthy(evaluateFilter(segment.expr, item, root)));
+    case 'descendant':
+      return descendantsOf(value).flatMap(node => applySegment(segment.segment, node, root));
+    default:
+      return [];
+  }
+}
+
+function selectNodes(path, current, root) {
+  return path.segments.reduce(
+    (nodes, segment) => nodes.flatMap(node => applySegment(segment, node, root)),
+    [path.root === '@' ? current : root]
+  );
+}
+
+const isTruthy = value => value !== undefined && value !== null && value !== false;
+
+function evaluateFilter(expr, current, root) {
+  switch (expr.type) {
+    case 'literal':
+      return expr.value;
+    case 'path':
+      return selectNodes(expr.path, current, root)[0];
+    case 'not':
+      return !isTruthy(evaluateFilter(expr.operand, current, root));
+    case 'and':
+      return isTruthy(evaluateFilter(expr.left, current, root))
+        && isTruthy(evaluateFilter(expr.right, current, root));
+    case 'or':
+      return isTruthy(evaluateFilter(expr.left, current, root))
+        || isTruthy(evaluateFilter(expr.right, current, root));
+    case 'compare': {
+      const left = evaluateFilter(expr.left, current, root);
+      const right = evaluateFilter(expr.right, current, root);
+      switch (expr.operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+const parseCache = new Map();
+
+export function parsePath(path) {
+  if (!parseCache.has(path)) {
+    parseCache.set(path, new Parser(path).parseExpression());
+  }
+  return parseCache.get(path);
+}
+
+// Devuelve todos los nodos que coinciden con el path (sin agregaciones)
+export function queryPath(obj, path) {
+  const expression = parsePath(path);
+  if (expression.type !== 'path') {
+    throw new PathError('aggregate', { path });
+  }
+  return selectNodes(expression.path, obj, obj);
+}
+
+// Convierte un valor extraído en número, o lanza PathError si no es numérico
+export function toNumber(value, path) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    if (Number.isFinite(number)) return number;
+  }
+  if (Array.isArray(value)) {
+    throw new PathError('multipleValues', { path, count: value.length });
+  }
+  throw new PathError('notNumeric', { path, value: JSON.stringify(value) });
+}
+
+// Extrae el valor indicado por el path. Con varias coincidencias devuelve un array.
+export function getValueFromPath(obj, path) {
+  if (!path || !path.trim()) return obj;
+
+  const expression = parsePath(path);
+
+  if (expression.type === 'aggregate') {
+    let matches = selectNodes(expression.path, obj, obj);
+    // sum(precios) sobre un único array agrega sus elementos
+    if (matches.length === 1 && Array.isArray(matches[0])) matches = matches[0];
+    if (matches.length === 0 && !AGGREGATES_ALLOWING_EMPTY.includes(expression.fn)) {
+      throw new PathError('noMatch', { path });
+    }
+    const values = expression.fn === 'count' ? matches : matches.map(value => toNumber(value, path));
+    return AGGREGATES[expression.fn](values);
+  }
+
+  const matches = selectNodes(expression.path, obj, obj);
+  if (matches.length === 0) {
+    throw new PathError('noMatch', { path });
+  }
+  return matches.length === 1 ? matches[0] : matches;
+}
+
+// Extrae el valor del path como número
+export function getNumberFromPath(obj, path) {
+  return toNumber(getValueFromPath(obj, path), path);
+}
+
+// Una especificación de campos admite una línea por campo con la forma
+// "nombre = path" (o solo "path" si hay un único campo sin nombre).
+export function parseFieldSpec(spec) {
+  return (spec || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const named = /^([\p{L}\d_ -]+?)\s*=(?!=)\s*(.+)$/u.exec(line);
+      return named
+        ? { name: named[1].trim(), path: named[2].trim() }
+        : { name: index === 0 ? null : line, path: line };
+    });
+}
@@ -0,0 +1,120 @@
+import {
+  PathError,
+  getValueFromPath,
+  getNumberFromPath,
+  queryPath,
+  parseFieldSpec
+} from './jsonPath';
+import { errorMessage } from '../i18n/errors';
+import { createI18n } from '../i18n/i18n';
+
+const response = {
+  bpi: { USD: { rate_float: 43123.45 }, EUR: { rate_float: '39876.1' } },
+  results: [{ login: { uuid: 'abc-123' }, dob: { age: 42 } }],
+  items: [
+    { name: 'a', price: 10, active: true },
+    { name: 'b', price: 20, active: false },
+    { name: 'c', price: 30, active: true }
+  ],
+  'mi clave': 7
+};
+
+describe('getValueFromPath', () => {
+  test('resuelve propiedades anidadas con y sin $', () => {
+    expect(getValueFromPath(response, 'bpi.USD.rate_float')).toBe(43123.45);
+    expect(getValueFromPath(response, '$.bpi.USD.rate_float')).toBe(43123.45);
+  });
+
+  test('resuelve índices de arrays', () => {
+    expect(getValueFromPath(response, 'results[0].login.uuid')).toBe('abc-123');
+    expect(getValueFromPath(response, 'items[-1].name')).toBe('c');
+  });
+
+  test('acepta propiedades entre comillas', () => {
+    expect(getValueFromPath(response, "$['mi clave']")).toBe(7);
+  });
+
+  test('devuelve todas las coincidencias de comodines, uniones y slices', () => {
+    expect(getValueFromPath(response, 'items[*].price')).toEqual([10, 20, 30]);
+    expect(getValueFromPath(response, 'items.*.name')).toEqual(['a', 'b', 'c']);
+    expect(getValueFromPath(response, 'items[0,2].name')).toEqual(['a', 'c']);
+    expect(getValueFromPath(response, 'items[1:].name')).toEqual(['b', 'c']);
+    expect(getValueFromPath(response, '$..rate_float')).toEqual([43123.45, '39876.1']);
+  });
+
+  test('aplica filtros', () => {
+    expect(getValueFromPath(response, 'items[?(@.active)].price')).toEqual([10, 30]);
+    expect(getValueFromPath(response, 'items[?(@.price > 15 && @.active)].name')).toBe('c');
+    expect(getValueFromPath(response, "items[?(@.name == 'b' || !@.active)].price")).toBe(20);
+  });
+
+  test('calcula agregaciones', () => {
+    expect(getValueFromPath(response, 'sum(items[*].price)')).toBe(60);
+    expect(getValueFromPath(response, 'avg(items[?(@.active)].price)')).toBe(20);
+    expect(getValueFromPath(response, 'max(items[*].price)')).toBe(30);
+    expect(getValueFromPath(response, 'count(items)')).toBe(3);
+    expect(getValueFromPath(response, 'count(items[?(@.price > 100)])')).toBe(0);
+  });
+
+  test('lanza PathError si el path no coincide con nada', () => {
+    expect(() => getValueFromPath(response, 'bpi.GBP.rate_float')).toThrow(PathError);
+    expect(() => getValueFromPath(response, 'avg(items[?(@.price > 100)].price)')).toThrow(PathError);
+  });
+
+  test('lanza PathError ante errores de sintaxis', () => {
+    expect(() => getValueFromPath(response, 'items[')).toThrow(/Se esperaba/);
+    expect(() => getValueFromPath(response, 'items[?(@.price >)]')).toThrow(PathError);
+  });
+
+  test('los errores se pueden mostrar en el idioma de la interfaz', () => {
+    const { t } = createI18n('en');
+    const messageOf = (read, path) => {
+      try {
+        read(response, path);
+      } catch (err) {
+        return errorMessage(err, t);
+      }
+      return null;
+    };
+    expect(messageOf(getValueFromPath, 'items[')).toBe('Expected an index, a slice or a quoted name (position 7 in "items[")');
+    expect(messageOf(getValueFromPath, 'bpi.GBP')).toBe('The path "bpi.GBP" does not match any value');
+    expect(messageOf(getNumberFromPath, 'items[*].price')).toBe('The path "items[*].price" returns 3 values; use sum(), avg(), min(), max() or count()');
+  });
+
+  test('sin path devuelve el objeto completo', () => {
+    expect(getValueFromPath(response, '')).toBe(response);
+  });
+});
+
+describe('getNumberFromPath', () => {
+  test('convierte cadenas numéricas', () => {
+    expect(getNumberFromPath(response, 'bpi.EUR.rate_float')).toBe(39876.1);
+  });
+
+  test('rechaza valores no numéricos y múltiples coincidencias', () => {
+    expect(() => getNumberFromPath(response, 'results[0].login.uuid')).toThrow(/no es numérico/);
+    expect(() => getNumberFromPath(response, 'items[*].price')).toThrow(/devuelve 3 valores/);
+  });
+});
+
+describe('queryPath', () => {
+  test('devuelve la lista de nodos coincidentes', () => {
+    expect(queryPath(response, 'items[?(@.active == false)]')).toEqual([response.items[1]]);
+  });
+});
+
+describe('parseFieldSpec', () => {
+  test('interpreta un path sin nombre', () => {
+    expect(parseFieldSpec('bpi.USD.rate_float')).toEqual([{ name: null, path: 'bpi.USD.rate_float' }]);
+  });
+
+  test('interpreta varios campos con nombre', () => {
+    const fields = parseFieldSpec('usd = bpi.USD.rate_float\neur = bpi.EUR.rate_float\n\ntotal = sum(items[*].price)');
+    expect(fields.map(field => field.name)).toEqual(['usd', 'eur', 'total']);
+    expect(fields.map(field => getNumberFromPath(response, field.path))).toEqual([43123.45, 39876.1, 60]);
+  });
+
+  test('no confunde las comparaciones de un filtro con un nombre', () => {
+    expect(parseFieldSpec("items[?(@.name == 'a')].price")[0].name).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+// Fuentes simuladas: generan respuestas JSON sin red, para demos y tests.
+//
+// Cada muestra es { value, tick } (el path por defecto es "value"), salvo al reproducir una
+// grabación, que devuelve las respuestas guardadas tal cual y en bucle. Con la misma semilla
+// la secuencia es siempre la misma.
+
+import { LocalizedError } from '../i18n/errors';
+
+export const MOCK_SIGNALS = ['randomWalk', 'sine', 'step', 'noise', 'replay'];
+
+export const createMockConfig = (overrides = {}) => ({
+  signal: 'randomWalk',
+  // Valor central de la señal
+  base: 100,
+  // Paso máximo del paseo, amplitud del seno y del escalón, desviación del ruido
+  amplitude: 10,
+  // Muestras por ciclo del seno y del escalón
+  period: 20,
+  seed: 1,
+  // Respuestas que reproduce la señal 'replay' y nombre del fichero del que salen
+  recording: [],
+  recordingName: '',
+  ...overrides
+});
+
+// Generador pseudoaleatorio mulberry32: rápido, con semilla y suficiente para simular datos
+export function seededRandom(seed) {
+  let state = Math.floor(Number(seed)) || 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Normal estándar por Box-Muller
+const gaussian = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Devuelve { next() } que produce la siguiente respuesta simulada en cada llamada
+export function createMockGenerator(mock = createMockConfig()) {
+  const { signal, recording } = mock;
+  const base = Number(mock.base) || 0;
+  const amplitude = Number(mock.amplitude) || 0;
+  const period = Math.max(2, Number(mock.period) || 2);
+  const random = seededRandom(mock.seed);
+  let tick = 0;
+  let walk = base;
+
+  const valueAt = (n) => {
+    switch (signal) {
+      case 'sine':
+        return base + amplitude * Math.sin((2 * Math.PI * n) / period);
+      case 'step':
+        return base + (Math.floor((2 * n) / period) % 2 === 0 ? amplitude : -amplitude);
+      case 'noise':
+        return base + amplitude * gaussian(random);
+      case 'randomWalk':
+        // La primera muestra es el valor central
+        if (n > 0) walk += (random() * 2 - 1) * amplitude;
+        return walk;
+      default:
+        throw new LocalizedError('dashboard.mock.errors.unknownSignal', { signal });
+    }
+  };
+
+  return {
+    next() {
+      if (signal === 'replay') {
+        if (!Array.isArray(recording) || recording.length === 0) {
+          throw new LocalizedError('dashboard.mock.errors.noRecording');
+        }
+        const frame = recording[tick % recording.length];
+        tick += 1;
+        return frame;
+      }
+      const response = { value: valueAt(tick), tick };
+      tick += 1;
+      return response;
+    }
+  };
+}
+
+// Acepta una lista de respuestas JSON o una exportación JSON del dashboard (ver exporters.js).
+// De una exportación se usa la primera serie: su respuesta completa si se exportó o { value }.
+export function parseRecording(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new LocalizedError('dashboard.mock.errors.invalidJson', { message: err.message });
+  }
+
+  let frames;
+  if (Array.isArray(data)) {
+    frames = data;
+  } else if (data && Array.isArray(data.series) && data.series.length > 0) {
+    frames = (data.series[0].points || []).map(point => (
+      point.fullData !== undefined && point.fullData !== null ? point.fullData : { value: point.value }
+    ));
+  } else {
+    throw new LocalizedError('dashboard.mock.errors.invalidRecording');
+  }
+
+  if (frames.length === 0) throw new LocalizedError('dashboard.mock.errors.emptyRecording');
+  return frames;
+}
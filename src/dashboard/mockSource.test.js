@@ -0,0 +1,70 @@
+import { createMockConfig, createMockGenerator, parseRecording, seededRandom } from './mockSource';
+
+const take = (mock, count) => {
+  const generator = createMockGenerator(createMockConfig(mock));
+  return Array.from({ length: count }, () => generator.next());
+};
+const values = responses => responses.map(response => response.value);
+
+describe('createMockGenerator', () => {
+  test('con la misma semilla repite la secuencia y con otra cambia', () => {
+    expect(take({ seed: 7 }, 20)).toEqual(take({ seed: 7 }, 20));
+    expect(values(take({ seed: 8 }, 20))).not.toEqual(values(take({ seed: 7 }, 20)));
+    expect(seededRandom(3)()).toBe(seededRandom(3)());
+  });
+
+  test('el paseo aleatorio empieza en el valor central y avanza como mucho la amplitud', () => {
+    const walk = values(take({ signal: 'randomWalk', base: 50, amplitude: 2 }, 100));
+    expect(walk[0]).toBe(50);
+    walk.slice(1).forEach((value, idx) => expect(Math.abs(value - walk[idx])).toBeLessThanOrEqual(2));
+  });
+
+  test('el seno completa un ciclo cada periodo', () => {
+    const sine = values(take({ signal: 'sine', base: 10, amplitude: 5, period: 4 }, 5));
+    [10, 15, 10, 5, 10].forEach((expected, idx) => expect(sine[idx]).toBeCloseTo(expected));
+  });
+
+  test('el escalón alterna base ± amplitud cada medio periodo', () => {
+    expect(values(take({ signal: 'step', base: 0, amplitude: 1, period: 4 }, 8))).toEqual([1, 1, -1, -1, 1, 1, -1, -1]);
+  });
+
+  test('el ruido se centra en el valor central', () => {
+    const noise = values(take({ signal: 'noise', base: 100, amplitude: 1 }, 2000));
+    const mean = noise.reduce((sum, value) => sum + value, 0) / noise.length;
+    expect(mean).toBeGreaterThan(99.9);
+    expect(mean).toBeLessThan(100.1);
+  });
+
+  test('numera las muestras y rechaza señales desconocidas', () => {
+    expect(take({ signal: 'sine' }, 3).map(response => response.tick)).toEqual([0, 1, 2]);
+    expect(() => take({ signal: 'cuadrada' }, 1)).toThrow('Señal simulada desconocida');
+  });
+
+  test('la reproducción devuelve las respuestas grabadas en bucle', () => {
+    const recording = [{ price: 1 }, { price: 2 }];
+    expect(take({ signal: 'replay', recording }, 3)).toEqual([{ price: 1 }, { price: 2 }, { price: 1 }]);
+    expect(() => take({ signal: 'replay' }, 1)).toThrow('No hay ninguna grabación cargada');
+  });
+});
+
+describe('parseRecording', () => {
+  test('acepta una lista de respuestas', () => {
+    expect(parseRecording('[{"a": 1}, {"a": 2}]')).toEqual([{ a: 1 }, { a: 2 }]);
+  });
+
+  test('acepta una exportación JSON del dashboard', () => {
+    const exported = {
+      series: [
+        { name: 'A', points: [{ value: 1, fullData: { data: { v: 1 } } }, { value: 2 }] },
+        { name: 'B', points: [{ value: 9 }] }
+      ]
+    };
+    expect(parseRecording(JSON.stringify(exported))).toEqual([{ data: { v: 1 } }, { value: 2 }]);
+  });
+
+  test('rechaza JSON inválido, formatos desconocidos y grabaciones vacías', () => {
+    expect(() => parseRecording('{mal')).toThrow('no es JSON válido');
+    expect(() => parseRecording('{"a": 1}')).toThrow('lista de respuestas');
+    expect(() => parseRecording('[]')).toThrow('vacía');
+  });
+});
@@ -0,0 +1,136 @@
+// Polling resiliente para las fuentes HTTP.
+//
+// - Nunca solapa peticiones: la siguiente se programa cuando termina la anterior.
+// - Cada petición tiene su AbortController y un timeout propio.
+// - Tras errores consecutivos espera con backoff exponencial y jitter.
+// - Se detiene mientras la pestaña está oculta y reanuda al volver a ella.
+
+import { backoffDelay } from './backoff';
+import { LocalizedError } from '../i18n/errors';
+
+export class TimeoutError extends LocalizedError {
+  constructor(timeout) {
+    super('dashboard.connection.errors.timeout', { seconds: Math.round(timeout / 1000) });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+const isDocumentHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+// Ejecuta task(signal) abortándola si supera timeout ms o si se aborta parentSignal
+export async function runWithTimeout(task, timeout, parentSignal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+  const abortFromParent = () => controller.abort();
+  if (parentSignal) parentSignal.addEventListener('abort', abortFromParent);
+
+  try {
+    return await task(controller.signal);
+  } catch (err) {
+    if (timedOut) throw new TimeoutError(timeout);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (parentSignal) parentSignal.removeEventListener('abort', abortFromParent);
+  }
+}
+
+// Crea un poller. task(signal) debe devolver una promesa; onError(err) recibe cada fallo
+// y onStateChange(state, { failures, delay }) informa de 'polling', 'backoff' y 'hidden'.
+export function createPoller({
+  task,
+  interval,
+  timeout = 10000,
+  maxBackoff = 5 * 60 * 1000,
+  onError = () => {},
+  onSuccess = () => {},
+  onStateChange = () => {},
+  pauseWhenHidden = true,
+  random = Math.random
+}) {
+  let timer = null;
+  let controller = null;
+  let running = false;
+  let failures = 0;
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+  };
+
+  async function tick() {
+    timer = null;
+    if (!running) return;
+    if (pauseWhenHidden && isDocumentHidden()) {
+      onStateChange('hidden', { failures });
+      return;
+    }
+
+    controller = new AbortController();
+    const { signal } = controller;
+    try {
+      await runWithTimeout(task, timeout, signal);
+      if (signal.aborted) return;
+      failures = 0;
+      onSuccess();
+      onStateChange('polling', { failures });
+      schedule(interval);
+    } catch (err) {
+      // Abortada por stop(): no es un error de la fuente
+      if (signal.aborted) return;
+      failures += 1;
+      onError(err);
+      const delay = Math.max(interval, backoffDelay(failures - 1, { base: interval, max: maxBackoff, random }));
+      onStateChange('backoff', { failures, delay });
+      schedule(delay);
+    } finally {
+      if (controller && controller.signal === signal) controller = null;
+    }
+  }
+
+  const handleVisibility = () => {
+    if (!running) return;
+    if (isDocumentHidden()) {
+      // La petición en curso termina; simplemente no se programa la siguiente
+      clearTimeout(timer);
+      timer = null;
+      if (!controller) onStateChange('hidden', { failures });
+    } else if (!controller && !timer) {
+      // Al volver a la pestaña se actualiza de inmediato
+      onStateChange('polling', { failures });
+      tick();
+    }
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      if (pauseWhenHidden && typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', handleVisibility);
+      }
+      onStateChange('polling', { failures });
+      tick();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+      if (controller) controller.abort();
+      controller = null;
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', handleVisibility);
+      }
+    },
+    get failures() {
+      return failures;
+    }
+  };
+}
@@ -0,0 +1,134 @@
+import { createPoller, runWithTimeout, TimeoutError } from './poller';
+
+// Resuelve promesas pendientes sin avanzar los temporizadores falsos
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+const setVisibility = (state) => {
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete document.visibilityState;
+});
+
+describe('runWithTimeout', () => {
+  test('aborta la tarea y lanza TimeoutError al agotar el tiempo', async () => {
+    let receivedSignal;
+    const task = signal => new Promise((resolve, reject) => {
+      receivedSignal = signal;
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    const result = runWithTimeout(task, 1000);
+    jest.advanceTimersByTime(1000);
+    await expect(result).rejects.toBeInstanceOf(TimeoutError);
+    expect(receivedSignal.aborted).toBe(true);
+  });
+
+  test('propaga el aborto de la señal padre sin convertirlo en timeout', async () => {
+    const parent = new AbortController();
+    const task = signal => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    const result = runWithTimeout(task, 1000, parent.signal);
+    parent.abort();
+    await expect(result).rejects.toThrow('aborted');
+  });
+});
+
+describe('createPoller', () => {
+  test('no lanza una petición nueva hasta que termina la anterior', async () => {
+    const pending = [];
+    const task = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+    const poller = createPoller({ task, interval: 100, timeout: 0 });
+
+    poller.start();
+    jest.advanceTimersByTime(1000);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    pending[0]();
+    await flush();
+    jest.advanceTimersByTime(100);
+    expect(task).toHaveBeenCalledTimes(2);
+    poller.stop();
+  });
+
+  test('aplica backoff exponencial tras errores y lo reinicia al recuperarse', async () => {
+    let fail = true;
+    const task = jest.fn(() => (fail ? Promise.reject(new Error('500')) : Promise.resolve()));
+    const onError = jest.fn();
+    const states = [];
+    const poller = createPoller({
+      task,
+      interval: 100,
+      onError,
+      onStateChange: (state, info) => states.push([state, info.delay]),
+      random: () => 1
+    });
+
+    poller.start();
+    await flush();
+    expect(states[states.length - 1]).toEqual(['backoff', 100]);
+
+    jest.advanceTimersByTime(100);
+    await flush();
+    expect(states[states.length - 1]).toEqual(['backoff', 200]);
+
+    jest.advanceTimersByTime(200);
+    await flush();
+    expect(states[states.length - 1]).toEqual(['backoff', 400]);
+    expect(poller.failures).toBe(3);
+    expect(onError).toHaveBeenCalledTimes(3);
+
+    fail = false;
+    jest.advanceTimersByTime(400);
+    await flush();
+    expect(poller.failures).toBe(0);
+    expect(states[states.length - 1][0]).toBe('polling');
+    poller.stop();
+  });
+
+  test('stop() aborta la petición en curso sin informar de error', async () => {
+    let signal;
+    const task = jest.fn((s) => {
+      signal = s;
+      return new Promise((resolve, reject) => s.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    const onError = jest.fn();
+    const poller = createPoller({ task, interval: 100, onError });
+
+    poller.start();
+    poller.stop();
+    await flush();
+    expect(signal.aborted).toBe(true);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('se pausa con la pestaña oculta y reanuda al volver', async () => {
+    const task = jest.fn(() => Promise.resolve());
+    const states = [];
+    const poller = createPoller({ task, interval: 100, onStateChange: state => states.push(state) });
+
+    poller.start();
+    await flush();
+    expect(task).toHaveBeenCalledTimes(1);
+
+    setVisibility('hidden');
+    jest.advanceTimersByTime(1000);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(states[states.length - 1]).toBe('hidden');
+
+    setVisibility('visible');
+    await flush();
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(states).toContain('polling');
+    poller.stop();
+  });
+});
@@ -0,0 +1,163 @@
+// Construcción de peticiones HTTP para las fuentes: método, cabeceras, parámetros de query,
+// cuerpo JSON/formulario, autenticación y plantillas {{variable}} en URL, cabeceras y cuerpo.
+// Las APIs que no permiten CORS se pueden pedir a través del proxy local (npm run proxy).
+
+import { LocalizedError } from '../i18n/errors';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+export class HttpError extends LocalizedError {
+  constructor(status, statusText) {
+    super('dashboard.request.errors.http', { status: statusText ? `${status} ${statusText}` : status });
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Los nombres y descripciones están en los catálogos de idioma (dashboard.request)
+export const BODY_TYPES = ['none', 'json', 'form'];
+
+export const AUTH_TYPES = ['none', 'bearer', 'basic', 'apikey'];
+
+export const TEMPLATE_VARIABLES = ['now', 'nowSeconds', 'nowIso', 'lastValue', 'lastTime'];
+
+// Proxy CORS local de scripts/cors-proxy.js; se puede cambiar con REACT_APP_CORS_PROXY_URL
+export const CORS_PROXY_URL = process.env.REACT_APP_CORS_PROXY_URL || 'http://localhost:8010/';
+
+export const proxiedUrl = (url, proxy = CORS_PROXY_URL) => `${proxy}?url=${encodeURIComponent(url)}`;
+
+export const createRequestConfig = (overrides = {}) => ({
+  method: 'GET',
+  headers: [],
+  query: [],
+  bodyType: 'none',
+  body: '',
+  // Tiempo máximo de cada petición en ms (0 = sin límite)
+  timeoutMs: 10000,
+  // Pedir la URL a través del proxy CORS local
+  viaProxy: false,
+  auth: {
+    type: 'none',
+    token: '',
+    username: '',
+    password: '',
+    keyName: 'X-API-Key',
+    keyValue: '',
+    keyIn: 'header'
+  },
+  ...overrides
+});
+
+// Variables disponibles en las plantillas; lastPoint es el último punto de la fuente
+export function templateVariables(lastPoint, now = Date.now()) {
+  return {
+    now: String(now),
+    nowSeconds: String(Math.floor(now / 1000)),
+    nowIso: new Date(now).toISOString(),
+    lastValue: lastPoint ? String(lastPoint.value) : '',
+    lastTime: lastPoint ? String(lastPoint.time) : ''
+  };
+}
+
+// Sustituye {{variable}}; las variables desconocidas se dejan tal cual para que el error sea visible
+export function renderTemplate(text, variables) {
+  if (!text) return text;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+  ));
+}
+
+// btoa solo admite Latin-1; codificamos antes en UTF-8
+const base64 = text => btoa(
+  encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+);
+
+const activePairs = pairs => (pairs || []).filter(pair => pair.key && pair.key.trim());
+
+// Devuelve { url, init } listos para fetch(url, init)
+export function buildRequest(source, variables = templateVariables(null)) {
+  const request = source.request || createRequestConfig();
+  const render = text => renderTemplate(text, variables);
+
+  const url = new URL(render(source.url));
+  activePairs(request.query).forEach(({ key, value }) => url.searchParams.append(key.trim(), render(value)));
+
+  const headers = {};
+  activePairs(request.headers).forEach(({ key, value }) => {
+    headers[key.trim()] = render(value);
+  });
+
+  const { auth = {} } = request;
+  if (auth.type === 'bearer' && auth.token) {
+    headers.Authorization = `Bearer ${render(auth.token)}`;
+  } else if (auth.type === 'basic') {
+    headers.Authorization = `Basic ${base64(`${auth.username || ''}:${auth.password || ''}`)}`;
+  } else if (auth.type === 'apikey' && auth.keyName) {
+    if (auth.keyIn === 'query') url.searchParams.set(auth.keyName, render(auth.keyValue));
+    else headers[auth.keyName] = render(auth.keyValue);
+  }
+
+  const init = { method: request.method || 'GET', headers };
+  const canHaveBody = !['GET', 'HEAD'].includes(init.method);
+
+  if (canHaveBody && request.bodyType === 'json') {
+    const body = render(request.body || '');
+    try {
+      JSON.parse(body || 'null');
+    } catch (err) {
+      throw new LocalizedError('dashboard.request.errors.invalidJsonBody', { message: err.message });
+    }
+    init.body = body;
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  } else if (canHaveBody && request.bodyType === 'form') {
+    // Una línea por campo: clave=valor
+    const params = new URLSearchParams();
+    (request.body || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const [key, ...rest] = line.split('=');
+      params.append(key.trim(), render(rest.join('=').trim()));
+    });
+    init.body = params.toString();
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+  }
+
+  return { url: request.viaProxy ? proxiedUrl(url.toString()) : url.toString(), init };
+}
+
+// Ejecuta la petición y devuelve el JSON de la respuesta; lanza HttpError si no es 2xx
+export async function fetchJson(url, init, fetchImpl = fetch) {
+  const response = await fetchImpl(url, init);
+  if (!response.ok) throw new HttpError(response.status, response.statusText);
+  return response.json();
+}
+
+// Envía la petición de prueba y devuelve estado, latencia y respuesta sin procesar
+export async function sendTestRequest(source, variables, fetchImpl = fetch) {
+  const { url, init } = buildRequest(source, variables);
+  const started = performance.now();
+  const response = await fetchImpl(url, init);
+  const text = await response.text();
+  const latency = performance.now() - started;
+
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    json = null;
+  }
+
+  return {
+    url,
+    method: init.method,
+    status: response.status,
+    statusText: response.statusText,
+    ok: response.ok,
+    latency,
+    contentType: response.headers.get('content-type'),
+    text,
+    json
+  };
+}
@@ -0,0 +1,86 @@
+import {
+  buildRequest,
+  createRequestConfig,
+  renderTemplate,
+  templateVariables,
+  sendTestRequest,
+  CORS_PROXY_URL
+} from './requestBuilder';
+
+const source = (request, url = 'https://api.example.com/data') => ({ url, request: createRequestConfig(request) });
+const variables = templateVariables({ time: 1000, value: 42.5 }, Date.UTC(2024, 0, 1));
+
+describe('renderTemplate', () => {
+  test('sustituye variables conocidas y conserva las desconocidas', () => {
+    expect(renderTemplate('a={{lastValue}}&t={{ now }}&x={{foo}}', variables))
+      .toBe(`a=42.5&t=${Date.UTC(2024, 0, 1)}&x={{foo}}`);
+  });
+
+  test('sin último punto lastValue queda vacío', () => {
+    expect(templateVariables(null).lastValue).toBe('');
+  });
+});
+
+describe('buildRequest', () => {
+  test('por defecto genera un GET sin cabeceras', () => {
+    expect(buildRequest(source())).toEqual({ url: 'https://api.example.com/data', init: { method: 'GET', headers: {} } });
+  });
+
+  test('añade query, cabeceras y plantillas en la URL', () => {
+    const { url, init } = buildRequest(source({
+      query: [{ key: 'since', value: '{{lastTime}}' }, { key: '', value: 'ignorado' }],
+      headers: [{ key: 'Accept', value: 'application/json' }]
+    }, 'https://api.example.com/{{nowSeconds}}?a=1'), variables);
+    expect(url).toBe(`https://api.example.com/${Date.UTC(2024, 0, 1) / 1000}?a=1&since=1000`);
+    expect(init.headers).toEqual({ Accept: 'application/json' });
+  });
+
+  test('serializa cuerpos JSON y de formulario', () => {
+    const json = buildRequest(source({ method: 'POST', bodyType: 'json', body: '{"last": {{lastValue}}}' }), variables);
+    expect(json.init).toMatchObject({ method: 'POST', body: '{"last": 42.5}', headers: { 'Content-Type': 'application/json' } });
+
+    const form = buildRequest(source({ method: 'PUT', bodyType: 'form', body: 'a=1\nb=x=y\nv={{lastValue}}' }), variables);
+    expect(form.init.body).toBe('a=1&b=x%3Dy&v=42.5');
+    expect(form.init.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+  });
+
+  test('rechaza un cuerpo JSON inválido', () => {
+    expect(() => buildRequest(source({ method: 'POST', bodyType: 'json', body: '{mal}' }))).toThrow(/JSON no es válido/);
+  });
+
+  test('ignora el cuerpo en peticiones GET', () => {
+    expect(buildRequest(source({ bodyType: 'json', body: '{}' })).init.body).toBeUndefined();
+  });
+
+  test('aplica autenticación Bearer, Basic y API key', () => {
+    const auth = extra => ({ auth: { ...createRequestConfig().auth, ...extra } });
+    expect(buildRequest(source(auth({ type: 'bearer', token: 'abc' }))).init.headers.Authorization).toBe('Bearer abc');
+    expect(buildRequest(source(auth({ type: 'basic', username: 'ana', password: 'ñ1' }))).init.headers.Authorization)
+      .toBe(`Basic ${Buffer.from('ana:ñ1').toString('base64')}`);
+    expect(buildRequest(source(auth({ type: 'apikey', keyName: 'X-Key', keyValue: 'k' }))).init.headers)
+      .toEqual({ 'X-Key': 'k' });
+    expect(buildRequest(source(auth({ type: 'apikey', keyName: 'key', keyValue: 'k', keyIn: 'query' }))).url)
+      .toBe('https://api.example.com/data?key=k');
+  });
+
+  test('pasa la URL completa, query incluida, por el proxy CORS', () => {
+    const { url } = buildRequest(source({ viaProxy: true, query: [{ key: 'q', value: 'a&b' }] }));
+    expect(url).toBe(`${CORS_PROXY_URL}?url=${encodeURIComponent('https://api.example.com/data?q=a%26b')}`);
+  });
+});
+
+describe('sendTestRequest', () => {
+  test('devuelve estado, latencia y respuesta sin procesar', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      status: 201,
+      statusText: 'Created',
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve('{"id": 7}')
+    });
+    const result = await sendTestRequest(source({ method: 'POST' }), variables, fetchImpl);
+    expect(fetchImpl).toHaveBeenCalledWith('https://api.example.com/data', { method: 'POST', headers: {} });
+    expect(result).toMatchObject({ status: 201, ok: true, text: '{"id": 7}', json: { id: 7 }, method: 'POST' });
+    expect(result.latency).toBeGreaterThanOrEqual(0);
+  });
+});
@@ -0,0 +1,42 @@
+// Buffer en memoria de las series en vivo: { [seriesKey]: [{ time, value, fullData }] }
+
+import { getNumberFromPath } from './jsonPath';
+import { getSourceSeries } from './sources';
+import { LocalizedError } from '../i18n/errors';
+
+// Extrae cada campo de una respuesta (HTTP o mensaje de streaming) como un punto nuevo.
+// Devuelve { points: { [seriesKey]: punto }, errors: [error] }; un path sin coincidencias o
+// con un valor no numérico es un error de ese campo, no un cero, y no impide extraer los demás.
+export function extractPoints(source, json, now = new Date()) {
+  const sourceSeries = getSourceSeries(source);
+  const points = {};
+  const errors = [];
+
+  sourceSeries.forEach(item => {
+    try {
+      points[item.key] = {
+        time: now.getTime(),
+        value: getNumberFromPath(json, item.path),
+        fullData: json
+      };
+    } catch (err) {
+      errors.push(sourceSeries.length > 1 ? new LocalizedError('dashboard.sources.errors.field', { name: item.name, error: err }) : err);
+    }
+  });
+
+  return { points, errors };
+}
+
+// Añade los puntos a sus series manteniendo solo los últimos maxDataPoints de cada una
+export function appendPoints(series, points, maxDataPoints) {
+  const next = { ...series };
+  Object.entries(points).forEach(([key, point]) => {
+    next[key] = [...(series[key] || []), point].slice(-maxDataPoints);
+  });
+  return next;
+}
+
+// Quita las series de una fuente ("id" e "id:campo")
+export const removeSourceSeries = (series, sourceId) => Object.fromEntries(
+  Object.entries(series).filter(([key]) => key !== sourceId && !key.startsWith(`${sourceId}:`))
+);
@@ -0,0 +1,65 @@
+import { extractPoints, appendPoints, removeSourceSeries } from './seriesBuffer';
+import { createSource } from './sources';
+import { errorMessage } from '../i18n/errors';
+import { createI18n } from '../i18n/i18n';
+
+const now = new Date(Date.UTC(2024, 0, 1, 12));
+
+describe('extractPoints', () => {
+  test('crea un punto por campo con la respuesta completa', () => {
+    const source = createSource({ path: 'precio = data.price\nvolumen = data.volume' });
+    const json = { data: { price: '101.5', volume: 7 } };
+    const { points, errors } = extractPoints(source, json, now);
+    expect(errors).toEqual([]);
+    expect(points).toEqual({
+      [`${source.id}:0`]: { time: now.getTime(), value: 101.5, fullData: json },
+      [`${source.id}:1`]: expect.objectContaining({ value: 7 })
+    });
+  });
+
+  test('un valor no numérico o ausente es un error del campo y no un cero', () => {
+    const source = createSource({ path: 'precio = data.price\nvolumen = data.volume' });
+    const { points, errors } = extractPoints(source, { data: { price: 'n/a' } }, now);
+    expect(points).toEqual({});
+    expect(errors).toHaveLength(2);
+    expect(errors[0].message).toMatch(/^.* · precio: El valor de "data.price" no es numérico/);
+    expect(errorMessage(errors[0], createI18n('en').t)).toMatch(/^.* · precio: The value of "data.price" is not numeric/);
+
+    const single = createSource({ path: 'value' });
+    expect(extractPoints(single, { value: null }, now).errors.map(err => err.message)).toEqual(['El valor de "value" no es numérico: null']);
+  });
+
+  test('los campos válidos se extraen aunque fallen otros', () => {
+    const source = createSource({ path: 'a = a\nb = b' });
+    const { points, errors } = extractPoints(source, { a: 1 }, now);
+    expect(Object.keys(points)).toEqual([`${source.id}:0`]);
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('appendPoints', () => {
+  const point = value => ({ time: value, value });
+
+  test('conserva solo los últimos maxDataPoints de cada serie', () => {
+    let series = {};
+    for (let i = 1; i <= 7; i += 1) series = appendPoints(series, { a: point(i), ...(i % 2 ? { b: point(i) } : {}) }, 3);
+    expect(series.a.map(p => p.value)).toEqual([5, 6, 7]);
+    expect(series.b.map(p => p.value)).toEqual([3, 5, 7]);
+  });
+
+  test('reducir maxDataPoints recorta la serie en el siguiente punto', () => {
+    const series = appendPoints({ a: [1, 2, 3, 4].map(point) }, { a: point(5) }, 2);
+    expect(series.a.map(p => p.value)).toEqual([4, 5]);
+  });
+
+  test('no modifica las series recibidas', () => {
+    const original = { a: [point(1)] };
+    appendPoints(original, { a: point(2) }, 10);
+    expect(original.a).toHaveLength(1);
+  });
+});
+
+test('removeSourceSeries quita la serie única y los campos de la fuente', () => {
+  const series = { src1: [], 'src1:0': [], 'src1:1': [], src10: [], src2: [] };
+  expect(Object.keys(removeSourceSeries(series, 'src1'))).toEqual(['src10', 'src2']);
+});
@@ -0,0 +1,66 @@
+import { parseFieldSpec } from './jsonPath';
+import { createRequestConfig } from './requestBuilder';
+import { createMockConfig } from './mockSource';
+import { createId } from './ids';
+
+// Paleta de colores asignada a cada fuente por orden de creación
+export const SOURCE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+let sourceCounter = 0;
+
+// El id se guarda con la fuente y es la clave de sus series en el histórico (ver ids.js).
+// El nombre por defecto lo pone la interfaz en su idioma (dashboard.sources.defaultName).
+export const createSource = (overrides = {}) => {
+  sourceCounter += 1;
+  return {
+    id: createId('src'),
+    name: '',
+    url: '',
+    path: '',
+    // 'http' (polling), 'ws', 'sse' o 'mock'; ver transports.js
+    transport: 'http',
+    refreshInterval: 5000,
+    // Código ISO 4217 si los valores son importes (ver i18n/format.js); vacío para números sin unidad
+    currency: '',
+    // Mensaje enviado al abrir un WebSocket (p. ej. una suscripción)
+    subscribeMessage: '',
+    // Método, cabeceras, query, cuerpo y autenticación de las fuentes HTTP; ver requestBuilder.js
+    request: createRequestConfig(),
+    // Señal de las fuentes simuladas; ver mockSource.js
+    mock: createMockConfig(),
+    color: SOURCE_COLORS[(sourceCounter - 1) % SOURCE_COLORS.length],
+    ...overrides
+  };
+};
+
+// Campos que extrae una fuente; sin path se usa la respuesta completa
+export const getSourceFields = (source) => {
+  const fields = parseFieldSpec(source.path);
+  return fields.length > 0 ? fields : [{ name: null, path: '' }];
+};
+
+// Cada campo de una fuente se dibuja como una serie propia:
+// { key, sourceId, name, path, color, currency }. Con un único campo la clave es el id de la fuente.
+export const getSourceSeries = (source) => {
+  const fields = getSourceFields(source);
+  if (fields.length === 1) {
+    return [{
+      key: source.id,
+      sourceId: source.id,
+      name: source.name,
+      path: fields[0].path,
+      color: source.color,
+      currency: source.currency
+    }];
+  }
+
+  const baseIndex = Math.max(SOURCE_COLORS.indexOf(source.color), 0);
+  return fields.map((field, idx) => ({
+    key: `${source.id}:${idx}`,
+    sourceId: source.id,
+    name: `${source.name} · ${field.name}`,
+    path: field.path,
+    color: idx === 0 ? source.color : SOURCE_COLORS[(baseIndex + idx) % SOURCE_COLORS.length],
+    currency: source.currency
+  }));
+};
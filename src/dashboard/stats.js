@@ -0,0 +1,49 @@
+export const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Desviación estándar poblacional (se describe la serie capturada, no se estima la de una población)
+export function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+// Estadísticas de una serie de puntos { value }. change es la variación en % entre el primer y
+// el último valor (null si el primero es 0)
+export function computeStats(points) {
+  if (!points || points.length === 0) return null;
+  const values = points.map(d => d.value);
+  const first = values[0];
+  const latest = values[values.length - 1];
+  return {
+    latest,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: mean(values),
+    median: median(values),
+    std: standardDeviation(values),
+    change: first !== 0 ? ((latest - first) / Math.abs(first)) * 100 : null,
+    count: values.length
+  };
+}
+
+// Estadísticas que se muestran en tarjetas, en orden; sus nombres están en los catálogos (stats.<id>)
+export const STAT_FIELDS = ['latest', 'avg', 'min', 'max', 'median', 'std', 'change', 'count'];
+
+// Texto de una estadística con un formateador de i18n/format.js. Los valores de la serie se
+// muestran en su moneda si tiene una; el cambio es siempre un porcentaje.
+export const formatStat = (id, value, format, currency) => {
+  if (id === 'count') return format.integer(value);
+  if (id === 'change') return format.signedPercent(value);
+  return format.currency(value, currency);
+};
+
+// Tarjetas { id, text } de unas estadísticas, con el valor ya formateado
+export const statCards = (stats, format, currency) => STAT_FIELDS.map(id => ({
+  id,
+  text: formatStat(id, stats[id], format, currency)
+}));
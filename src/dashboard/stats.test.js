@@ -0,0 +1,44 @@
+import { computeStats, median, standardDeviation, statCards } from './stats';
+import { createFormatter } from '../i18n/format';
+
+const points = values => values.map(value => ({ value }));
+
+test('median y standardDeviation', () => {
+  expect(median([3, 1, 2])).toBe(2);
+  expect(median([4, 1, 3, 2])).toBe(2.5);
+  expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+});
+
+test('computeStats incluye mediana, desviación, cambio desde el inicio y número de muestras', () => {
+  expect(computeStats(points([50, 40, 60, 75]))).toEqual({
+    latest: 75,
+    min: 40,
+    max: 75,
+    avg: 56.25,
+    median: 55,
+    std: expect.any(Number),
+    change: 50,
+    count: 4
+  });
+  expect(computeStats(points([0, 5])).change).toBeNull();
+  expect(computeStats([])).toBeNull();
+});
+
+describe('statCards', () => {
+  const cardTexts = (...args) => Object.fromEntries(statCards(...args).map(card => [card.id, card.text]));
+  // Intl separa el número del símbolo con espacios duros
+  const withSpaces = texts => Object.fromEntries(Object.entries(texts).map(([id, text]) => [id, text.replace(/\s/g, ' ')]));
+
+  test('formatea los valores según el idioma', () => {
+    const stats = computeStats(points([-4, -2]));
+    expect(cardTexts(stats, createFormatter('en'))).toMatchObject({ latest: '-2.00', change: '+50.00%', count: '2' });
+    expect(withSpaces(cardTexts(stats, createFormatter('es')))).toMatchObject({ latest: '-2,00', change: '+50,00 %', count: '2' });
+    expect(statCards(computeStats(points([0, 1])), createFormatter('en')).find(card => card.id === 'change').text).toBe('—');
+  });
+
+  test('los valores de una serie con moneda se muestran en esa moneda, salvo el cambio y las muestras', () => {
+    const stats = computeStats(points([1000, 1234.5]));
+    expect(cardTexts(stats, createFormatter('en'), 'USD')).toMatchObject({ latest: '$1,234.50', change: '+23.45%', count: '2' });
+    expect(withSpaces(cardTexts(stats, createFormatter('es'), 'EUR'))).toMatchObject({ latest: '1234,50 €', min: '1000,00 €' });
+  });
+});
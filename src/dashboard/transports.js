@@ -0,0 +1,131 @@
+// Transportes de streaming (WebSocket y Server-Sent Events) con reconexión automática.
+//
+// Cada mensaje recibido se interpreta como JSON y se entrega a onMessage, de modo que se le
+// aplica la misma extracción por path que a las respuestas HTTP.
+
+import { backoffDelay } from './backoff';
+import { LocalizedError } from '../i18n/errors';
+
+export const TRANSPORTS = ['http', 'ws', 'sse', 'mock'];
+
+// Color del indicador de cada estado; los nombres están en los catálogos (dashboard.connection)
+export const CONNECTION_STATES = {
+  idle: { color: 'bg-gray-400' },
+  polling: { color: 'bg-green-400 animate-pulse' },
+  backoff: { color: 'bg-orange-400 animate-pulse' },
+  hidden: { color: 'bg-gray-400' },
+  connecting: { color: 'bg-yellow-400 animate-pulse' },
+  open: { color: 'bg-green-400 animate-pulse' },
+  reconnecting: { color: 'bg-orange-400 animate-pulse' },
+  closed: { color: 'bg-gray-400' }
+};
+
+export const isStreamingSource = source => source.transport === 'ws' || source.transport === 'sse';
+
+export const isMockSource = source => source.transport === 'mock';
+
+// Fuentes que se consultan con un poller: las HTTP con URL y las simuladas (ver mockSource.js)
+export const isPolledSource = source => isMockSource(source) || (Boolean(source.url) && !isStreamingSource(source));
+
+// Abre una conexión de streaming y la mantiene viva hasta llamar a close().
+//   onMessage(json)                          por cada mensaje JSON
+//   onStateChange(state, { attempt, delay, error })
+//   onError(err)                             mensajes no JSON o errores de conexión
+export function connectStream(source, {
+  onMessage,
+  onStateChange = () => {},
+  onError = () => {},
+  WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : undefined,
+  EventSourceImpl = typeof EventSource !== 'undefined' ? EventSource : undefined,
+  backoff = {}
+}) {
+  let connection = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let stopped = false;
+
+  const handleData = (data) => {
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (err) {
+      onError(new LocalizedError('dashboard.connection.errors.notJson', { data: String(data).slice(0, 80) }));
+      return;
+    }
+    onMessage(json);
+  };
+
+  const scheduleReconnect = (error) => {
+    if (stopped || reconnectTimer) return;
+    const delay = backoffDelay(attempt, backoff);
+    attempt += 1;
+    onStateChange('reconnecting', { attempt, delay, error });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  };
+
+  const handleOpen = () => {
+    attempt = 0;
+    onStateChange('open', { attempt });
+  };
+
+  function open() {
+    if (stopped) return;
+    onStateChange(attempt === 0 ? 'connecting' : 'reconnecting', { attempt });
+
+    try {
+      if (source.transport === 'ws') {
+        if (!WebSocketImpl) throw new LocalizedError('dashboard.connection.errors.wsUnavailable');
+        const socket = new WebSocketImpl(source.url);
+        connection = socket;
+        socket.onopen = () => {
+          if (source.subscribeMessage) socket.send(source.subscribeMessage);
+          handleOpen();
+        };
+        socket.onmessage = event => handleData(event.data);
+        socket.onerror = () => onError(new LocalizedError('dashboard.connection.errors.wsError'));
+        socket.onclose = (event) => {
+          if (connection !== socket) return;
+          connection = null;
+          scheduleReconnect(new LocalizedError('dashboard.connection.errors.wsClosed', { code: event.code }));
+        };
+      } else if (source.transport === 'sse') {
+        if (!EventSourceImpl) throw new LocalizedError('dashboard.connection.errors.sseUnavailable');
+        const eventSource = new EventSourceImpl(source.url);
+        connection = eventSource;
+        eventSource.onopen = handleOpen;
+        eventSource.onmessage = event => handleData(event.data);
+        eventSource.onerror = () => {
+          if (connection !== eventSource) return;
+          // Cerramos nosotros para controlar el backoff en lugar del reintento nativo
+          eventSource.close();
+          connection = null;
+          const error = new LocalizedError('dashboard.connection.errors.sseInterrupted');
+          onError(error);
+          scheduleReconnect(error);
+        };
+      } else {
+        throw new LocalizedError('dashboard.connection.errors.unknownTransport', { transport: source.transport });
+      }
+    } catch (err) {
+      onError(err);
+      scheduleReconnect(err);
+    }
+  }
+
+  open();
+
+  return {
+    close() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      const current = connection;
+      connection = null;
+      if (current) current.close();
+      onStateChange('closed', {});
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from 'ws';
+import EventSource from 'eventsource';
+import { connectStream } from './transports';
+import { backoffDelay } from './backoff';
+import { startMockStreamServer } from '../../test-utils/mockStreamServer';
+
+const waitFor = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timeout esperando la condición');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('backoffDelay', () => {
+  test('crece exponencialmente hasta el máximo', () => {
+    const options = { base: 100, max: 1000, random: () => 1 };
+    expect([0, 1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, options))).toEqual([100, 200, 400, 800, 1000, 1000]);
+  });
+
+  test('aplica jitter entre la mitad y el total', () => {
+    expect(backoffDelay(2, { base: 100, random: () => 0 })).toBe(200);
+    expect(backoffDelay(2, { base: 100, random: () => 0.5 })).toBe(300);
+  });
+});
+
+describe('connectStream', () => {
+  let server;
+  let stream;
+
+  beforeEach(async () => {
+    server = await startMockStreamServer();
+  });
+
+  afterEach(async () => {
+    if (stream) stream.close();
+    stream = null;
+    await server.close();
+  });
+
+  const connect = (source, handlers = {}) => {
+    const messages = [];
+    const states = [];
+    const errors = [];
+    stream = connectStream(source, {
+      onMessage: json => messages.push(json),
+      onStateChange: state => states.push(state),
+      onError: err => errors.push(err.message),
+      WebSocketImpl: WebSocket,
+      EventSourceImpl: EventSource,
+      backoff: { base: 20, max: 100 },
+      ...handlers
+    });
+    return { messages, states, errors };
+  };
+
+  test('WebSocket: envía la suscripción y entrega cada mensaje como JSON', async () => {
+    const { messages, states } = connect({ transport: 'ws', url: server.wsUrl, subscribeMessage: '{"sub":"btc"}' });
+    await waitFor(() => states.includes('open') && server.received.length > 0);
+    expect(server.received).toEqual(['{"sub":"btc"}']);
+
+    server.sendWs({ price: 1 });
+    server.sendWs({ price: 2 });
+    await waitFor(() => messages.length === 2);
+    expect(messages).toEqual([{ price: 1 }, { price: 2 }]);
+  });
+
+  test('WebSocket: informa de mensajes no JSON sin cortar la conexión', async () => {
+    const { messages, states, errors } = connect({ transport: 'ws', url: server.wsUrl });
+    await waitFor(() => states.includes('open'));
+    server.sendWs('hola');
+    server.sendWs({ ok: true });
+    await waitFor(() => messages.length === 1);
+    expect(errors).toEqual(['Mensaje no JSON: hola']);
+  });
+
+  test('WebSocket: se reconecta tras perder la conexión', async () => {
+    const { messages, states } = connect({ transport: 'ws', url: server.wsUrl });
+    await waitFor(() => server.wsClientCount() === 1);
+    server.dropConnections();
+    await waitFor(() => states.includes('reconnecting'));
+    await waitFor(() => server.wsClientCount() === 1 && states[states.length - 1] === 'open');
+
+    server.sendWs({ price: 3 });
+    await waitFor(() => messages.length === 1);
+    expect(messages).toEqual([{ price: 3 }]);
+  });
+
+  test('SSE: entrega los eventos y se reconecta', async () => {
+    const { messages, states } = connect({ transport: 'sse', url: server.sseUrl });
+    await waitFor(() => server.sseClientCount() === 1 && states.includes('open'));
+    server.sendSse({ temp: 20 });
+    await waitFor(() => messages.length === 1);
+
+    server.dropConnections();
+    await waitFor(() => states.includes('reconnecting'));
+    await waitFor(() => server.sseClientCount() === 1);
+    server.sendSse({ temp: 21 });
+    await waitFor(() => messages.length === 2);
+    expect(messages).toEqual([{ temp: 20 }, { temp: 21 }]);
+  });
+
+  test('close() detiene la conexión y los reintentos', async () => {
+    const { states } = connect({ transport: 'ws', url: server.wsUrl });
+    await waitFor(() => server.wsClientCount() === 1);
+    stream.close();
+    stream = null;
+    await waitFor(() => server.wsClientCount() === 0);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(server.wsClientCount()).toBe(0);
+    expect(states[states.length - 1]).toBe('closed');
+  });
+});
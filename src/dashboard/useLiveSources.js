@@ -0,0 +1,83 @@
+// Hooks que mantienen vivas las fuentes mientras el dashboard está en modo "live": un poller
+// por fuente consultada (HTTP o simulada) y una conexión por fuente de streaming.
+//
+// Las fuentes y los callbacks se leen en cada tick o mensaje, así que editar la URL, el path o
+// la petición no reinicia nada; solo se recrean los pollers si cambia su calendario y las
+// conexiones si cambia su URL, transporte o mensaje de suscripción.
+
+import { useEffect, useRef } from 'react';
+import { createPoller } from './poller';
+import { isPolledSource, isStreamingSource, connectStream } from './transports';
+
+const useLatest = (value) => {
+  const ref = useRef(value);
+  ref.current = value;
+  return ref;
+};
+
+// fetchSource(source, signal) hace una consulta; onError(source, err) y onStateChange(id, state, info)
+export function useSourcePolling({ live, sources, fetchSource, onError, onStateChange }) {
+  const latest = useLatest({ sources, fetchSource, onError, onStateChange });
+
+  const pollConfigKey = JSON.stringify(sources
+    .filter(isPolledSource)
+    .map(({ id, refreshInterval, request }) => [id, refreshInterval, request.timeoutMs]));
+
+  useEffect(() => {
+    if (!live) return undefined;
+
+    const pollers = JSON.parse(pollConfigKey).map(([id, refreshInterval, timeout]) => {
+      const currentSource = () => latest.current.sources.find(source => source.id === id);
+      return createPoller({
+        interval: refreshInterval,
+        timeout,
+        task: (signal) => {
+          const source = currentSource();
+          return source ? latest.current.fetchSource(source, signal) : Promise.resolve();
+        },
+        onError: (err) => {
+          const source = currentSource();
+          if (source) latest.current.onError(source, err);
+        },
+        onStateChange: (state, info) => latest.current.onStateChange(id, state, info)
+      });
+    });
+    pollers.forEach(poller => poller.start());
+
+    return () => {
+      pollers.forEach(poller => poller.stop());
+    };
+  }, [live, pollConfigKey, latest]);
+}
+
+// onMessage(source, json) por cada mensaje; onError(source, err) y onStateChange(id, state, info)
+export function useSourceStreams({ live, sources, onMessage, onError, onStateChange, connect = connectStream }) {
+  const latest = useLatest({ sources, onMessage, onError, onStateChange, connect });
+
+  const streamConfigKey = JSON.stringify(sources
+    .filter(source => source.url && isStreamingSource(source))
+    .map(({ id, transport, url, subscribeMessage }) => [id, transport, url, subscribeMessage]));
+
+  useEffect(() => {
+    if (!live) return undefined;
+
+    const streams = JSON.parse(streamConfigKey).map(([id]) => {
+      const currentSource = () => latest.current.sources.find(source => source.id === id);
+      return latest.current.connect(currentSource(), {
+        onMessage: (json) => {
+          const source = currentSource();
+          if (source) latest.current.onMessage(source, json);
+        },
+        onStateChange: (state, info) => latest.current.onStateChange(id, state, info),
+        onError: (err) => {
+          const source = currentSource();
+          if (source) latest.current.onError(source, err);
+        }
+      });
+    });
+
+    return () => {
+      streams.forEach(stream => stream.close());
+    };
+  }, [live, streamConfigKey, latest]);
+}
@@ -0,0 +1,126 @@
+import { act, renderHook } from '@testing-library/react';
+import { useSourcePolling, useSourceStreams } from './useLiveSources';
+import { createSource } from './sources';
+
+// Resuelve promesas pendientes sin avanzar los temporizadores falsos
+const flush = () => act(() => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve)));
+
+const advance = async (ms) => {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+  await flush();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('useSourcePolling', () => {
+  const setup = ({ fetchSource = jest.fn(() => Promise.resolve()), ...initialProps }) => {
+    const onError = jest.fn();
+    const onStateChange = jest.fn();
+    const utils = renderHook(props => useSourcePolling({ fetchSource, onError, onStateChange, ...props }), { initialProps });
+    return { ...utils, fetchSource, onError, onStateChange };
+  };
+
+  test('consulta al iniciar y en cada intervalo, y se detiene al pausar', async () => {
+    const sources = [createSource({ url: 'https://api.example.com', refreshInterval: 1000 })];
+    const { rerender, fetchSource, onStateChange } = setup({ live: false, sources });
+    await advance(5000);
+    expect(fetchSource).not.toHaveBeenCalled();
+
+    rerender({ live: true, sources });
+    await flush();
+    expect(fetchSource).toHaveBeenCalledTimes(1);
+    expect(fetchSource.mock.calls[0][0]).toBe(sources[0]);
+    expect(onStateChange).toHaveBeenCalledWith(sources[0].id, 'polling', expect.any(Object));
+
+    await advance(1000);
+    await advance(1000);
+    expect(fetchSource).toHaveBeenCalledTimes(3);
+
+    rerender({ live: false, sources });
+    await advance(10000);
+    expect(fetchSource).toHaveBeenCalledTimes(3);
+  });
+
+  test('cambiar el intervalo recrea el poller; editar la URL no', async () => {
+    const source = createSource({ url: 'https://a.example.com', refreshInterval: 5000 });
+    const { rerender, fetchSource } = setup({ live: true, sources: [source] });
+    await flush();
+    expect(fetchSource).toHaveBeenCalledTimes(1);
+
+    const edited = { ...source, url: 'https://b.example.com' };
+    rerender({ live: true, sources: [edited] });
+    await advance(4000);
+    expect(fetchSource).toHaveBeenCalledTimes(1);
+    await advance(1000);
+    expect(fetchSource).toHaveBeenCalledTimes(2);
+    expect(fetchSource.mock.calls[1][0].url).toBe('https://b.example.com');
+
+    rerender({ live: true, sources: [{ ...edited, refreshInterval: 1000 }] });
+    await flush();
+    expect(fetchSource).toHaveBeenCalledTimes(3);
+    await advance(1000);
+    expect(fetchSource).toHaveBeenCalledTimes(4);
+  });
+
+  test('informa de los errores con la fuente y sigue consultando con backoff', async () => {
+    const source = createSource({ url: 'https://api.example.com', refreshInterval: 1000 });
+    const failure = new Error('HTTP error! status: 500');
+    const fetchSource = jest.fn(() => Promise.reject(failure));
+    const { onError, onStateChange } = setup({ live: true, sources: [source], fetchSource });
+    await flush();
+    expect(onError).toHaveBeenCalledWith(source, failure);
+    expect(onStateChange).toHaveBeenCalledWith(source.id, 'backoff', expect.objectContaining({ failures: 1 }));
+    await advance(10000);
+    expect(fetchSource.mock.calls.length).toBeGreaterThan(1);
+  });
+
+  test('ignora las fuentes sin URL y las de streaming, pero consulta las simuladas', async () => {
+    const sources = [
+      createSource({ url: '' }),
+      createSource({ url: 'wss://x', transport: 'ws' }),
+      createSource({ transport: 'mock' })
+    ];
+    const { fetchSource } = setup({ live: true, sources });
+    await flush();
+    expect(fetchSource.mock.calls.map(([source]) => source.id)).toEqual([sources[2].id]);
+  });
+});
+
+describe('useSourceStreams', () => {
+  test('conecta las fuentes de streaming al iniciar y las cierra al pausar', () => {
+    const close = jest.fn();
+    const handlers = {};
+    const connect = jest.fn((source, options) => {
+      handlers[source.id] = options;
+      return { close };
+    });
+    const onMessage = jest.fn();
+    const sources = [createSource({ url: 'wss://x', transport: 'ws' }), createSource({ url: 'https://y' })];
+    const { rerender } = renderHook(props => useSourceStreams({
+      onMessage,
+      onError: jest.fn(),
+      onStateChange: jest.fn(),
+      connect,
+      ...props
+    }), { initialProps: { live: true, sources } });
+
+    expect(connect).toHaveBeenCalledTimes(1);
+    handlers[sources[0].id].onMessage({ p: 1 });
+    expect(onMessage).toHaveBeenCalledWith(sources[0], { p: 1 });
+
+    // Cambiar el path no reconecta
+    rerender({ live: true, sources: [{ ...sources[0], path: 'p' }, sources[1]] });
+    expect(connect).toHaveBeenCalledTimes(1);
+
+    rerender({ live: false, sources });
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,120 @@
+// Diseño del dashboard: lista ordenada de widgets sobre una rejilla de WIDGET_COLUMNS columnas.
+//
+// Un widget es { id, type, title, seriesKeys, width, height, options }. seriesKeys null significa
+// "todas las series" (las capturadas y las derivadas), así el diseño por defecto sigue valiendo
+// al añadir o quitar fuentes. Los indicadores y los valores únicos usan solo la primera serie.
+
+import { createId } from './ids';
+
+// Los nombres de tipos y alturas están en los catálogos de idioma (dashboard.widgets)
+export const WIDGET_TYPES = ['line', 'area', 'bar', 'scatter', 'gauge', 'stat', 'table'];
+
+// Tipos que muestran una sola serie
+export const SINGLE_SERIES_TYPES = ['gauge', 'stat'];
+// Tipos dibujados con Recharts (exportables como imagen)
+export const CHART_WIDGET_TYPES = ['line', 'area', 'bar', 'scatter'];
+
+export const WIDGET_COLUMNS = 4;
+
+export const WIDGET_HEIGHTS = [
+  { id: 'sm', pixels: 200 },
+  { id: 'md', pixels: 300 },
+  { id: 'lg', pixels: 450 }
+];
+
+export const TABLE_PAGE_SIZES = [10, 25, 50, 100];
+
+export const createWidget = (overrides = {}) => {
+  const widget = {
+    id: createId('w'),
+    type: 'line',
+    title: '',
+    seriesKeys: null,
+    width: 2,
+    height: 'md',
+    ...overrides
+  };
+  return {
+    ...widget,
+    options: {
+      // Escala de los indicadores
+      min: 0,
+      max: 100,
+      // Estadística destacada de los valores únicos (ver statCards)
+      stat: 'latest',
+      pageSize: 10,
+      ...overrides.options
+    }
+  };
+};
+
+// Lo que mostraba el dashboard antes de poder configurarlo: línea y barras a media anchura y la tabla.
+// Sin título, para que se muestre el nombre del tipo en el idioma de la interfaz (ver widgetTitle).
+export const createDefaultLayout = () => [
+  createWidget({ type: 'line' }),
+  createWidget({ type: 'bar' }),
+  createWidget({ type: 'table', width: WIDGET_COLUMNS })
+];
+
+// Sin título propio se usa el nombre del tipo en el idioma de t
+export const widgetTitle = (widget, t) => widget.title || (WIDGET_TYPES.includes(widget.type) ? t(`dashboard.widgets.types.${widget.type}`) : 'Widget');
+
+export const clampWidth = width => Math.min(WIDGET_COLUMNS, Math.max(1, Math.round(Number(width)) || 1));
+
+export const updateWidget = (widgets, id, changes) => widgets.map(widget => (
+  widget.id === id
+    ? {
+      ...widget,
+      ...changes,
+      ...(changes.width !== undefined ? { width: clampWidth(changes.width) } : {}),
+      options: { ...widget.options, ...changes.options }
+    }
+    : widget
+));
+
+export const removeWidget = (widgets, id) => widgets.filter(widget => widget.id !== id);
+
+// Mueve un widget offset posiciones (negativo hacia el principio) sin salirse de la lista
+export function moveWidget(widgets, id, offset) {
+  const from = widgets.findIndex(widget => widget.id === id);
+  if (from === -1) return widgets;
+  const to = Math.min(widgets.length - 1, Math.max(0, from + offset));
+  if (to === from) return widgets;
+  const next = [...widgets];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// Series del widget, en el orden de seriesList; las claves que ya no existen se ignoran
+export function widgetSeries(widget, seriesList) {
+  const selected = widget.seriesKeys === null
+    ? seriesList
+    : seriesList.filter(item => widget.seriesKeys.includes(item.key));
+  return SINGLE_SERIES_TYPES.includes(widget.type) ? selected.slice(0, 1) : selected;
+}
+
+// Fracción [0, 1] del arco de un indicador
+export function gaugeFraction(value, min, max) {
+  if (!Number.isFinite(value) || !(max > min)) return 0;
+  return Math.min(1, Math.max(0, (value - min) / (max - min)));
+}
+
+// Ordena las filas por una columna; los valores ausentes van siempre al final
+export function sortRows(rows, column, direction = 'desc') {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const [x, y] = [a[column], b[column]];
+    const missingX = typeof x !== 'number';
+    const missingY = typeof y !== 'number';
+    if (missingX || missingY) return Number(missingX) - Number(missingY);
+    return (x - y) * sign;
+  });
+}
+
+// Página page (desde 0, ajustada al rango válido) de pageSize filas
+export function paginate(rows, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(pageCount - 1, Math.max(0, page));
+  return { rows: rows.slice(current * pageSize, (current + 1) * pageSize), page: current, pageCount };
+}
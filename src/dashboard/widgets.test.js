@@ -0,0 +1,96 @@
+import {
+  createWidget,
+  createDefaultLayout,
+  updateWidget,
+  removeWidget,
+  moveWidget,
+  widgetSeries,
+  widgetTitle,
+  gaugeFraction,
+  sortRows,
+  paginate
+} from './widgets';
+import { createI18n } from '../i18n/i18n';
+
+const { t } = createI18n('es');
+
+const seriesList = [
+  { key: 'src1', name: 'A' },
+  { key: 'src2', name: 'B' },
+  { key: 'der1', name: 'Media de A', derived: true }
+];
+
+describe('edición del diseño', () => {
+  test('updateWidget combina las opciones y limita el ancho a la rejilla', () => {
+    const widget = createWidget({ type: 'gauge' });
+    const [updated] = updateWidget([widget], widget.id, { width: 7, options: { max: 50 } });
+    expect(updated.width).toBe(4);
+    expect(updated.options).toEqual({ ...widget.options, max: 50 });
+    expect(updateWidget([widget], widget.id, { width: 0 })[0].width).toBe(1);
+  });
+
+  test('moveWidget reordena sin salirse de la lista', () => {
+    const widgets = [createWidget(), createWidget(), createWidget()];
+    const ids = widgets.map(widget => widget.id);
+    expect(moveWidget(widgets, ids[0], 1).map(widget => widget.id)).toEqual([ids[1], ids[0], ids[2]]);
+    expect(moveWidget(widgets, ids[2], -5).map(widget => widget.id)).toEqual([ids[2], ids[0], ids[1]]);
+    expect(moveWidget(widgets, ids[2], 1)).toBe(widgets);
+  });
+
+  test('removeWidget quita solo el widget indicado', () => {
+    const widgets = [createWidget(), createWidget()];
+    expect(removeWidget(widgets, widgets[0].id)).toEqual([widgets[1]]);
+  });
+
+  test('el diseño por defecto no tiene títulos fijos y se traduce con el idioma', () => {
+    const layout = createDefaultLayout();
+    expect(layout.map(widget => widget.title)).toEqual(['', '', '']);
+    expect(layout.map(widget => widgetTitle(widget, createI18n('en').t))).toEqual(['Line', 'Bars', 'Table']);
+  });
+
+  test('widgetTitle usa el nombre del tipo si no hay título', () => {
+    expect(widgetTitle(createWidget({ type: 'scatter' }), t)).toBe('Dispersión');
+    expect(widgetTitle(createWidget({ title: 'Temperatura' }), t)).toBe('Temperatura');
+  });
+});
+
+describe('widgetSeries', () => {
+  test('null selecciona todas las series, derivadas incluidas', () => {
+    expect(widgetSeries(createWidget(), seriesList)).toEqual(seriesList);
+  });
+
+  test('respeta el orden de la lista e ignora claves que ya no existen', () => {
+    const widget = createWidget({ seriesKeys: ['der1', 'src1', 'src9'] });
+    expect(widgetSeries(widget, seriesList).map(item => item.key)).toEqual(['src1', 'der1']);
+  });
+
+  test('los indicadores y valores únicos muestran una sola serie', () => {
+    expect(widgetSeries(createWidget({ type: 'gauge' }), seriesList)).toEqual([seriesList[0]]);
+    expect(widgetSeries(createWidget({ type: 'stat', seriesKeys: ['src2'] }), seriesList)).toEqual([seriesList[1]]);
+  });
+});
+
+test('gaugeFraction se limita a [0, 1] y tolera escalas vacías', () => {
+  expect(gaugeFraction(25, 0, 100)).toBe(0.25);
+  expect(gaugeFraction(-10, 0, 100)).toBe(0);
+  expect(gaugeFraction(500, 0, 100)).toBe(1);
+  expect(gaugeFraction(5, 10, 10)).toBe(0);
+  expect(gaugeFraction(NaN, 0, 100)).toBe(0);
+});
+
+describe('tabla', () => {
+  const rows = [{ time: 1, a: 3 }, { time: 2 }, { time: 3, a: 1 }, { time: 4, a: 2 }];
+
+  test('sortRows ordena en ambos sentidos con los valores ausentes al final', () => {
+    expect(sortRows(rows, 'a', 'asc').map(row => row.time)).toEqual([3, 4, 1, 2]);
+    expect(sortRows(rows, 'a', 'desc').map(row => row.time)).toEqual([1, 4, 3, 2]);
+    expect(sortRows(rows, 'time').map(row => row.time)).toEqual([4, 3, 2, 1]);
+  });
+
+  test('paginate ajusta la página al rango válido', () => {
+    expect(paginate(rows, 1, 3)).toEqual({ rows: [rows[3]], page: 1, pageCount: 2 });
+    expect(paginate(rows, 5, 3).page).toBe(1);
+    expect(paginate(rows, -1, 3).page).toBe(0);
+    expect(paginate([], 0, 10)).toEqual({ rows: [], page: 0, pageCount: 1 });
+  });
+});
@@ -0,0 +1,55 @@
+// Errores con texto traducible. La lógica pura no conoce el idioma de la interfaz: lanza un
+// LocalizedError con la clave del texto en el catálogo (code) y sus parámetros, y los
+// componentes lo muestran con errorMessage(err, t). El message queda en el idioma por defecto
+// para la consola y los errores que no llegan a la interfaz.
+
+import { translate } from './translate';
+import { es } from './locales/es';
+
+const defaultContext = { catalog: es, locale: 'es' };
+
+// Un parámetro que es a su vez un error (el motivo de otro fallo) se traduce igual que el error
+const describeParams = (params, describe) => Object.fromEntries(Object.entries(params).map(
+  ([name, value]) => [name, value instanceof Error ? describe(value) : value]
+));
+
+export class LocalizedError extends Error {
+  constructor(code, params = {}) {
+    super(translate(defaultContext, code, describeParams(params, err => err.message)));
+    this.name = 'LocalizedError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Varios errores a la vez (por ejemplo, los de cada campo de una respuesta)
+export class ErrorList extends Error {
+  constructor(errors) {
+    super(errors.map(err => err.message).join(' · '));
+    this.name = 'ErrorList';
+    this.errors = errors;
+  }
+}
+
+// Forma serializable de un error para enviarlo a otro hilo (postMessage no conserva la clase)
+export const errorToData = err => (err instanceof LocalizedError
+  ? { code: err.code, params: describeParams(err.params, errorToData) }
+  : { message: String(err?.message ?? err) });
+
+// Reconstruye el error enviado con errorToData; los parámetros de tipo objeto solo pueden ser
+// errores serializados
+export const errorFromData = (data) => {
+  if (!data?.code) return new Error(data?.message);
+  const params = Object.fromEntries(Object.entries(data.params || {}).map(
+    ([name, value]) => [name, value !== null && typeof value === 'object' ? errorFromData(value) : value]
+  ));
+  return new LocalizedError(data.code, params);
+};
+
+// Texto de un error en el idioma de t(); los errores sin código muestran su message y las
+// ErrorList, el de cada uno de sus errores
+export const errorMessage = (err, t) => {
+  if (err instanceof LocalizedError) return t(err.code, describeParams(err.params, inner => errorMessage(inner, t)));
+  if (err instanceof ErrorList) return err.errors.map(inner => errorMessage(inner, t)).join(' · ');
+  return String(err?.message ?? err);
+};
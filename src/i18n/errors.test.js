@@ -0,0 +1,36 @@
+import { LocalizedError, ErrorList, errorMessage, errorToData, errorFromData } from './errors';
+import { createI18n } from './i18n';
+
+describe('LocalizedError / errorMessage', () => {
+  test('el mensaje está en el idioma por defecto y errorMessage lo traduce', () => {
+    const err = new LocalizedError('dashboard.profiles.errors.newerVersion', { version: 3 });
+    expect(err.message).toBe('La configuración es de una versión más reciente (3)');
+    expect(err).toMatchObject({ code: 'dashboard.profiles.errors.newerVersion', params: { version: 3 } });
+    expect(errorMessage(err, createI18n('en').t)).toBe('The configuration comes from a newer version (3)');
+  });
+
+  test('los parámetros que son errores también se traducen', () => {
+    const inner = new LocalizedError('visualizer.errors.emptyPiece');
+    const err = new LocalizedError('visualizer.errors.inPiece', { number: 2, error: inner });
+    expect(err.message).toBe('Tramo 2: El intervalo está vacío');
+    expect(errorMessage(err, createI18n('en').t)).toBe('Piece 2: The interval is empty');
+  });
+
+  test('los errores sin código muestran su mensaje', () => {
+    expect(errorMessage(new Error('Failed to fetch'), createI18n('en').t)).toBe('Failed to fetch');
+  });
+
+  test('las ErrorList muestran todos sus errores', () => {
+    const err = new ErrorList([new LocalizedError('dashboard.derived.errors.missingSource'), new Error('Failed to fetch')]);
+    expect(errorMessage(err, createI18n('en').t)).toBe('The source series does not exist · Failed to fetch');
+  });
+
+  test('errorToData y errorFromData conservan el código y los errores anidados', () => {
+    const inner = new LocalizedError('visualizer.errors.emptyPiece');
+    const data = JSON.parse(JSON.stringify(errorToData(new LocalizedError('visualizer.errors.inPiece', { number: 2, error: inner }))));
+    const restored = errorFromData(data);
+    expect(restored).toBeInstanceOf(LocalizedError);
+    expect(errorMessage(restored, createI18n('en').t)).toBe('Piece 2: The interval is empty');
+    expect(errorFromData(errorToData(new Error('Failed to fetch'))).message).toBe('Failed to fetch');
+  });
+});
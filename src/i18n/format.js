@@ -0,0 +1,51 @@
+// Formato de números, monedas y fechas según el idioma (Intl). Los formateadores de Intl son
+// caros de crear, así que se guardan por idioma y opciones.
+
+const EMPTY = '—';
+
+const cache = new Map();
+
+const cached = (Constructor, locale, options) => {
+  const key = `${Constructor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!cache.has(key)) cache.set(key, new Constructor(locale, options));
+  return cache.get(key);
+};
+
+const isNumber = value => typeof value === 'number' && !Number.isNaN(value);
+
+// Monedas que se pueden asignar a una fuente (códigos ISO 4217)
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CNY', 'MXN', 'BRL'];
+
+// Formateadores de un idioma. Los valores que no son números se muestran como "—".
+export function createFormatter(locale) {
+  const number = (value, digits = 2) => (isNumber(value)
+    ? cached(Intl.NumberFormat, locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value)
+    : EMPTY);
+
+  return {
+    number,
+    // Números sin ceros a la derecha (hasta dos decimales), para los ejes de los gráficos
+    decimal: value => (isNumber(value) ? cached(Intl.NumberFormat, locale, { maximumFractionDigits: 2 }).format(value) : EMPTY),
+    integer: value => (isNumber(value) ? cached(Intl.NumberFormat, locale, { maximumFractionDigits: 0 }).format(value) : EMPTY),
+    // Variación en %: value ya está en tanto por cien y lleva siempre signo (+1,50 %)
+    signedPercent: value => (isNumber(value)
+      ? cached(Intl.NumberFormat, locale, {
+        style: 'percent',
+        signDisplay: 'exceptZero',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+      }).format(value / 100)
+      : EMPTY),
+    // Sin moneda es un número normal; con ella se respetan los decimales de la moneda (JPY no tiene)
+    currency: (value, currency, digits) => {
+      if (!currency) return number(value, digits);
+      if (!isNumber(value)) return EMPTY;
+      const options = { style: 'currency', currency };
+      if (digits !== undefined) Object.assign(options, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+      return cached(Intl.NumberFormat, locale, options).format(value);
+    },
+    time: time => cached(Intl.DateTimeFormat, locale, { timeStyle: 'medium' }).format(new Date(time)),
+    date: time => cached(Intl.DateTimeFormat, locale, { dateStyle: 'medium' }).format(new Date(time)),
+    dateTime: time => cached(Intl.DateTimeFormat, locale, { dateStyle: 'short', timeStyle: 'medium' }).format(new Date(time))
+  };
+}
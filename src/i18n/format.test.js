@@ -0,0 +1,49 @@
+import { createFormatter } from './format';
+
+// Intl separa símbolos y unidades con espacios no separables; se normalizan para comparar
+const plain = text => text.replace(/\s/g, ' ');
+
+const es = createFormatter('es');
+const en = createFormatter('en');
+
+describe('números', () => {
+  test('usan los separadores de cada idioma', () => {
+    expect(es.number(12345.678)).toBe('12.345,68');
+    expect(en.number(12345.678)).toBe('12,345.68');
+    expect(en.number(2, 0)).toBe('2');
+    expect(es.decimal(1.5)).toBe('1,5');
+    expect(en.integer(12345.6)).toBe('12,346');
+  });
+
+  test('la variación lleva siempre signo', () => {
+    expect(plain(es.signedPercent(1.5))).toBe('+1,50 %');
+    expect(en.signedPercent(-0.25)).toBe('-0.25%');
+  });
+
+  test('lo que no es un número se muestra como —', () => {
+    expect(es.number(null)).toBe('—');
+    expect(en.decimal(NaN)).toBe('—');
+    expect(en.currency(undefined, 'USD')).toBe('—');
+  });
+});
+
+describe('currency', () => {
+  test('da formato de moneda con los decimales de cada una', () => {
+    expect(plain(es.currency(12345.5, 'EUR'))).toBe('12.345,50 €');
+    expect(en.currency(1234.5, 'USD')).toBe('$1,234.50');
+    expect(en.currency(1234.5, 'JPY')).toBe('¥1,235');
+    expect(en.currency(1234.5, 'USD', 0)).toBe('$1,235');
+  });
+
+  test('sin moneda es un número normal', () => {
+    expect(en.currency(1234.5, '')).toBe('1,234.50');
+  });
+});
+
+test('las horas y fechas siguen el formato del idioma', () => {
+  const time = new Date(2024, 0, 2, 15, 4, 5).getTime();
+  expect(es.time(time)).toBe('15:04:05');
+  expect(plain(en.time(time))).toBe('3:04:05 PM');
+  expect(en.date(time)).toBe('Jan 2, 2024');
+  expect(plain(en.dateTime(time))).toBe('1/2/24, 3:04:05 PM');
+});
@@ -0,0 +1,65 @@
+// Idioma de la interfaz. El shell elige el idioma (guardado o el del navegador) y lo comparte
+// con useI18n(), que da t(clave, parámetros) para los textos y format para números y fechas.
+
+import { Fragment, createContext, createElement, useContext } from 'react';
+import { translate } from './translate';
+import { createFormatter } from './format';
+import { es } from './locales/es';
+import { en } from './locales/en';
+
+// Los textos que falten en un catálogo se toman del español, el idioma original de la aplicación
+export const DEFAULT_LOCALE = 'es';
+
+export const LOCALES = {
+  es: { label: 'Español', catalog: es },
+  en: { label: 'English', catalog: en }
+};
+
+export const LOCALE_STORAGE_KEY = 'app-shell:locale';
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+const browserLanguages = () => (typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []);
+
+// El idioma guardado o el primero de los del navegador que esté traducido ("en-GB" -> "en")
+export function loadLocale(storage = defaultStorage(), languages = browserLanguages()) {
+  let stored = null;
+  try {
+    stored = storage?.getItem(LOCALE_STORAGE_KEY);
+  } catch (err) {
+    // Almacenamiento bloqueado por el navegador: se usan los idiomas del navegador
+  }
+  if (LOCALES[stored]) return stored;
+  const supported = languages
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(language => LOCALES[language]);
+  return supported || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale, storage = defaultStorage()) {
+  if (!storage) return;
+  storage.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+// { locale, t, format } de un idioma
+export function createI18n(locale) {
+  const context = { catalog: LOCALES[locale].catalog, fallback: LOCALES[DEFAULT_LOCALE].catalog, locale };
+  return {
+    locale,
+    t: (key, params) => translate(context, key, params),
+    format: createFormatter(locale)
+  };
+}
+
+// Sin proveedor (p. ej. una herramienta montada sola en un test) la interfaz está en español
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} });
+
+export const useI18n = () => useContext(I18nContext);
+
+// Sustituye los parámetros {name} de un texto ya traducido por elementos de React, para frases
+// con partes marcadas (<code>, enlaces...): withElements(t('clave'), { command: <code>npm</code> })
+export const withElements = (text, elements) => text.split(/(\{\w+\})/).map((part, idx) => {
+  const name = part.slice(1, -1);
+  return part.startsWith('{') && elements[name] ? createElement(Fragment, { key: idx }, elements[name]) : part;
+});
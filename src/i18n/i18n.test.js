@@ -0,0 +1,60 @@
+import { render, screen } from '@testing-library/react';
+import { LOCALES, LOCALE_STORAGE_KEY, createI18n, loadLocale, saveLocale, withElements } from './i18n';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+};
+
+// Claves de un catálogo, con los plurales ({ one, other }) como una sola clave
+const catalogKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (typeof value === 'string' || 'other' in value) return [path];
+  return catalogKeys(value, path);
+});
+
+describe('loadLocale / saveLocale', () => {
+  test('sin idioma guardado usa el primero traducido de los del navegador', () => {
+    expect(loadLocale(memoryStorage(), ['en-GB', 'es'])).toBe('en');
+    expect(loadLocale(memoryStorage(), ['fr-FR', 'es-MX'])).toBe('es');
+    expect(loadLocale(memoryStorage(), ['fr', 'de'])).toBe('es');
+  });
+
+  test('el idioma guardado tiene prioridad sobre el del navegador', () => {
+    const storage = memoryStorage();
+    saveLocale('en', storage);
+    expect(storage.data[LOCALE_STORAGE_KEY]).toBe('en');
+    expect(loadLocale(storage, ['es'])).toBe('en');
+  });
+
+  test('un valor guardado desconocido o un almacenamiento bloqueado no fallan', () => {
+    expect(loadLocale(memoryStorage({ [LOCALE_STORAGE_KEY]: 'klingon' }), ['en'])).toBe('en');
+    const blocked = { getItem: () => { throw new Error('SecurityError'); } };
+    expect(loadLocale(blocked, ['en-US'])).toBe('en');
+    expect(loadLocale(undefined, [undefined])).toBe('es');
+  });
+});
+
+test('todos los catálogos tienen las mismas claves que el español', () => {
+  const expected = catalogKeys(LOCALES.es.catalog).sort();
+  Object.values(LOCALES).forEach(({ catalog }) => {
+    expect(catalogKeys(catalog).sort()).toEqual(expected);
+  });
+});
+
+test('createI18n traduce y da formato en el idioma pedido', () => {
+  const { t, format } = createI18n('en');
+  expect(t('shell.goTo', { name: 'Home' })).toBe('Go to Home');
+  expect(format.number(1234.5)).toBe('1,234.50');
+  expect(createI18n('es').t('shell.routes.visualizer')).toBe('Visualizador de funciones');
+});
+
+test('withElements intercala elementos de React en un texto traducido', () => {
+  render(<p data-testid="text">{withElements('Ejecuta {command} y {missing}', { command: <code>npm start</code> })}</p>);
+  expect(screen.getByTestId('text')).toHaveTextContent('Ejecuta npm start y {missing}');
+  expect(screen.getByText('npm start').tagName).toBe('CODE');
+});
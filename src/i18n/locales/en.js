@@ -0,0 +1,654 @@
+// English catalog. It must have the same keys as es.js (checked in i18n.test.js).
+
+export const en = {
+  dashboard: {
+    title: 'Live Data Dashboard',
+    subtitle: 'Connect to any HTTP/JSON API and visualize data in real time',
+    alertActive: 'Alert firing',
+    alerts: {
+      title: 'Alerts',
+      addRule: 'Add rule',
+      ruleName: 'Rule name',
+      enabled: 'Enabled',
+      notify: 'Notification',
+      removeRule: 'Remove rule',
+      series: 'Series:',
+      type: 'Type:',
+      types: {
+        above: 'Above',
+        below: 'Below',
+        change: '% change in window',
+        stale: 'No data for'
+      },
+      fields: {
+        threshold: 'Threshold:',
+        hysteresis: 'Hysteresis:',
+        changeThreshold: 'Change (%):',
+        changeHysteresis: 'Hysteresis (%):',
+        window: 'Window (s):',
+        staleSeconds: 'Seconds without data:'
+      },
+      cooldown: 'Cooldown (s):',
+      log: 'Alert log',
+      clearLog: 'Clear log',
+      emptyLog: 'No alerts logged',
+      resolved: 'resolved',
+      removedSeries: '(removed series)',
+      defaultName: 'Alert {number}',
+      reasons: {
+        above: '{value} > {threshold}',
+        below: '{value} < {threshold}',
+        change: 'Change of {percent} in {seconds} s',
+        stale: 'No data for {seconds} s'
+      }
+    },
+    derived: {
+      title: 'Derived series',
+      defaultName: 'Derived {number}',
+      add: 'Add derived series',
+      empty: 'Overlay moving averages, rates of change, Bollinger bands or formulas that combine series.',
+      color: 'Derived series color',
+      name: 'Derived series name',
+      visible: 'Visible',
+      remove: 'Remove derived series',
+      type: 'Type:',
+      types: {
+        sma: 'Simple moving average (SMA)',
+        ema: 'Exponential moving average (EMA)',
+        roc: 'Rate of change',
+        std: 'Rolling standard deviation',
+        bollinger: 'Bollinger bands',
+        formula: 'Formula'
+      },
+      formula: 'Formula:',
+      formulaPlaceholder: 'series * 2',
+      variables: 'Variables:',
+      series: 'Series:',
+      window: 'Window (samples):',
+      multiplier: 'Deviations (k):',
+      unit: 'Unit:',
+      units: {
+        percent: '% per sample',
+        perSecond: 'Units per second'
+      },
+      bands: {
+        mid: 'middle',
+        upper: 'upper',
+        lower: 'lower'
+      },
+      errors: {
+        missingSource: 'The source series does not exist',
+        unknownType: 'Unknown derived series type: {type}'
+      }
+    },
+    mock: {
+      signals: {
+        randomWalk: 'Random walk',
+        sine: 'Sine',
+        step: 'Steps (square wave)',
+        noise: 'Gaussian noise',
+        replay: 'Replay JSON recording'
+      },
+      loadRecording: 'Load recording',
+      recordingFile: 'Recording file',
+      recording: 'Recording',
+      recordingSummary: {
+        one: '{name} · {count} response (looped)',
+        other: '{name} · {count} responses (looped)'
+      },
+      noRecording: 'No recording',
+      recordingHelp: 'A JSON list of responses or a JSON file exported from the dashboard (the first series is used).',
+      base: 'Center value:',
+      amplitude: 'Amplitude:',
+      period: 'Period (samples):',
+      seed: 'Seed:',
+      errors: {
+        unknownSignal: 'Unknown simulated signal: {signal}',
+        noRecording: 'No recording loaded',
+        invalidJson: 'The recording is not valid JSON: {message}',
+        invalidRecording: 'The recording must be a list of JSON responses or a JSON export from the dashboard',
+        emptyRecording: 'The recording is empty'
+      }
+    },
+    profiles: {
+      profile: 'Profile:',
+      active: 'Active profile',
+      unsaved: '(unsaved)',
+      name: 'Profile name',
+      dirty: 'Unsaved changes',
+      save: 'Save',
+      create: 'New',
+      duplicate: 'Duplicate',
+      delete: 'Delete',
+      confirmDelete: 'Delete the profile "{name}"?',
+      copyLink: 'Copy link',
+      export: 'Export profiles',
+      import: 'Import profiles',
+      defaultName: 'Profile {number}',
+      copyName: '{name} (copy)',
+      duplicated: 'Profile duplicated as "{name}"',
+      imported: {
+        one: '{count} profile imported',
+        other: '{count} profiles imported'
+      },
+      importError: 'Error importing profiles: {message}',
+      saveError: 'Could not save the profiles: {message}',
+      loadError: 'Could not load the profile: {message}',
+      linkCopied: 'Link copied (credentials are not included)',
+      linkError: 'Could not copy the link: {link}',
+      importedName: 'Imported profile {number}',
+      errors: {
+        invalidConfig: 'The configuration is not valid: the list of sources is missing',
+        newerVersion: 'The configuration comes from a newer version ({version})',
+        invalidJson: 'The file is not valid JSON: {message}',
+        noProfiles: 'The file does not contain dashboard profiles'
+      }
+    },
+    request: {
+      method: 'Method:',
+      timeout: 'Timeout (s):',
+      auth: 'Authentication:',
+      authTypes: {
+        none: 'No authentication',
+        bearer: 'Bearer token',
+        basic: 'Basic',
+        apikey: 'API key'
+      },
+      token: 'Token',
+      username: 'Username',
+      password: 'Password',
+      keyName: 'Name',
+      keyValue: 'Value',
+      keyIn: 'API key location',
+      keyInHeader: 'Header',
+      keyInQuery: 'Query',
+      viaProxy: 'Send through the local CORS proxy ({url}, start it with {command})',
+      headers: 'Headers:',
+      removeHeader: 'Remove header',
+      query: 'Query parameters:',
+      removeQuery: 'Remove query parameter',
+      addPair: 'Add',
+      valuePlaceholder: 'value or {{now}}',
+      body: 'Body:',
+      bodyTypes: {
+        none: 'No body',
+        json: 'JSON',
+        form: 'Form (x-www-form-urlencoded)'
+      },
+      formPlaceholder: 'field=value\nlast={{lastValue}}',
+      templates: 'Templates available in the URL, headers, query and body:',
+      variables: {
+        now: 'Milliseconds since epoch',
+        nowSeconds: 'Seconds since epoch',
+        nowIso: 'Current date in ISO 8601',
+        lastValue: 'Last value of the source',
+        lastTime: 'Milliseconds of the last value'
+      },
+      test: 'Test request',
+      error: 'Error: {message}',
+      errors: {
+        invalidJsonBody: 'The JSON body is not valid: {message}',
+        http: 'HTTP error (status {status})'
+      }
+    },
+    stats: {
+      latest: 'Latest value',
+      avg: 'Average',
+      min: 'Minimum',
+      max: 'Maximum',
+      median: 'Median',
+      std: 'Standard deviation',
+      change: 'Change since start',
+      count: 'Samples'
+    },
+    widgets: {
+      types: {
+        line: 'Line',
+        area: 'Area',
+        bar: 'Bars',
+        scatter: 'Scatter',
+        gauge: 'Gauge',
+        stat: 'Single value',
+        table: 'Table'
+      },
+      heights: {
+        sm: 'Short',
+        md: 'Medium height',
+        lg: 'Tall'
+      },
+      title: 'Widget title',
+      type: 'Widget type',
+      width: 'Widget width',
+      widthOption: 'Width {width}/{columns}',
+      height: 'Widget height',
+      moveBefore: 'Move widget back',
+      moveAfter: 'Move widget forward',
+      remove: 'Remove widget',
+      series: 'Widget series',
+      allSeries: 'All',
+      scale: 'Scale:',
+      scaleTo: 'to',
+      gaugeMin: 'Gauge minimum',
+      gaugeMax: 'Gauge maximum',
+      stat: 'Displayed statistic',
+      empty: 'No series selected or no data.',
+      time: 'Time',
+      pageSize: 'Rows per page',
+      rows: {
+        one: '{count} row',
+        other: '{count} rows'
+      },
+      previousPage: 'Previous page',
+      nextPage: 'Next page'
+    },
+    transports: {
+      http: 'HTTP (polling)',
+      ws: 'WebSocket',
+      sse: 'Server-Sent Events',
+      mock: 'Simulated (no network)'
+    },
+    downsample: {
+      lttb: 'LTTB',
+      minmax: 'Min/max per bucket'
+    },
+    report: {
+      title: 'Report · Live Data Dashboard',
+      generated: {
+        one: 'Generated on {stamp} · {range} · {count} instant',
+        other: 'Generated on {stamp} · {range} · {count} instants'
+      },
+      print: 'Print',
+      back: 'Back to dashboard',
+      config: 'Configuration',
+      source: 'Source',
+      transport: 'Transport',
+      url: 'URL',
+      fields: 'Fields',
+      interval: 'Interval',
+      fullResponse: '(full response)',
+      streaming: 'Streaming',
+      seconds: '{count} s',
+      summary: 'Max points: {maxPoints} · Downsampling: {downsample} · Alert rules: {rules}',
+      fullConfig: 'Full configuration (without credentials)',
+      stats: 'Statistics',
+      noData: 'No data in the displayed range.',
+      data: 'Data'
+    },
+    status: {
+      live: 'LIVE',
+      paused: 'PAUSED',
+      reconnecting: '(attempt {attempt}, in {seconds} s)',
+      backoff: {
+        one: '({count} failure, next in {seconds} s)',
+        other: '({count} failures, next in {seconds} s)'
+      },
+      sources: {
+        one: '{count} source',
+        other: '{count} sources'
+      },
+      points: {
+        one: '{count} data point',
+        other: '{count} data points'
+      },
+      lastUpdate: 'Last update: {time}',
+      sourceError: 'Error ({name}): {message}',
+      importError: 'Import error: {message}',
+      exportError: 'Export error: {message}',
+      historyError: 'History: {message}'
+    },
+    connection: {
+      idle: 'IDLE',
+      polling: 'POLLING',
+      backoff: 'RETRYING',
+      hidden: 'PAUSED (hidden tab)',
+      connecting: 'CONNECTING',
+      open: 'CONNECTED',
+      reconnecting: 'RECONNECTING',
+      closed: 'DISCONNECTED',
+      errors: {
+        timeout: 'Request timed out ({seconds} s)',
+        notJson: 'Non-JSON message: {data}',
+        wsUnavailable: 'WebSocket is not available',
+        wsError: 'WebSocket connection error',
+        wsClosed: 'WebSocket closed (code {code})',
+        sseUnavailable: 'EventSource is not available',
+        sseInterrupted: 'SSE connection interrupted',
+        unknownTransport: 'Unknown streaming transport: {transport}'
+      }
+    },
+    errorLog: {
+      toggle: 'Error history ({count})',
+      title: 'Error history',
+      clear: 'Clear',
+      time: 'Time',
+      source: 'Source',
+      status: 'Status',
+      message: 'Message'
+    },
+    controls: {
+      start: 'Start',
+      pause: 'Pause',
+      fetchOnce: 'Refresh once',
+      clear: 'Clear data',
+      config: 'Settings',
+      report: 'Report'
+    },
+    history: {
+      range: 'Range:',
+      ranges: {
+        live: 'Live (last N points)',
+        '5m': 'Last 5 min',
+        '1h': 'Last hour',
+        '24h': 'Last 24 h',
+        custom: 'Custom'
+      },
+      from: 'From',
+      to: 'To',
+      customLabel: 'From {from} to {to}',
+      invalidRange: 'Invalid custom range',
+      unavailable: 'History requires IndexedDB, which is not available in this browser',
+      retention: 'History retention:',
+      retentionOptions: {
+        '1h': '1 hour',
+        '24h': '24 hours',
+        '7d': '7 days',
+        '30d': '30 days',
+        none: 'No limit'
+      },
+      downsample: 'Downsampling for long ranges:',
+      clear: 'Clear history'
+    },
+    exchange: {
+      export: 'Export:',
+      includeRaw: 'Include full response',
+      import: 'Import',
+      summarySheet: 'Summary',
+      importedSeries: 'Imported series {number}',
+      errors: {
+        invalidTimestamp: 'Invalid timestamp: {value}',
+        invalidValue: 'Not a number: {value}',
+        unknownFormat: 'Unknown export format: {format}',
+        missingColumns: 'The CSV must have the columns "timestamp" and "value"',
+        missingSeries: 'The JSON is not in the export format ("series" is missing)',
+        unsupportedFile: 'Unsupported file type: .{extension}'
+      }
+    },
+    sources: {
+      title: 'Data sources',
+      defaultName: 'Source {number}',
+      color: 'Series color',
+      name: 'Source name',
+      currency: 'Value currency',
+      noCurrency: 'No currency',
+      remove: 'Remove',
+      transport: 'Transport:',
+      signal: 'Signal:',
+      mockSignal: 'Simulated signal',
+      apiUrl: 'API URL:',
+      streamUrl: 'Stream URL:',
+      path: 'Value path (JSONPath):',
+      pathPlaceholder: 'data.value or response.results[0].price\nprice = items[0].price',
+      interval: 'Interval:',
+      pollInterval: 'Polling interval',
+      seconds: {
+        one: '{count} second',
+        other: '{count} seconds'
+      },
+      minutes: {
+        one: '{count} minute',
+        other: '{count} minutes'
+      },
+      subscribeMessage: 'Message on connect (optional):',
+      eachEvent: 'Each received event adds a point',
+      request: 'Request: {method}',
+      authenticated: 'authenticated',
+      headers: {
+        one: '{count} header',
+        other: '{count} headers'
+      },
+      add: 'Add source',
+      pathExample: 'Example: to extract the price from {json} use "data.price"',
+      pathSyntax: 'Indexes ({index}), wildcards ({wildcard}), filters ({filter}) and aggregations ({aggregates}) are also supported.',
+      pathFields: 'To extract several fields from one response write one per line: {syntax}',
+      pathFieldsSyntax: 'name = path',
+      maxPoints: 'Max points per source:',
+      maxPointsLabel: 'Max points per source',
+      errors: {
+        field: '{name}: {error}'
+      }
+    },
+    jsonPath: {
+      errors: {
+        expected: 'Expected "{token}" (position {position} in "{path}")',
+        unexpectedChar: 'Unexpected character "{char}" (position {position} in "{path}")',
+        expectedName: 'Expected a property name (position {position} in "{path}")',
+        expectedIndex: 'Expected an index, a slice or a quoted name (position {position} in "{path}")',
+        invalidOperand: 'Invalid operand in filter (position {position} in "{path}")',
+        aggregate: '"{path}" is an aggregate; use getValueFromPath',
+        multipleValues: {
+          one: 'The path "{path}" returns {count} value; use sum(), avg(), min(), max() or count()',
+          other: 'The path "{path}" returns {count} values; use sum(), avg(), min(), max() or count()'
+        },
+        notNumeric: 'The value of "{path}" is not numeric: {value}',
+        noMatch: 'The path "{path}" does not match any value'
+      }
+    },
+    examples: {
+      title: 'Public API examples (added as a source):',
+      corsHint: 'If an API does not allow CORS, start the local proxy with {command} and enable it in the source request. Simulated sources work without a network.',
+      coingecko: {
+        name: 'Bitcoin Price (CoinGecko)',
+        description: 'Current Bitcoin price in USD'
+      },
+      randomUser: {
+        name: 'Random User API',
+        description: 'Random user data (extracts the age)'
+      },
+      jsonPlaceholder: {
+        name: 'JSONPlaceholder - Posts',
+        description: 'Test API - post ID'
+      },
+      openMeteo: {
+        name: 'Open-Meteo Weather',
+        description: 'Current temperature in Madrid'
+      },
+      binance: {
+        name: 'Binance BTC/USDT (WebSocket)',
+        description: 'Price of every BTC/USDT trade in real time'
+      },
+      openMeteoFields: {
+        name: 'Open-Meteo (several fields)',
+        description: 'Temperature, wind and humidity in Madrid as separate series',
+        temperature: 'temperature',
+        wind: 'wind',
+        humidity: 'humidity'
+      },
+      mockRandomWalk: {
+        name: 'Simulated · random walk',
+        description: 'No network: a price that moves up and down at random (fixed seed)'
+      },
+      mockSine: {
+        name: 'Simulated · sine',
+        description: 'No network: oscillates between -50 and 50 every 20 samples'
+      }
+    },
+    layout: {
+      addWidget: 'Add widget',
+      edit: 'Edit layout',
+      done: 'Finish editing',
+      empty: 'No widgets. Press "Edit layout" to add one.'
+    }
+  },
+  shared: {
+    chart: 'chart',
+    downloadChart: 'Download {title} as {format}',
+    chartErrors: {
+      noSize: 'The chart has no size; is it hidden?',
+      pngFailed: 'Could not generate the PNG',
+      drawFailed: 'Could not draw the chart',
+      noChart: 'There is no chart to export',
+      unknownFormat: 'Unknown image format: {format}'
+    }
+  },
+  visualizer: {
+    title: 'Function visualizer',
+    subtitle: 'Write one or more expressions and explore them interactively',
+    addFunction: 'Add function',
+    derivatives: 'Show derivatives:',
+    noDerivatives: 'None',
+    upTo: 'Up to {name}',
+    sampling: 'Computing…',
+    samplingError: 'Sampling error: {message}',
+    numericLegend: '(numeric)',
+    piecewiseWhen: 'if',
+    errors: {
+      empty: 'The expression is empty',
+      incomplete: 'The expression is incomplete (position {position})',
+      malformedNumber: 'Malformed number at position {position}',
+      unexpectedChar: "Unexpected character '{char}' at position {position}",
+      unexpectedToken: "Unexpected token '{token}' (position {position})",
+      expected: "Expected '{token}' (position {position})",
+      expectedCall: "Expected '(' after {name} (position {position})",
+      missingParen: "Missing ')' (position {position})",
+      extraParen: "Unmatched ')' (position {position})",
+      arity: {
+        one: '{name} expects {count} argument (position {position})',
+        other: '{name} expects {count} arguments (position {position})'
+      },
+      arityAtLeast: {
+        one: '{name} expects at least {count} argument (position {position})',
+        other: '{name} expects at least {count} arguments (position {position})'
+      },
+      unknownIdentifier: 'Unknown identifier: {name}',
+      rangeStartNotFinite: 'The start of {variable} is not a finite number',
+      rangeEndNotFinite: 'The end of {variable} is not a finite number',
+      emptyRange: 'The range of {variable} is empty',
+      pieceStartNotFinite: 'The start of the piece is not a finite number',
+      pieceEndNotFinite: 'The end of the piece is not a finite number',
+      emptyPiece: 'The interval is empty',
+      inPiece: 'Piece {number}: {error}',
+      noPieces: 'Add at least one piece',
+      noSymbolicDerivative: '{name} has no symbolic derivative',
+      derivativeTooLarge: 'The derivative is too large to display',
+      samplingReplaced: 'Sampling replaced by a newer request',
+      samplingCancelled: 'Sampling cancelled',
+      workerFailed: 'Sampling worker error'
+    },
+    tooltip: {
+      at: 'at {variable} = {value}',
+      undefined: 'undefined',
+      numeric: 'numeric derivative'
+    },
+    syntax: {
+      title: 'Syntax:',
+      operators: 'Operators: + − * / ^ and implicit multiplication (2x, 3(x+1), x·ln(x))',
+      functions: 'Functions: sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, exp, ln, log, log10, log2, sqrt, cbrt, abs, sign, floor, ceil, round, pow, min, max',
+      constants: 'Constants: pi (π), e, tau',
+      modes: 'Modes: y = f(x), piecewise (one expression per interval), parametric x(t), y(t) and polar r(θ) (theta is accepted too)',
+      parameters: 'Any other name (a, b, k...) is a parameter with its own slider; ▶ animates it across its interval',
+      undefined: 'Where the function is undefined (e.g. ln(x) with x ≤ 0) the curve is interrupted',
+      hover: 'Hover over the chart to see exact values',
+      wheel: 'Mouse wheel: zoom at the cursor; drag to pan (the Y axis only when it is not on Auto)',
+      box: 'Shift + drag or "Box zoom" zooms into the selected rectangle; Ctrl+Z / Ctrl+Y undo and redo the view',
+      analysis: 'Roots, extrema and inflection points are searched for in the visible range and marked on the chart'
+    },
+    editor: {
+      kinds: {
+        cartesian: 'y = f(x)',
+        piecewise: 'Piecewise',
+        parametric: 'Parametric',
+        polar: 'Polar'
+      },
+      color: 'Color of {name}',
+      kind: 'Mode of {name}',
+      expression: 'Expression of {name}',
+      xExpression: 'x(t) of {name}',
+      yExpression: 'y(t) of {name}',
+      radius: 'r(θ) of {name}',
+      show: 'Show {name}',
+      hide: 'Hide {name}',
+      remove: 'Remove {name}',
+      rangeFrom: 'Start of {variable} in {name}',
+      rangeTo: 'End of {variable} in {name}',
+      pieceExpression: 'Expression of piece {number} of {name}',
+      pieceIf: 'if',
+      pieceFrom: 'Start of piece {number} of {name}',
+      pieceTo: 'End of piece {number} of {name}',
+      removePiece: 'Remove piece {number} of {name}',
+      addPiece: 'Add piece',
+      numericDerivative: 'Numeric derivative from {name}(x): {message}'
+    },
+    parameters: {
+      title: 'Parameters',
+      value: 'Value of {name}',
+      min: 'Minimum of {name}',
+      max: 'Maximum of {name}',
+      stepLabel: 'step',
+      step: 'Step of {name}',
+      animate: 'Animate {name}',
+      stop: 'Stop animating {name}'
+    },
+    view: {
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      reset: 'Reset',
+      pan: 'Pan',
+      box: 'Box zoom',
+      undo: 'Undo view',
+      undoTitle: 'Undo view (Ctrl+Z)',
+      redo: 'Redo view',
+      redoTitle: 'Redo view (Ctrl+Y)',
+      xMin: 'X minimum',
+      xMax: 'X maximum',
+      yMin: 'Y minimum',
+      yMax: 'Y maximum',
+      to: 'to',
+      auto: 'Auto'
+    },
+    analysis: {
+      title: 'Analysis',
+      target: 'Analyzed function',
+      range: 'on [{from}, {to}]',
+      invalid: 'Enter a valid function of x (regular or piecewise) to analyze it.',
+      empty: 'No roots, extrema, inflection points or asymptotes in the visible range.',
+      paused: 'Analysis and the integral are computed when the animation stops.',
+      kind: 'Type',
+      kinds: {
+        root: 'Root',
+        min: 'Local minimum',
+        max: 'Local maximum',
+        inflection: 'Inflection',
+        vertical: 'Vertical asymptote',
+        horizontal: 'Horizontal asymptote'
+      },
+      horizontalAsymptotes: 'Horizontal asymptotes:',
+      integral: 'Definite integral',
+      integralFrom: 'from',
+      integralTo: 'to',
+      lowerLimit: 'Lower limit',
+      upperLimit: 'Upper limit',
+      undefinedIntegral: '∫ {name}(x) dx is not defined on the interval',
+      notConverged: '(not fully converged)'
+    }
+  },
+  shell: {
+    appName: 'Data tools',
+    tools: 'Tools',
+    routes: {
+      dashboard: 'Live dashboard',
+      visualizer: 'Function visualizer'
+    },
+    language: 'Language',
+    themes: {
+      light: 'light',
+      dark: 'dark'
+    },
+    switchTheme: 'Switch to {theme} theme',
+    themeTitle: '{theme} theme',
+    loading: 'Loading…',
+    loadError: 'The tool could not be loaded',
+    reload: 'Reload the page',
+    notFound: 'This page does not exist',
+    goTo: 'Go to {name}'
+  }
+};
@@ -0,0 +1,657 @@
+// Catálogo en español, el idioma original de la aplicación y el de reserva para los demás.
+// Las claves se agrupan por herramienta y componente; cualquier catálogo nuevo debe tener las
+// mismas claves (lo comprueba i18n.test.js).
+
+export const es = {
+  dashboard: {
+    title: 'Live Data Dashboard',
+    subtitle: 'Conecta a cualquier API HTTP/JSON y visualiza datos en tiempo real',
+    alertActive: 'Alerta activa',
+    alerts: {
+      title: 'Alertas',
+      addRule: 'Añadir regla',
+      ruleName: 'Nombre de la regla',
+      enabled: 'Activa',
+      notify: 'Notificación',
+      removeRule: 'Eliminar regla',
+      series: 'Serie:',
+      type: 'Tipo:',
+      types: {
+        above: 'Por encima de',
+        below: 'Por debajo de',
+        change: 'Variación % en ventana',
+        stale: 'Sin datos durante'
+      },
+      fields: {
+        threshold: 'Umbral:',
+        hysteresis: 'Histéresis:',
+        changeThreshold: 'Variación (%):',
+        changeHysteresis: 'Histéresis (%):',
+        window: 'Ventana (s):',
+        staleSeconds: 'Segundos sin datos:'
+      },
+      cooldown: 'Enfriamiento (s):',
+      log: 'Registro de alertas',
+      clearLog: 'Limpiar registro',
+      emptyLog: 'Sin alertas registradas',
+      resolved: 'resuelta',
+      removedSeries: '(serie eliminada)',
+      defaultName: 'Alerta {number}',
+      reasons: {
+        above: '{value} > {threshold}',
+        below: '{value} < {threshold}',
+        change: 'Variación de {percent} en {seconds} s',
+        stale: 'Sin datos desde hace {seconds} s'
+      }
+    },
+    derived: {
+      title: 'Series derivadas',
+      defaultName: 'Derivada {number}',
+      add: 'Añadir serie derivada',
+      empty: 'Superpone medias móviles, tasas de cambio, bandas de Bollinger o fórmulas que combinan series.',
+      color: 'Color de la serie derivada',
+      name: 'Nombre de la serie derivada',
+      visible: 'Visible',
+      remove: 'Eliminar serie derivada',
+      type: 'Tipo:',
+      types: {
+        sma: 'Media móvil simple (SMA)',
+        ema: 'Media móvil exponencial (EMA)',
+        roc: 'Tasa de cambio',
+        std: 'Desviación estándar móvil',
+        bollinger: 'Bandas de Bollinger',
+        formula: 'Fórmula'
+      },
+      formula: 'Fórmula:',
+      formulaPlaceholder: 'serie * 2',
+      variables: 'Variables:',
+      series: 'Serie:',
+      window: 'Ventana (muestras):',
+      multiplier: 'Desviaciones (k):',
+      unit: 'Unidad:',
+      units: {
+        percent: '% por muestra',
+        perSecond: 'Unidades por segundo'
+      },
+      bands: {
+        mid: 'media',
+        upper: 'superior',
+        lower: 'inferior'
+      },
+      errors: {
+        missingSource: 'La serie de origen no existe',
+        unknownType: 'Tipo de serie derivada desconocido: {type}'
+      }
+    },
+    mock: {
+      signals: {
+        randomWalk: 'Paseo aleatorio',
+        sine: 'Seno',
+        step: 'Escalones (onda cuadrada)',
+        noise: 'Ruido gaussiano',
+        replay: 'Reproducir grabación JSON'
+      },
+      loadRecording: 'Cargar grabación',
+      recordingFile: 'Fichero de grabación',
+      recording: 'Grabación',
+      recordingSummary: {
+        one: '{name} · {count} respuesta (se repite en bucle)',
+        other: '{name} · {count} respuestas (se repiten en bucle)'
+      },
+      noRecording: 'Sin grabación',
+      recordingHelp: 'Una lista JSON de respuestas o un fichero exportado en JSON desde el dashboard (se usa la primera serie).',
+      base: 'Valor central:',
+      amplitude: 'Amplitud:',
+      period: 'Periodo (muestras):',
+      seed: 'Semilla:',
+      errors: {
+        unknownSignal: 'Señal simulada desconocida: {signal}',
+        noRecording: 'No hay ninguna grabación cargada',
+        invalidJson: 'La grabación no es JSON válido: {message}',
+        invalidRecording: 'La grabación debe ser una lista de respuestas JSON o una exportación JSON del dashboard',
+        emptyRecording: 'La grabación está vacía'
+      }
+    },
+    profiles: {
+      profile: 'Perfil:',
+      active: 'Perfil activo',
+      unsaved: '(sin guardar)',
+      name: 'Nombre del perfil',
+      dirty: 'Cambios sin guardar',
+      save: 'Guardar',
+      create: 'Nuevo',
+      duplicate: 'Duplicar',
+      delete: 'Eliminar',
+      confirmDelete: '¿Eliminar el perfil "{name}"?',
+      copyLink: 'Copiar enlace',
+      export: 'Exportar perfiles',
+      import: 'Importar perfiles',
+      defaultName: 'Perfil {number}',
+      copyName: '{name} (copia)',
+      duplicated: 'Perfil duplicado como "{name}"',
+      imported: {
+        one: '{count} perfil importado',
+        other: '{count} perfiles importados'
+      },
+      importError: 'Error al importar perfiles: {message}',
+      saveError: 'No se pudieron guardar los perfiles: {message}',
+      loadError: 'No se pudo cargar el perfil: {message}',
+      linkCopied: 'Enlace copiado (las credenciales no se incluyen)',
+      linkError: 'No se pudo copiar el enlace: {link}',
+      importedName: 'Perfil importado {number}',
+      errors: {
+        invalidConfig: 'La configuración no es válida: falta la lista de fuentes',
+        newerVersion: 'La configuración es de una versión más reciente ({version})',
+        invalidJson: 'El fichero no es JSON válido: {message}',
+        noProfiles: 'El fichero no contiene perfiles del dashboard'
+      }
+    },
+    request: {
+      method: 'Método:',
+      timeout: 'Timeout (s):',
+      auth: 'Autenticación:',
+      authTypes: {
+        none: 'Sin autenticación',
+        bearer: 'Bearer token',
+        basic: 'Basic',
+        apikey: 'API key'
+      },
+      token: 'Token',
+      username: 'Usuario',
+      password: 'Contraseña',
+      keyName: 'Nombre',
+      keyValue: 'Valor',
+      keyIn: 'Ubicación de la API key',
+      keyInHeader: 'Cabecera',
+      keyInQuery: 'Query',
+      viaProxy: 'Pedir a través del proxy CORS local ({url}, arráncalo con {command})',
+      headers: 'Cabeceras:',
+      removeHeader: 'Eliminar cabecera',
+      query: 'Parámetros de query:',
+      removeQuery: 'Eliminar parámetro de query',
+      addPair: 'Añadir',
+      valuePlaceholder: 'valor o {{now}}',
+      body: 'Cuerpo:',
+      bodyTypes: {
+        none: 'Sin cuerpo',
+        json: 'JSON',
+        form: 'Formulario (x-www-form-urlencoded)'
+      },
+      formPlaceholder: 'campo=valor\nultimo={{lastValue}}',
+      templates: 'Plantillas disponibles en URL, cabeceras, query y cuerpo:',
+      variables: {
+        now: 'Milisegundos desde epoch',
+        nowSeconds: 'Segundos desde epoch',
+        nowIso: 'Fecha actual en ISO 8601',
+        lastValue: 'Último valor de la fuente',
+        lastTime: 'Milisegundos del último valor'
+      },
+      test: 'Probar petición',
+      error: 'Error: {message}',
+      errors: {
+        invalidJsonBody: 'El cuerpo JSON no es válido: {message}',
+        http: 'Error HTTP (estado {status})'
+      }
+    },
+    stats: {
+      latest: 'Último valor',
+      avg: 'Promedio',
+      min: 'Mínimo',
+      max: 'Máximo',
+      median: 'Mediana',
+      std: 'Desviación estándar',
+      change: 'Cambio desde el inicio',
+      count: 'Muestras'
+    },
+    widgets: {
+      types: {
+        line: 'Línea',
+        area: 'Área',
+        bar: 'Barras',
+        scatter: 'Dispersión',
+        gauge: 'Indicador',
+        stat: 'Valor único',
+        table: 'Tabla'
+      },
+      heights: {
+        sm: 'Altura baja',
+        md: 'Altura media',
+        lg: 'Altura alta'
+      },
+      title: 'Título del widget',
+      type: 'Tipo de widget',
+      width: 'Ancho del widget',
+      widthOption: 'Ancho {width}/{columns}',
+      height: 'Alto del widget',
+      moveBefore: 'Mover widget antes',
+      moveAfter: 'Mover widget después',
+      remove: 'Eliminar widget',
+      series: 'Serie del widget',
+      allSeries: 'Todas',
+      scale: 'Escala:',
+      scaleTo: 'a',
+      gaugeMin: 'Mínimo del indicador',
+      gaugeMax: 'Máximo del indicador',
+      stat: 'Estadística mostrada',
+      empty: 'Sin series seleccionadas o sin datos.',
+      time: 'Hora',
+      pageSize: 'Filas por página',
+      rows: {
+        one: '{count} fila',
+        other: '{count} filas'
+      },
+      previousPage: 'Página anterior',
+      nextPage: 'Página siguiente'
+    },
+    transports: {
+      http: 'HTTP (polling)',
+      ws: 'WebSocket',
+      sse: 'Server-Sent Events',
+      mock: 'Simulada (sin red)'
+    },
+    downsample: {
+      lttb: 'LTTB',
+      minmax: 'Mín/máx por bucket'
+    },
+    report: {
+      title: 'Informe · Live Data Dashboard',
+      generated: {
+        one: 'Generado el {stamp} · {range} · {count} instante',
+        other: 'Generado el {stamp} · {range} · {count} instantes'
+      },
+      print: 'Imprimir',
+      back: 'Volver al panel',
+      config: 'Configuración',
+      source: 'Fuente',
+      transport: 'Transporte',
+      url: 'URL',
+      fields: 'Campos',
+      interval: 'Intervalo',
+      fullResponse: '(respuesta completa)',
+      streaming: 'Streaming',
+      seconds: '{count} s',
+      summary: 'Máximo de puntos: {maxPoints} · Reducción de puntos: {downsample} · Reglas de alerta: {rules}',
+      fullConfig: 'Configuración completa (sin credenciales)',
+      stats: 'Estadísticas',
+      noData: 'Sin datos en el rango mostrado.',
+      data: 'Datos'
+    },
+    status: {
+      live: 'LIVE',
+      paused: 'PAUSED',
+      reconnecting: '(intento {attempt}, en {seconds} s)',
+      backoff: {
+        one: '({count} fallo, siguiente en {seconds} s)',
+        other: '({count} fallos, siguiente en {seconds} s)'
+      },
+      sources: {
+        one: '{count} fuente',
+        other: '{count} fuentes'
+      },
+      points: {
+        one: '{count} punto de datos',
+        other: '{count} puntos de datos'
+      },
+      lastUpdate: 'Última actualización: {time}',
+      sourceError: 'Error ({name}): {message}',
+      importError: 'Error al importar: {message}',
+      exportError: 'Error al exportar: {message}',
+      historyError: 'Histórico: {message}'
+    },
+    connection: {
+      idle: 'INACTIVO',
+      polling: 'POLLING',
+      backoff: 'REINTENTANDO',
+      hidden: 'EN PAUSA (pestaña oculta)',
+      connecting: 'CONECTANDO',
+      open: 'CONECTADO',
+      reconnecting: 'RECONECTANDO',
+      closed: 'DESCONECTADO',
+      errors: {
+        timeout: 'Tiempo de espera agotado ({seconds} s)',
+        notJson: 'Mensaje no JSON: {data}',
+        wsUnavailable: 'WebSocket no está disponible',
+        wsError: 'Error en la conexión WebSocket',
+        wsClosed: 'WebSocket cerrado (código {code})',
+        sseUnavailable: 'EventSource no está disponible',
+        sseInterrupted: 'Conexión SSE interrumpida',
+        unknownTransport: 'Transporte de streaming desconocido: {transport}'
+      }
+    },
+    errorLog: {
+      toggle: 'Historial de errores ({count})',
+      title: 'Historial de errores',
+      clear: 'Limpiar',
+      time: 'Hora',
+      source: 'Fuente',
+      status: 'Estado',
+      message: 'Mensaje'
+    },
+    controls: {
+      start: 'Iniciar',
+      pause: 'Pausar',
+      fetchOnce: 'Actualizar una vez',
+      clear: 'Limpiar datos',
+      config: 'Configuración',
+      report: 'Informe'
+    },
+    history: {
+      range: 'Rango:',
+      ranges: {
+        live: 'En vivo (últimos N puntos)',
+        '5m': 'Últimos 5 min',
+        '1h': 'Última hora',
+        '24h': 'Últimas 24 h',
+        custom: 'Personalizado'
+      },
+      from: 'Desde',
+      to: 'Hasta',
+      customLabel: 'Del {from} al {to}',
+      invalidRange: 'Rango personalizado no válido',
+      unavailable: 'El histórico requiere IndexedDB, que no está disponible en este navegador',
+      retention: 'Retención del histórico:',
+      retentionOptions: {
+        '1h': '1 hora',
+        '24h': '24 horas',
+        '7d': '7 días',
+        '30d': '30 días',
+        none: 'Sin límite'
+      },
+      downsample: 'Reducción de puntos en rangos largos:',
+      clear: 'Borrar histórico'
+    },
+    exchange: {
+      export: 'Exportar:',
+      includeRaw: 'Incluir respuesta completa',
+      import: 'Importar',
+      summarySheet: 'Resumen',
+      importedSeries: 'Serie importada {number}',
+      errors: {
+        invalidTimestamp: 'Timestamp no válido: {value}',
+        invalidValue: 'Valor no numérico: {value}',
+        unknownFormat: 'Formato de exportación desconocido: {format}',
+        missingColumns: 'El CSV debe tener las columnas "timestamp" y "value"',
+        missingSeries: 'El JSON no tiene el formato de exportación (falta "series")',
+        unsupportedFile: 'Tipo de fichero no soportado: .{extension}'
+      }
+    },
+    sources: {
+      title: 'Fuentes de datos',
+      defaultName: 'Fuente {number}',
+      color: 'Color de la serie',
+      name: 'Nombre de la fuente',
+      currency: 'Moneda de los valores',
+      noCurrency: 'Sin moneda',
+      remove: 'Eliminar',
+      transport: 'Transporte:',
+      signal: 'Señal:',
+      mockSignal: 'Señal simulada',
+      apiUrl: 'URL del API:',
+      streamUrl: 'URL del stream:',
+      path: 'Path del valor (JSONPath):',
+      pathPlaceholder: 'data.value o response.results[0].price\nprecio = items[0].price',
+      interval: 'Intervalo:',
+      pollInterval: 'Intervalo de consulta',
+      seconds: {
+        one: '{count} segundo',
+        other: '{count} segundos'
+      },
+      minutes: {
+        one: '{count} minuto',
+        other: '{count} minutos'
+      },
+      subscribeMessage: 'Mensaje al conectar (opcional):',
+      eachEvent: 'Cada evento recibido añade un punto',
+      request: 'Petición: {method}',
+      authenticated: 'autenticada',
+      headers: {
+        one: '{count} cabecera',
+        other: '{count} cabeceras'
+      },
+      add: 'Añadir fuente',
+      pathExample: 'Ejemplo: Para extraer el precio de {json} usa "data.price"',
+      pathSyntax: 'También admite índices ({index}), comodines ({wildcard}), filtros ({filter}) y agregaciones ({aggregates}).',
+      pathFields: 'Para extraer varios campos de una respuesta escribe uno por línea: {syntax}',
+      pathFieldsSyntax: 'nombre = path',
+      maxPoints: 'Máximo de puntos por fuente:',
+      maxPointsLabel: 'Máximo de puntos por fuente',
+      errors: {
+        field: '{name}: {error}'
+      }
+    },
+    jsonPath: {
+      errors: {
+        expected: 'Se esperaba "{token}" (posición {position} en "{path}")',
+        unexpectedChar: 'Carácter inesperado "{char}" (posición {position} en "{path}")',
+        expectedName: 'Se esperaba un nombre de propiedad (posición {position} en "{path}")',
+        expectedIndex: 'Se esperaba un índice, un slice o un nombre entre comillas (posición {position} en "{path}")',
+        invalidOperand: 'Operando no válido en el filtro (posición {position} en "{path}")',
+        aggregate: '"{path}" es una agregación; usa getValueFromPath',
+        multipleValues: {
+          one: 'El path "{path}" devuelve {count} valor; usa sum(), avg(), min(), max() o count()',
+          other: 'El path "{path}" devuelve {count} valores; usa sum(), avg(), min(), max() o count()'
+        },
+        notNumeric: 'El valor de "{path}" no es numérico: {value}',
+        noMatch: 'El path "{path}" no coincide con ningún valor'
+      }
+    },
+    examples: {
+      title: 'Ejemplos de APIs públicas (se añaden como fuente):',
+      corsHint: 'Si una API no permite CORS, arranca el proxy local con {command} y actívalo en la petición de la fuente. Las fuentes simuladas funcionan sin red.',
+      coingecko: {
+        name: 'Bitcoin Price (CoinGecko)',
+        description: 'Precio actual de Bitcoin en USD'
+      },
+      randomUser: {
+        name: 'Random User API',
+        description: 'Datos aleatorios de usuarios (extrae la edad)'
+      },
+      jsonPlaceholder: {
+        name: 'JSONPlaceholder - Posts',
+        description: 'API de prueba - ID del post'
+      },
+      openMeteo: {
+        name: 'Open-Meteo Weather',
+        description: 'Temperatura actual en Madrid'
+      },
+      binance: {
+        name: 'Binance BTC/USDT (WebSocket)',
+        description: 'Precio de cada operación BTC/USDT en tiempo real'
+      },
+      openMeteoFields: {
+        name: 'Open-Meteo (varios campos)',
+        description: 'Temperatura, viento y humedad en Madrid como series separadas',
+        temperature: 'temperatura',
+        wind: 'viento',
+        humidity: 'humedad'
+      },
+      mockRandomWalk: {
+        name: 'Simulada · paseo aleatorio',
+        description: 'Sin red: un precio que sube y baja al azar (semilla fija)'
+      },
+      mockSine: {
+        name: 'Simulada · seno',
+        description: 'Sin red: oscila entre -50 y 50 cada 20 muestras'
+      }
+    },
+    layout: {
+      addWidget: 'Añadir widget',
+      edit: 'Editar diseño',
+      done: 'Terminar edición',
+      empty: 'No hay widgets. Pulsa «Editar diseño» para añadir uno.'
+    }
+  },
+  shared: {
+    chart: 'gráfico',
+    downloadChart: 'Descargar {title} como {format}',
+    chartErrors: {
+      noSize: 'El gráfico no tiene tamaño; ¿está oculto?',
+      pngFailed: 'No se pudo generar el PNG',
+      drawFailed: 'No se pudo dibujar el gráfico',
+      noChart: 'No hay ningún gráfico que exportar',
+      unknownFormat: 'Formato de imagen desconocido: {format}'
+    }
+  },
+  visualizer: {
+    title: 'Visualizador de funciones',
+    subtitle: 'Escribe una o varias expresiones y explóralas interactivamente',
+    addFunction: 'Añadir función',
+    derivatives: 'Mostrar derivadas:',
+    noDerivatives: 'Ninguna',
+    upTo: 'Hasta {name}',
+    sampling: 'Calculando…',
+    samplingError: 'Error al muestrear: {message}',
+    numericLegend: '(numérica)',
+    // Separa cada tramo de una función a trozos de su intervalo: "2·x si x ≤ 0"
+    piecewiseWhen: 'si',
+    errors: {
+      empty: 'La expresión está vacía',
+      incomplete: 'La expresión está incompleta (posición {position})',
+      malformedNumber: 'Número mal formado en la posición {position}',
+      unexpectedChar: "Carácter inesperado '{char}' en la posición {position}",
+      unexpectedToken: "Token inesperado '{token}' (posición {position})",
+      expected: "Se esperaba '{token}' (posición {position})",
+      expectedCall: "Se esperaba '(' después de {name} (posición {position})",
+      missingParen: "Falta ')' (posición {position})",
+      extraParen: "Sobra un ')' (posición {position})",
+      arity: {
+        one: '{name} espera {count} argumento (posición {position})',
+        other: '{name} espera {count} argumentos (posición {position})'
+      },
+      arityAtLeast: {
+        one: '{name} espera al menos {count} argumento (posición {position})',
+        other: '{name} espera al menos {count} argumentos (posición {position})'
+      },
+      unknownIdentifier: 'Identificador desconocido: {name}',
+      rangeStartNotFinite: 'El inicio de {variable} no es un número finito',
+      rangeEndNotFinite: 'El final de {variable} no es un número finito',
+      emptyRange: 'El intervalo de {variable} está vacío',
+      pieceStartNotFinite: 'El inicio del tramo no es un número finito',
+      pieceEndNotFinite: 'El final del tramo no es un número finito',
+      emptyPiece: 'El intervalo está vacío',
+      inPiece: 'Tramo {number}: {error}',
+      noPieces: 'Añade al menos un tramo',
+      noSymbolicDerivative: '{name} no tiene derivada simbólica',
+      derivativeTooLarge: 'La derivada es demasiado grande para mostrarla',
+      samplingReplaced: 'Muestreo reemplazado por otro más reciente',
+      samplingCancelled: 'Muestreo cancelado',
+      workerFailed: 'Error en el worker de muestreo'
+    },
+    tooltip: {
+      at: 'en {variable} = {value}',
+      undefined: 'no definida',
+      numeric: 'derivada numérica'
+    },
+    syntax: {
+      title: 'Sintaxis:',
+      operators: 'Operadores: + − * / ^ y multiplicación implícita (2x, 3(x+1), x·ln(x))',
+      functions: 'Funciones: sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, exp, ln, log, log10, log2, sqrt, cbrt, abs, sign, floor, ceil, round, pow, min, max',
+      constants: 'Constantes: pi (π), e, tau',
+      modes: 'Modos: y = f(x), a trozos (una expresión por intervalo), paramétrica x(t), y(t) y polar r(θ) (también se admite theta)',
+      parameters: 'Cualquier otro nombre (a, b, k...) es un parámetro con su propio deslizador; ▶ lo anima recorriendo su intervalo',
+      undefined: 'Donde la función no está definida (p. ej. ln(x) con x ≤ 0) la curva se interrumpe',
+      hover: 'Pasa el cursor sobre la gráfica para ver valores exactos',
+      wheel: 'Rueda del ratón: zoom en el cursor; arrastra para desplazar (el eje Y solo si no está en Auto)',
+      box: 'Mayús + arrastrar o «Zoom de área» amplía el rectángulo seleccionado; Ctrl+Z / Ctrl+Y deshacen y rehacen la vista',
+      analysis: 'Raíces, extremos e inflexiones se buscan en el rango visible y se marcan en la gráfica'
+    },
+    editor: {
+      kinds: {
+        cartesian: 'y = f(x)',
+        piecewise: 'A trozos',
+        parametric: 'Paramétrica',
+        polar: 'Polar'
+      },
+      color: 'Color de {name}',
+      kind: 'Modo de {name}',
+      expression: 'Expresión de {name}',
+      xExpression: 'x(t) de {name}',
+      yExpression: 'y(t) de {name}',
+      radius: 'r(θ) de {name}',
+      show: 'Mostrar {name}',
+      hide: 'Ocultar {name}',
+      remove: 'Eliminar {name}',
+      rangeFrom: 'Inicio de {variable} en {name}',
+      rangeTo: 'Final de {variable} en {name}',
+      pieceExpression: 'Expresión del tramo {number} de {name}',
+      pieceIf: 'si',
+      pieceFrom: 'Inicio del tramo {number} de {name}',
+      pieceTo: 'Final del tramo {number} de {name}',
+      removePiece: 'Eliminar tramo {number} de {name}',
+      addPiece: 'Añadir tramo',
+      numericDerivative: 'Derivada numérica desde {name}(x): {message}'
+    },
+    parameters: {
+      title: 'Parámetros',
+      value: 'Valor de {name}',
+      min: 'Mínimo de {name}',
+      max: 'Máximo de {name}',
+      stepLabel: 'paso',
+      step: 'Paso de {name}',
+      animate: 'Animar {name}',
+      stop: 'Detener animación de {name}'
+    },
+    view: {
+      zoomIn: 'Ampliar',
+      zoomOut: 'Reducir',
+      reset: 'Reiniciar',
+      pan: 'Mover',
+      box: 'Zoom de área',
+      undo: 'Deshacer vista',
+      undoTitle: 'Deshacer vista (Ctrl+Z)',
+      redo: 'Rehacer vista',
+      redoTitle: 'Rehacer vista (Ctrl+Y)',
+      xMin: 'X mínimo',
+      xMax: 'X máximo',
+      yMin: 'Y mínimo',
+      yMax: 'Y máximo',
+      to: 'a',
+      auto: 'Auto'
+    },
+    analysis: {
+      title: 'Análisis',
+      target: 'Función analizada',
+      range: 'en [{from}, {to}]',
+      invalid: 'Introduce una función de x válida (normal o a trozos) para analizarla.',
+      empty: 'No hay raíces, extremos, inflexiones ni asíntotas en el rango visible.',
+      paused: 'El análisis y la integral se calculan al detener la animación.',
+      kind: 'Tipo',
+      kinds: {
+        root: 'Raíz',
+        min: 'Mínimo local',
+        max: 'Máximo local',
+        inflection: 'Inflexión',
+        vertical: 'Asíntota vertical',
+        horizontal: 'Asíntota horizontal'
+      },
+      horizontalAsymptotes: 'Asíntotas horizontales:',
+      integral: 'Integral definida',
+      integralFrom: 'de',
+      integralTo: 'a',
+      lowerLimit: 'Límite inferior',
+      upperLimit: 'Límite superior',
+      undefinedIntegral: '∫ {name}(x) dx no está definida en el intervalo',
+      notConverged: '(no converge del todo)'
+    }
+  },
+  shell: {
+    appName: 'Herramientas de datos',
+    tools: 'Herramientas',
+    routes: {
+      dashboard: 'Dashboard en vivo',
+      visualizer: 'Visualizador de funciones'
+    },
+    language: 'Idioma',
+    themes: {
+      light: 'claro',
+      dark: 'oscuro'
+    },
+    switchTheme: 'Cambiar a tema {theme}',
+    themeTitle: 'Tema {theme}',
+    loading: 'Cargando…',
+    loadError: 'No se pudo cargar la herramienta',
+    reload: 'Recargar la página',
+    notFound: 'Esta página no existe',
+    goTo: 'Ir a {name}'
+  }
+};
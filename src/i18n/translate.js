@@ -0,0 +1,32 @@
+// Búsqueda de textos en los catálogos. Las claves son rutas con puntos ("dashboard.start") y
+// los textos pueden llevar parámetros entre llaves ("Fuente {name}"). Un texto con plural es
+// un objeto { one, other, ... } que se elige con el parámetro count según las reglas de plural
+// del idioma (Intl.PluralRules).
+
+export const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+export const interpolate = (text, params = {}) => text.replace(
+  /\{(\w+)\}/g,
+  (match, name) => (params[name] === undefined || params[name] === null ? match : String(params[name]))
+);
+
+const pluralRules = {};
+
+function selectPlural(forms, locale, count) {
+  if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+  return forms[pluralRules[locale].select(count)] ?? forms.other;
+}
+
+// Texto de key en el catálogo, o en el de reserva si falta; si no está en ninguno se devuelve
+// la propia clave para que se vea en pantalla qué falta traducir
+export function translate({ catalog, fallback, locale }, key, params) {
+  let entry = lookup(catalog, key);
+  if (entry === undefined && fallback) entry = lookup(fallback, key);
+  if (entry && typeof entry === 'object') {
+    entry = typeof params?.count === 'number' ? selectPlural(entry, locale, params.count) : entry.other;
+  }
+  return typeof entry === 'string' ? interpolate(entry, params) : key;
+}
@@ -0,0 +1,39 @@
+import { lookup, interpolate, translate } from './translate';
+
+const catalog = {
+  app: {
+    hello: 'Hola, {name}',
+    items: { one: '{count} elemento', other: '{count} elementos' }
+  }
+};
+const fallback = { app: { onlyHere: 'Solo en el de reserva' } };
+const context = { catalog, fallback, locale: 'es' };
+
+test('lookup sigue la ruta con puntos', () => {
+  expect(lookup(catalog, 'app.hello')).toBe('Hola, {name}');
+  expect(lookup(catalog, 'app.hello.extra')).toBeUndefined();
+  expect(lookup(catalog, 'otra.cosa')).toBeUndefined();
+});
+
+test('interpolate sustituye los parámetros y deja los que faltan', () => {
+  expect(interpolate('{a} + {b} = {c}', { a: 1, b: 0 })).toBe('1 + 0 = {c}');
+  expect(interpolate('sin parámetros')).toBe('sin parámetros');
+});
+
+describe('translate', () => {
+  test('traduce con parámetros', () => {
+    expect(translate(context, 'app.hello', { name: 'Ana' })).toBe('Hola, Ana');
+  });
+
+  test('elige el plural según count y el idioma', () => {
+    expect(translate(context, 'app.items', { count: 1 })).toBe('1 elemento');
+    expect(translate(context, 'app.items', { count: 0 })).toBe('0 elementos');
+    expect(translate(context, 'app.items')).toBe('{count} elementos');
+  });
+
+  test('usa el catálogo de reserva y, si tampoco está, la propia clave', () => {
+    expect(translate(context, 'app.onlyHere')).toBe('Solo en el de reserva');
+    expect(translate(context, 'app.missing')).toBe('app.missing');
+    expect(translate(context, 'app')).toBe('app');
+  });
+});
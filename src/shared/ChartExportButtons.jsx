@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { ImageDown } from 'lucide-react';
+import { CHART_IMAGE_FORMATS, exportChartImage } from './chartImage';
+import { useI18n } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+
+// Botones SVG / PNG de un panel de gráfico. chartRef apunta al elemento que contiene el
+// gráfico de Recharts; el resto de opciones se pasan a exportChartImage.
+export default function ChartExportButtons({ chartRef, buttonClassName, errorClassName = 'text-red-500', ...options }) {
+  const { t } = useI18n();
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    try {
+      await exportChartImage(chartRef.current, format, options);
+      setError(null);
+    } catch (err) {
+      setError(err);
+      console.error('Error exporting chart:', err);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 print:hidden">
+      {error && <span className={`text-xs ${errorClassName}`}>{errorMessage(error, t)}</span>}
+      {CHART_IMAGE_FORMATS.map(format => (
+        <button
+          key={format.id}
+          onClick={() => handleExport(format.id)}
+          className={`flex items-center gap-1 px-2 py-1 text-xs rounded border transition ${buttonClassName}`}
+          aria-label={t('shared.downloadChart', { title: options.title || t('shared.chart'), format: format.label })}
+        >
+          <ImageDown size={14} />
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { downloadBlob, filenameStamp } from './download';
+import { LocalizedError } from '../i18n/errors';
+
+// Exportación de los gráficos de Recharts como imagen (SVG o PNG de alta densidad).
+//
+// El SVG de Recharts no contiene el título del panel ni la leyenda (que es HTML), así que se
+// compone una imagen nueva: título arriba, el gráfico clonado en medio y la leyenda dibujada
+// en SVG debajo, a partir de la lista { label, color, dash, shape } que pasa cada panel.
+
+export const CHART_IMAGE_FORMATS = [
+  { id: 'svg', label: 'SVG' },
+  { id: 'png', label: 'PNG' }
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const PADDING = 16;
+const TITLE_SIZE = 18;
+const LEGEND_SIZE = 12;
+const LEGEND_ROW = 20;
+const SWATCH = 16;
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sin medir el texto se estima su ancho (≈ 0,6 em por carácter en una fuente sans)
+const textWidth = (text, size) => String(text).length * size * 0.6;
+
+// Reparte los elementos de la leyenda en filas que caben en width; devuelve [{ item, x, row }]
+export function layoutLegend(items, width) {
+  const positions = [];
+  let x = 0;
+  let row = 0;
+  items.forEach(item => {
+    const itemWidth = SWATCH + 6 + textWidth(item.label, LEGEND_SIZE) + 16;
+    if (x > 0 && x + itemWidth > width) {
+      x = 0;
+      row += 1;
+    }
+    positions.push({ item, x, row });
+    x += itemWidth;
+  });
+  return positions;
+}
+
+const legendSwatch = ({ color, dash, shape }, x, y) => (shape === 'rect'
+  ? `<rect x="${x}" y="${y - 5}" width="${SWATCH}" height="10" fill="${escapeXml(color)}"/>`
+  : `<line x1="${x}" y1="${y}" x2="${x + SWATCH}" y2="${y}" stroke="${escapeXml(color)}" stroke-width="2"${
+    dash ? ` stroke-dasharray="${escapeXml(dash)}"` : ''}/>`);
+
+const chartSize = svg => ({
+  width: parseFloat(svg.getAttribute('width')) || svg.getBoundingClientRect().width,
+  height: parseFloat(svg.getAttribute('height')) || svg.getBoundingClientRect().height
+});
+
+// Compone el SVG exportable a partir del <svg> de un gráfico. Devuelve { markup, width, height }.
+export function buildChartSvg(svg, { title = '', legend = [], background = '#ffffff', color = '#111827' } = {}) {
+  const chart = chartSize(svg);
+  if (!chart.width || !chart.height) throw new LocalizedError('shared.chartErrors.noSize');
+
+  const width = chart.width + 2 * PADDING;
+  const titleHeight = title ? TITLE_SIZE + PADDING : 0;
+  const positions = layoutLegend(legend, chart.width);
+  const legendRows = positions.length > 0 ? positions[positions.length - 1].row + 1 : 0;
+  const legendTop = PADDING + titleHeight + chart.height + (legendRows > 0 ? PADDING / 2 : 0);
+  const height = legendTop + legendRows * LEGEND_ROW + PADDING;
+
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('x', PADDING);
+  clone.setAttribute('y', PADDING + titleHeight);
+  clone.setAttribute('width', chart.width);
+  clone.setAttribute('height', chart.height);
+  clone.removeAttribute('style');
+  const chartMarkup = new XMLSerializer().serializeToString(clone);
+
+  const legendMarkup = positions.map(({ item, x, row }) => {
+    const left = PADDING + x;
+    const middle = legendTop + row * LEGEND_ROW + LEGEND_ROW / 2;
+    return `${legendSwatch(item, left, middle)}<text x="${left + SWATCH + 6}" y="${middle}" `
+      + `dominant-baseline="central" font-size="${LEGEND_SIZE}" fill="${escapeXml(color)}">${escapeXml(item.label)}</text>`;
+  }).join('');
+
+  const markup = [
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" `
+      + `font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>`,
+    title ? `<text x="${PADDING}" y="${PADDING + TITLE_SIZE}" font-size="${TITLE_SIZE}" font-weight="bold" `
+      + `fill="${escapeXml(color)}">${escapeXml(title)}</text>` : '',
+    chartMarkup,
+    legendMarkup,
+    '</svg>'
+  ].join('');
+  return { markup, width, height };
+}
+
+// Dibuja el SVG en un canvas escalado (al menos 2x) y lo devuelve como PNG
+export function svgToPngBlob({ markup, width, height }, scale = Math.max(2, window.devicePixelRatio || 1)) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new LocalizedError('shared.chartErrors.pngFailed'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new LocalizedError('shared.chartErrors.drawFailed'));
+    };
+    image.src = url;
+  });
+}
+
+// Busca el gráfico dentro de container y lo descarga en el formato pedido
+export async function exportChartImage(container, format, { filename = 'grafico', ...options } = {}) {
+  const svg = container && container.querySelector('.recharts-wrapper > svg');
+  if (!svg) throw new LocalizedError('shared.chartErrors.noChart');
+
+  const image = buildChartSvg(svg, options);
+  const name = `${filename}-${filenameStamp()}.${format}`;
+  if (format === 'svg') {
+    downloadBlob(new Blob([image.markup], { type: 'image/svg+xml;charset=utf-8' }), name);
+  } else if (format === 'png') {
+    downloadBlob(await svgToPngBlob(image), name);
+  } else {
+    throw new LocalizedError('shared.chartErrors.unknownFormat', { format });
+  }
+}
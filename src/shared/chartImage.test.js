@@ -0,0 +1,65 @@
+import { buildChartSvg, layoutLegend } from './chartImage';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// <svg> como el que dibuja Recharts: tamaño en atributos y una línea dentro
+const rechartsSurface = () => {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'recharts-surface');
+  svg.setAttribute('width', '400');
+  svg.setAttribute('height', '300');
+  svg.setAttribute('style', 'width: 100%; height: 100%;');
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('d', 'M0,0L400,300');
+  path.setAttribute('stroke', '#3b82f6');
+  svg.appendChild(path);
+  return svg;
+};
+
+const parse = markup => new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+
+describe('buildChartSvg', () => {
+  test('añade título, fondo y leyenda alrededor del gráfico clonado', () => {
+    const svg = rechartsSurface();
+    const image = buildChartSvg(svg, {
+      title: 'Temperatura <°C>',
+      legend: [{ label: 'Madrid', color: '#3b82f6' }, { label: 'f′(x)', color: '#10b981', dash: '5 5' }],
+      background: '#1e1b4b',
+      color: '#ffffff'
+    });
+
+    const root = parse(image.markup);
+    expect(root.getAttribute('width')).toBe(String(image.width));
+    expect(image.width).toBe(432);
+    expect(image.height).toBeGreaterThan(300 + 18);
+    expect(root.querySelector('rect').getAttribute('fill')).toBe('#1e1b4b');
+
+    const texts = [...root.querySelectorAll('text')].map(text => text.textContent);
+    expect(texts).toEqual(['Temperatura <°C>', 'Madrid', 'f′(x)']);
+    expect(root.querySelector('line[stroke-dasharray="5 5"]')).not.toBeNull();
+
+    const chart = root.querySelector('svg');
+    expect(chart.getAttribute('y')).toBe('50');
+    expect(chart.getAttribute('style')).toBeNull();
+    expect(chart.querySelector('path').getAttribute('d')).toBe('M0,0L400,300');
+    // El gráfico original no se modifica
+    expect(svg.getAttribute('style')).toBe('width: 100%; height: 100%;');
+  });
+
+  test('sin título ni leyenda solo añade el margen', () => {
+    const image = buildChartSvg(rechartsSurface());
+    expect([image.width, image.height]).toEqual([432, 332]);
+  });
+
+  test('rechaza un gráfico sin tamaño', () => {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    expect(() => buildChartSvg(svg)).toThrow(/tamaño/);
+  });
+});
+
+test('layoutLegend pasa a la fila siguiente cuando no cabe', () => {
+  const items = ['Serie A', 'Serie B', 'Serie C'].map(label => ({ label, color: '#000' }));
+  const rows = layoutLegend(items, 200).map(({ row }) => row);
+  expect(rows).toEqual([0, 0, 1]);
+  expect(layoutLegend(items, 1000).every(({ row }) => row === 0)).toBe(true);
+});
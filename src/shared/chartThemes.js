@@ -0,0 +1,20 @@
+// Colores de los gráficos de Recharts con cada tema; el claro es también el del informe impreso.
+// background y text se usan también al exportar el gráfico como imagen.
+export const CHART_THEMES = {
+  dark: {
+    axis: '#fff',
+    grid: 'rgba(255,255,255,0.1)',
+    tooltip: { backgroundColor: 'rgba(0,0,0,0.8)', border: '1px solid rgba(255,255,255,0.2)' },
+    tooltipLabel: { color: '#fff' },
+    background: '#1e1b4b',
+    text: '#ffffff'
+  },
+  light: {
+    axis: '#374151',
+    grid: '#e5e7eb',
+    tooltip: { backgroundColor: '#fff', border: '1px solid #d1d5db' },
+    tooltipLabel: { color: '#111827' },
+    background: '#ffffff',
+    text: '#111827'
+  }
+};
@@ -0,0 +1,15 @@
+// Descarga de ficheros generados en el navegador, común al dashboard y al visualizador
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Marca de tiempo ISO apta para nombres de fichero (sin ":" ni ".")
+export const filenameStamp = (date = new Date()) => date.toISOString().replace(/[:.]/g, '-');
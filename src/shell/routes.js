@@ -0,0 +1,38 @@
+// Herramientas de la aplicación, una por ruta. Cada una se empaqueta en su propio bundle y
+// solo se descarga la primera vez que se visita; añadir una herramienta es añadir una entrada
+// (y su nombre en shell.routes.<id> de los catálogos de idioma).
+//
+// Las rutas van en el path y no en el hash porque el dashboard ya guarda su configuración
+// compartible en el hash (#config=...).
+
+import { lazy } from 'react';
+import { Activity, ChartLine } from 'lucide-react';
+
+export const ROUTES = [
+  {
+    path: '/',
+    id: 'dashboard',
+    icon: Activity,
+    component: lazy(() => import('../dashboard/LiveDataDashboard'))
+  },
+  {
+    path: '/visualizador',
+    id: 'visualizer',
+    icon: ChartLine,
+    component: lazy(() => import('../visualizer/FunctionVisualizer'))
+  }
+];
+
+// Prefijo donde está publicada la aplicación (homepage / PUBLIC_URL de create-react-app)
+export const BASE_PATH = new URL(process.env.PUBLIC_URL || '/', 'http://localhost').pathname.replace(/\/+$/, '');
+
+// Ruta de la aplicación a partir del path del navegador: sin el prefijo ni la barra final
+export function routePath(pathname, basePath = BASE_PATH) {
+  const path = basePath && pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname;
+  return `/${path.replace(/^\/+|\/+$/g, '')}`;
+}
+
+export const browserPath = (path, basePath = BASE_PATH) => `${basePath}${path}`;
+
+// La herramienta de una ruta o null si no existe
+export const matchRoute = (path, routes = ROUTES) => routes.find(route => route.path === path) || null;
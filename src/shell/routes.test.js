@@ -0,0 +1,37 @@
+import { ROUTES, routePath, browserPath, matchRoute } from './routes';
+
+describe('routePath / browserPath', () => {
+  test('normaliza la barra final y la raíz', () => {
+    expect(routePath('/')).toBe('/');
+    expect(routePath('')).toBe('/');
+    expect(routePath('/visualizador/')).toBe('/visualizador');
+  });
+
+  test('quita y añade el prefijo donde está publicada la aplicación', () => {
+    expect(routePath('/herramientas/visualizador', '/herramientas')).toBe('/visualizador');
+    expect(routePath('/herramientas', '/herramientas')).toBe('/');
+    expect(browserPath('/visualizador', '/herramientas')).toBe('/herramientas/visualizador');
+    expect(browserPath('/', '')).toBe('/');
+  });
+});
+
+describe('matchRoute', () => {
+  test('encuentra la herramienta de cada ruta', () => {
+    expect(matchRoute('/')).toBe(ROUTES[0]);
+    expect(matchRoute('/visualizador').id).toBe('visualizer');
+  });
+
+  test('una ruta desconocida no coincide', () => {
+    expect(matchRoute('/no-existe')).toBeNull();
+  });
+
+  test('todas las rutas son distintas y tienen id, icono y componente', () => {
+    expect(new Set(ROUTES.map(route => route.path)).size).toBe(ROUTES.length);
+    expect(new Set(ROUTES.map(route => route.id)).size).toBe(ROUTES.length);
+    ROUTES.forEach((route) => {
+      expect(route.id).toBeTruthy();
+      expect(route.icon).toBeTruthy();
+      expect(route.component).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// Tema claro/oscuro compartido por todas las herramientas. El shell pone la clase "dark" en
+// <html> (variantes dark: de Tailwind) y las herramientas leen el tema con useTheme() para lo
+// que no se puede expresar con clases, como los colores de los gráficos.
+
+import { createContext, useContext } from 'react';
+
+// Sus nombres están en shell.themes de los catálogos de idioma
+export const THEMES = ['light', 'dark'];
+
+export const THEME_STORAGE_KEY = 'app-shell:theme';
+
+const defaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+const prefersDark = () => (
+  typeof window !== 'undefined'
+  && typeof window.matchMedia === 'function'
+  && window.matchMedia('(prefers-color-scheme: dark)').matches
+);
+
+// El tema guardado, o el del sistema si no hay ninguno válido
+export function loadTheme(storage = defaultStorage(), systemDark = prefersDark()) {
+  let stored = null;
+  try {
+    stored = storage?.getItem(THEME_STORAGE_KEY);
+  } catch (err) {
+    // Almacenamiento bloqueado por el navegador: se usa el del sistema
+  }
+  if (THEMES.includes(stored)) return stored;
+  return systemDark ? 'dark' : 'light';
+}
+
+export function saveTheme(theme, storage = defaultStorage()) {
+  if (!storage) return;
+  storage.setItem(THEME_STORAGE_KEY, theme);
+}
+
+export const nextTheme = theme => (theme === 'dark' ? 'light' : 'dark');
+
+// Aplica el tema al documento: clase de Tailwind y color-scheme para los controles nativos
+export function applyTheme(theme, root = document.documentElement) {
+  root.classList.toggle('dark', theme === 'dark');
+  root.style.colorScheme = theme;
+}
+
+// Sin proveedor (p. ej. una herramienta montada sola en un test) se usa el tema oscuro
+export const ThemeContext = createContext({ theme: 'dark', toggleTheme: () => {} });
+
+export const useTheme = () => useContext(ThemeContext);
@@ -0,0 +1,46 @@
+import { loadTheme, saveTheme, applyTheme, nextTheme, THEME_STORAGE_KEY } from './theme';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+};
+
+describe('loadTheme / saveTheme', () => {
+  test('sin tema guardado usa el del sistema', () => {
+    expect(loadTheme(memoryStorage(), true)).toBe('dark');
+    expect(loadTheme(memoryStorage(), false)).toBe('light');
+  });
+
+  test('el tema guardado tiene prioridad sobre el del sistema', () => {
+    const storage = memoryStorage();
+    saveTheme('light', storage);
+    expect(storage.data[THEME_STORAGE_KEY]).toBe('light');
+    expect(loadTheme(storage, true)).toBe('light');
+  });
+
+  test('un valor guardado desconocido o un almacenamiento bloqueado no fallan', () => {
+    expect(loadTheme(memoryStorage({ [THEME_STORAGE_KEY]: 'sepia' }), false)).toBe('light');
+    const blocked = { getItem: () => { throw new Error('SecurityError'); } };
+    expect(loadTheme(blocked, true)).toBe('dark');
+    expect(loadTheme(undefined, false)).toBe('light');
+  });
+});
+
+test('nextTheme alterna entre claro y oscuro', () => {
+  expect(nextTheme('dark')).toBe('light');
+  expect(nextTheme('light')).toBe('dark');
+});
+
+test('applyTheme pone la clase dark y el color-scheme en el documento', () => {
+  const root = document.createElement('html');
+  applyTheme('dark', root);
+  expect(root.classList.contains('dark')).toBe(true);
+  expect(root.style.colorScheme).toBe('dark');
+  applyTheme('light', root);
+  expect(root.classList.contains('dark')).toBe(false);
+  expect(root.style.colorScheme).toBe('light');
+});
@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useState } from 'react';
+import { routePath, browserPath } from './routes';
+
+const currentPath = () => routePath(window.location.pathname);
+
+// Ruta actual y navegación con la History API; atrás/adelante del navegador cambian la ruta
+export function useRoute() {
+  const [path, setPath] = useState(currentPath);
+
+  useEffect(() => {
+    const handlePopState = () => setPath(currentPath());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((nextPath) => {
+    if (nextPath === currentPath()) return;
+    window.history.pushState(null, '', browserPath(nextPath));
+    setPath(nextPath);
+  }, []);
+
+  return { path, navigate };
+}
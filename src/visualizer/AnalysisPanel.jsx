@@ -0,0 +1,143 @@
+import React from 'react';
+import { useI18n } from '../i18n/i18n';
+
+// Tipos de punto del análisis con el color de su marcador en la gráfica; sus nombres están en
+// los catálogos de idioma (visualizer.analysis.kinds)
+export const POINT_KINDS = {
+  root: { color: '#111827' },
+  min: { color: '#16a34a' },
+  max: { color: '#dc2626' },
+  inflection: { color: '#9333ea' },
+  vertical: { color: '#6b7280' },
+  horizontal: { color: '#6b7280' }
+};
+
+// Los valores se escriben como en las expresiones (con punto decimal), sea cual sea el idioma
+export const formatNumber = value => (Number.isFinite(value) ? String(Number(value.toPrecision(6))) : '—');
+
+// Filas de la tabla a partir del resultado de analyzeFunction
+export const analysisRows = analysis => [
+  ...analysis.roots.map(point => ({ kind: 'root', x: point.x, y: point.y })),
+  ...analysis.extrema.map(point => ({ kind: point.type, x: point.x, y: point.y })),
+  ...analysis.inflections.map(point => ({ kind: 'inflection', x: point.x, y: point.y })),
+  ...analysis.verticalAsymptotes.map(point => ({ kind: 'vertical', x: point.x, y: null }))
+].sort((a, b) => a.x - b.x);
+
+export default function AnalysisPanel({
+  functions,
+  target,
+  onTargetChange,
+  analysis,
+  paused,
+  integral,
+  integralResult,
+  onIntegralChange,
+  xMin,
+  xMax
+}) {
+  const { t } = useI18n();
+  const rows = analysis ? analysisRows(analysis) : [];
+
+  return (
+    <div className="bg-blue-50 dark:bg-blue-900/30 border-l-4 border-blue-500 p-4 rounded mb-4">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <h3 className="font-bold text-gray-800 dark:text-gray-100">{t('visualizer.analysis.title')}</h3>
+        <select
+          value={target?.id || ''}
+          onChange={(e) => onTargetChange(e.target.value)}
+          className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded"
+          aria-label={t('visualizer.analysis.target')}
+        >
+          {functions.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.name}(x) = {entry.formula}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-600 dark:text-gray-300">
+          {t('visualizer.analysis.range', { from: formatNumber(xMin), to: formatNumber(xMax) })}
+        </span>
+      </div>
+
+      {paused && <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">{t('visualizer.analysis.paused')}</p>}
+      {!analysis && !paused && <p className="text-sm text-gray-600 dark:text-gray-300">{t('visualizer.analysis.invalid')}</p>}
+
+      {analysis && (
+        <>
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">{t('visualizer.analysis.empty')}</p>
+          ) : (
+            <table className="w-full text-sm text-left text-gray-700 dark:text-gray-200 mb-3">
+              <thead>
+                <tr>
+                  <th className="py-1 pr-4">{t('visualizer.analysis.kind')}</th>
+                  <th className="py-1 pr-4">x</th>
+                  <th className="py-1">{target.name}(x)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={`${row.kind}-${row.x}`} className="border-t border-blue-100 dark:border-blue-900">
+                    <td className="py-1 pr-4">
+                      <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: POINT_KINDS[row.kind].color }} />
+                      {t(`visualizer.analysis.kinds.${row.kind}`)}
+                    </td>
+                    <td className="py-1 pr-4 font-mono">{formatNumber(row.x)}</td>
+                    <td className="py-1 font-mono">{row.y === null ? '±∞' : formatNumber(row.y)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {analysis.horizontalAsymptotes.length > 0 && (
+            <p className="text-sm text-gray-700 dark:text-gray-200 mb-3">
+              {t('visualizer.analysis.horizontalAsymptotes')}{' '}
+              {analysis.horizontalAsymptotes.map(item => `y = ${formatNumber(item.y)} (x → ${item.direction})`).join(', ')}
+            </p>
+          )}
+        </>
+      )}
+
+      {(analysis || paused) && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+          <input
+            type="checkbox"
+            id="integral"
+            checked={integral.enabled}
+            onChange={(e) => onIntegralChange({ enabled: e.target.checked })}
+            className="w-4 h-4 cursor-pointer"
+          />
+          <label htmlFor="integral" className="font-medium cursor-pointer">{t('visualizer.analysis.integral')}</label>
+          {integral.enabled && (
+            <>
+              <span>{t('visualizer.analysis.integralFrom')}</span>
+              <input
+                type="number"
+                step="any"
+                value={integral.from}
+                onChange={(e) => onIntegralChange({ from: e.target.value })}
+                className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded"
+                aria-label={t('visualizer.analysis.lowerLimit')}
+              />
+              <span>{t('visualizer.analysis.integralTo')}</span>
+              <input
+                type="number"
+                step="any"
+                value={integral.to}
+                onChange={(e) => onIntegralChange({ to: e.target.value })}
+                className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded"
+                aria-label={t('visualizer.analysis.upperLimit')}
+              />
+              {integralResult && (
+                <span className="font-mono">
+                  {Number.isNaN(integralResult.value)
+                    ? t('visualizer.analysis.undefinedIntegral', { name: target.name })
+                    : `∫ ${target.name}(x) dx ≈ ${formatNumber(integralResult.value)} ± ${integralResult.error.toExponential(1)}`}
+                  {!Number.isNaN(integralResult.value) && !integralResult.converged && ` ${t('visualizer.analysis.notConverged')}`}
+                </span>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import React from 'react';
+import { Eye, EyeOff, Plus, Trash2 } from 'lucide-react';
+import { FUNCTION_KINDS } from './functions';
+import { useI18n } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+
+const expressionClass = hasError => (
+  `flex-1 px-3 py-2 border rounded font-mono ${hasError ? 'border-red-400' : 'border-gray-300 dark:border-gray-600'}`
+);
+
+const boundClass = 'w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded font-mono';
+
+// Intervalo [from, to] del parámetro de una curva
+function ParameterRange({ entry, variable, onChange }) {
+  const { t } = useI18n();
+  const updateRange = changes => onChange({ range: { ...entry.range, ...changes } });
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+      <span className="font-mono">{variable} ∈ [</span>
+      <input
+        type="text"
+        value={entry.range.from}
+        onChange={(e) => updateRange({ from: e.target.value })}
+        className={boundClass}
+        aria-label={t('visualizer.editor.rangeFrom', { variable, name: entry.name })}
+      />
+      <span>,</span>
+      <input
+        type="text"
+        value={entry.range.to}
+        onChange={(e) => updateRange({ to: e.target.value })}
+        className={boundClass}
+        aria-label={t('visualizer.editor.rangeTo', { variable, name: entry.name })}
+      />
+      <span className="font-mono">]</span>
+    </div>
+  );
+}
+
+// Lista de tramos { expression, from, to } de una función a trozos
+function PieceList({ entry, onChange }) {
+  const { t } = useI18n();
+  const updatePiece = (idx, changes) => onChange({
+    pieces: entry.pieces.map((piece, i) => (i === idx ? { ...piece, ...changes } : piece))
+  });
+  const addPiece = () => {
+    const last = entry.pieces[entry.pieces.length - 1];
+    onChange({ pieces: [...entry.pieces, { expression: '0', from: last ? last.to : '', to: '' }] });
+  };
+  const removePiece = idx => onChange({ pieces: entry.pieces.filter((_, i) => i !== idx) });
+
+  return (
+    <div className="space-y-1">
+      {entry.pieces.map((piece, idx) => (
+        <div key={idx} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+          <input
+            type="text"
+            value={piece.expression}
+            onChange={(e) => updatePiece(idx, { expression: e.target.value })}
+            className={expressionClass(false)}
+            aria-label={t('visualizer.editor.pieceExpression', { number: idx + 1, name: entry.name })}
+          />
+          <span>{t('visualizer.editor.pieceIf')}</span>
+          <input
+            type="text"
+            value={piece.from}
+            onChange={(e) => updatePiece(idx, { from: e.target.value })}
+            placeholder="-∞"
+            className={boundClass}
+            aria-label={t('visualizer.editor.pieceFrom', { number: idx + 1, name: entry.name })}
+          />
+          <span className="font-mono">≤ x ≤</span>
+          <input
+            type="text"
+            value={piece.to}
+            onChange={(e) => updatePiece(idx, { to: e.target.value })}
+            placeholder="∞"
+            className={boundClass}
+            aria-label={t('visualizer.editor.pieceTo', { number: idx + 1, name: entry.name })}
+          />
+          <button
+            onClick={() => removePiece(idx)}
+            disabled={entry.pieces.length === 1}
+            className="p-1 text-red-500 hover:text-red-700 dark:hover:text-red-300 disabled:opacity-30"
+            aria-label={t('visualizer.editor.removePiece', { number: idx + 1, name: entry.name })}
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <button onClick={addPiece} className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300">
+        <Plus size={14} />
+        {t('visualizer.editor.addPiece')}
+      </button>
+    </div>
+  );
+}
+
+// Fila de edición de una función: color, modo, expresiones, visibilidad y errores
+export default function FunctionEditor({ entry, onChange, onRemove, canRemove }) {
+  const { t } = useI18n();
+  const update = changes => onChange(entry.id, changes);
+  const numericDerivative = entry.derivatives.find(derivative => derivative.numeric);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={entry.color}
+          onChange={(e) => update({ color: e.target.value })}
+          className="w-8 h-8 cursor-pointer"
+          aria-label={t('visualizer.editor.color', { name: entry.name })}
+        />
+        <select
+          value={entry.kind}
+          onChange={(e) => update({ kind: e.target.value })}
+          className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded text-sm"
+          aria-label={t('visualizer.editor.kind', { name: entry.name })}
+        >
+          {Object.keys(FUNCTION_KINDS).map(kind => (
+            <option key={kind} value={kind}>{t(`visualizer.editor.kinds.${kind}`)}</option>
+          ))}
+        </select>
+
+        {entry.kind === 'cartesian' && (
+          <>
+            <span className="font-mono text-gray-700 dark:text-gray-200">{entry.name}(x) =</span>
+            <input
+              type="text"
+              value={entry.expression}
+              onChange={(e) => update({ expression: e.target.value })}
+              placeholder="x^2 - 2x + 1"
+              className={expressionClass(entry.error)}
+              aria-label={t('visualizer.editor.expression', { name: entry.name })}
+            />
+          </>
+        )}
+        {entry.kind === 'parametric' && (
+          <>
+            <span className="font-mono text-gray-700 dark:text-gray-200">x(t) =</span>
+            <input
+              type="text"
+              value={entry.xExpression}
+              onChange={(e) => update({ xExpression: e.target.value })}
+              className={expressionClass(entry.error)}
+              aria-label={t('visualizer.editor.xExpression', { name: entry.name })}
+            />
+            <span className="font-mono text-gray-700 dark:text-gray-200">y(t) =</span>
+            <input
+              type="text"
+              value={entry.yExpression}
+              onChange={(e) => update({ yExpression: e.target.value })}
+              className={expressionClass(entry.error)}
+              aria-label={t('visualizer.editor.yExpression', { name: entry.name })}
+            />
+          </>
+        )}
+        {entry.kind === 'polar' && (
+          <>
+            <span className="font-mono text-gray-700 dark:text-gray-200">r = {entry.name}(θ) =</span>
+            <input
+              type="text"
+              value={entry.radius}
+              onChange={(e) => update({ radius: e.target.value })}
+              placeholder="1 + cos(θ)"
+              className={expressionClass(entry.error)}
+              aria-label={t('visualizer.editor.radius', { name: entry.name })}
+            />
+          </>
+        )}
+        {entry.kind === 'piecewise' && (
+          <span className="flex-1 font-mono text-gray-700 dark:text-gray-200">{entry.name}(x) =</span>
+        )}
+
+        <button
+          onClick={() => update({ visible: !entry.visible })}
+          className="p-2 text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100"
+          aria-label={entry.visible ? t('visualizer.editor.hide', { name: entry.name }) : t('visualizer.editor.show', { name: entry.name })}
+        >
+          {entry.visible ? <Eye size={20} /> : <EyeOff size={20} />}
+        </button>
+        <button
+          onClick={() => onRemove(entry.id)}
+          disabled={!canRemove}
+          className="p-2 text-red-500 hover:text-red-700 dark:hover:text-red-300 disabled:opacity-30"
+          aria-label={t('visualizer.editor.remove', { name: entry.name })}
+        >
+          <Trash2 size={20} />
+        </button>
+      </div>
+
+      {entry.kind === 'piecewise' && (
+        <div className="ml-10 mt-1">
+          <PieceList entry={entry} onChange={update} />
+        </div>
+      )}
+      {(entry.kind === 'parametric' || entry.kind === 'polar') && (
+        <div className="ml-10 mt-1">
+          <ParameterRange entry={entry} variable={FUNCTION_KINDS[entry.kind].variable} onChange={update} />
+        </div>
+      )}
+
+      {entry.error && <p className="text-sm text-red-600 dark:text-red-400 ml-10 mt-1">{errorMessage(entry.error, t)}</p>}
+      {numericDerivative && (
+        <p className="text-sm text-amber-600 dark:text-amber-400 ml-10 mt-1">
+          ≈ {t('visualizer.editor.numericDerivative', { name: numericDerivative.name, message: errorMessage(numericDerivative.error, t) })}
+        </p>
+      )}
+    </div>
+  );
+}
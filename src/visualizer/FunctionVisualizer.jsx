@@ -0,0 +1,674 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  ComposedChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Legend,
+  ResponsiveContainer,
+  ReferenceArea,
+  ReferenceDot,
+  ReferenceLine,
+  usePlotArea
+} from 'recharts';
+import { Plus } from 'lucide-react';
+import {
+  createFunction,
+  compileFunction,
+  functionName,
+  derivativeName,
+  usedParameters,
+  updateParameter,
+  sweepValue,
+  DEFAULT_PARAMETER
+} from './functions';
+import { compileExpression, formatExpression } from './expression';
+import { derivativeChain, numericDerivative } from './symbolic';
+import { analyzeFunction, integrate } from './analysis';
+import AnalysisPanel, { POINT_KINDS, analysisRows, formatNumber } from './AnalysisPanel';
+import ViewControls from './ViewControls';
+import FunctionEditor from './FunctionEditor';
+import ParametersPanel from './ParametersPanel';
+import ChartExportButtons from '../shared/ChartExportButtons';
+import { CHART_THEMES } from '../shared/chartThemes';
+import { useTheme } from '../shell/theme';
+import { useI18n } from '../i18n/i18n';
+import { errorMessage } from '../i18n/errors';
+import { createSampler } from './samplingClient';
+import { rangeValue, rangeFraction, panRange, autoRange, nearestRow, nearestPoint } from './viewport';
+import { useViewHistory } from './useViewHistory';
+
+const MAX_DERIVATIVE_ORDER = 5;
+// Trazo de cada orden de derivada: f' discontinua, f'' punteada...
+const DERIVATIVE_DASHES = ['5 5', '2 4', '8 3 2 3', '1 3', '12 4'];
+const MAX_LEGEND_FORMULA = 48;
+
+const shorten = text => (text.length > MAX_LEGEND_FORMULA ? `${text.slice(0, MAX_LEGEND_FORMULA - 1)}…` : text);
+
+// Nombre de una serie en la leyenda (también en la imagen exportada)
+const legendName = (item, t) => (item.numeric
+  ? `${item.label} ≈ ${t('visualizer.numericLegend')}`
+  : `${item.label} = ${shorten(item.formula)}`);
+// Los datos guardan la precisión completa; el tooltip solo quita el ruido de coma flotante
+const preciseNumber = value => String(Number(value.toPrecision(12)));
+// Los giros de rueda separados por menos de esto cuentan como un solo paso del historial
+const WHEEL_GESTURE_MS = 400;
+// Selección mínima del zoom de área, como fracción del área de dibujo
+const MIN_BOX_FRACTION = 0.01;
+// Distancia máxima en píxeles para mostrar en el tooltip el punto de una curva
+const HOVER_RADIUS = 20;
+
+// Puntos de la ayuda de sintaxis (visualizer.syntax)
+const SYNTAX_ITEMS = ['operators', 'functions', 'constants', 'modes', 'parameters', 'undefined', 'hover', 'wheel', 'box', 'analysis'];
+
+// En escala logarítmica los valores no positivos no se pueden dibujar
+const positiveOrNull = value => (value !== null && value <= 0 ? null : value);
+
+// Guarda el área de dibujo de Recharts para convertir la posición del ratón en valores
+function PlotAreaProbe({ areaRef }) {
+  const area = usePlotArea();
+  useEffect(() => {
+    areaRef.current = area;
+  }, [area, areaRef]);
+  return null;
+}
+
+export default function FunctionVisualizer() {
+  const { t } = useI18n();
+  const [functions, setFunctions] = useState(() => [createFunction({ expression: 'x*ln(x)' })]);
+  const { view, changeView, zoom, resetView, undo, redo, canUndo, canRedo } = useViewHistory();
+  const [xMin, xMax] = view.x;
+  const chartTheme = CHART_THEMES[useTheme().theme];
+  // Herramienta al arrastrar sobre la gráfica: 'pan' desplaza, 'box' amplía un rectángulo
+  const [tool, setTool] = useState('pan');
+  const [selection, setSelection] = useState(null);
+  // Orden máximo de derivada mostrado (0 = solo las funciones)
+  const [derivativeOrder, setDerivativeOrder] = useState(0);
+  const [analysisTargetId, setAnalysisTargetId] = useState(null);
+  const [integral, setIntegral] = useState({ enabled: false, from: '1', to: '2' });
+  // Parámetros libres ya tocados por el usuario: nombre → { value, min, max, step }
+  const [parameters, setParameters] = useState({});
+  // Nombre del parámetro que se está animando, o null
+  const [animating, setAnimating] = useState(null);
+  // Resultado del muestreo: filas de las series de x y puntos de cada curva
+  const [plot, setPlot] = useState({ rows: [], curves: {} });
+  const [hover, setHover] = useState(null);
+  const [sampling, setSampling] = useState({ busy: false, error: null });
+  const samplerRef = useRef(null);
+  const chartBoxRef = useRef(null);
+  const plotAreaRef = useRef(null);
+  const dragRef = useRef(null);
+  const lastWheelRef = useRef(0);
+  const wheelHandlerRef = useRef(null);
+
+  // Cada función con su nombre (f, g, h...), su expresión compilada y sus derivadas.
+  // Si un orden no se puede derivar simbólicamente se calcula numéricamente desde f.
+  const compiled = useMemo(() => functions.map((entry, idx) => {
+    const formatOptions = { when: t('visualizer.piecewiseWhen') };
+    const name = functionName(idx);
+    const result = compileFunction(entry, formatOptions);
+    const derivatives = result.ast
+      ? derivativeChain(result.ast, derivativeOrder).map(({ order, ast, error }) => ({
+        order,
+        name: derivativeName(name, order),
+        formula: ast ? formatExpression(ast, formatOptions) : null,
+        ast,
+        numeric: !ast,
+        error
+      }))
+      : [];
+    return { ...entry, name, ...result, derivatives };
+  }), [functions, derivativeOrder, t]);
+
+  // Parámetros en uso con sus valores por defecto y el ámbito con el que se evalúan las expresiones
+  const parameterNames = useMemo(() => usedParameters(compiled), [compiled]);
+  const parameterValues = useMemo(() => Object.fromEntries(parameterNames.map(name => (
+    [name, parameters[name] || DEFAULT_PARAMETER]
+  ))), [parameterNames, parameters]);
+  const scope = useMemo(() => Object.fromEntries(Object.entries(parameterValues).map(([name, { value }]) => (
+    [name, value]
+  ))), [parameterValues]);
+
+  const changeParameter = (name, changes) => setParameters(prev => ({
+    ...prev,
+    [name]: updateParameter(prev[name] || DEFAULT_PARAMETER, changes)
+  }));
+
+  const toggleAnimation = name => setAnimating(prev => (prev === name ? null : name));
+
+  // Si el parámetro animado deja de usarse la animación se detiene
+  useEffect(() => {
+    if (animating && !parameterNames.includes(animating)) setAnimating(null);
+  }, [animating, parameterNames]);
+
+  // Animación: el valor va y viene entre min y max partiendo del valor actual
+  useEffect(() => {
+    if (!animating) return undefined;
+    let frame = null;
+    let start = null;
+    let startFraction = null;
+    const tick = (now) => {
+      if (start === null) start = now;
+      setParameters((prev) => {
+        const parameter = prev[animating] || DEFAULT_PARAMETER;
+        if (startFraction === null) {
+          startFraction = (parameter.value - parameter.min) / (parameter.max - parameter.min);
+        }
+        const value = sweepValue(parameter, startFraction, (now - start) / 1000);
+        return { ...prev, [animating]: { ...parameter, value } };
+      });
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [animating]);
+
+  // Título de la imagen exportada: con los valores de los parámetros para poder reproducirla
+  const exportTitle = [t('visualizer.title'), ...Object.entries(scope).map(([name, value]) => (
+    `${name} = ${preciseNumber(value)}`
+  ))].join(' · ');
+
+  const plotted = useMemo(() => compiled.filter(entry => entry.visible && (entry.evaluate || entry.curve)), [compiled]);
+
+  // Series dibujadas: cada función seguida de sus derivadas; las curvas paramétricas y polares
+  // van aparte porque no son funciones de x. spec es la descripción serializable que recibe
+  // el worker de muestreo (ver visualizer/sampling.js).
+  const series = useMemo(() => plotted.flatMap(entry => (entry.curve ? [{
+    key: entry.id,
+    label: `${entry.name}(${entry.curve.variable})`,
+    formula: entry.formula,
+    color: entry.color,
+    curve: true,
+    variable: entry.curve.variable,
+    spec: { curve: entry.curve }
+  }] : [
+    { key: entry.id, label: `${entry.name}(x)`, formula: entry.formula, color: entry.color, spec: { ast: entry.ast } },
+    ...entry.derivatives.map(derivative => ({
+      key: `${entry.id}_d${derivative.order}`,
+      label: `${derivative.name}(x)`,
+      formula: derivative.formula,
+      numeric: derivative.numeric,
+      color: entry.color,
+      dash: DERIVATIVE_DASHES[derivative.order - 1],
+      spec: derivative.ast ? { ast: derivative.ast } : { ast: entry.ast, order: derivative.order }
+    }))
+  ])), [plotted]);
+
+  // Función analizada (por defecto la primera válida) con f' y f'' para extremos e inflexiones
+  const analysisTarget = compiled.find(entry => entry.id === analysisTargetId && entry.evaluate)
+    || compiled.find(entry => entry.evaluate);
+
+  // f' y f'' simbólicas (null si hay que derivar numéricamente); solo cambian con la función
+  const analysisDerivatives = useMemo(() => (analysisTarget
+    ? derivativeChain(analysisTarget.ast, 2).map(({ order, ast }) => ({ order, evaluate: ast ? compileExpression(ast) : null }))
+    : null), [analysisTarget]);
+
+  // El análisis y la integral evalúan la función miles de veces: mientras se anima un parámetro
+  // no se recalculan en cada fotograma, sino una vez al detener la animación
+  const analysisPaused = Boolean(animating && analysisTarget);
+  const analysisScope = useMemo(() => (analysisPaused ? null : scope), [analysisPaused, scope]);
+
+  const analysis = useMemo(() => {
+    if (!analysisTarget || !analysisScope) return null;
+    const f = x => analysisTarget.evaluate({ ...analysisScope, x });
+    const [df, d2f] = analysisDerivatives.map(({ order, evaluate }) => (
+      evaluate ? x => evaluate({ ...analysisScope, x }) : x => numericDerivative(f, x, order)
+    ));
+    return analyzeFunction({ f, df, d2f }, xMin, xMax);
+  }, [analysisTarget, analysisDerivatives, analysisScope, xMin, xMax]);
+
+  const integralBounds = useMemo(() => {
+    const from = parseFloat(integral.from);
+    const to = parseFloat(integral.to);
+    return integral.enabled && Number.isFinite(from) && Number.isFinite(to) ? { from, to } : null;
+  }, [integral]);
+
+  const integralResult = useMemo(() => (
+    analysisTarget && analysisScope && integralBounds
+      ? integrate(x => analysisTarget.evaluate({ ...analysisScope, x }), integralBounds.from, integralBounds.to)
+      : null
+  ), [analysisTarget, analysisScope, integralBounds]);
+
+  useEffect(() => {
+    samplerRef.current = createSampler();
+    return () => samplerRef.current.terminate();
+  }, []);
+
+  const specs = useMemo(() => [
+    ...series.map(item => ({ key: item.key, ...item.spec })),
+    ...(analysisTarget && integralBounds
+      ? [{ key: 'integral', ast: analysisTarget.ast, range: [integralBounds.from, integralBounds.to] }]
+      : [])
+  ], [series, analysisTarget, integralBounds]);
+
+  // Muestreo adaptativo en el worker; las respuestas de peticiones ya reemplazadas se descartan
+  useEffect(() => {
+    let cancelled = false;
+    setSampling(prev => ({ ...prev, busy: true }));
+    samplerRef.current.sample(specs, { xMin, xMax, logScale: view.logX, scope })
+      .then((result) => {
+        if (cancelled) return;
+        setPlot(result);
+        setSampling({ busy: false, error: null });
+      })
+      .catch((err) => {
+        if (!cancelled) setSampling({ busy: false, error: err });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [specs, scope, xMin, xMax, view.logX]);
+
+  const chartData = useMemo(() => (
+    view.logY
+      ? plot.rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => (
+        [key, key === 'x' ? value : positiveOrNull(value)]
+      ))))
+      : plot.rows
+  ), [plot.rows, view.logY]);
+
+  const curves = useMemo(() => Object.fromEntries(Object.entries(plot.curves).map(([key, points]) => [
+    key,
+    points.map(point => ({
+      ...point,
+      x: view.logX ? positiveOrNull(point.x) : point.x,
+      y: view.logY ? positiveOrNull(point.y) : point.y
+    }))
+  ])), [plot.curves, view.logX, view.logY]);
+
+  // Rango Y: el manual de la vista o uno automático en el que cada muestra pesa el tramo que
+  // representa (de x en las series de x; de t, escalado al ancho visible, en las curvas)
+  const yDomain = useMemo(() => {
+    if (view.y) return view.y;
+    const values = [];
+    const weights = [];
+    const collect = (points, position, scale) => points.forEach((point, idx) => {
+      const next = points[Math.min(idx + 1, points.length - 1)];
+      const prev = points[Math.max(idx - 1, 0)];
+      values.push(point.y);
+      weights.push(((position(next) - position(prev)) / 2) * scale);
+    });
+    const xPosition = row => (view.logX ? Math.log10(row.x) : row.x);
+    series.forEach((item) => {
+      if (item.curve) {
+        const points = curves[item.key] || [];
+        const span = points.length > 1 ? points[points.length - 1].t - points[0].t : 1;
+        collect(points, point => point.t, (xPosition({ x: xMax }) - xPosition({ x: xMin })) / span);
+      } else {
+        collect(plot.rows.map(row => ({ x: row.x, y: row[item.key] })), xPosition, 1);
+      }
+    });
+    return autoRange(values, { weights, log: view.logY });
+  }, [view.y, view.logX, view.logY, plot.rows, curves, series, xMin, xMax]);
+
+  // Posición del ratón relativa al área de dibujo (0 a 1) y en valores de los ejes
+  const pointerPosition = (event) => {
+    const area = plotAreaRef.current;
+    if (!area || !area.width || !area.height || !chartBoxRef.current) return null;
+    const rect = chartBoxRef.current.getBoundingClientRect();
+    const fx = (event.clientX - rect.left - area.x) / area.width;
+    const fy = 1 - (event.clientY - rect.top - area.y) / area.height;
+    return {
+      fx,
+      fy,
+      x: rangeValue(fx, view.x, view.logX),
+      y: rangeValue(fy, yDomain, view.logY),
+      inside: fx >= 0 && fx <= 1 && fy >= 0 && fy <= 1
+    };
+  };
+
+  const handleMouseDown = (event) => {
+    const position = event.button === 0 ? pointerPosition(event) : null;
+    if (!position || !position.inside) return;
+    event.preventDefault();
+    dragRef.current = {
+      start: position,
+      view,
+      yDomain,
+      moved: false,
+      tool: event.shiftKey ? 'box' : tool
+    };
+  };
+
+  // Tooltip común a todos los modos: los valores de las series de x en la x del cursor y el
+  // punto más cercano de cada curva
+  const updateHover = (position) => {
+    const area = plotAreaRef.current;
+    if (!position || !position.inside) {
+      setHover(null);
+      return;
+    }
+    const toPixel = point => [
+      rangeFraction(point.x, view.x, view.logX) * area.width,
+      (1 - rangeFraction(point.y, yDomain, view.logY)) * area.height
+    ];
+    const cursor = [position.fx * area.width, (1 - position.fy) * area.height];
+    const row = nearestRow(chartData, position.x);
+    const items = series.flatMap((item) => {
+      if (item.curve) {
+        const point = nearestPoint(curves[item.key] || [], cursor, toPixel, HOVER_RADIUS);
+        return point ? [{ item, x: point.x, y: point.y, t: point.t }] : [];
+      }
+      return row ? [{ item, x: row.x, y: row[item.key] }] : [];
+    });
+    setHover(items.length > 0
+      ? { left: area.x + cursor[0], top: area.y + cursor[1], x: row && row.x, items }
+      : null);
+  };
+
+  const handleMouseMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) {
+      updateHover(pointerPosition(event));
+      return;
+    }
+    const position = pointerPosition(event);
+    if (!position) return;
+    setHover(null);
+    if (drag.tool === 'box') {
+      setSelection({ start: drag.start, end: position });
+      return;
+    }
+    // Al desplazar, el eje Y solo se mueve si no está en automático
+    changeView({
+      x: panRange(drag.view.x, drag.start.fx - position.fx, drag.view.logX),
+      y: drag.view.y && panRange(drag.yDomain, drag.start.fy - position.fy, drag.view.logY)
+    }, { replace: drag.moved });
+    drag.moved = true;
+  };
+
+  const handleMouseUp = () => {
+    if (selection
+      && Math.abs(selection.end.fx - selection.start.fx) > MIN_BOX_FRACTION
+      && Math.abs(selection.end.fy - selection.start.fy) > MIN_BOX_FRACTION) {
+      changeView({ x: [selection.start.x, selection.end.x], y: [selection.start.y, selection.end.y] });
+    }
+    dragRef.current = null;
+    setSelection(null);
+  };
+
+  const handleMouseLeave = () => {
+    handleMouseUp();
+    setHover(null);
+  };
+
+  // Zoom con la rueda en la posición del cursor; va con un listener nativo porque React
+  // registra wheel como pasivo y no dejaría impedir el desplazamiento de la página
+  wheelHandlerRef.current = (event) => {
+    const position = pointerPosition(event);
+    if (!position || !position.inside) return;
+    event.preventDefault();
+    const lines = event.deltaMode === 1 ? 16 : 1;
+    const now = Date.now();
+    const replace = now - lastWheelRef.current < WHEEL_GESTURE_MS;
+    lastWheelRef.current = now;
+    zoom(Math.exp(event.deltaY * lines * 0.002), position.x, position.y, { replace });
+  };
+
+  useEffect(() => {
+    const box = chartBoxRef.current;
+    const listener = event => wheelHandlerRef.current(event);
+    box.addEventListener('wheel', listener, { passive: false });
+    return () => box.removeEventListener('wheel', listener);
+  }, []);
+
+  // Ctrl+Z / Ctrl+Y (o Ctrl+Mayús+Z) deshacen y rehacen la vista fuera de los campos de texto
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.target.closest('input, textarea, select')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const updateFunction = (id, changes) => {
+    setFunctions(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const addFunction = () => {
+    setFunctions(prev => [...prev, createFunction({ expression: 'sin(x)' })]);
+  };
+
+  const removeFunction = (id) => {
+    setFunctions(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const renderTooltip = () => {
+    const hasRows = hover.items.some(({ item }) => !item.curve);
+    return (
+      <div
+        className="absolute z-10 pointer-events-none bg-white dark:bg-gray-900 p-3 border-2 border-gray-300 dark:border-gray-600 rounded shadow-lg"
+        style={{ left: hover.left + 16, top: hover.top + 16 }}
+      >
+        {hasRows && <p className="font-bold text-gray-800 dark:text-gray-100">x = {preciseNumber(hover.x)}</p>}
+        {hover.items.map(({ item, x, y, t: param }) => (
+          <div key={item.key} style={{ color: item.color }}>
+            {item.curve ? (
+              <p>
+                {item.label}: ({preciseNumber(x)}, {preciseNumber(y)}) {t('visualizer.tooltip.at', { variable: item.variable, value: preciseNumber(param) })}
+              </p>
+            ) : (
+              <p>{item.label} = {Number.isFinite(y) ? preciseNumber(y) : t('visualizer.tooltip.undefined')}</p>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">
+              {item.numeric ? t('visualizer.tooltip.numeric') : `${item.label} = ${item.formula}`}
+            </p>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto bg-white dark:bg-gray-900 rounded-lg shadow-xl p-6">
+      <h1 className="text-3xl font-bold text-gray-800 dark:text-gray-100 mb-2">{t('visualizer.title')}</h1>
+      <p className="text-gray-600 dark:text-gray-300 mb-6">{t('visualizer.subtitle')}</p>
+
+      <div className="mb-6 space-y-2">
+        {compiled.map(entry => (
+          <FunctionEditor
+            key={entry.id}
+            entry={entry}
+            onChange={updateFunction}
+            onRemove={removeFunction}
+            canRemove={functions.length > 1}
+          />
+        ))}
+        <button
+          onClick={addFunction}
+          className="flex items-center gap-1 px-3 py-2 text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300"
+        >
+          <Plus size={16} />
+          {t('visualizer.addFunction')}
+        </button>
+      </div>
+
+      <ParametersPanel
+        names={parameterNames}
+        parameters={parameterValues}
+        onChange={changeParameter}
+        animating={animating}
+        onToggleAnimation={toggleAnimation}
+      />
+
+      <ViewControls
+        view={view}
+        yDomain={yDomain}
+        tool={tool}
+        onToolChange={setTool}
+        onViewChange={changeView}
+        onZoom={factor => zoom(factor)}
+        onReset={resetView}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={canUndo}
+        canRedo={canRedo}
+      />
+
+      <div className="mb-6 flex flex-wrap gap-4 items-center">
+        <div className="flex items-center gap-2">
+          <label htmlFor="derivative" className="text-gray-700 dark:text-gray-200 font-medium">
+            {t('visualizer.derivatives')}
+          </label>
+          <select
+            id="derivative"
+            value={derivativeOrder}
+            onChange={(e) => setDerivativeOrder(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded"
+          >
+            <option value={0}>{t('visualizer.noDerivatives')}</option>
+            {Array.from({ length: MAX_DERIVATIVE_ORDER }, (_, idx) => idx + 1).map(order => (
+              <option key={order} value={order}>{t('visualizer.upTo', { name: `${derivativeName('f', order)}(x)` })}</option>
+            ))}
+          </select>
+        </div>
+        <div className="ml-auto">
+          <ChartExportButtons
+            chartRef={chartBoxRef}
+            title={exportTitle}
+            legend={series.map(item => ({ label: legendName(item, t), color: item.color, dash: item.dash }))}
+            filename="funciones"
+            background={chartTheme.background}
+            color={chartTheme.text}
+            buttonClassName="border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
+          />
+        </div>
+      </div>
+
+      <div className="relative bg-gray-50 dark:bg-gray-800 rounded-lg p-4 mb-4">
+        {sampling.busy && (
+          <span className="absolute top-2 right-4 text-xs text-gray-500 dark:text-gray-400">{t('visualizer.sampling')}</span>
+        )}
+        {sampling.error && <p className="text-sm text-red-600 dark:text-red-400 mb-2">{t('visualizer.samplingError', { message: errorMessage(sampling.error, t) })}</p>}
+        <div
+          ref={chartBoxRef}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
+          className={`relative select-none ${tool === 'box' ? 'cursor-crosshair' : 'cursor-grab active:cursor-grabbing'}`}
+        >
+          <ResponsiveContainer width="100%" height={400}>
+            <ComposedChart data={chartData}>
+              <PlotAreaProbe areaRef={plotAreaRef} />
+              <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+              <XAxis
+                dataKey="x"
+                type="number"
+                scale={view.logX ? 'log' : 'auto'}
+                domain={view.x}
+                allowDataOverflow
+                tickFormatter={formatNumber}
+                stroke={chartTheme.axis}
+                label={{ value: 'x', position: 'insideBottomRight', offset: -5 }}
+              />
+              <YAxis
+                type="number"
+                scale={view.logY ? 'log' : 'auto'}
+                domain={yDomain}
+                allowDataOverflow
+                tickFormatter={formatNumber}
+                stroke={chartTheme.axis}
+                label={{ value: 'y', angle: -90, position: 'insideLeft' }}
+              />
+              <Legend />
+              {integralBounds && analysisTarget && (
+                <Area
+                  type="monotone"
+                  dataKey="integral"
+                  fill={analysisTarget.color}
+                  fillOpacity={0.2}
+                  stroke="none"
+                  name={`∫ ${analysisTarget.name}(x) dx`}
+                  legendType="none"
+                  isAnimationActive={false}
+                />
+              )}
+              {series.map(item => (
+                <Line
+                  key={item.key}
+                  // Las curvas llevan sus propios puntos en orden de t, con x no monótona
+                  data={item.curve ? curves[item.key] || [] : undefined}
+                  type={item.curve ? 'linear' : 'monotone'}
+                  dataKey={item.curve ? 'y' : item.key}
+                  stroke={item.color}
+                  strokeWidth={2}
+                  name={legendName(item, t)}
+                  dot={false}
+                  strokeDasharray={item.dash}
+                  isAnimationActive={false}
+                />
+              ))}
+              {hover && hover.x !== null && hover.items.some(({ item }) => !item.curve) && (
+                <ReferenceLine x={hover.x} stroke="#9ca3af" />
+              )}
+              {hover && hover.items.filter(({ y }) => Number.isFinite(y)).map(({ item, x, y }) => (
+                <ReferenceDot key={`hover-${item.key}`} x={x} y={y} r={4} fill={item.color} stroke="#fff" />
+              ))}
+              {analysis && analysis.verticalAsymptotes.map(({ x }) => (
+                <ReferenceLine key={`v-${x}`} x={x} stroke={POINT_KINDS.vertical.color} strokeDasharray="4 4" />
+              ))}
+              {analysis && analysis.horizontalAsymptotes.filter(({ y }) => !view.logY || y > 0).map(({ direction, y }) => (
+                <ReferenceLine key={`h-${direction}`} y={y} stroke={POINT_KINDS.horizontal.color} strokeDasharray="4 4" />
+              ))}
+              {analysis && analysisRows(analysis).filter(row => row.y !== null && (!view.logY || row.y > 0)).map(row => (
+                <ReferenceDot
+                  key={`${row.kind}-${row.x}`}
+                  x={row.x}
+                  y={row.y}
+                  r={5}
+                  fill={POINT_KINDS[row.kind].color}
+                  stroke="#fff"
+                />
+              ))}
+              {selection && (
+                <ReferenceArea
+                  x1={selection.start.x}
+                  x2={selection.end.x}
+                  y1={selection.start.y}
+                  y2={selection.end.y}
+                  ifOverflow="hidden"
+                  fill="#3b82f6"
+                  fillOpacity={0.15}
+                  stroke="#3b82f6"
+                  strokeDasharray="3 3"
+                />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+          {hover && renderTooltip()}
+        </div>
+      </div>
+
+      <AnalysisPanel
+        functions={compiled.filter(entry => entry.evaluate)}
+        target={analysisTarget}
+        onTargetChange={setAnalysisTargetId}
+        analysis={analysis}
+        paused={analysisPaused}
+        integral={integral}
+        integralResult={integralResult}
+        onIntegralChange={changes => setIntegral(prev => ({ ...prev, ...changes }))}
+        xMin={xMin}
+        xMax={xMax}
+      />
+
+      <div className="bg-gray-50 dark:bg-gray-800 border-l-4 border-gray-400 dark:border-gray-500 p-4 rounded">
+        <h3 className="font-bold text-gray-800 dark:text-gray-100 mb-2">{t('visualizer.syntax.title')}</h3>
+        <ul className="text-sm text-gray-700 dark:text-gray-200 space-y-1">
+          {SYNTAX_ITEMS.map(item => <li key={item}>• {t(`visualizer.syntax.${item}`)}</li>)}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Pause, Play } from 'lucide-react';
+import { NumberField } from './ViewControls';
+import { formatNumber } from './AnalysisPanel';
+import { useI18n } from '../i18n/i18n';
+
+// Deslizadores de los parámetros libres de las expresiones (a, b, k...). Cada parámetro
+// tiene valor, intervalo y paso editables y se puede animar recorriendo su intervalo.
+export default function ParametersPanel({ names, parameters, onChange, animating, onToggleAnimation }) {
+  const { t } = useI18n();
+  if (names.length === 0) return null;
+
+  return (
+    <div className="mb-6 bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded p-3 space-y-2">
+      <h3 className="font-semibold text-gray-800 dark:text-gray-100">{t('visualizer.parameters.title')}</h3>
+      {names.map(name => {
+        const parameter = parameters[name];
+        const isAnimating = animating === name;
+        return (
+          <div key={name} className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+            <span className="w-10 font-mono font-semibold text-right">{name} =</span>
+            <span className="w-20 font-mono">{formatNumber(parameter.value)}</span>
+            <NumberField
+              label={t('visualizer.parameters.min', { name })}
+              value={parameter.min}
+              onCommit={min => onChange(name, { min })}
+              className="w-16"
+            />
+            <input
+              type="range"
+              min={parameter.min}
+              max={parameter.max}
+              step={parameter.step}
+              value={parameter.value}
+              onChange={(e) => onChange(name, { value: parseFloat(e.target.value) })}
+              disabled={isAnimating}
+              className="flex-1 min-w-32 cursor-pointer"
+              aria-label={t('visualizer.parameters.value', { name })}
+            />
+            <NumberField
+              label={t('visualizer.parameters.max', { name })}
+              value={parameter.max}
+              onCommit={max => onChange(name, { max })}
+              className="w-16"
+            />
+            <span>{t('visualizer.parameters.stepLabel')}</span>
+            <NumberField
+              label={t('visualizer.parameters.step', { name })}
+              value={parameter.step}
+              onCommit={step => onChange(name, { step })}
+              className="w-16"
+            />
+            <button
+              onClick={() => onToggleAnimation(name)}
+              className={`p-2 rounded ${isAnimating ? 'text-blue-700 dark:text-blue-300 bg-blue-100 dark:bg-blue-900/40' : 'text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100'}`}
+              aria-label={isAnimating ? t('visualizer.parameters.stop', { name }) : t('visualizer.parameters.animate', { name })}
+              aria-pressed={isAnimating}
+            >
+              {isAnimating ? <Pause size={18} /> : <Play size={18} />}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Hand, Redo2, SquareDashed, Undo2 } from 'lucide-react';
+import { formatNumber } from './AnalysisPanel';
+import { useI18n } from '../i18n/i18n';
+
+// Campo numérico que solo aplica el valor al pulsar Enter o salir del campo, para poder
+// escribir estados intermedios como "-" o "1e"
+export function NumberField({ label, value, onCommit, disabled = false, className = 'w-24' }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    const parsed = parseFloat(draft);
+    if (draft !== null && Number.isFinite(parsed)) onCommit(parsed);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft ?? formatNumber(value)}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setDraft(null);
+      }}
+      disabled={disabled}
+      className={`${className} px-2 py-1 border border-gray-300 dark:border-gray-600 rounded font-mono disabled:bg-gray-100 dark:disabled:bg-gray-800 disabled:text-gray-500`}
+      aria-label={label}
+    />
+  );
+}
+
+const toolClass = active => `flex items-center gap-1 px-3 py-2 rounded border transition ${
+  active ? 'bg-blue-100 dark:bg-blue-900/40 border-blue-400 text-blue-800 dark:text-blue-200' : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800'
+}`;
+
+export default function ViewControls({
+  view,
+  yDomain,
+  tool,
+  onToolChange,
+  onViewChange,
+  onZoom,
+  onReset,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo
+}) {
+  const { t } = useI18n();
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        <button
+          onClick={() => onZoom(0.5)}
+          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+        >
+          🔍 {t('visualizer.view.zoomIn')}
+        </button>
+        <button
+          onClick={() => onZoom(2)}
+          className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 transition"
+        >
+          🔍 {t('visualizer.view.zoomOut')}
+        </button>
+        <button
+          onClick={onReset}
+          className="px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600 transition"
+        >
+          ↺ {t('visualizer.view.reset')}
+        </button>
+        <span className="w-px h-8 bg-gray-300 dark:bg-gray-600 mx-1" />
+        <button onClick={() => onToolChange('pan')} className={toolClass(tool === 'pan')} aria-pressed={tool === 'pan'}>
+          <Hand size={16} />
+          {t('visualizer.view.pan')}
+        </button>
+        <button onClick={() => onToolChange('box')} className={toolClass(tool === 'box')} aria-pressed={tool === 'box'}>
+          <SquareDashed size={16} />
+          {t('visualizer.view.box')}
+        </button>
+        <span className="w-px h-8 bg-gray-300 dark:bg-gray-600 mx-1" />
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className="p-2 text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-30"
+          aria-label={t('visualizer.view.undo')}
+          title={t('visualizer.view.undoTitle')}
+        >
+          <Undo2 size={20} />
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          className="p-2 text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-30"
+          aria-label={t('visualizer.view.redo')}
+          title={t('visualizer.view.redoTitle')}
+        >
+          <Redo2 size={20} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-6 items-center text-sm text-gray-700 dark:text-gray-200">
+        <div className="flex items-center gap-2">
+          <span className="font-medium">X:</span>
+          <NumberField label={t('visualizer.view.xMin')} value={view.x[0]} onCommit={value => onViewChange({ x: [value, view.x[1]] })} />
+          <span>{t('visualizer.view.to')}</span>
+          <NumberField label={t('visualizer.view.xMax')} value={view.x[1]} onCommit={value => onViewChange({ x: [view.x[0], value] })} />
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={view.logX}
+              onChange={(e) => onViewChange({ logX: e.target.checked })}
+              className="w-4 h-4 cursor-pointer"
+            />
+            log
+          </label>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="font-medium">Y:</span>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={view.y === null}
+              onChange={(e) => onViewChange({ y: e.target.checked ? null : yDomain })}
+              className="w-4 h-4 cursor-pointer"
+            />
+            {t('visualizer.view.auto')}
+          </label>
+          <NumberField
+            label={t('visualizer.view.yMin')}
+            value={yDomain[0]}
+            onCommit={value => onViewChange({ y: [value, yDomain[1]] })}
+          />
+          <span>{t('visualizer.view.to')}</span>
+          <NumberField
+            label={t('visualizer.view.yMax')}
+            value={yDomain[1]}
+            onCommit={value => onViewChange({ y: [yDomain[0], value] })}
+          />
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={view.logY}
+              onChange={(e) => onViewChange({ logY: e.target.checked })}
+              className="w-4 h-4 cursor-pointer"
+            />
+            log
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
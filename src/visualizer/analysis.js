@@ -0,0 +1,225 @@
+// Análisis numérico de una función en un intervalo: raíces, extremos locales, puntos de
+// inflexión, asíntotas e integral definida con estimación de error.
+//
+// Todas las funciones reciben f como (x) => número; los valores no finitos se consideran
+// fuera del dominio. La búsqueda muestrea el intervalo y refina cada cambio de signo por
+// bisección, así que puede perder raíces más próximas entre sí que el paso de muestreo.
+
+const DEFAULT_SAMPLES = 400;
+// A partir de este valor un crecimiento sin límite se interpreta como asíntota vertical
+const POLE_THRESHOLD = 1e8;
+
+const sampleFunction = (f, a, b, samples) => Array.from({ length: samples + 1 }, (_, i) => {
+  const x = a + ((b - a) * i) / samples;
+  return { x, y: f(x) };
+});
+
+// Bisección hasta la precisión de la máquina; lo y hi tienen signos opuestos
+function bisect(f, lo, hi) {
+  let flo = f(lo);
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (lo + hi) / 2;
+    if (mid === lo || mid === hi) break;
+    const fmid = f(mid);
+    if (fmid === 0) return mid;
+    if (!Number.isFinite(fmid) || Math.sign(fmid) === Math.sign(flo)) {
+      lo = mid;
+      flo = fmid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Sección dorada: punto de [lo, hi] que minimiza score
+function goldenMinimize(score, lo, hi, iterations = 80) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let c = hi - ratio * (hi - lo);
+  let d = lo + ratio * (hi - lo);
+  let sc = score(c);
+  let sd = score(d);
+  for (let i = 0; i < iterations; i += 1) {
+    if (sc < sd) {
+      hi = d;
+      d = c;
+      sd = sc;
+      c = hi - ratio * (hi - lo);
+      sc = score(c);
+    } else {
+      lo = c;
+      c = d;
+      sc = sd;
+      d = lo + ratio * (hi - lo);
+      sd = score(d);
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// |f(x)| para buscar ceros: fuera del dominio cuenta como infinitamente lejos de cero
+const distanceToZero = f => (x) => {
+  const value = Math.abs(f(x));
+  return Number.isFinite(value) ? value : Infinity;
+};
+
+// |f(x)| para buscar polos: los huecos del dominio (NaN) no cuentan como crecimiento
+const growth = f => (x) => {
+  const value = Math.abs(f(x));
+  return Number.isNaN(value) ? 0 : value;
+};
+
+// Une puntos encontrados desde intervalos vecinos que son en realidad el mismo
+const dedupe = (points, a, b) => {
+  const tolerance = Math.abs(b - a) * 1e-7;
+  return points
+    .sort((p, q) => p.x - q.x)
+    .filter((point, idx, sorted) => idx === 0 || point.x - sorted[idx - 1].x > tolerance);
+};
+
+// Ceros de g donde cambia de signo: [{ x, left, right }] con el signo a cada lado.
+// Los cambios de signo en los que |g| crece al refinar son polos, no ceros.
+export function findSignChanges(g, a, b, { samples = DEFAULT_SAMPLES } = {}) {
+  const points = sampleFunction(g, a, b, samples);
+  const zeros = [];
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const p = points[i];
+    const q = points[i + 1];
+    if (!Number.isFinite(p.y) || !Number.isFinite(q.y)) continue;
+    if (p.y === 0) {
+      const prev = points[i - 1];
+      if (prev && Number.isFinite(prev.y) && prev.y !== 0 && Math.sign(prev.y) !== Math.sign(q.y)) {
+        zeros.push({ x: p.x, left: Math.sign(prev.y), right: Math.sign(q.y) });
+      }
+    } else if (q.y !== 0 && Math.sign(p.y) !== Math.sign(q.y)) {
+      const x = bisect(g, p.x, q.x);
+      if (Math.abs(g(x)) <= Math.min(Math.abs(p.y), Math.abs(q.y))) {
+        zeros.push({ x, left: Math.sign(p.y), right: Math.sign(q.y) });
+      }
+    }
+  }
+  return dedupe(zeros, a, b);
+}
+
+export function findRoots(f, a, b, options = {}) {
+  const samples = options.samples || DEFAULT_SAMPLES;
+  const roots = findSignChanges(f, a, b, options).map(({ x }) => ({ x, y: 0 }));
+
+  // Raíces tangentes (x^2 en 0): mínimos locales de |f| que llegan a cero
+  const points = sampleFunction(f, a, b, samples);
+  const scale = Math.max(1, ...points.map(p => Math.abs(p.y)).filter(Number.isFinite));
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const [prev, current, next] = [points[i - 1].y, points[i].y, points[i + 1].y].map(Math.abs);
+    if (!(current <= prev && current <= next) || !Number.isFinite(prev + next)) continue;
+    const x = goldenMinimize(distanceToZero(f), points[i - 1].x, points[i + 1].x);
+    if (Math.abs(f(x)) < 1e-10 * scale) roots.push({ x, y: 0 });
+  }
+  return dedupe(roots, a, b);
+}
+
+// Máximos y mínimos locales: cambios de signo de la derivada
+export function findExtrema(f, df, a, b, options = {}) {
+  return findSignChanges(df, a, b, options)
+    .map(({ x, left, right }) => ({ x, y: f(x), type: left > 0 && right < 0 ? 'max' : 'min' }))
+    .filter(point => Number.isFinite(point.y));
+}
+
+// Puntos de inflexión: cambios de signo de la segunda derivada
+export function findInflections(f, d2f, a, b, options = {}) {
+  return findSignChanges(d2f, a, b, options)
+    .map(({ x }) => ({ x, y: f(x) }))
+    .filter(point => Number.isFinite(point.y));
+}
+
+// Asíntotas verticales: máximos locales de |f| que crecen sin límite al refinarlos.
+// No detecta polos en el borde del dominio que crecen despacio, como ln(x) en 0.
+export function findVerticalAsymptotes(f, a, b, { samples = DEFAULT_SAMPLES } = {}) {
+  const points = sampleFunction(f, a, b, samples);
+  const size = growth(f);
+  const asymptotes = [];
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const [prev, current, next] = [points[i - 1].x, points[i].x, points[i + 1].x].map(size);
+    if (current < prev || current < next) continue;
+    const x = goldenMinimize(value => -size(value), points[i - 1].x, points[i + 1].x);
+    const peak = Math.max(size(x), ...[-1e-9, 1e-9].map(offset => size(x + offset * (1 + Math.abs(x)))));
+    // Un pico alto pero acotado (1e9·sin(x)) no es una asíntota: se exige que destaque sobre los vecinos
+    if (peak > POLE_THRESHOLD && peak > 1e4 * Math.max(1, prev, next)) asymptotes.push({ x });
+  }
+  return dedupe(asymptotes, a, b).filter(({ x }) => x > a && x < b);
+}
+
+// Asíntotas horizontales: límite de f en ±∞ si los valores se estabilizan
+export function findHorizontalAsymptotes(f) {
+  return [
+    { direction: '+∞', xs: [1e6, 1e8, 1e10] },
+    { direction: '-∞', xs: [-1e6, -1e8, -1e10] }
+  ].flatMap(({ direction, xs }) => {
+    const values = xs.map(f);
+    if (!values.every(Number.isFinite)) return [];
+    const [, near, far] = values;
+    if (Math.abs(near - far) > 1e-6 * (1 + Math.abs(far))) return [];
+    return [{ direction, y: Math.abs(far) < 1e-12 ? 0 : far }];
+  });
+}
+
+// Integral definida por Simpson adaptativo. Devuelve { value, error, converged }.
+export function integrate(f, a, b, { tolerance = 1e-10, maxEvaluations = 200000 } = {}) {
+  if (a === b) return { value: 0, error: 0, converged: true };
+  if (a > b) {
+    const result = integrate(f, b, a, { tolerance, maxEvaluations });
+    return { ...result, value: -result.value };
+  }
+
+  // Un extremo fuera del dominio (ln(x) en 0) se acerca un poco hacia dentro
+  const nudge = (b - a) * 1e-12;
+  const safe = (x, inward) => (Number.isFinite(f(x)) ? x : x + inward);
+  const lo = safe(a, nudge);
+  const hi = safe(b, -nudge);
+
+  const state = { evaluations: 0, error: 0, converged: true, defined: true };
+  const evaluate = (x) => {
+    state.evaluations += 1;
+    const value = f(x);
+    if (!Number.isFinite(value)) state.defined = false;
+    return value;
+  };
+  const simpson = (x0, f0, x1, f1, fm) => ((x1 - x0) / 6) * (f0 + 4 * fm + f1);
+
+  const adapt = (x0, f0, x1, f1, xm, fm, whole, tol, depth) => {
+    const xl = (x0 + xm) / 2;
+    const xr = (xm + x1) / 2;
+    const fl = evaluate(xl);
+    const fr = evaluate(xr);
+    const left = simpson(x0, f0, xm, fm, fl);
+    const right = simpson(xm, fm, x1, f1, fr);
+    const delta = left + right - whole;
+    if (!state.defined) return NaN;
+    if (Math.abs(delta) <= 15 * tol || depth <= 0 || state.evaluations >= maxEvaluations) {
+      if (Math.abs(delta) > 15 * tol) state.converged = false;
+      state.error += Math.abs(delta) / 15;
+      return left + right + delta / 15;
+    }
+    return adapt(x0, f0, xm, fm, xl, fl, left, tol / 2, depth - 1)
+      + adapt(xm, fm, x1, f1, xr, fr, right, tol / 2, depth - 1);
+  };
+
+  const f0 = evaluate(lo);
+  const f1 = evaluate(hi);
+  const xm = (lo + hi) / 2;
+  const fm = evaluate(xm);
+  const value = adapt(lo, f0, hi, f1, xm, fm, simpson(lo, f0, hi, f1, fm), tolerance, 50);
+
+  if (!state.defined) return { value: NaN, error: Infinity, converged: false };
+  return { value, error: state.error, converged: state.converged };
+}
+
+// Análisis completo de f en [a, b]; df y d2f pueden ser simbólicas o numéricas
+export function analyzeFunction({ f, df, d2f }, a, b, options = {}) {
+  return {
+    roots: findRoots(f, a, b, options),
+    extrema: findExtrema(f, df, a, b, options),
+    inflections: findInflections(f, d2f, a, b, options),
+    verticalAsymptotes: findVerticalAsymptotes(f, a, b, options),
+    horizontalAsymptotes: findHorizontalAsymptotes(f)
+  };
+}
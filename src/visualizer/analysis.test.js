@@ -0,0 +1,89 @@
+import {
+  findRoots,
+  findExtrema,
+  findInflections,
+  findVerticalAsymptotes,
+  findHorizontalAsymptotes,
+  integrate,
+  analyzeFunction
+} from './analysis';
+
+const xs = points => points.map(point => point.x);
+
+describe('findRoots', () => {
+  test('encuentra raíces simples y tangentes', () => {
+    const roots = xs(findRoots(x => (x - 1) * (x + 2) * (x - 0.3) ** 2, -5, 5));
+    expect(roots).toHaveLength(3);
+    expect(roots[0]).toBeCloseTo(-2, 9);
+    expect(roots[1]).toBeCloseTo(0.3, 6);
+    expect(roots[2]).toBeCloseTo(1, 9);
+  });
+
+  test('no confunde un polo con una raíz ni busca fuera del dominio', () => {
+    expect(findRoots(x => 1 / x, -1, 1)).toEqual([]);
+    expect(xs(findRoots(Math.log, -2, 3))).toEqual([expect.closeTo(1, 9)]);
+  });
+});
+
+describe('findExtrema / findInflections', () => {
+  test('x·ln(x) tiene un mínimo en 1/e', () => {
+    const [minimum] = findExtrema(x => x * Math.log(x), x => Math.log(x) + 1, 0.01, 5);
+    expect(minimum.type).toBe('min');
+    expect(minimum.x).toBeCloseTo(1 / Math.E, 9);
+    expect(minimum.y).toBeCloseTo(-1 / Math.E, 9);
+  });
+
+  test('clasifica máximos y mínimos y encuentra inflexiones', () => {
+    const f = x => x ** 3 - 3 * x;
+    const extrema = findExtrema(f, x => 3 * x ** 2 - 3, -3, 3);
+    expect(extrema.map(point => [point.type, Math.round(point.x * 1e6) / 1e6])).toEqual([['max', -1], ['min', 1]]);
+    expect(xs(findInflections(f, x => 6 * x, -3, 3))).toEqual([expect.closeTo(0, 9)]);
+  });
+});
+
+describe('asíntotas', () => {
+  test('detecta asíntotas verticales pero no picos acotados', () => {
+    expect(xs(findVerticalAsymptotes(Math.tan, 0, 4))).toEqual([expect.closeTo(Math.PI / 2, 9)]);
+    expect(xs(findVerticalAsymptotes(x => 1 / (x - 1) ** 2, -3, 3))).toEqual([expect.closeTo(1, 6)]);
+    expect(findVerticalAsymptotes(x => 1e9 * Math.sin(x), 0, 10)).toEqual([]);
+  });
+
+  test('detecta asíntotas horizontales en ±∞', () => {
+    expect(findHorizontalAsymptotes(x => (2 * x + 1) / (x - 3))).toEqual([
+      { direction: '+∞', y: expect.closeTo(2, 5) },
+      { direction: '-∞', y: expect.closeTo(2, 5) }
+    ]);
+    expect(findHorizontalAsymptotes(Math.atan).map(item => item.y)).toEqual([
+      expect.closeTo(Math.PI / 2, 6),
+      expect.closeTo(-Math.PI / 2, 6)
+    ]);
+    expect(findHorizontalAsymptotes(x => x * x)).toEqual([]);
+  });
+});
+
+describe('integrate', () => {
+  test('calcula integrales con una estimación de error pequeña', () => {
+    const sine = integrate(Math.sin, 0, Math.PI);
+    expect(sine.value).toBeCloseTo(2, 10);
+    expect(sine.error).toBeLessThan(1e-8);
+    expect(sine.converged).toBe(true);
+    expect(integrate(x => x * x, 3, 0).value).toBeCloseTo(-9, 10);
+  });
+
+  test('admite extremos fuera del dominio con singularidades integrables', () => {
+    expect(integrate(Math.log, 0, 1).value).toBeCloseTo(-1, 4);
+  });
+
+  test('devuelve NaN si el integrando no está definido en el intervalo', () => {
+    expect(integrate(Math.log, -1, 1)).toMatchObject({ value: NaN, converged: false });
+  });
+});
+
+test('analyzeFunction agrupa todos los resultados', () => {
+  const result = analyzeFunction({ f: Math.sin, df: Math.cos, d2f: x => -Math.sin(x) }, -1, 7);
+  expect(xs(result.roots)).toEqual([expect.closeTo(0, 9), expect.closeTo(Math.PI, 9), expect.closeTo(2 * Math.PI, 9)]);
+  expect(result.extrema.map(point => point.type)).toEqual(['max', 'min']);
+  expect(result.inflections).toHaveLength(3);
+  expect(result.verticalAsymptotes).toEqual([]);
+  expect(result.horizontalAsymptotes).toEqual([]);
+});
@@ -0,0 +1,5 @@
+// Aislado en su propio módulo porque import.meta solo existe en el bundle de webpack;
+// samplingClient.js lo carga bajo demanda y solo si el entorno tiene Worker.
+const createSamplingWorker = () => new Worker(new URL('./sampling.worker.js', import.meta.url));
+
+export default createSamplingWorker;
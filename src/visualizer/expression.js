@@ -0,0 +1,383 @@
+// Parser de expresiones matemáticas para el visualizador, sin eval.
+//
+// Soporta:
+//   2*x + 1, x^2, -x^3, 2^-1      operadores + - * / ^ (^ asocia a la derecha)
+//   2x, 3(x+1), (x+1)(x-1), 2pi   multiplicación implícita
+//   sin(x), log(x), pow(x, 2)     funciones (ver FUNCTIONS)
+//   pi, π, e, tau                 constantes
+//
+// parseExpression devuelve un árbol { type: 'number' | 'variable' | 'constant' | 'unary' | 'binary' | 'call' }
+// y compileExpression lo convierte en una función (scope) => número. Los valores fuera del dominio
+// (log(-1), sqrt(-1), 1/0) salen como NaN o ±Infinity y se dibujan como huecos.
+//
+// Las funciones a trozos no tienen sintaxis propia: se construyen con piecewiseNode a partir de
+// una expresión por intervalo y se evalúan, formatean y derivan como cualquier otro árbol.
+//
+// Los errores llevan la clave de su texto en el catálogo (visualizer.errors) y sus parámetros;
+// ver i18n/errors.js.
+
+import { LocalizedError } from '../i18n/errors';
+
+export class ExpressionError extends LocalizedError {
+  constructor(code, params, expression, position) {
+    super(`visualizer.errors.${code}`, params);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+export const FUNCTIONS = {
+  sin: { arity: 1, fn: Math.sin },
+  cos: { arity: 1, fn: Math.cos },
+  tan: { arity: 1, fn: Math.tan },
+  asin: { arity: 1, fn: Math.asin },
+  acos: { arity: 1, fn: Math.acos },
+  atan: { arity: 1, fn: Math.atan },
+  sinh: { arity: 1, fn: Math.sinh },
+  cosh: { arity: 1, fn: Math.cosh },
+  tanh: { arity: 1, fn: Math.tanh },
+  exp: { arity: 1, fn: Math.exp },
+  ln: { arity: 1, fn: Math.log },
+  log: { arity: 1, fn: Math.log },
+  log10: { arity: 1, fn: Math.log10 },
+  log2: { arity: 1, fn: Math.log2 },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  cbrt: { arity: 1, fn: Math.cbrt },
+  abs: { arity: 1, fn: Math.abs },
+  sign: { arity: 1, fn: Math.sign },
+  floor: { arity: 1, fn: Math.floor },
+  ceil: { arity: 1, fn: Math.ceil },
+  round: { arity: 1, fn: Math.round },
+  pow: { arity: 2, fn: Math.pow },
+  min: { arity: 'variadic', fn: Math.min },
+  max: { arity: 'variadic', fn: Math.max }
+};
+
+export const CONSTANTS = {
+  pi: Math.PI,
+  'π': Math.PI,
+  e: Math.E,
+  tau: 2 * Math.PI
+};
+
+const OPERATOR_ALIASES = { '·': '*', '×': '*', '÷': '/', '−': '-', '**': '^' };
+const IDENTIFIER_START = /[A-Za-z_Ͱ-Ͽ]/;
+const IDENTIFIER_CHAR = /[A-Za-z0-9_Ͱ-Ͽ]/;
+const NUMBER = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+function tokenize(input) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < input.length) {
+    const char = input[pos];
+    if (/\s/.test(char)) {
+      pos += 1;
+    } else if (/[\d.]/.test(char)) {
+      const match = input.slice(pos).match(NUMBER);
+      if (!match || input[pos + match[0].length] === '.') {
+        throw new ExpressionError('malformedNumber', { position: pos + 1 }, input, pos);
+      }
+      tokens.push({ type: 'number', value: Number(match[0]), pos });
+      pos += match[0].length;
+    } else if (IDENTIFIER_START.test(char)) {
+      const start = pos;
+      while (pos < input.length && IDENTIFIER_CHAR.test(input[pos])) pos += 1;
+      tokens.push({ type: 'identifier', value: input.slice(start, pos), pos: start });
+    } else if (input.startsWith('**', pos)) {
+      tokens.push({ type: 'operator', value: '^', pos });
+      pos += 2;
+    } else if ('+-*/^(),'.includes(char) || OPERATOR_ALIASES[char]) {
+      tokens.push({ type: 'operator', value: OPERATOR_ALIASES[char] || char, pos });
+      pos += 1;
+    } else {
+      throw new ExpressionError('unexpectedChar', { char, position: pos + 1 }, input, pos);
+    }
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.tokens = tokenize(input);
+    this.index = 0;
+  }
+
+  error(code, params = {}, token = this.peek()) {
+    const pos = token ? token.pos : this.input.length;
+    return new ExpressionError(code, { ...params, position: pos + 1 }, this.input, pos);
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return Boolean(token) && token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isOperator(value)) throw this.error('expected', { token: value });
+    this.index += 1;
+  }
+
+  // Un número, identificador o paréntesis tras un factor implica multiplicación
+  startsFactor() {
+    const token = this.peek();
+    return Boolean(token) && (token.type !== 'operator' || token.value === '(');
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new ExpressionError('empty', {}, this.input, 0);
+    const node = this.parseAdditive();
+    if (this.index < this.tokens.length) {
+      const token = this.peek();
+      throw this.error(token.value === ')' ? 'extraParen' : 'unexpectedToken', { token: token.value });
+    }
+    return node;
+  }
+
+  parseAdditive() {
+    let node = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-')) {
+      const op = this.peek().value;
+      this.index += 1;
+      node = { type: 'binary', op, left: node, right: this.parseMultiplicative() };
+    }
+    return node;
+  }
+
+  parseMultiplicative() {
+    let node = this.parseUnary();
+    for (;;) {
+      if (this.isOperator('*') || this.isOperator('/')) {
+        const op = this.peek().value;
+        this.index += 1;
+        node = { type: 'binary', op, left: node, right: this.parseUnary() };
+      } else if (this.startsFactor()) {
+        node = { type: 'binary', op: '*', left: node, right: this.parsePower() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseUnary() {
+    if (this.isOperator('-') || this.isOperator('+')) {
+      const op = this.peek().value;
+      this.index += 1;
+      const arg = this.parseUnary();
+      return op === '-' ? { type: 'unary', op: '-', arg } : arg;
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (!this.isOperator('^')) return base;
+    this.index += 1;
+    // -x^2 es -(x^2) y 2^-1 es válido: el exponente admite signo
+    return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw this.error('incomplete');
+
+    if (token.type === 'number') {
+      this.index += 1;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      this.index += 1;
+      if (FUNCTIONS[token.value]) {
+        if (!this.isOperator('(')) throw this.error('expectedCall', { name: token.value });
+        return this.parseCall(token);
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) return { type: 'constant', name: token.value };
+      // x(x+1) es una multiplicación implícita, no una llamada
+      return { type: 'variable', name: token.value };
+    }
+
+    if (token.value === '(') {
+      this.index += 1;
+      const node = this.parseAdditive();
+      if (!this.isOperator(')')) throw this.error('missingParen');
+      this.index += 1;
+      return node;
+    }
+
+    throw this.error('unexpectedToken', { token: token.value });
+  }
+
+  parseCall(nameToken) {
+    const spec = FUNCTIONS[nameToken.value];
+    this.expect('(');
+    const args = [];
+    if (!this.isOperator(')')) {
+      args.push(this.parseAdditive());
+      while (this.isOperator(',')) {
+        this.index += 1;
+        args.push(this.parseAdditive());
+      }
+    }
+    if (!this.isOperator(')')) throw this.error('missingParen');
+    this.index += 1;
+
+    const validArity = spec.arity === 'variadic' ? args.length >= 1 : args.length === spec.arity;
+    if (!validArity) {
+      const variadic = spec.arity === 'variadic';
+      throw this.error(variadic ? 'arityAtLeast' : 'arity', { name: nameToken.value, count: variadic ? 1 : spec.arity }, nameToken);
+    }
+    return { type: 'call', name: nameToken.value, args };
+  }
+}
+
+// Nombres de las variables libres del árbol, en orden de aparición
+export function collectVariables(node, found = new Set()) {
+  if (node.type === 'variable') found.add(node.name);
+  else if (node.type === 'unary') collectVariables(node.arg, found);
+  else if (node.type === 'binary') {
+    collectVariables(node.left, found);
+    collectVariables(node.right, found);
+  } else if (node.type === 'call') node.args.forEach(arg => collectVariables(arg, found));
+  else if (node.type === 'piecewise') {
+    found.add(node.variable);
+    node.pieces.forEach(piece => collectVariables(piece.body, found));
+  }
+  return [...found];
+}
+
+// Función a trozos: cada tramo { from, to, body } vale en from ≤ variable ≤ to (null = sin límite).
+// Si los intervalos se solapan manda el primero; fuera de todos la función no está definida.
+export const piecewiseNode = (pieces, variable = 'x') => ({ type: 'piecewise', variable, pieces });
+
+// Analiza la expresión; variables limita los identificadores permitidos (por defecto cualquiera)
+export function parseExpression(input, { variables } = {}) {
+  const ast = new Parser(String(input)).parse();
+  if (variables) {
+    const unknown = collectVariables(ast).filter(name => !variables.includes(name));
+    if (unknown.length > 0) {
+      throw new ExpressionError('unknownIdentifier', { name: unknown[0] }, String(input), null);
+    }
+  }
+  return ast;
+}
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '^': Math.pow
+};
+
+// Convierte el árbol en una función (scope) => número
+export function compileExpression(node) {
+  switch (node.type) {
+    case 'number': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'constant': {
+      const value = CONSTANTS[node.name];
+      return () => value;
+    }
+    case 'variable': {
+      const { name } = node;
+      return scope => (name in scope ? scope[name] : NaN);
+    }
+    case 'unary': {
+      const arg = compileExpression(node.arg);
+      return scope => -arg(scope);
+    }
+    case 'binary': {
+      const op = BINARY[node.op];
+      const left = compileExpression(node.left);
+      const right = compileExpression(node.right);
+      return scope => op(left(scope), right(scope));
+    }
+    case 'call': {
+      const { fn } = FUNCTIONS[node.name];
+      const args = node.args.map(compileExpression);
+      if (args.length === 1) {
+        const [arg] = args;
+        return scope => fn(arg(scope));
+      }
+      return scope => fn(...args.map(arg => arg(scope)));
+    }
+    case 'piecewise': {
+      const { variable } = node;
+      const pieces = node.pieces.map(piece => ({
+        from: piece.from ?? -Infinity,
+        to: piece.to ?? Infinity,
+        body: compileExpression(piece.body)
+      }));
+      return (scope) => {
+        const value = scope[variable];
+        const piece = pieces.find(({ from, to }) => value >= from && value <= to);
+        return piece ? piece.body(scope) : NaN;
+      };
+    }
+    default:
+      throw new Error(`Nodo desconocido: ${node.type}`);
+  }
+}
+
+export const evaluateExpression = (node, scope = {}) => compileExpression(node)(scope);
+
+// Precedencia de cada nodo al formatearlo: los hijos con menor precedencia van entre paréntesis
+const precedence = (node) => {
+  if (node.type === 'binary') return { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 }[node.op];
+  if (node.type === 'unary' || (node.type === 'number' && node.value < 0)) return 3;
+  return 5;
+};
+
+const formatNumber = value => String(Number(value.toPrecision(10)));
+
+const formatPiece = ({ from, to, body }, variable, options) => {
+  const text = formatExpression(body, options);
+  const when = options.when ?? 'si';
+  if (from === null && to === null) return text;
+  if (from === null) return `${text} ${when} ${variable} ≤ ${formatNumber(to)}`;
+  if (to === null) return `${text} ${when} ${variable} ≥ ${formatNumber(from)}`;
+  return `${text} ${when} ${formatNumber(from)} ≤ ${variable} ≤ ${formatNumber(to)}`;
+};
+
+// Convierte el árbol en texto legible con los paréntesis mínimos. options.when es la palabra
+// que separa cada tramo de su intervalo en las funciones a trozos ("si" por defecto); la
+// interfaz pasa la de su idioma (visualizer.piecewiseWhen).
+export function formatExpression(node, options = {}) {
+  const wrap = (child, needsParens) => {
+    const text = formatExpression(child, options);
+    return needsParens ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+    case 'number':
+      return formatNumber(node.value);
+    case 'constant':
+    case 'variable':
+      return node.name;
+    case 'unary':
+      return `-${wrap(node.arg, precedence(node.arg) < 4)}`;
+    case 'call':
+      return `${node.name}(${node.args.map(arg => formatExpression(arg, options)).join(', ')})`;
+    case 'piecewise':
+      return `{ ${node.pieces.map(piece => formatPiece(piece, node.variable, options)).join('; ')} }`;
+    case 'binary': {
+      const left = precedence(node.left);
+      const right = precedence(node.right);
+      if (node.op === '+') return `${wrap(node.left, false)} + ${wrap(node.right, right === 3)}`;
+      if (node.op === '-') return `${wrap(node.left, false)} - ${wrap(node.right, right <= 1 || right === 3)}`;
+      if (node.op === '*') return `${wrap(node.left, left < 2)}·${wrap(node.right, right < 2 || right === 3)}`;
+      if (node.op === '/') return `${wrap(node.left, left < 2)}/${wrap(node.right, right <= 3)}`;
+      return `${wrap(node.left, left <= 4)}^${wrap(node.right, right < 5)}`;
+    }
+    default:
+      throw new Error(`Nodo desconocido: ${node.type}`);
+  }
+}
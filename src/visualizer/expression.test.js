@@ -0,0 +1,126 @@
+import {
+  parseExpression,
+  compileExpression,
+  evaluateExpression,
+  collectVariables,
+  formatExpression,
+  piecewiseNode,
+  ExpressionError
+} from './expression';
+import { errorMessage } from '../i18n/errors';
+import { createI18n } from '../i18n/i18n';
+
+const evaluate = (input, scope = {}) => evaluateExpression(parseExpression(input), scope);
+
+describe('parseExpression', () => {
+  test('respeta la precedencia y la asociatividad de ^', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluate('-2 ^ 2')).toBe(-4);
+    expect(evaluate('2 ^ -1')).toBe(0.5);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('8 / 2 / 2')).toBe(2);
+  });
+
+  test('admite multiplicación implícita', () => {
+    expect(evaluate('2x', { x: 3 })).toBe(6);
+    expect(evaluate('3(x + 1)', { x: 1 })).toBe(6);
+    expect(evaluate('(x + 1)(x - 1)', { x: 3 })).toBe(8);
+    expect(evaluate('x(x + 1)', { x: 2 })).toBe(6);
+    expect(evaluate('2x^2', { x: 3 })).toBe(18);
+    expect(evaluate('2pi')).toBeCloseTo(2 * Math.PI);
+    expect(evaluate('x sin(x)', { x: Math.PI / 2 })).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('evalúa funciones, constantes y alias de operadores', () => {
+    expect(evaluate('x·ln(x)', { x: Math.E })).toBeCloseTo(Math.E);
+    expect(evaluate('pow(2, 10) − abs(-24)')).toBe(1000);
+    expect(evaluate('max(1, 5, 3) × min(2, 4)')).toBe(10);
+    expect(evaluate('exp(0) + log10(100) + sqrt(9)')).toBe(6);
+    expect(evaluate('2 ** 3')).toBe(8);
+    expect(evaluate('cos(π)')).toBe(-1);
+    expect(evaluate('1.5e3 + .5')).toBe(1500.5);
+  });
+
+  test('fuera del dominio devuelve NaN o infinito en lugar de lanzar', () => {
+    expect(evaluate('ln(x)', { x: -1 })).toBeNaN();
+    expect(evaluate('sqrt(-4)')).toBeNaN();
+    expect(evaluate('1 / x', { x: 0 })).toBe(Infinity);
+  });
+
+  test('da mensajes claros ante errores de sintaxis', () => {
+    expect(() => parseExpression('')).toThrow('La expresión está vacía');
+    expect(() => parseExpression('(x + 1')).toThrow("Falta ')'");
+    expect(() => parseExpression('x + 1)')).toThrow("Sobra un ')'");
+    expect(() => parseExpression('2 * * x')).toThrow("Token inesperado '*' (posición 5)");
+    expect(() => parseExpression('x + ')).toThrow('incompleta');
+    expect(() => parseExpression('x $ 2')).toThrow("Carácter inesperado '$' en la posición 3");
+    expect(() => parseExpression('1.2.3')).toThrow('Número mal formado');
+    expect(() => parseExpression('sin x')).toThrow("Se esperaba '(' después de sin");
+    expect(() => parseExpression('pow(x)')).toThrow('pow espera 2 argumentos');
+    expect(() => parseExpression('x + 1)')).toThrow(ExpressionError);
+  });
+
+  test('los errores se pueden mostrar en el idioma de la interfaz', () => {
+    const { t } = createI18n('en');
+    const messageOf = (input) => {
+      try {
+        parseExpression(input);
+      } catch (err) {
+        return errorMessage(err, t);
+      }
+      return null;
+    };
+    expect(messageOf('pow(x)')).toBe('pow expects 2 arguments (position 1)');
+    expect(messageOf('max()')).toBe('max expects at least 1 argument (position 1)');
+    expect(messageOf('x $ 2')).toBe("Unexpected character '$' at position 3");
+  });
+
+  test('limita los identificadores a las variables indicadas', () => {
+    expect(() => parseExpression('a*x + y', { variables: ['x'] })).toThrow('Identificador desconocido: a');
+    expect(() => parseExpression('x + pi', { variables: ['x'] })).not.toThrow();
+  });
+});
+
+describe('collectVariables / compileExpression', () => {
+  test('lista las variables libres sin repetir ni incluir constantes', () => {
+    expect(collectVariables(parseExpression('a*x^2 + b*x + c + e + a'))).toEqual(['a', 'x', 'b', 'c']);
+  });
+
+  test('la función compilada se puede reutilizar con distintos valores', () => {
+    const f = compileExpression(parseExpression('x^2 - 1'));
+    expect([-1, 0, 2].map(x => f({ x }))).toEqual([0, -1, 3]);
+    expect(f({})).toBeNaN();
+  });
+});
+
+describe('formatExpression', () => {
+  test('usa los paréntesis mínimos y conserva el significado', () => {
+    const format = input => formatExpression(parseExpression(input));
+    expect(format('(x + 1) * (x - 1)')).toBe('(x + 1)·(x - 1)');
+    expect(format('a - (b - c) + (d * e)')).toBe('a - (b - c) + d·e');
+    expect(format('(-x)^2 + -x^2')).toBe('(-x)^2 + (-x^2)');
+    expect(format('x^(n - 1) / (2 * x)')).toBe('x^(n - 1)/(2·x)');
+    expect(format('2^3^2')).toBe('2^(3^2)');
+    expect(format('(2^3)^2')).toBe('(2^3)^2');
+  });
+});
+
+describe('piecewiseNode', () => {
+  const abs = piecewiseNode([
+    { from: null, to: 0, body: parseExpression('-x') },
+    { from: 0, to: 2, body: parseExpression('x') }
+  ]);
+
+  test('evalúa el primer tramo que contiene x y no está definida fuera', () => {
+    const f = compileExpression(abs);
+    expect([-3, 0, 1.5, 2].map(x => f({ x }))).toEqual([3, -0, 1.5, 2]);
+    expect(f({ x: 3 })).toBeNaN();
+    expect(collectVariables(abs)).toEqual(['x']);
+  });
+
+  test('se formatea con sus intervalos', () => {
+    expect(formatExpression(abs)).toBe('{ -x si x ≤ 0; x si 0 ≤ x ≤ 2 }');
+    expect(formatExpression(abs, { when: 'if' })).toBe('{ -x if x ≤ 0; x if 0 ≤ x ≤ 2 }');
+  });
+});
@@ -0,0 +1,173 @@
+import {
+  ExpressionError,
+  collectVariables,
+  parseExpression,
+  compileExpression,
+  evaluateExpression,
+  formatExpression,
+  piecewiseNode
+} from './expression';
+
+// Paleta de colores asignada a cada función por orden de creación
+export const FUNCTION_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d'];
+
+// Nombres f, g, h... usados en la leyenda y el tooltip
+const FUNCTION_NAMES = ['f', 'g', 'h', 'k', 'p', 'q', 'r', 's'];
+
+export const functionName = idx => FUNCTION_NAMES[idx] || `f${idx + 1}`;
+
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+// f', f'', f''' y a partir del cuarto orden f⁽⁴⁾
+export const derivativeName = (name, order) => (
+  order <= 3
+    ? `${name}${"'".repeat(order)}`
+    : `${name}⁽${String(order).split('').map(digit => SUPERSCRIPTS[digit]).join('')}⁾`
+);
+
+// Modos de dibujo de una función y la variable de sus expresiones
+export const FUNCTION_KINDS = {
+  cartesian: { variable: 'x' },
+  piecewise: { variable: 'x' },
+  parametric: { variable: 't' },
+  polar: { variable: 'θ' }
+};
+
+let functionCounter = 0;
+
+// Cada función guarda los campos de todos los modos para no perderlos al cambiar de uno a otro
+export const createFunction = (overrides = {}) => {
+  functionCounter += 1;
+  return {
+    id: `fn${functionCounter}`,
+    kind: 'cartesian',
+    expression: '',
+    xExpression: 'cos(3t)',
+    yExpression: 'sin(2t)',
+    radius: '1 + cos(θ)',
+    // Intervalo del parámetro de las curvas paramétricas y polares, como expresiones constantes
+    range: { from: '0', to: '2pi' },
+    // Tramos de las funciones a trozos; un límite vacío significa sin límite
+    pieces: [
+      { expression: '-x', from: '', to: '0' },
+      { expression: 'x^2', from: '0', to: '' }
+    ],
+    color: FUNCTION_COLORS[(functionCounter - 1) % FUNCTION_COLORS.length],
+    visible: true,
+    ...overrides
+  };
+};
+
+// Límite numérico escrito como expresión constante (2pi, -1/2...); code es el error si no es finito
+const parseBound = (text, code, params = {}) => {
+  const value = evaluateExpression(parseExpression(text, { variables: [] }));
+  if (!Number.isFinite(value)) throw new ExpressionError(code, params, text, null);
+  return value;
+};
+
+const parseRange = (range, variable) => {
+  const from = parseBound(range.from, 'rangeStartNotFinite', { variable });
+  const to = parseBound(range.to, 'rangeEndNotFinite', { variable });
+  if (from >= to) throw new ExpressionError('emptyRange', { variable }, `${range.from}..${range.to}`, null);
+  return [from, to];
+};
+
+// Polar: se acepta theta además de θ porque es más fácil de escribir
+const renameVariable = (node, from, to) => JSON.parse(JSON.stringify(node), (key, value) => (
+  value && value.type === 'variable' && value.name === from ? { ...value, name: to } : value
+));
+
+const polarCurve = (radius, range) => {
+  const r = renameVariable(radius, 'theta', 'θ');
+  const theta = { type: 'variable', name: 'θ' };
+  return {
+    x: { type: 'binary', op: '*', left: r, right: { type: 'call', name: 'cos', args: [theta] } },
+    y: { type: 'binary', op: '*', left: r, right: { type: 'call', name: 'sin', args: [theta] } },
+    variable: 'θ',
+    range
+  };
+};
+
+function compileByKind(entry, formatOptions) {
+  switch (entry.kind) {
+    case 'piecewise': {
+      const pieces = entry.pieces.map((piece, idx) => {
+        try {
+          const from = piece.from.trim() === '' ? null : parseBound(piece.from, 'pieceStartNotFinite');
+          const to = piece.to.trim() === '' ? null : parseBound(piece.to, 'pieceEndNotFinite');
+          if (from !== null && to !== null && from > to) {
+            throw new ExpressionError('emptyPiece', {}, `${piece.from}..${piece.to}`, null);
+          }
+          return { from, to, body: parseExpression(piece.expression) };
+        } catch (err) {
+          throw new ExpressionError('inPiece', { number: idx + 1, error: err }, piece.expression, null);
+        }
+      });
+      if (pieces.length === 0) throw new ExpressionError('noPieces', {}, '', null);
+      const ast = piecewiseNode(pieces);
+      return { ast, evaluate: compileExpression(ast), curve: null, formula: formatExpression(ast, formatOptions) };
+    }
+    case 'parametric': {
+      const x = parseExpression(entry.xExpression);
+      const y = parseExpression(entry.yExpression);
+      const curve = { x, y, variable: 't', range: parseRange(entry.range, 't') };
+      return { ast: null, evaluate: null, curve, formula: `(${entry.xExpression}, ${entry.yExpression})` };
+    }
+    case 'polar': {
+      const radius = parseExpression(entry.radius);
+      return { ast: null, evaluate: null, curve: polarCurve(radius, parseRange(entry.range, 'θ')), formula: entry.radius };
+    }
+    default: {
+      const ast = parseExpression(entry.expression);
+      return { ast, evaluate: compileExpression(ast), curve: null, formula: entry.expression };
+    }
+  }
+}
+
+// Analiza y compila una función según su modo: { ast, evaluate, curve, formula, parameters, error }.
+// Las funciones de x (normales y a trozos) tienen ast y evaluate; las curvas paramétricas y
+// polares tienen curve ({ x, y, variable, range }, ver sampling.js). Los identificadores
+// libres distintos de la variable son parámetros, en orden de aparición. error es el error de
+// análisis, que la interfaz muestra con errorMessage (i18n/errors.js); formatOptions se pasa a
+// formatExpression para la fórmula de las funciones a trozos.
+export function compileFunction(entry, formatOptions) {
+  try {
+    const result = compileByKind(entry, formatOptions);
+    const variable = result.curve ? result.curve.variable : 'x';
+    const found = new Set();
+    (result.curve ? [result.curve.x, result.curve.y] : [result.ast]).forEach(tree => collectVariables(tree, found));
+    return { ...result, parameters: [...found].filter(name => name !== variable), error: null };
+  } catch (err) {
+    return { ast: null, evaluate: null, curve: null, formula: null, parameters: [], error: err };
+  }
+}
+
+export const DEFAULT_PARAMETER = { value: 1, min: -5, max: 5, step: 0.1 };
+
+// Segundos que tarda la animación de un parámetro en ir de min a max
+export const SWEEP_SECONDS = 4;
+
+// Valor de un parámetro animado tras seconds segundos: va y vuelve entre min y max empezando
+// en la fracción start (0 = min, 1 = max) del intervalo
+export const sweepValue = ({ min, max }, start, seconds) => {
+  const phase = (start + seconds / SWEEP_SECONDS) % 2;
+  return min + (max - min) * (1 - Math.abs(phase - 1));
+};
+
+// Aplica cambios a un parámetro manteniendo min < max, step > 0 y el valor dentro del intervalo
+export function updateParameter(parameter, changes) {
+  const next = { ...parameter, ...changes };
+  if (!(next.max > next.min)) {
+    if ('max' in changes) next.min = next.max - Math.max(parameter.max - parameter.min, next.step);
+    else next.max = next.min + Math.max(parameter.max - parameter.min, next.step);
+  }
+  if (!(next.step > 0)) next.step = parameter.step;
+  next.value = Math.min(next.max, Math.max(next.min, next.value));
+  return next;
+}
+
+// Nombres de los parámetros usados por las funciones, sin repetir
+export const usedParameters = compiled => [...new Set(compiled.flatMap(entry => entry.parameters))];
+
+// Los valores no finitos (fuera del dominio o polos) se dibujan como huecos
+export const finiteOrNull = value => (Number.isFinite(value) ? value : null);
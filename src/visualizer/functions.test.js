@@ -0,0 +1,77 @@
+import {
+  createFunction,
+  compileFunction,
+  derivativeName,
+  usedParameters,
+  updateParameter,
+  sweepValue,
+  SWEEP_SECONDS
+} from './functions';
+import { evaluateExpression } from './expression';
+import { errorMessage } from '../i18n/errors';
+import { createI18n } from '../i18n/i18n';
+
+const compile = (overrides, formatOptions) => compileFunction(createFunction(overrides), formatOptions);
+
+test('derivativeName usa primas hasta el tercer orden', () => {
+  expect([1, 3, 4, 12].map(order => derivativeName('f', order))).toEqual(["f'", "f'''", 'f⁽⁴⁾', 'f⁽¹²⁾']);
+});
+
+describe('compileFunction', () => {
+  test('compila funciones de x y trata los demás identificadores como parámetros', () => {
+    const result = compile({ expression: '2x + 1' });
+    expect(result.evaluate({ x: 3 })).toBe(7);
+    expect(result.formula).toBe('2x + 1');
+    expect(result.parameters).toEqual([]);
+    const family = compile({ expression: 'a·x·ln(b·x) + c' });
+    expect(family.parameters).toEqual(['a', 'b', 'c']);
+    expect(family.evaluate({ x: 1, a: 2, b: Math.E, c: 1 })).toBeCloseTo(3, 12);
+  });
+
+  test('une los tramos de una función a trozos e indica el tramo con error', () => {
+    const result = compile({ kind: 'piecewise' });
+    expect([-2, 3].map(x => result.evaluate({ x }))).toEqual([2, 9]);
+    expect(result.formula).toBe('{ -x si x ≤ 0; x^2 si x ≥ 0 }');
+    const broken = compile({ kind: 'piecewise', pieces: [{ expression: 'x', from: '2', to: '1' }] });
+    expect(broken.error.message).toBe('Tramo 1: El intervalo está vacío');
+    expect(errorMessage(broken.error, createI18n('en').t)).toBe('Piece 1: The interval is empty');
+    expect(compile({ kind: 'piecewise' }, { when: 'if' }).formula).toBe('{ -x if x ≤ 0; x^2 if x ≥ 0 }');
+  });
+
+  test('las curvas paramétricas y polares dan x(t), y(t) y su intervalo', () => {
+    const parametric = compile({ kind: 'parametric', range: { from: '0', to: 'pi' } });
+    expect(parametric.evaluate).toBeNull();
+    expect(parametric.curve).toMatchObject({ variable: 't', range: [0, Math.PI] });
+
+    // r = 2θ admite theta como alias de θ
+    const { curve } = compile({ kind: 'polar', radius: '2 theta' });
+    const scope = { θ: Math.PI / 2 };
+    expect(evaluateExpression(curve.x, scope)).toBeCloseTo(0, 12);
+    expect(evaluateExpression(curve.y, scope)).toBeCloseTo(Math.PI, 12);
+    expect(compile({ kind: 'polar', radius: 'a·θ' }).parameters).toEqual(['a']);
+    expect(compile({ kind: 'parametric', xExpression: 'r·cos(t)', yExpression: 'k·sin(t)' }).parameters).toEqual(['r', 'k']);
+    const polar = compile({ kind: 'polar' });
+    expect(polar.curve.range[1]).toBeCloseTo(2 * Math.PI, 12);
+    expect(compile({ kind: 'polar', range: { from: '1', to: '1' } }).error.message).toBe('El intervalo de θ está vacío');
+  });
+});
+
+test('usedParameters une los parámetros de todas las funciones', () => {
+  const compiled = ['a*x + b', 'sin(b*x)', 'x +'].map(expression => compile({ expression }));
+  expect(usedParameters(compiled)).toEqual(['a', 'b']);
+});
+
+test('updateParameter mantiene el valor dentro de un intervalo válido', () => {
+  const parameter = { value: 1, min: -5, max: 5, step: 0.1 };
+  expect(updateParameter(parameter, { max: 0 })).toEqual({ value: 0, min: -5, max: 0, step: 0.1 });
+  expect(updateParameter(parameter, { min: 8 })).toEqual({ value: 8, min: 8, max: 18, step: 0.1 });
+  expect(updateParameter(parameter, { step: -1 }).step).toBe(0.1);
+});
+
+test('sweepValue va y vuelve entre min y max', () => {
+  const range = { min: -2, max: 2 };
+  expect(sweepValue(range, 0.5, 0)).toBe(0);
+  expect(sweepValue(range, 0.5, SWEEP_SECONDS / 2)).toBe(2);
+  expect(sweepValue(range, 0.5, SWEEP_SECONDS)).toBe(0);
+  expect(sweepValue(range, 0.5, (3 * SWEEP_SECONDS) / 2)).toBe(-2);
+});
@@ -0,0 +1,196 @@
+// Muestreo adaptativo de las series del visualizador.
+//
+// Parte de una rejilla uniforme calculada por índice (sin acumular x += paso, así que xMax
+// siempre se incluye) y subdivide los tramos que se alejan de una recta. En los tramos que
+// siguen saltando al llegar a la profundidad máxima se inserta un hueco (y: null) para no unir
+// los dos lados de una discontinuidad o de un polo. Los valores se conservan con precisión
+// completa; el redondeo es cosa de la presentación.
+//
+// Las series se describen con objetos serializables para poder enviarlas a un Web Worker:
+//   { key, ast }                   la expresión ast evaluada en x
+//   { key, ast, order }            derivada numérica de orden order de ast
+//   { key, ast, range: [a, b] }    ast solo dentro de [a, b] (sombreado de la integral)
+//   { key, curve }                 curva plana { x, y, variable, range } (paramétrica o polar)
+
+import { compileExpression } from './expression';
+import { numericDerivative } from './symbolic';
+import { finiteOrNull } from './functions';
+
+export const DEFAULT_SAMPLING = {
+  initialSamples: 200,
+  maxDepth: 10,
+  // Desviación máxima respecto de la recta, como fracción de la escala vertical
+  tolerance: 0.002,
+  // Evaluaciones máximas por serie
+  maxEvaluations: 6000,
+  // Con eje X logarítmico la rejilla y las subdivisiones son uniformes en log(x)
+  logScale: false
+};
+
+// Rango vertical típico (percentiles 5-95) para que un polo no aplaste la tolerancia
+function verticalScale(values) {
+  const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (finite.length === 0) return 1;
+  const low = finite[Math.floor(finite.length * 0.05)];
+  const high = finite[Math.ceil(finite.length * 0.95) - 1];
+  return high - low || Math.max(1, Math.abs(finite[Math.floor(finite.length / 2)]));
+}
+
+// Operaciones sobre los valores muestreados: números para y = f(x), pares [x, y] para curvas
+const SCALAR = {
+  finite: Number.isFinite,
+  distance: (a, b) => Math.abs(b - a),
+  midpoint: (a, b) => (a + b) / 2,
+  scale: verticalScale
+};
+
+const PLANAR = {
+  finite: ([x, y]) => Number.isFinite(x) && Number.isFinite(y),
+  distance: (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]),
+  midpoint: (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+  scale: values => Math.max(verticalScale(values.map(([x]) => x)), verticalScale(values.map(([, y]) => y)))
+};
+
+// Un salto real conserva su tamaño al seguir bisecando hacia él; una pendiente fuerte pero
+// continua (cerca de un polo o en atan(50x)) se reduce enseguida
+const DISCONTINUITY_STEPS = 40;
+
+function isDiscontinuity(f, a, fa, b, fb, metric) {
+  const jump = metric.distance(fa, fb);
+  for (let i = 0; i < DISCONTINUITY_STEPS; i += 1) {
+    const m = (a + b) / 2;
+    const fm = f(m);
+    if (!metric.finite(fm)) return true;
+    if (metric.distance(fa, fm) > metric.distance(fm, fb)) {
+      b = m;
+      fb = fm;
+    } else {
+      a = m;
+      fa = fm;
+    }
+    if (metric.distance(fa, fb) < 0.5 * jump) return false;
+  }
+  return true;
+}
+
+// Núcleo común: devuelve [{ t, value }] ordenados por t, con value null fuera del dominio y en
+// las discontinuidades
+function sampleWith(metric, f, tMin, tMax, options) {
+  const { initialSamples, maxDepth, tolerance, maxEvaluations, logScale } = { ...DEFAULT_SAMPLING, ...options };
+  const [uMin, uMax] = logScale ? [Math.log10(tMin), Math.log10(tMax)] : [tMin, tMax];
+  const grid = Array.from({ length: initialSamples + 1 }, (_, i) => {
+    if (i === 0) return tMin;
+    if (i === initialSamples) return tMax;
+    const u = uMin + ((uMax - uMin) * i) / initialSamples;
+    return logScale ? 10 ** u : u;
+  });
+  const midpoint = logScale ? (a, b) => Math.sqrt(a * b) : (a, b) => (a + b) / 2;
+
+  let evaluations = 0;
+  const evaluate = (t) => {
+    evaluations += 1;
+    return f(t);
+  };
+  const values = grid.map(evaluate);
+  const maxDeviation = tolerance * metric.scale(values);
+  const valueOrNull = value => (metric.finite(value) ? value : null);
+
+  const points = [{ t: grid[0], value: valueOrNull(values[0]) }];
+
+  const refine = (a, fa, b, fb, depth) => {
+    if (evaluations >= maxEvaluations) {
+      points.push({ t: b, value: valueOrNull(fb) });
+      return;
+    }
+    const m = midpoint(a, b);
+    const fm = evaluate(m);
+    const finite = [fa, fm, fb].map(metric.finite);
+    const allFinite = finite.every(Boolean);
+
+    if (depth >= maxDepth) {
+      // Candidato a salto: una mitad concentra casi todo el cambio
+      const jump = metric.distance(fa, fb);
+      if (allFinite && jump > maxDeviation
+        && Math.max(metric.distance(fa, fm), metric.distance(fm, fb)) > 0.9 * jump
+        && evaluations + DISCONTINUITY_STEPS <= maxEvaluations && isDiscontinuity(evaluate, a, fa, b, fb, metric)) {
+        points.push({ t: m, value: null });
+      }
+      points.push({ t: b, value: valueOrNull(fb) });
+      return;
+    }
+
+    // En los bordes del dominio se subdivide para acercar la curva al límite
+    const needsRefinement = allFinite
+      ? metric.distance(fm, metric.midpoint(fa, fb)) > maxDeviation
+      : finite.some(Boolean);
+    if (!needsRefinement) {
+      points.push({ t: b, value: valueOrNull(fb) });
+      return;
+    }
+    refine(a, fa, m, fm, depth + 1);
+    refine(m, fm, b, fb, depth + 1);
+  };
+
+  for (let i = 0; i < grid.length - 1; i += 1) {
+    refine(grid[i], values[i], grid[i + 1], values[i + 1], 0);
+  }
+  return points;
+}
+
+// Muestrea y = f(x). Devuelve [{ x, y }] ordenados; y es null fuera del dominio y en las discontinuidades
+export const sampleAdaptive = (f, xMin, xMax, options = {}) => sampleWith(SCALAR, f, xMin, xMax, options)
+  .map(({ t, value }) => ({ x: t, y: value }));
+
+// Muestrea una curva plana t → (x(t), y(t)). Devuelve [{ t, x, y }] en orden de t; en los
+// huecos x e y son null
+export const sampleCurve = (fx, fy, tMin, tMax, options = {}) => sampleWith(PLANAR, t => [fx(t), fy(t)], tMin, tMax, options)
+  .map(({ t, value }) => ({ t, x: value && value[0], y: value && value[1] }));
+
+// Convierte la descripción serializable de una serie en una función de x
+export function compileSeries(spec, scope = {}) {
+  const evaluate = compileExpression(spec.ast);
+  const f = x => evaluate({ ...scope, x });
+  if (spec.order) return x => numericDerivative(f, x, spec.order);
+  if (spec.range) {
+    const [lower, upper] = [Math.min(...spec.range), Math.max(...spec.range)];
+    return x => (x >= lower && x <= upper ? f(x) : NaN);
+  }
+  return f;
+}
+
+// Muestrea todas las series y las combina en filas { x, [key]: y } con las x de todas ellas
+export function sampleSeries(specs, { xMin, xMax, scope = {}, ...options }) {
+  const xs = new Set();
+  const sampled = specs.map(spec => {
+    const f = compileSeries(spec, scope);
+    const points = sampleAdaptive(f, xMin, xMax, options);
+    points.forEach(point => xs.add(point.x));
+    // Los límites de la integral se añaden para que el sombreado empiece y acabe en ellos
+    (spec.range || []).filter(x => x > xMin && x < xMax).forEach(x => xs.add(x));
+    return { key: spec.key, f, known: new Map(points.map(point => [point.x, point.y])) };
+  });
+
+  // Cada serie se completa en las x de las demás; sus huecos (null) se conservan
+  return [...xs].sort((a, b) => a - b).map(x => {
+    const row = { x };
+    sampled.forEach(({ key, f, known }) => {
+      row[key] = known.has(x) ? known.get(x) : finiteOrNull(f(x));
+    });
+    return row;
+  });
+}
+
+// Muestrea las curvas en su propio parámetro, independientemente del rango visible del eje X
+export function sampleCurves(specs, { scope = {}, xMin, xMax, logScale, ...options }) {
+  return Object.fromEntries(specs.map(({ key, curve }) => {
+    const [x, y] = [curve.x, curve.y].map(compileExpression);
+    const at = t => ({ ...scope, [curve.variable]: t });
+    return [key, sampleCurve(t => x(at(t)), t => y(at(t)), curve.range[0], curve.range[1], options)];
+  }));
+}
+
+// Punto de entrada del worker: filas de las series y = f(x) y puntos de cada curva por clave
+export const samplePlot = (specs, options) => ({
+  rows: sampleSeries(specs.filter(spec => !spec.curve), options),
+  curves: sampleCurves(specs.filter(spec => spec.curve), options)
+});
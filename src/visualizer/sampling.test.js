@@ -0,0 +1,100 @@
+import { sampleAdaptive, sampleCurve, sampleSeries, samplePlot } from './sampling';
+import { parseExpression } from './expression';
+
+const spec = (key, expression, extra = {}) => ({ key, ast: parseExpression(expression), ...extra });
+
+describe('sampleAdaptive', () => {
+  test('incluye los extremos exactos y conserva la precisión completa', () => {
+    const points = sampleAdaptive(x => x / 3, 0.1, 5);
+    expect(points[0].x).toBe(0.1);
+    expect(points[points.length - 1].x).toBe(5);
+    expect(points.some(point => point.y === point.x / 3 && String(point.y).length > 6)).toBe(true);
+  });
+
+  test('una recta no se refina y las zonas de mucha curvatura sí', () => {
+    expect(sampleAdaptive(x => 2 * x + 1, -1, 1, { initialSamples: 20 })).toHaveLength(21);
+    const points = sampleAdaptive(x => Math.sin(1 / x), 0.01, 1, { initialSamples: 20 });
+    const near = points.filter(point => point.x < 0.1).length;
+    const far = points.filter(point => point.x > 0.9).length;
+    expect(near).toBeGreaterThan(10 * far);
+  });
+
+  test('corta la curva en saltos y polos pero no en pendientes continuas', () => {
+    const gaps = (f, a, b) => sampleAdaptive(f, a, b)
+      .filter(point => point.y === null)
+      .map(point => point.x);
+    expect(gaps(Math.sign, -1, 1.3)).toEqual([expect.closeTo(0, 4)]);
+    expect(gaps(Math.tan, 0, 3)).toEqual([expect.closeTo(Math.PI / 2, 4)]);
+    expect(gaps(x => Math.atan(50 * x), -1, 1)).toEqual([]);
+  });
+
+  test('se acerca a los bordes del dominio', () => {
+    const points = sampleAdaptive(Math.sqrt, -1, 1, { initialSamples: 10 });
+    const firstDefined = points.find(point => point.y !== null);
+    expect(firstDefined.x).toBeLessThan(1e-3);
+  });
+
+  test('con escala logarítmica reparte las muestras por décadas', () => {
+    const points = sampleAdaptive(Math.log10, 0.001, 1000, { initialSamples: 6, logScale: true });
+    expect(points.map(point => point.x)).toEqual([0.001, expect.any(Number), 0.1, expect.any(Number), 10, expect.any(Number), 1000]);
+    expect(points[2].x).toBeCloseTo(0.1, 12);
+  });
+
+  test('respeta el límite de evaluaciones', () => {
+    let calls = 0;
+    sampleAdaptive((x) => {
+      calls += 1;
+      return Math.sin(1 / x);
+    }, 1e-4, 1, { maxEvaluations: 500 });
+    expect(calls).toBeLessThanOrEqual(500);
+  });
+});
+
+describe('sampleSeries', () => {
+  test('combina las series en filas con todas las x', () => {
+    const rows = sampleSeries([spec('f', 'x^2'), spec('g', 'abs(x)')], { xMin: -1, xMax: 1 });
+    const xs = rows.map(row => row.x);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+    rows.forEach(row => {
+      expect(row.f).toBeCloseTo(row.x ** 2, 12);
+      expect(row.g).toBeCloseTo(Math.abs(row.x), 12);
+    });
+  });
+
+  test('calcula derivadas numéricas y restringe el rango de la integral', () => {
+    const rows = sampleSeries([
+      spec('d', 'x^3', { order: 1 }),
+      spec('integral', 'x', { range: [0.5, 0.25] })
+    ], { xMin: 0, xMax: 1, initialSamples: 10 });
+    expect(rows.map(row => row.x)).toEqual(expect.arrayContaining([0.25, 0.5]));
+    rows.forEach(row => {
+      expect(row.d).toBeCloseTo(3 * row.x ** 2, 6);
+      expect(row.integral).toBe(row.x >= 0.25 && row.x <= 0.5 ? row.x : null);
+    });
+  });
+
+  test('usa el ámbito para los parámetros', () => {
+    const rows = sampleSeries([{ key: 'f', ast: parseExpression('a*x', { variables: ['x', 'a'] }) }], {
+      xMin: 0, xMax: 1, scope: { a: 3 }, initialSamples: 4
+    });
+    expect(rows.map(row => row.f)).toEqual(rows.map(row => 3 * row.x));
+  });
+});
+
+describe('curvas', () => {
+  test('sampleCurve recorre la curva en orden de t y refina donde se curva', () => {
+    const points = sampleCurve(Math.cos, Math.sin, 0, 2 * Math.PI, { initialSamples: 8 });
+    expect(points[0]).toEqual({ t: 0, x: 1, y: 0 });
+    expect(points[points.length - 1].t).toBe(2 * Math.PI);
+    expect(points.length).toBeGreaterThan(50);
+    points.forEach(point => expect(Math.hypot(point.x, point.y)).toBeCloseTo(1, 12));
+  });
+
+  test('samplePlot separa las filas de x de los puntos de cada curva', () => {
+    const curve = { x: parseExpression('t'), y: parseExpression('1/t'), variable: 't', range: [-1, 1] };
+    const { rows, curves } = samplePlot([spec('f', 'x'), { key: 'c', curve }], { xMin: 0, xMax: 10, initialSamples: 10 });
+    expect(rows[rows.length - 1]).toEqual({ x: 10, f: 10 });
+    expect(curves.c[0].x).toBe(-1);
+    expect(curves.c.filter(point => point.y === null)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,15 @@
+// Web Worker que muestrea las series fuera del hilo principal (ver samplingClient.js)
+import { samplePlot } from './sampling';
+import { errorToData } from '../i18n/errors';
+
+/* eslint-disable-next-line no-restricted-globals */
+const worker = self;
+
+worker.onmessage = (event) => {
+  const { id, specs, options } = event.data;
+  try {
+    worker.postMessage({ id, result: samplePlot(specs, options) });
+  } catch (err) {
+    worker.postMessage({ id, error: errorToData(err) });
+  }
+};
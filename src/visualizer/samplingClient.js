@@ -0,0 +1,77 @@
+import { samplePlot } from './sampling';
+import { LocalizedError, errorFromData } from '../i18n/errors';
+
+// Cliente del worker de muestreo. sample(specs, options) devuelve una promesa con el
+// resultado de samplePlot; sin soporte de Worker (tests, navegadores antiguos) o si el worker no
+// arranca, muestrea en el hilo principal.
+//
+// El worker atiende una petición cada vez y solo guarda en cola la última: al arrastrar un
+// deslizador o animar un parámetro las intermedias se descartan (su promesa se rechaza) en
+// lugar de acumularse.
+export function createSampler() {
+  let workerPromise = null;
+  let current = null;
+  let queued = null;
+  let nextId = 0;
+
+  const send = (worker, request) => {
+    nextId += 1;
+    current = { ...request, id: nextId };
+    worker.postMessage({ id: nextId, specs: request.specs, options: request.options });
+  };
+
+  const rejectAll = (error) => {
+    [current, queued].forEach(request => request && request.reject(error));
+    current = null;
+    queued = null;
+  };
+
+  const getWorker = () => {
+    if (typeof Worker === 'undefined') return Promise.resolve(null);
+    if (!workerPromise) {
+      workerPromise = import('./createSamplingWorker')
+        .then(({ default: createSamplingWorker }) => {
+          const worker = createSamplingWorker();
+          worker.onmessage = ({ data }) => {
+            if (!current || current.id !== data.id) return;
+            if (data.error) current.reject(errorFromData(data.error));
+            else current.resolve(data.result);
+            current = null;
+            if (queued) {
+              const next = queued;
+              queued = null;
+              send(worker, next);
+            }
+          };
+          worker.onerror = (event) => {
+            event.preventDefault();
+            rejectAll(event.message ? new Error(event.message) : new LocalizedError('visualizer.errors.workerFailed'));
+          };
+          return worker;
+        })
+        .catch(() => null);
+    }
+    return workerPromise;
+  };
+
+  return {
+    async sample(specs, options) {
+      const worker = await getWorker();
+      if (!worker) return samplePlot(specs, options);
+      return new Promise((resolve, reject) => {
+        const request = { specs, options, resolve, reject };
+        if (!current) {
+          send(worker, request);
+          return;
+        }
+        if (queued) queued.reject(new LocalizedError('visualizer.errors.samplingReplaced'));
+        queued = request;
+      });
+    },
+
+    terminate() {
+      rejectAll(new LocalizedError('visualizer.errors.samplingCancelled'));
+      if (workerPromise) workerPromise.then(worker => worker && worker.terminate());
+    }
+  };
+}
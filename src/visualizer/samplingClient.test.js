@@ -0,0 +1,50 @@
+import { createSampler } from './samplingClient';
+
+// Worker falso: guarda los mensajes y responde cuando el test llama a reply
+const mockWorker = {
+  messages: [],
+  postMessage(message) {
+    this.messages.push(message);
+  },
+  reply(result) {
+    const { id } = this.messages[this.messages.length - 1];
+    this.onmessage({ data: { id, result } });
+  },
+  terminate: jest.fn()
+};
+
+jest.mock('./createSamplingWorker', () => ({ __esModule: true, default: () => mockWorker }));
+
+beforeEach(() => {
+  mockWorker.messages = [];
+  global.Worker = function Worker() {};
+});
+
+afterEach(() => {
+  delete global.Worker;
+});
+
+test('sin Worker muestrea en el hilo principal', async () => {
+  delete global.Worker;
+  const { rows } = await createSampler().sample([], { xMin: 0, xMax: 1 });
+  expect(rows).toEqual([]);
+});
+
+test('atiende una petición cada vez y descarta las intermedias', async () => {
+  const sampler = createSampler();
+  const first = sampler.sample(['a'], {});
+  const second = sampler.sample(['b'], {});
+  const third = sampler.sample(['c'], {});
+  await expect(second).rejects.toThrow('reemplazado');
+  expect(mockWorker.messages.map(message => message.specs)).toEqual([['a']]);
+
+  mockWorker.reply('A');
+  await expect(first).resolves.toBe('A');
+  expect(mockWorker.messages.map(message => message.specs)).toEqual([['a'], ['c']]);
+  mockWorker.reply('C');
+  await expect(third).resolves.toBe('C');
+
+  sampler.terminate();
+  await Promise.resolve();
+  expect(mockWorker.terminate).toHaveBeenCalled();
+});
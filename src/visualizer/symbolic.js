@@ -0,0 +1,339 @@
+// Derivación simbólica sobre los árboles de expression.js, con una simplificación algebraica
+// (constantes, términos semejantes, signos y potencias) para que las fórmulas sean legibles.
+//
+// Las funciones sin derivada simbólica (min, max) lanzan SymbolicError; el visualizador
+// recurre entonces a la derivada numérica de numericDerivative.
+
+import { FUNCTIONS, collectVariables } from './expression';
+import { LocalizedError } from '../i18n/errors';
+
+// code es la clave del texto en visualizer.errors
+export class SymbolicError extends LocalizedError {
+  constructor(code, params) {
+    super(`visualizer.errors.${code}`, params);
+    this.name = 'SymbolicError';
+  }
+}
+
+// Las derivadas de orden alto crecen deprisa; a partir de este tamaño se usa la numérica
+const MAX_NODES = 4000;
+
+const num = value => ({ type: 'number', value });
+const neg = arg => ({ type: 'unary', op: '-', arg });
+const bin = (op, left, right) => ({ type: 'binary', op, left, right });
+const call = (name, ...args) => ({ type: 'call', name, args });
+
+const isNumber = (node, value) => node.type === 'number' && (value === undefined || node.value === value);
+
+export const countNodes = (node) => {
+  if (node.type === 'unary') return 1 + countNodes(node.arg);
+  if (node.type === 'binary') return 1 + countNodes(node.left) + countNodes(node.right);
+  if (node.type === 'call') return node.args.reduce((acc, arg) => acc + countNodes(arg), 1);
+  if (node.type === 'piecewise') return node.pieces.reduce((acc, piece) => acc + countNodes(piece.body), 1);
+  return 1;
+};
+
+// --- Simplificación ---
+//
+// Cada expresión se lleva a una suma de términos c·f1^e1·f2^e2…, con el coeficiente c racional
+// ({ n, d }) y los factores sin repetir. Así se pliegan las constantes, se cancelan los términos
+// semejantes (x - 1 - x → -1), desaparecen los signos dobles y los factores repetidos se juntan
+// en potencias (x·x → x^2, x^x·x^(-1) → x^(x - 1)). Al reconstruir el árbol los factores con
+// exponente negativo pasan al denominador.
+
+// Las potencias y funciones de números solo se pliegan si dan un entero, para no convertir
+// 2^0.5 o ln(2) en decimales largos
+const foldable = value => Number.isFinite(value) && Number.isInteger(value) && Math.abs(value) < 1e15;
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+// Fracción reducida con el signo en el numerador; con decimales se guarda el cociente
+const rational = (n, d = 1) => {
+  if (d < 0) return rational(-n, -d);
+  if (!Number.isSafeInteger(n) || !Number.isSafeInteger(d)) return { n: n / d, d: 1 };
+  const divisor = gcd(n, d) || 1;
+  return { n: n / divisor, d: d / divisor };
+};
+
+const ONE = rational(1);
+const multiplyRational = (a, b) => rational(a.n * b.n, a.d * b.d);
+const addRational = (a, b) => rational(a.n * b.d + b.n * a.d, a.d * b.d);
+
+const term = (coef, factors = []) => ({ coef, factors });
+const scaleTerm = (item, coef) => term(multiplyRational(item.coef, coef), item.factors);
+const negateTerm = item => scaleTerm(item, rational(-1));
+
+// Un factor es { key, base, exp }; sum guarda los términos de una base que es una suma
+const factor = (base, exp = num(1), sum = null) => ({ key: JSON.stringify(base), base, exp, sum });
+const termKey = item => item.factors.map(f => `${f.key}^${JSON.stringify(f.exp)}`).sort().join('·');
+
+const addExponents = (a, b) => (isNumber(a) && isNumber(b) ? num(a.value + b.value) : simplify(bin('+', a, b)));
+const scaleExponent = (exp, k) => (isNumber(exp) ? num(exp.value * k) : simplify(bin('*', num(k), exp)));
+
+// Las potencias enteras de números pasan al coeficiente y los exponentes 0 desaparecen
+function normalizeTerm({ coef, factors }) {
+  let result = coef;
+  const kept = factors.filter(({ base, exp }) => {
+    if (isNumber(exp, 0)) return false;
+    if (!isNumber(base) || !isNumber(exp) || !Number.isInteger(exp.value) || (base.value === 0 && exp.value < 0)) return true;
+    const power = base.value ** Math.abs(exp.value);
+    result = multiplyRational(result, exp.value > 0 ? rational(power) : rational(1, power));
+    return false;
+  });
+  return result.n === 0 ? term(rational(0)) : term(result, kept);
+}
+
+function multiplyTerms(a, b) {
+  const factors = a.factors.map(f => ({ ...f }));
+  b.factors.forEach((f) => {
+    const same = factors.find(item => item.key === f.key);
+    if (same) same.exp = addExponents(same.exp, f.exp);
+    else factors.push({ ...f });
+  });
+  return normalizeTerm(term(multiplyRational(a.coef, b.coef), factors));
+}
+
+// Suma los términos semejantes y quita los nulos
+function collectTerms(terms) {
+  const byKey = new Map();
+  terms.forEach((item) => {
+    const key = termKey(item);
+    const same = byKey.get(key);
+    if (same) same.coef = addRational(same.coef, item.coef);
+    else byKey.set(key, { ...item });
+  });
+  return [...byKey.values()].filter(item => item.coef.n !== 0);
+}
+
+// Dentro de una suma, c·(a + b) se reparte en c·a + c·b si así se cancelan términos
+// ((x - 1) - x → -1); si no, se deja agrupado (2·(x - 1) no pasa a 2·x - 2)
+const expandTerm = (item) => {
+  const [only] = item.factors;
+  if (item.factors.length !== 1 || !only.sum || !isNumber(only.exp, 1)) return [item];
+  return only.sum.map(inner => scaleTerm(inner, item.coef));
+};
+
+const addTermLists = (...lists) => {
+  const grouped = collectTerms(lists.flat());
+  const expanded = collectTerms(grouped.flatMap(expandTerm));
+  return expanded.length < grouped.length ? expanded : grouped;
+};
+
+// Una lista de términos como un único término: 0, el propio término o la suma como factor
+const asTerm = (terms) => {
+  if (terms.length === 0) return term(rational(0));
+  if (terms.length === 1) return terms[0];
+  return term(ONE, [factor(buildSum(terms), num(1), terms)]);
+};
+
+const fromTerm = item => (item.coef.n === 0 ? [] : [item]);
+
+function powerTerm(item, exp) {
+  if (isNumber(exp, 0)) return term(ONE);
+  // Con exponente entero se elevan el coeficiente y cada factor: (2·x^2)^2 → 4·x^4
+  if (isNumber(exp) && Number.isInteger(exp.value) && !(item.coef.n === 0 && exp.value < 0)) {
+    const k = exp.value;
+    const coef = k >= 0 ? rational(item.coef.n ** k, item.coef.d ** k) : rational(item.coef.d ** -k, item.coef.n ** -k);
+    return normalizeTerm(term(coef, item.factors.map(f => ({ ...f, exp: scaleExponent(f.exp, k) }))));
+  }
+  const [only] = item.factors;
+  if (item.factors.length === 1 && isNumber(only.exp, 1) && item.coef.n === 1 && item.coef.d === 1) {
+    return term(ONE, [factor(only.base, exp)]);
+  }
+  if (item.factors.length === 0 && item.coef.d === 1) {
+    const value = item.coef.n ** (isNumber(exp) ? exp.value : NaN);
+    if (foldable(value)) return term(rational(value));
+  }
+  return term(ONE, [factor(buildSum([item]), exp)]);
+}
+
+function simplifyCall(node) {
+  const args = node.args.map(simplify);
+  if (args.every(arg => isNumber(arg))) {
+    const value = FUNCTIONS[node.name].fn(...args.map(arg => arg.value));
+    if (foldable(value)) return num(value);
+  }
+  // ln(e) = 1
+  if ((node.name === 'ln' || node.name === 'log') && args[0].type === 'constant' && args[0].name === 'e') return num(1);
+  return { ...node, args };
+}
+
+function toTerms(node) {
+  switch (node.type) {
+    case 'number':
+      return node.value === 0 ? [] : [term(rational(node.value))];
+    case 'unary':
+      return toTerms(node.arg).map(negateTerm);
+    case 'binary': {
+      const left = toTerms(node.left);
+      if (node.op === '^') return fromTerm(powerTerm(asTerm(left), simplify(node.right)));
+      const right = toTerms(node.right);
+      if (node.op === '+') return addTermLists(left, right);
+      if (node.op === '-') return addTermLists(left, right.map(negateTerm));
+      if (node.op === '*') return fromTerm(multiplyTerms(asTerm(left), asTerm(right)));
+      return fromTerm(multiplyTerms(asTerm(left), powerTerm(asTerm(right), num(-1))));
+    }
+    case 'call': {
+      const call = simplifyCall(node);
+      return call.type === 'number' ? toTerms(call) : [term(ONE, [factor(call)])];
+    }
+    case 'piecewise':
+      return [term(ONE, [factor({ ...node, pieces: node.pieces.map(piece => ({ ...piece, body: simplify(piece.body) })) })])];
+    default:
+      return [term(ONE, [factor(node)])];
+  }
+}
+
+const factorNode = ({ base, exp }) => (isNumber(exp, 1) ? base : bin('^', base, exp));
+const product = nodes => nodes.reduce((acc, node) => (acc ? bin('*', acc, node) : node), null);
+const inDenominator = ({ exp }) => isNumber(exp) && exp.value < 0;
+
+// Coeficiente delante y las variables antes que el resto de factores: 2·x·exp(x^2)
+function termNode({ coef, factors }) {
+  const ordered = [...factors].sort((a, b) => (a.base.type === 'variable' ? 0 : 1) - (b.base.type === 'variable' ? 0 : 1));
+  const numerator = ordered.filter(f => !inDenominator(f)).map(factorNode);
+  const denominator = ordered.filter(inDenominator).map(f => factorNode({ base: f.base, exp: num(-f.exp.value) }));
+  const magnitude = Math.abs(coef.n);
+  let top;
+  if (magnitude === 1 && numerator.length > 0) top = coef.n < 0 ? neg(product(numerator)) : product(numerator);
+  else top = product([num(coef.n), ...numerator]);
+  const bottom = product([...(coef.d !== 1 ? [num(coef.d)] : []), ...denominator]);
+  return bottom ? bin('/', top, bottom) : top;
+}
+
+// Los términos negativos detrás del primero se restan: x - 2 en lugar de x + -2
+function buildSum(terms) {
+  if (terms.length === 0) return num(0);
+  return terms.slice(1).reduce(
+    (acc, item) => (item.coef.n < 0 ? bin('-', acc, termNode(negateTerm(item))) : bin('+', acc, termNode(item))),
+    termNode(terms[0])
+  );
+}
+
+export function simplify(node) {
+  return buildSum(toTerms(node));
+}
+
+// Derivada de f(u) respecto de u, sin la regla de la cadena
+const OUTER_DERIVATIVES = {
+  sin: u => call('cos', u),
+  cos: u => neg(call('sin', u)),
+  tan: u => bin('/', num(1), bin('^', call('cos', u), num(2))),
+  asin: u => bin('/', num(1), call('sqrt', bin('-', num(1), bin('^', u, num(2))))),
+  acos: u => neg(bin('/', num(1), call('sqrt', bin('-', num(1), bin('^', u, num(2)))))),
+  atan: u => bin('/', num(1), bin('+', num(1), bin('^', u, num(2)))),
+  sinh: u => call('cosh', u),
+  cosh: u => call('sinh', u),
+  tanh: u => bin('/', num(1), bin('^', call('cosh', u), num(2))),
+  exp: u => call('exp', u),
+  ln: u => bin('/', num(1), u),
+  log: u => bin('/', num(1), u),
+  log10: u => bin('/', num(1), bin('*', u, call('ln', num(10)))),
+  log2: u => bin('/', num(1), bin('*', u, call('ln', num(2)))),
+  sqrt: u => bin('/', num(1), bin('*', num(2), call('sqrt', u))),
+  cbrt: u => bin('/', num(1), bin('*', num(3), bin('^', call('cbrt', u), num(2)))),
+  abs: u => call('sign', u),
+  // Constantes a trozos: derivada 0 salvo en los saltos
+  sign: () => num(0),
+  floor: () => num(0),
+  ceil: () => num(0),
+  round: () => num(0)
+};
+
+function derivePower(base, exponent, variable) {
+  const baseDepends = collectVariables(base).includes(variable);
+  const exponentDepends = collectVariables(exponent).includes(variable);
+  if (!exponentDepends) {
+    // (u^n)' = n·u^(n-1)·u'
+    return bin('*', bin('*', exponent, bin('^', base, bin('-', exponent, num(1)))), derive(base, variable));
+  }
+  if (!baseDepends) {
+    // (a^v)' = a^v·ln(a)·v'
+    return bin('*', bin('*', bin('^', base, exponent), call('ln', base)), derive(exponent, variable));
+  }
+  // (u^v)' = u^v·(v'·ln(u) + v·u'/u)
+  return bin('*', bin('^', base, exponent), bin('+',
+    bin('*', derive(exponent, variable), call('ln', base)),
+    bin('/', bin('*', exponent, derive(base, variable)), base)
+  ));
+}
+
+function derive(node, variable) {
+  if (!collectVariables(node).includes(variable)) return num(0);
+
+  switch (node.type) {
+    case 'variable':
+      return num(1);
+    case 'unary':
+      return neg(derive(node.arg, variable));
+    case 'binary': {
+      const { op, left, right } = node;
+      if (op === '+' || op === '-') return bin(op, derive(left, variable), derive(right, variable));
+      if (op === '*') {
+        return bin('+', bin('*', derive(left, variable), right), bin('*', left, derive(right, variable)));
+      }
+      if (op === '/') {
+        return bin('/',
+          bin('-', bin('*', derive(left, variable), right), bin('*', left, derive(right, variable))),
+          bin('^', right, num(2)));
+      }
+      return derivePower(left, right, variable);
+    }
+    case 'call': {
+      if (node.name === 'pow') return derivePower(node.args[0], node.args[1], variable);
+      const outer = OUTER_DERIVATIVES[node.name];
+      if (!outer) throw new SymbolicError('noSymbolicDerivative', { name: node.name });
+      const [arg] = node.args;
+      return bin('*', outer(arg), derive(arg, variable));
+    }
+    case 'piecewise':
+      // Derivada tramo a tramo; en los puntos de unión puede no existir
+      return { ...node, pieces: node.pieces.map(piece => ({ ...piece, body: derive(piece.body, variable) })) };
+    default:
+      return num(0);
+  }
+}
+
+// Derivada simplificada de node respecto de variable
+export function differentiate(node, variable = 'x') {
+  const result = simplify(derive(node, variable));
+  if (countNodes(result) > MAX_NODES) throw new SymbolicError('derivativeTooLarge');
+  return result;
+}
+
+// Derivadas sucesivas hasta el orden indicado. Devuelve [{ order, ast, error }];
+// a partir del primer orden que falla el resto quedan con el mismo error.
+export function derivativeChain(node, order, variable = 'x') {
+  const chain = [];
+  let current = node;
+  let error = null;
+  for (let k = 1; k <= order; k += 1) {
+    if (!error) {
+      try {
+        current = differentiate(current, variable);
+      } catch (err) {
+        if (!(err instanceof SymbolicError)) throw err;
+        error = err;
+      }
+    }
+    chain.push({ order: k, ast: error ? null : current, error });
+  }
+  return chain;
+}
+
+const binomial = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+// Derivada numérica de orden n por diferencias centrales; evaluate recibe x
+export function numericDerivative(evaluate, x, order = 1) {
+  // El paso óptimo crece con el orden para no amplificar el error de redondeo
+  const h = Number.EPSILON ** (1 / (order + 2)) * Math.max(1, Math.abs(x));
+  let sum = 0;
+  for (let k = 0; k <= order; k += 1) {
+    sum += (k % 2 === 0 ? 1 : -1) * binomial(order, k) * evaluate(x + (order / 2 - k) * h);
+  }
+  return sum / h ** order;
+}
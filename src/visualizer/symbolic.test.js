@@ -0,0 +1,116 @@
+import { parseExpression, compileExpression, formatExpression, piecewiseNode } from './expression';
+import { differentiate, derivativeChain, simplify, numericDerivative } from './symbolic';
+
+const derivative = input => formatExpression(differentiate(parseExpression(input)));
+
+// Compara la derivada simbólica con la numérica en varios puntos del dominio
+const expectMatchesNumeric = (input, xs) => {
+  const f = compileExpression(parseExpression(input));
+  const df = compileExpression(differentiate(parseExpression(input)));
+  xs.forEach((x) => {
+    expect(df({ x })).toBeCloseTo(numericDerivative(value => f({ x: value }), x), 4);
+  });
+};
+
+describe('differentiate', () => {
+  test('simplifica las derivadas habituales', () => {
+    expect(derivative('x*ln(x)')).toBe('ln(x) + 1');
+    expect(derivative('x^3')).toBe('3·x^2');
+    expect(derivative('3x^2 + 2x + 1')).toBe('6·x + 2');
+    expect(derivative('sin(x)')).toBe('cos(x)');
+    expect(derivative('cos(2x)')).toBe('-2·sin(2·x)');
+    expect(derivative('exp(x^2)')).toBe('2·x·exp(x^2)');
+    expect(derivative('5')).toBe('0');
+    expect(derivative('a*x')).toBe('a');
+  });
+
+  test('cancela términos, pliega constantes y junta factores', () => {
+    expect(derivative('x/(x-1)')).toBe('-1/(x - 1)^2');
+    expect(derivative('-1/(x - 1)^2')).toBe('2/(x - 1)^3');
+    expect(derivative('e^x')).toBe('e^x');
+    expect(derivative('x*e^x')).toBe('e^x + x·e^x');
+    expect(derivative('1/x^2')).toBe('-2/x^3');
+    expect(derivative('-2/x^3')).toBe('6/x^4');
+    expect(derivative('x^x·(ln(x) + 1)')).toBe('x^x·(ln(x) + 1)^2 + x^(x - 1)');
+    expect(derivative('x*x*x')).toBe('3·x^2');
+    expect(derivative('sqrt(x)')).toBe('1/(2·sqrt(x))');
+    expect(derivative('ln(x^2)')).toBe('2/x');
+  });
+
+  test('coincide con la derivada numérica', () => {
+    expectMatchesNumeric('x*ln(x)', [0.5, 1, 3]);
+    expectMatchesNumeric('tan(x) / x', [0.3, 1.2]);
+    expectMatchesNumeric('x^x', [0.5, 2]);
+    expectMatchesNumeric('2^x + sqrt(x) + cbrt(x)', [0.7, 4]);
+    expectMatchesNumeric('atan(x) + asin(x / 2) - acos(x / 3)', [0.2, 0.9]);
+    expectMatchesNumeric('log10(x) + log2(x) + abs(x - 1)', [0.5, 2]);
+    expectMatchesNumeric('tanh(x) * cosh(x) - sinh(x)', [-1, 0.5]);
+    expectMatchesNumeric('pow(x, 3) / (1 + x^2)', [-2, 1]);
+  });
+
+  test('lanza SymbolicError con funciones sin derivada simbólica', () => {
+    expect(() => differentiate(parseExpression('max(x, 1)'))).toThrow('max no tiene derivada simbólica');
+  });
+});
+
+test('deriva las funciones a trozos tramo a tramo', () => {
+  const f = piecewiseNode([
+    { from: null, to: 0, body: parseExpression('x^2') },
+    { from: 0, to: null, body: parseExpression('sin(x)') }
+  ]);
+  expect(formatExpression(differentiate(f))).toBe('{ 2·x si x ≤ 0; cos(x) si x ≥ 0 }');
+});
+
+describe('derivativeChain', () => {
+  test('calcula derivadas sucesivas', () => {
+    const chain = derivativeChain(parseExpression('x^4'), 4);
+    expect(chain.map(item => formatExpression(item.ast))).toEqual(['4·x^3', '12·x^2', '24·x', '24']);
+  });
+
+  test('marca el error a partir del primer orden que no se puede derivar', () => {
+    const chain = derivativeChain(parseExpression('min(x, 2)'), 2);
+    expect(chain.map(item => item.ast)).toEqual([null, null]);
+    expect(chain[1].error.message).toMatch('min');
+    expect(chain[1].error.params).toEqual({ name: 'min' });
+  });
+});
+
+describe('simplify', () => {
+  test('pliega constantes y elimina neutros', () => {
+    const simplified = expression => formatExpression(simplify(parseExpression(expression)));
+    expect(simplified('0 + 1*x - 0')).toBe('x');
+    expect(simplified('x * 2 * 3')).toBe('6·x');
+    expect(simplified('x + -y')).toBe('x - y');
+    expect(simplified('--x')).toBe('x');
+    expect(simplified('x^1 + y^0')).toBe('x + 1');
+    expect(simplified('1/3 + ln(1)')).toBe('1/3');
+    expect(simplified('ln(e)·x + 0.5 * 4')).toBe('x + 2');
+  });
+
+  test('cancela términos semejantes y signos dobles', () => {
+    const simplified = expression => formatExpression(simplify(parseExpression(expression)));
+    expect(simplified('x - 1 - x')).toBe('-1');
+    expect(simplified('2x + 3x - x')).toBe('4·x');
+    expect(simplified('sin(x)·cos(x) - cos(x)·sin(x)')).toBe('0');
+    expect(simplified('-(-2·x^(-3))')).toBe('2/x^3');
+    expect(simplified('(x - 1) + 1')).toBe('x');
+    expect(simplified('2·(x - 1)')).toBe('2·(x - 1)');
+  });
+
+  test('junta los factores repetidos en potencias', () => {
+    const simplified = expression => formatExpression(simplify(parseExpression(expression)));
+    expect(simplified('x·x^2·x')).toBe('x^4');
+    expect(simplified('(x^2)^3')).toBe('x^6');
+    expect(simplified('x^x/x')).toBe('x^(x - 1)');
+    expect(simplified('(2·x)^2/x')).toBe('4·x');
+    expect(simplified('(x + 1)·(x + 1)')).toBe('(x + 1)^2');
+  });
+});
+
+describe('numericDerivative', () => {
+  test('aproxima derivadas de orden superior', () => {
+    expect(numericDerivative(Math.sin, 1, 1)).toBeCloseTo(Math.cos(1), 6);
+    expect(numericDerivative(Math.sin, 1, 2)).toBeCloseTo(-Math.sin(1), 4);
+    expect(numericDerivative(x => x ** 3, 2, 3)).toBeCloseTo(6, 2);
+  });
+});
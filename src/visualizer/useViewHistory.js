@@ -0,0 +1,37 @@
+import { useCallback, useState } from 'react';
+import { DEFAULT_VIEW, createHistory, normalizeView, pushView, undoView, redoView, zoomView } from './viewport';
+
+// Vista del visualizador con historial. changeView acepta cambios parciales o una función de
+// la vista actual; con { replace: true } sustituye la entrada actual (pasos de un mismo gesto).
+export function useViewHistory(initialView = DEFAULT_VIEW) {
+  const [history, setHistory] = useState(() => createHistory(initialView));
+
+  const changeView = useCallback((changes, options) => {
+    setHistory(prev => pushView(
+      prev,
+      normalizeView({ ...prev.present, ...(typeof changes === 'function' ? changes(prev.present) : changes) }),
+      options
+    ));
+  }, []);
+
+  const zoom = useCallback((factor, anchorX = null, anchorY = null, options) => {
+    changeView(current => zoomView(current, factor, anchorX, anchorY), options);
+  }, [changeView]);
+
+  // Volver a la vista inicial también se puede deshacer
+  const resetView = useCallback(() => changeView(initialView), [changeView, initialView]);
+
+  const undo = useCallback(() => setHistory(undoView), []);
+  const redo = useCallback(() => setHistory(redoView), []);
+
+  return {
+    view: history.present,
+    changeView,
+    zoom,
+    resetView,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+}
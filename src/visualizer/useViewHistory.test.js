@@ -0,0 +1,59 @@
+import { act, renderHook } from '@testing-library/react';
+import { useViewHistory } from './useViewHistory';
+import { DEFAULT_VIEW } from './viewport';
+
+const expectRange = (range, [min, max]) => {
+  expect(range[0]).toBeCloseTo(min, 12);
+  expect(range[1]).toBeCloseTo(max, 12);
+};
+
+describe('useViewHistory', () => {
+  test('los botones de zoom escalan alrededor del centro y el eje Y automático no cambia', () => {
+    const { result } = renderHook(() => useViewHistory({ x: [0, 10], y: null, logX: false, logY: false }));
+    act(() => result.current.zoom(0.5));
+    expectRange(result.current.view.x, [2.5, 7.5]);
+    expect(result.current.view.y).toBeNull();
+    act(() => result.current.zoom(2));
+    expectRange(result.current.view.x, [0, 10]);
+  });
+
+  test('el zoom con la rueda deja fijo el punto bajo el cursor en ambos ejes', () => {
+    const { result } = renderHook(() => useViewHistory({ x: [0, 10], y: [0, 100], logX: false, logY: false }));
+    act(() => result.current.zoom(0.5, 2, 80));
+    expectRange(result.current.view.x, [1, 6]);
+    expectRange(result.current.view.y, [40, 90]);
+  });
+
+  test('restablecer vuelve a la vista inicial y se puede deshacer', () => {
+    const { result } = renderHook(() => useViewHistory());
+    act(() => result.current.zoom(0.5));
+    act(() => result.current.changeView({ logY: true }));
+    const zoomed = result.current.view;
+    act(() => result.current.resetView());
+    expect(result.current.view).toEqual(DEFAULT_VIEW);
+    expect(result.current.canRedo).toBe(false);
+
+    act(() => result.current.undo());
+    expect(result.current.view).toBe(zoomed);
+    expect(result.current.canRedo).toBe(true);
+    act(() => result.current.redo());
+    expect(result.current.view).toEqual(DEFAULT_VIEW);
+  });
+
+  test('los pasos de un mismo gesto se deshacen de una vez', () => {
+    const { result } = renderHook(() => useViewHistory());
+    expect(result.current.canUndo).toBe(false);
+    act(() => result.current.zoom(0.9));
+    act(() => result.current.zoom(0.9, null, null, { replace: true }));
+    act(() => result.current.zoom(0.9, null, null, { replace: true }));
+    act(() => result.current.undo());
+    expect(result.current.view).toEqual(DEFAULT_VIEW);
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  test('activar la escala log lleva el rango a valores positivos', () => {
+    const { result } = renderHook(() => useViewHistory({ x: [-5, 100], y: null, logX: false, logY: false }));
+    act(() => result.current.changeView({ logX: true }));
+    expect(result.current.view.x).toEqual([0.1, 100]);
+  });
+});
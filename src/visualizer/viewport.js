@@ -0,0 +1,153 @@
+// Vista de la gráfica del visualizador: rangos de los ejes, conversión entre píxeles y valores
+// (lineal o logarítmica) e historial para deshacer y rehacer.
+//
+// Un rango es [min, max] con min < max. En una vista { x, y, logX, logY } el rango y es null
+// cuando el eje Y se ajusta automáticamente a los datos.
+
+export const DEFAULT_VIEW = { x: [0.1, 5], y: null, logX: false, logY: false };
+
+// Ancho mínimo de un rango, relativo a su magnitud, para no llegar al límite de la coma flotante
+const MIN_SPAN = 1e-9;
+const MAX_HISTORY = 100;
+
+const toUnit = (value, log) => (log ? Math.log10(value) : value);
+const fromUnit = (value, log) => (log ? 10 ** value : value);
+
+// Ordena los extremos y garantiza un ancho mínimo; en escala log exige valores positivos
+export function normalizeRange([a, b], log = false) {
+  let [min, max] = a <= b ? [a, b] : [b, a];
+  if (log && min <= 0) {
+    max = max > 0 ? max : 10;
+    min = Math.min(max / 1000, 0.1);
+  }
+  const span = MIN_SPAN * Math.max(1, Math.abs(min), Math.abs(max));
+  if (max - min < span) {
+    const center = (min + max) / 2;
+    [min, max] = [center - span / 2, center + span / 2];
+  }
+  return [min, max];
+}
+
+// Posición relativa (0 a 1) de value dentro del rango y su inversa
+export const rangeFraction = (value, [min, max], log = false) => (
+  (toUnit(value, log) - toUnit(min, log)) / (toUnit(max, log) - toUnit(min, log))
+);
+
+export const rangeValue = (fraction, [min, max], log = false) => (
+  fromUnit(toUnit(min, log) + fraction * (toUnit(max, log) - toUnit(min, log)), log)
+);
+
+// Escala el rango por factor dejando fijo el punto anchor (el cursor al usar la rueda)
+export function zoomRange(range, factor, anchor = null, log = false) {
+  const center = anchor ?? rangeValue(0.5, range, log);
+  const fraction = rangeFraction(center, range, log);
+  const span = (toUnit(range[1], log) - toUnit(range[0], log)) * factor;
+  const start = toUnit(center, log) - fraction * span;
+  return normalizeRange([fromUnit(start, log), fromUnit(start + span, log)], log);
+}
+
+// Zoom de la vista en ambos ejes alrededor de (anchorX, anchorY); el eje Y automático sigue automático
+export const zoomView = (view, factor, anchorX = null, anchorY = null) => ({
+  ...view,
+  x: zoomRange(view.x, factor, anchorX, view.logX),
+  y: view.y && zoomRange(view.y, factor, anchorY, view.logY)
+});
+
+// Desplaza el rango una fracción de su ancho (positiva hacia valores mayores)
+export function panRange(range, fraction, log = false) {
+  const shift = fraction * (toUnit(range[1], log) - toUnit(range[0], log));
+  return normalizeRange(range.map(value => fromUnit(toUnit(value, log) + shift, log)), log);
+}
+
+// Rango automático del eje Y: percentiles 1-99 con un margen del 5 %, para que un polo no
+// aplaste el resto de la curva. weights da el peso de cada valor (el tramo de x que
+// representa), porque el muestreo adaptativo acumula puntos justo cerca de los polos.
+export function autoRange(values, { weights = null, log = false } = {}) {
+  const usable = values
+    .map((value, idx) => ({ value, weight: weights ? weights[idx] : 1 }))
+    .filter(({ value, weight }) => Number.isFinite(value) && (!log || value > 0) && weight > 0)
+    .sort((a, b) => a.value - b.value);
+  if (usable.length === 0) return log ? [0.1, 10] : [-1, 1];
+
+  const total = usable.reduce((sum, item) => sum + item.weight, 0);
+  const quantile = (q) => {
+    let accumulated = 0;
+    const found = usable.find((item) => {
+      accumulated += item.weight;
+      return accumulated >= q * total;
+    });
+    return (found || usable[usable.length - 1]).value;
+  };
+  const low = toUnit(quantile(0.01), log);
+  const high = toUnit(quantile(0.99), log);
+  const margin = high > low ? (high - low) * 0.05 : Math.max(1, Math.abs(low)) * 0.5;
+  return normalizeRange([fromUnit(low - margin, log), fromUnit(high + margin, log)], log);
+}
+
+// Corrige los rangos de una vista; al activar una escala log el rango se lleva a valores positivos
+export const normalizeView = view => ({
+  ...view,
+  x: normalizeRange(view.x, view.logX),
+  y: view.y && normalizeRange(view.y, view.logY)
+});
+
+export const createHistory = view => ({ past: [], present: view, future: [] });
+
+// Añade una vista al historial. Con replace sustituye la actual sin crear una entrada nueva,
+// para agrupar los pasos de un mismo gesto (arrastrar, girar la rueda).
+export function pushView(history, view, { replace = false } = {}) {
+  if (replace) return { ...history, present: view };
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: view,
+    future: []
+  };
+}
+
+export function undoView(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+}
+
+export function redoView(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+}
+
+// Fila con la x más próxima a x en filas ordenadas por x (búsqueda binaria)
+export function nearestRow(rows, x) {
+  if (rows.length === 0) return null;
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (rows[mid].x <= x) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(rows[lo].x - x) <= Math.abs(rows[hi].x - x) ? rows[lo] : rows[hi];
+}
+
+// Punto de una curva más cercano en pantalla a target ([px, py]); toPixel convierte { x, y }
+// en píxeles. Devuelve null si ninguno está a menos de maxDistance.
+export function nearestPoint(points, target, toPixel, maxDistance) {
+  let best = null;
+  let bestDistance = maxDistance;
+  points.forEach((point) => {
+    if (point.x === null || point.y === null) return;
+    const [px, py] = toPixel(point);
+    const distance = Math.hypot(px - target[0], py - target[1]);
+    if (distance <= bestDistance) {
+      best = point;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,85 @@
+import {
+  normalizeRange,
+  rangeValue,
+  zoomRange,
+  panRange,
+  autoRange,
+  createHistory,
+  pushView,
+  undoView,
+  redoView,
+  nearestRow,
+  nearestPoint
+} from './viewport';
+
+describe('rangos', () => {
+  test('normalizeRange ordena, impone un ancho mínimo y lleva la escala log a positivos', () => {
+    expect(normalizeRange([3, -1])).toEqual([-1, 3]);
+    const [min, max] = normalizeRange([2, 2]);
+    expect(max - min).toBeGreaterThan(0);
+    expect(normalizeRange([-5, 100], true)).toEqual([0.1, 100]);
+  });
+
+  test('zoomRange deja fijo el punto bajo el cursor', () => {
+    expect(zoomRange([0, 10], 0.5)).toEqual([2.5, 7.5]);
+    expect(zoomRange([0, 10], 0.5, 2)).toEqual([1, 6]);
+    const [min, max] = zoomRange([1, 1000], 2, 10, true);
+    expect(min).toBeCloseTo(0.1, 12);
+    expect(max).toBeCloseTo(1e5, 6);
+  });
+
+  test('panRange desplaza una fracción del ancho, en décadas si es logarítmico', () => {
+    expect(panRange([0, 10], 0.25)).toEqual([2.5, 12.5]);
+    const [min, max] = panRange([1, 100], -0.5, true);
+    expect(min).toBeCloseTo(0.1, 12);
+    expect(max).toBeCloseTo(10, 12);
+    expect(rangeValue(0.5, [1, 100], true)).toBeCloseTo(10, 12);
+  });
+
+  test('autoRange ignora polos y pondera por el tramo de x de cada muestra', () => {
+    const xs = Array.from({ length: 101 }, (_, i) => i / 100);
+    const [min, max] = autoRange([...xs, 1e12]);
+    expect(min).toBeGreaterThan(-0.1);
+    expect(max).toBeLessThan(2);
+    // Muchos puntos juntos cerca de un polo pesan poco si cubren poco x
+    const values = [0, 0.5, 1, ...Array(50).fill(1e6)];
+    const weights = [1, 1, 1, ...Array(50).fill(1e-6)];
+    expect(autoRange(values, { weights })[1]).toBeLessThan(2);
+    expect(autoRange([-1, 0, 10, 100], { log: true })[0]).toBeGreaterThan(0);
+    expect(autoRange([])).toEqual([-1, 1]);
+  });
+});
+
+describe('historial de vistas', () => {
+  test('deshace y rehace, y una vista nueva descarta lo rehacible', () => {
+    let history = createHistory('a');
+    history = pushView(history, 'b');
+    history = pushView(history, 'c');
+    history = undoView(undoView(history));
+    expect(history.present).toBe('a');
+    expect(undoView(history)).toBe(history);
+    history = redoView(history);
+    expect(history.present).toBe('b');
+    history = pushView(history, 'd');
+    expect(history).toEqual({ past: ['a', 'b'], present: 'd', future: [] });
+  });
+
+  test('replace agrupa los pasos de un gesto en una sola entrada', () => {
+    let history = pushView(createHistory('a'), 'b');
+    history = pushView(history, 'c', { replace: true });
+    expect(undoView(history).present).toBe('a');
+  });
+});
+
+test('nearestRow y nearestPoint buscan el punto bajo el cursor', () => {
+  const rows = [0, 1, 2, 4].map(x => ({ x }));
+  expect(nearestRow(rows, 2.9).x).toBe(2);
+  expect(nearestRow(rows, 3.1).x).toBe(4);
+  expect(nearestRow(rows, -5).x).toBe(0);
+  expect(nearestRow([], 1)).toBeNull();
+
+  const points = [{ x: 0, y: 0 }, { x: null, y: null }, { x: 1, y: 1 }];
+  const toPixel = ({ x, y }) => [x * 100, y * 100];
+  expect(nearestPoint(points, [90, 95], toPixel, 20)).toBe(points[2]);
+  expect(nearestPoint(points, [50, 50], toPixel, 20)).toBeNull();
+});
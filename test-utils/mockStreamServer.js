@@ -0,0 +1,61 @@
+import http from 'http';
+import WebSocket from 'ws';
+
+// Servidor local WebSocket + SSE para los tests de transports.js. Está fuera de src para que el
+// código de la aplicación no pueda importarlo (ws solo está en devDependencies).
+//   ws://127.0.0.1:<port>/ws    WebSocket
+//   http://127.0.0.1:<port>/sse Server-Sent Events
+export async function startMockStreamServer() {
+  const sseClients = new Set();
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/sse') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(':ok\n\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+  });
+
+  const wss = new WebSocket.Server({ server, path: '/ws' });
+  wss.on('connection', socket => {
+    socket.on('message', message => received.push(message.toString()));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    wsUrl: `ws://127.0.0.1:${port}/ws`,
+    sseUrl: `http://127.0.0.1:${port}/sse`,
+    received,
+    wsClientCount: () => wss.clients.size,
+    sseClientCount: () => sseClients.size,
+    sendWs(data) {
+      const payload = typeof data === 'string' ? data : JSON.stringify(data);
+      wss.clients.forEach(client => client.send(payload));
+    },
+    sendSse(data) {
+      const payload = typeof data === 'string' ? data : JSON.stringify(data);
+      sseClients.forEach(res => res.write(`data: ${payload}\n\n`));
+    },
+    // Corta todas las conexiones abiertas para provocar una reconexión
+    dropConnections() {
+      wss.clients.forEach(client => client.terminate());
+      sseClients.forEach(res => res.destroy());
+      sseClients.clear();
+    },
+    close() {
+      this.dropConnections();
+      return new Promise(resolve => wss.close(() => server.close(() => resolve())));
+    }
+  };
+}